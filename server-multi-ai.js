@@ -4,10 +4,17 @@ const path = require('path');
 const bodyParser = require('body-parser');
 const cors = require('cors');
 const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
 const mongoose = require('mongoose');
 const fetch = require('node-fetch');
+const nodemailer = require('nodemailer');
+const QRCode = require('qrcode');
 const Tesseract = require('tesseract.js');
 const pdfParse = require('pdf-parse');
+const multer = require('multer');
+const ExcelJS = require('exceljs');
 const puppeteer = require('puppeteer');
 const { chromium } = require('playwright');
 const fs = require('fs').promises;
@@ -43,20 +50,48 @@ const initializeServer = async () => {
   try {
     await mongoose.connect(MONGODB_URI);
     console.log('✅ Connected to MongoDB');
-
-    // Create demo users after connection
-    setTimeout(createDemoUsers, 2000);
   } catch (err) {
     console.error('❌ MongoDB connection error:', err);
     process.exit(1);
   }
 
+  // Multi-document transactions need a replica set or a sharded cluster - a standalone
+  // mongod rejects them, so duplicate merging and spreadsheet import answer 503
+  // (TRANSACTIONS_UNAVAILABLE) there. Asked once, on first use.
+  const TRANSACTIONS_HINT = 'Run MongoDB as a replica set to enable it - for local development a single node is enough: start mongod with --replSet rs0 and run rs.initiate() once.';
+  let transactionsSupported;
+  async function supportsTransactions() {
+    if (transactionsSupported === undefined) {
+      const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+      transactionsSupported = !!hello.setName || hello.msg === 'isdbgrid';
+      if (!transactionsSupported) console.log(`⚠️ MongoDB is a standalone server - merging duplicate questions and spreadsheet import are disabled. ${TRANSACTIONS_HINT}`);
+    }
+    return transactionsSupported;
+  }
+
   // MongoDB Schemas and Models
   const userSchema = new mongoose.Schema({
     username: { type: String, required: true, unique: true },
     password: { type: String, required: true },
     role: { type: String, enum: ['student', 'teacher', 'admin'], default: 'student' },
     email: { type: String, required: true, unique: true },
+    // Email verification - accounts created before verification existed have no value and count as verified
+    emailVerified: { type: Boolean },
+    emailVerificationTokenHash: { type: String },
+    emailVerificationExpires: { type: Date },
+    // Password reset (single-use, time-limited)
+    passwordResetTokenHash: { type: String },
+    passwordResetExpires: { type: Date },
+    // TOTP two-factor authentication - secrets are stored encrypted, backup codes hashed
+    twoFactorEnabled: { type: Boolean, default: false },
+    twoFactorSecret: { type: String },
+    twoFactorPendingSecret: { type: String }, // Set during enrollment until the first code is confirmed
+    twoFactorBackupCodes: [{ type: String }],
+    twoFactorLastStep: { type: Number }, // Last accepted TOTP time step, so a code cannot be replayed
+    // Login throttling
+    failedLoginAttempts: { type: Number, default: 0 },
+    lastFailedLoginAt: { type: Date },
+    lockUntil: { type: Date },
     createdAt: { type: Date, default: Date.now }
   });
 
@@ -70,14 +105,57 @@ const initializeServer = async () => {
     return await bcrypt.compare(password, this.password);
   };
 
+  // Check a TOTP code against the active secret (not saved - caller saves)
+  userSchema.methods.verifyTotp = function (code) {
+    if (!this.twoFactorEnabled || !this.twoFactorSecret) return false;
+
+    const step = matchTotpStep(decryptSecret(this.twoFactorSecret), code, this.twoFactorLastStep);
+    if (step === null) return false;
+
+    this.twoFactorLastStep = step;
+    return true;
+  };
+
+  // Consume a backup code if it matches one (not saved - caller saves)
+  userSchema.methods.useBackupCode = async function (code) {
+    const normalized = String(code).replace(/[\s-]/g, '').toLowerCase();
+
+    for (let i = 0; i < this.twoFactorBackupCodes.length; i++) {
+      if (await bcrypt.compare(normalized, this.twoFactorBackupCodes[i])) {
+        this.twoFactorBackupCodes.splice(i, 1);
+        return true;
+      }
+    }
+    return false;
+  };
+
   const questionSchema = new mongoose.Schema({
     examType: { type: String, enum: ['jee', 'neet'], required: true },
     subject: { type: String, required: true },
     class: { type: String, required: true },
     chapter: { type: String, required: true },
     text: { type: String, required: true },
+    questionType: { type: String, enum: ['mcq', 'multiple', 'numeric', 'matrix', 'assertion-reason'], default: 'mcq' },
+    passageId: { type: mongoose.Schema.Types.ObjectId, ref: 'Passage' }, // Comprehension - the shared passage this question is set on
     options: [{ type: String, required: true }],
-    answer: { type: String, required: true },
+    answer: { type: String, required: true }, // Option letter; "A,C" for multiple; for numeric questions a readable form of numericAnswer
+    correctOptions: [{ type: String }], // Multiple-correct questions - every correct option letter
+    // Matrix-match questions - the two columns to match; options list the combinations
+    matchColumns: {
+      left: [{ type: String }], // Column I (A, B, C, ...)
+      right: [{ type: String }] // Column II (p, q, r, ...)
+    },
+    assertion: { type: String }, // Assertion-reason questions - statement A
+    reason: { type: String }, // Assertion-reason questions - statement R
+    // Numeric (JEE Main Section B) questions - how the entered value is matched
+    numericAnswer: {
+      mode: { type: String, enum: ['exact', 'tolerance', 'range'] },
+      value: { type: Number }, // exact and tolerance modes
+      tolerance: { type: Number }, // allowed +/- around value
+      min: { type: Number }, // range mode, inclusive
+      max: { type: Number },
+      unit: { type: String } // Shown to students as a hint, e.g. "m/s"
+    },
     difficulty: { type: String, enum: ['easy', 'medium', 'hard'], required: true },
     solution: { type: String, required: true },
     explanation: { type: String },
@@ -94,11 +172,48 @@ const initializeServer = async () => {
       name: String,
       description: String
     }],
+    isShared: { type: Boolean, default: false }, // In the public pool - readable by every institution
+    revision: { type: Number, default: 1 }, // Current QuestionRevision number
+    // Editorial workflow - only published questions are used to build tests. Questions from
+    // before the workflow have no status and count as published.
+    status: { type: String, enum: ['draft', 'in-review', 'published', 'retired'] },
+    reviewerId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reviewComments: [{
+      authorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      authorUsername: { type: String },
+      action: { type: String, enum: ['comment', 'submit', 'approve', 'request-changes', 'retire'] },
+      comment: { type: String },
+      createdAt: { type: Date, default: Date.now }
+    }],
+    publishedAt: { type: Date },
+    // Edit to a published question waiting for approval - the fields above stay as
+    // approved until a reviewer accepts it
+    pendingEdit: {
+      fields: { type: mongoose.Schema.Types.Mixed },
+      status: { type: String, enum: ['in-review', 'changes-requested'] },
+      editedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      editedByUsername: { type: String },
+      editedAt: { type: Date }
+    },
+    // Duplicate detection - see questionFingerprint()
+    fingerprint: { type: String },
+    duplicateOf: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Question' }], // Saved anyway while these looked the same
+    mergedInto: { type: mongoose.Schema.Types.ObjectId, ref: 'Question' }, // Retired by a duplicate merge
     createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
     lastModified: { type: Date, default: Date.now },
     createdAt: { type: Date, default: Date.now }
   });
 
+  // Question bank search (GET /api/questions?q=). Questions carry their own `language`
+  // ('en'/'gu'), which MongoDB would otherwise read as the text-search language and reject
+  // for Gujarati - so the override points at a field that is never set.
+  questionSchema.index(
+    { text: 'text', options: 'text', solution: 'text', tags: 'text' },
+    { name: 'question_search', weights: { text: 5, tags: 3, options: 2, solution: 1 }, language_override: 'textSearchLanguage' }
+  );
+  questionSchema.index({ examType: 1, subject: 1, createdAt: -1 });
+  questionSchema.index({ fingerprint: 1 });
+
   const testSchema = new mongoose.Schema({
     title: { type: String, required: true },
     type: { type: String, enum: ['jee', 'neet'], required: true },
@@ -128,9 +243,46 @@ const initializeServer = async () => {
     correct: { type: Number, required: true },
     incorrect: { type: Number, required: true },
     unanswered: { type: Number, required: true },
+    partial: { type: Number, default: 0 }, // Multiple-correct questions given partial marks
+    sectionResults: [{
+      _id: false,
+      name: { type: String },
+      score: { type: Number },
+      maxMarks: { type: Number },
+      correct: { type: Number },
+      partial: { type: Number },
+      incorrect: { type: Number },
+      unanswered: { type: Number },
+      notEvaluated: { type: Number },
+      attemptLimit: { type: Number }
+    }],
     percentage: { type: Number, required: true },
     timeSpent: { type: Number, required: true },
     hasNegativeMarking: { type: Boolean, default: false },
+    // Scoring is done server-side (scoreSubmission) - these record how it was done
+    markingScheme: {
+      marksPerQuestion: { type: Number },
+      negativeMarks: { type: Number }, // Marks deducted per wrong answer (positive number)
+      numericNegativeMarks: { type: Number }, // Same, for numeric questions
+      multipleCorrect: {
+        fullMarks: { type: Number },
+        perCorrectOption: { type: Number },
+        wrongPenalty: { type: Number },
+        partialMarking: { type: Boolean }
+      }
+    },
+    breakdown: [{
+      _id: false,
+      questionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Question' },
+      answer: { type: String }, // Submitted answer
+      correctAnswer: { type: String },
+      status: { type: String, enum: ['correct', 'partial', 'incorrect', 'unanswered', 'not-evaluated'] }, // not-evaluated: beyond a section's attempt limit
+      section: { type: String },
+      revision: { type: Number }, // QuestionRevision the answer was graded against
+      optionOrder: [{ type: Number }], // Shuffled tests - the student's option order (canonical index per displayed position)
+      marks: { type: Number }
+    }],
+    attemptId: { type: mongoose.Schema.Types.ObjectId, ref: 'TestAttempt' }, // Timed attempt this result closed
     timestamp: { type: Date, default: Date.now }
   });
 
@@ -146,8 +298,8 @@ const initializeServer = async () => {
     createdAt: { type: Date, default: Date.now }
   });
 
-  // Ensure unique chapters per exam type and subject
-  chapterSchema.index({ examType: 1, subject: 1, name: 1 }, { unique: true });
+  // Ensure unique chapters per institution, exam type and subject
+  chapterSchema.index({ institutionId: 1, examType: 1, subject: 1, name: 1 }, { unique: true });
 
   // Mock Test Schema
   const mockTestSchema = new mongoose.Schema({
@@ -160,13 +312,585 @@ const initializeServer = async () => {
     marksPerQuestion: { type: Number, default: 4 }, // Marks awarded for each correct answer
     negativeMarking: { type: Boolean, default: true }, // Enable/disable negative marking
     negativeMarks: { type: Number, default: -1 }, // Marks deducted for wrong answer (25% of marksPerQuestion)
+    numericNegativeMarking: { type: Boolean, default: false }, // Numeric questions usually carry no negative marks
+    // Sectioned tests (built from an ExamPattern) - marking here replaces the flat marking above
+    examPatternId: { type: mongoose.Schema.Types.ObjectId, ref: 'ExamPattern' },
+    sections: [{
+      name: { type: String, required: true },
+      subject: { type: String },
+      questionType: { type: String },
+      questionIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Question' }],
+      attemptLimit: { type: Number },
+      // Unset = the test-wide marking above
+      marksPerQuestion: { type: Number },
+      negativeMarks: { type: Number }
+    }],
+    // Multiple-correct questions (JEE Advanced rules by default): full marks when exactly
+    // the correct options are chosen, perCorrectOption for each one chosen when no wrong
+    // option is picked, wrongPenalty deducted if any wrong option is picked
+    multipleCorrectMarking: {
+      fullMarks: { type: Number, default: 4 },
+      perCorrectOption: { type: Number, default: 1 },
+      wrongPenalty: { type: Number, default: 2 },
+      partialMarking: { type: Boolean, default: true }
+    },
     totalMarks: { type: Number }, // Total marks for the test (totalQuestions * marksPerQuestion)
+    // Anti-copying: every attempt gets its own question order (within each section, for
+    // sectioned tests) and/or option order
+    shuffleQuestions: { type: Boolean, default: false },
+    shuffleOptions: { type: Boolean, default: false },
+    // Scheduling - students can start between opensAt and closesAt. With fixedStart everyone
+    // sits the test together: it starts at opensAt and ends duration minutes later.
+    opensAt: { type: Date },
+    closesAt: { type: Date },
+    fixedStart: { type: Boolean, default: false },
+    // Who may take the test - nobody listed means every student in the institution
+    assignedBatchIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Batch' }],
+    assignedStudentIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
     createdBy: { type: String, required: true },
     isPublic: { type: Boolean, default: true },
     status: { type: String, enum: ['active', 'inactive'], default: 'active' },
     createdAt: { type: Date, default: Date.now }
   });
 
+  // ========================================
+  // INSTITUTIONS (MULTI-TENANCY)
+  // ========================================
+
+  // Institution Schema - one per coaching centre/school. Content and accounts are
+  // scoped to an institution through tenantPlugin below.
+  const institutionSchema = new mongoose.Schema({
+    name: { type: String, required: true },
+    slug: { type: String, required: true, unique: true, lowercase: true, trim: true }, // Institution code used at registration
+    branding: {
+      logo: { type: String }, // Base64 or URL
+      primaryColor: { type: String, default: '#5046e5' },
+      secondaryColor: { type: String, default: '#4338ca' },
+      accentColor: { type: String, default: '#1976d2' }
+    },
+    createdAt: { type: Date, default: Date.now }
+  });
+
+  // The operator's own institution - owns all data created before multi-tenancy,
+  // and its admins manage the other institutions
+  const DEFAULT_INSTITUTION_SLUG = 'default';
+  let defaultInstitutionId = null; // Set by ensureDefaultInstitution() at startup
+
+  // Institution of the current request, or undefined outside a request / on auth routes
+  function currentInstitutionId() {
+    return auditContext.getStore()?.institutionId;
+  }
+
+  // Run fn with the request context switched to another institution
+  function withInstitution(institutionId, fn) {
+    return auditContext.run({ ...auditContext.getStore(), institutionId }, fn);
+  }
+
+  // Mongoose plugin: scope a model to the current institution. Adds institutionId,
+  // stamps it on new documents and adds it to every query filter. With `shared`
+  // (a Boolean field name), reads also return documents other institutions shared.
+  function tenantPlugin(schema, options = {}) {
+    schema.add({ institutionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Institution', index: true } });
+
+    const readCondition = (institutionId) => options.shared
+      ? { $or: [{ institutionId }, { [options.shared]: true }] }
+      : { institutionId };
+
+    const scopeQuery = (read) => function () {
+      const institutionId = currentInstitutionId();
+      if (!institutionId) return;
+
+      const filter = this.getFilter();
+      const condition = read ? readCondition(institutionId) : { institutionId };
+      this.setQuery(Object.keys(filter).length > 0 ? { $and: [filter, condition] } : condition);
+
+      // Documents cannot be moved to another institution through an update
+      const update = this.getUpdate();
+      if (update) {
+        delete update.institutionId;
+        if (update.$set) delete update.$set.institutionId;
+      }
+    };
+
+    schema.pre(['find', 'findOne', 'countDocuments', 'distinct'], scopeQuery(true));
+    schema.pre(['findOneAndUpdate', 'findOneAndDelete', 'findOneAndReplace', 'replaceOne', 'updateMany', 'deleteMany'], scopeQuery(false));
+    schema.pre(['updateOne', 'deleteOne'], { document: false, query: true }, scopeQuery(false));
+
+    schema.pre('aggregate', function () {
+      const institutionId = currentInstitutionId();
+      if (institutionId) this.pipeline().unshift({ $match: readCondition(institutionId) });
+    });
+
+    // New documents belong to the request's institution (or the default one for
+    // startup jobs); existing ones can only be changed by their own institution
+    schema.pre('save', function () {
+      const institutionId = currentInstitutionId();
+
+      if (this.isNew) {
+        if (institutionId) this.institutionId = institutionId;
+        else if (!this.institutionId) this.institutionId = defaultInstitutionId;
+      } else if (institutionId && this.institutionId && !this.institutionId.equals(institutionId)) {
+        throw new Error('Cannot modify a document that belongs to another institution');
+      }
+    });
+
+    schema.pre('deleteOne', { document: true, query: false }, function () {
+      const institutionId = currentInstitutionId();
+      if (institutionId && this.institutionId && !this.institutionId.equals(institutionId)) {
+        throw new Error('Cannot delete a document that belongs to another institution');
+      }
+    });
+
+    schema.pre('insertMany', function (next, docs) {
+      const institutionId = currentInstitutionId();
+      (Array.isArray(docs) ? docs : [docs]).forEach(doc => {
+        if (institutionId) doc.institutionId = institutionId;
+        else if (!doc.institutionId) doc.institutionId = defaultInstitutionId;
+      });
+      next();
+    });
+  }
+
+  // ========================================
+  // AUDIT LOG
+  // ========================================
+
+  // Audit Event Schema (one entry per create/update/delete, plus admin events)
+  const auditEventSchema = new mongoose.Schema({
+    entity: { type: String, required: true }, // Model name, e.g. 'Question'
+    entityId: { type: String },
+    action: { type: String, required: true }, // create | update | delete | bulk-update | bulk-delete | admin.*
+    actorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    actorUsername: { type: String, default: 'anonymous' },
+    actorRole: { type: String },
+    ipAddress: { type: String },
+    changes: [{
+      _id: false,
+      field: String,
+      before: mongoose.Schema.Types.Mixed,
+      after: mongoose.Schema.Types.Mixed
+    }],
+    details: { type: mongoose.Schema.Types.Mixed },
+    timestamp: { type: Date, default: Date.now }
+  });
+
+  auditEventSchema.index({ entity: 1, entityId: 1, timestamp: -1 });
+  auditEventSchema.index({ actorId: 1, timestamp: -1 });
+  auditEventSchema.index({ timestamp: -1 });
+
+  auditEventSchema.plugin(tenantPlugin);
+  const AuditEvent = mongoose.model('AuditEvent', auditEventSchema);
+
+  // Request-scoped context so model hooks know who made a change
+  const auditContext = new AsyncLocalStorage();
+
+  // Plain-object copy of a document for diffing. `ignore` fields are dropped,
+  // `omit` fields (large blobs) are replaced by a short digest of their value.
+  function auditSnapshot(doc, options) {
+    if (!doc) return null;
+
+    const snapshot = doc.toObject({ depopulate: true });
+    delete snapshot.__v;
+
+    (options.ignore || []).forEach(field => delete snapshot[field]);
+    (options.omit || []).forEach(field => {
+      if (snapshot[field] !== undefined) {
+        const digest = crypto.createHash('sha1').update(JSON.stringify(snapshot[field])).digest('hex');
+        snapshot[field] = `[omitted ${digest.substring(0, 12)}]`;
+      }
+    });
+
+    return snapshot;
+  }
+
+  // Field-level differences between two snapshots (either side may be null)
+  function auditDiff(before, after) {
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    const changes = [];
+
+    fields.forEach(field => {
+      if (field === '_id') return;
+      const oldValue = before ? before[field] : undefined;
+      const newValue = after ? after[field] : undefined;
+      if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+        changes.push({ field, before: oldValue, after: newValue });
+      }
+    });
+
+    return changes;
+  }
+
+  // Write audit events, attributed to the actor of the current request. Events for writes
+  // made in a transaction join its session, so they are discarded if it aborts or retries.
+  async function recordAuditEvents(events, session) {
+    if (events.length === 0) return;
+
+    const context = auditContext.getStore() || {};
+    const actor = context.actor;
+
+    try {
+      await AuditEvent.insertMany(events.map(event => ({
+        actorId: actor?._id,
+        actorUsername: actor?.username || context.actorName || 'anonymous',
+        actorRole: actor?.role,
+        ipAddress: context.ipAddress,
+        ...event,
+        entityId: event.entityId ? event.entityId.toString() : undefined
+      })), { session });
+    } catch (error) {
+      console.error('⚠️ Error recording audit event:', error);
+    }
+  }
+
+  function recordAuditEvent(event, session) {
+    return recordAuditEvents([event], session);
+  }
+
+  // Mongoose plugin: audit every create/update/delete made through a model.
+  // Options: entity (model name), ignore (fields not worth auditing), omit (large fields).
+  function auditPlugin(schema, options) {
+    const { entity } = options;
+
+    // Document saves (inside the document's transaction, if it has one)
+    schema.pre('save', async function () {
+      this.$locals.auditIsNew = this.isNew;
+      this.$locals.auditBefore = this.isNew ? null : await this.constructor.findById(this._id).session(this.$session());
+    });
+
+    schema.post('save', async function (doc) {
+      const changes = auditDiff(auditSnapshot(doc.$locals.auditBefore, options), auditSnapshot(doc, options));
+      if (changes.length === 0) return;
+
+      await recordAuditEvent({
+        entity,
+        entityId: doc._id,
+        action: doc.$locals.auditIsNew ? 'create' : 'update',
+        changes
+      }, doc.$session());
+    });
+
+    schema.post('insertMany', async function (docs) {
+      await recordAuditEvents(docs.map(doc => ({
+        entity,
+        entityId: doc._id,
+        action: 'create',
+        changes: auditDiff(null, auditSnapshot(doc, options))
+      })), docs[0]?.$session());
+    });
+
+    // Single-document query updates and deletes (findByIdAndUpdate, findByIdAndDelete, ...)
+    schema.pre(['findOneAndUpdate', 'updateOne', 'findOneAndDelete', 'deleteOne'], { document: false, query: true }, async function () {
+      this._auditBefore = await this.model.findOne(this.getFilter());
+    });
+
+    schema.post(['findOneAndUpdate', 'updateOne'], { document: false, query: true }, async function () {
+      if (!this._auditBefore) return;
+
+      const after = await this.model.findById(this._auditBefore._id);
+      const changes = auditDiff(auditSnapshot(this._auditBefore, options), auditSnapshot(after, options));
+      if (changes.length === 0) return;
+
+      await recordAuditEvent({ entity, entityId: this._auditBefore._id, action: 'update', changes });
+    });
+
+    schema.post(['findOneAndDelete', 'deleteOne'], { document: false, query: true }, async function () {
+      if (!this._auditBefore) return;
+
+      await recordAuditEvent({
+        entity,
+        entityId: this._auditBefore._id,
+        action: 'delete',
+        changes: auditDiff(auditSnapshot(this._auditBefore, options), null)
+      });
+    });
+
+    schema.post('deleteOne', { document: true, query: false }, async function (doc) {
+      await recordAuditEvent({
+        entity,
+        entityId: doc._id,
+        action: 'delete',
+        changes: auditDiff(auditSnapshot(doc, options), null)
+      });
+    });
+
+    // Bulk operations record one summary event instead of a per-document diff
+    schema.post('updateMany', async function (result) {
+      await recordAuditEvent({
+        entity,
+        action: 'bulk-update',
+        details: {
+          filter: JSON.stringify(this.getFilter()),
+          update: JSON.stringify(this.getUpdate()),
+          count: result.modifiedCount
+        }
+      });
+    });
+
+    schema.post('deleteMany', async function (result) {
+      await recordAuditEvent({
+        entity,
+        action: 'bulk-delete',
+        details: {
+          filter: JSON.stringify(this.getFilter()),
+          count: result.deletedCount
+        }
+      });
+    });
+  }
+
+  // ========================================
+  // QUESTION REVISIONS
+  // ========================================
+
+  // Question Revision Schema - an immutable, full copy of a question after each change
+  const questionRevisionSchema = new mongoose.Schema({
+    questionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Question', required: true },
+    revision: { type: Number, required: true },
+    action: { type: String, enum: ['create', 'update', 'rollback', 'baseline'], required: true }, // baseline: state before revisions were kept
+    restoredFrom: { type: Number }, // rollback - the revision copied back
+    snapshot: { type: mongoose.Schema.Types.Mixed, required: true },
+    editedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    editedByUsername: { type: String },
+    createdAt: { type: Date, default: Date.now }
+  });
+
+  questionRevisionSchema.index({ questionId: 1, revision: 1 }, { unique: true });
+
+  // Revisions are never changed or removed, even when their question is deleted
+  questionRevisionSchema.pre('save', function () {
+    if (!this.isNew) throw new Error('Question revisions cannot be changed');
+  });
+  questionRevisionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'], { document: false, query: true }, function () {
+    throw new Error('Question revisions cannot be changed');
+  });
+
+  questionRevisionSchema.plugin(tenantPlugin);
+  const QuestionRevision = mongoose.model('QuestionRevision', questionRevisionSchema);
+
+  // Question fields kept in each revision (sharing, timestamps and tenancy are not content)
+  const QUESTION_REVISION_FIELDS = [
+    'examType', 'subject', 'class', 'chapter', 'text', 'questionType', 'passageId', 'options', 'answer',
+    'correctOptions', 'matchColumns', 'assertion', 'reason', 'numericAnswer', 'difficulty', 'solution',
+    'explanation', 'language', 'tags', 'hints', 'references', 'media'
+  ];
+
+  // Fields a rollback copies back. Media is not among them - see mediaReferences().
+  const RESTORABLE_QUESTION_FIELDS = QUESTION_REVISION_FIELDS.filter(field => field !== 'media');
+
+  // Revisions keep media by reference - each item with a digest of its data instead of the
+  // base64 itself, so an edit does not copy every image again. Images are not versioned.
+  function mediaReferences(media) {
+    return (media || []).map(({ data, ...item }) => (
+      data ? { ...item, digest: crypto.createHash('sha1').update(data).digest('hex').substring(0, 12) } : item
+    ));
+  }
+
+  function questionRevisionSnapshot(doc) {
+    const object = doc.toObject({ depopulate: true });
+    const snapshot = Object.fromEntries(QUESTION_REVISION_FIELDS.filter(field => object[field] !== undefined).map(field => [field, object[field]]));
+    if (snapshot.media) snapshot.media = mediaReferences(snapshot.media);
+    return snapshot;
+  }
+
+  // Take the next revision number of a question with an atomic $inc, so concurrent edits
+  // never end up with the same one. Questions from before revisions existed are at 1.
+  async function allocateQuestionRevision(model, questionId, session) {
+    const options = { session: session || undefined };
+    await model.collection.updateOne({ _id: questionId, revision: null }, { $set: { revision: 1 } }, options);
+    const result = await model.collection.findOneAndUpdate(
+      { _id: questionId },
+      { $inc: { revision: 1 } },
+      { ...options, returnDocument: 'after', projection: { revision: 1 } }
+    );
+    return result.value?.revision;
+  }
+
+  async function recordQuestionRevisions(entries) {
+    if (entries.length === 0) return;
+
+    const actor = auditContext.getStore()?.actor;
+    const session = entries[0].doc.$session(); // Part of the question's transaction, if any
+    await QuestionRevision.insertMany(entries.map(({ doc, action, restoredFrom, revision }) => ({
+      questionId: doc._id,
+      revision: revision || doc.revision || 1,
+      action,
+      restoredFrom,
+      snapshot: questionRevisionSnapshot(doc),
+      editedBy: actor?._id,
+      editedByUsername: actor?.username || auditContext.getStore()?.actorName
+    })), { session });
+  }
+
+  // Questions saved before revisions existed have none - keep their current state as
+  // the baseline before the first change
+  async function ensureQuestionBaseline(before) {
+    if (!before) return;
+    const revision = before.revision || 1;
+    if (!(await QuestionRevision.exists({ questionId: before._id, revision }).session(before.$session()))) {
+      await recordQuestionRevisions([{ doc: before, action: 'baseline', revision }]);
+    }
+  }
+
+  function touchesRevisionFields(update) {
+    const fields = Object.keys(update || {}).flatMap(key => key.startsWith('$') ? Object.keys(update[key] || {}) : [key]);
+    return fields.some(field => QUESTION_REVISION_FIELDS.includes(field.split('.')[0]));
+  }
+
+  // Mongoose plugin: bump Question.revision and log a QuestionRevision on every content change.
+  // A rollback sets doc.$locals.revisionAction = 'rollback' and $locals.restoredFrom before saving.
+  // Bulk updateMany maintenance (e.g. the Biology examType fix) is not revisioned.
+  function questionRevisionPlugin(schema) {
+    schema.pre('save', async function () {
+      if (this.isNew) {
+        this.revision = 1;
+        this.$locals.revisionAction = 'create';
+        return;
+      }
+      if (!QUESTION_REVISION_FIELDS.some(field => this.isModified(field))) return;
+
+      await ensureQuestionBaseline(await this.constructor.findById(this._id).session(this.$session()));
+      this.revision = await allocateQuestionRevision(this.constructor, this._id, this.$session()) || (this.revision || 1) + 1;
+      this.$locals.revisionAction = this.$locals.revisionAction || 'update';
+    });
+
+    schema.post('save', async function (doc) {
+      if (!doc.$locals.revisionAction) return;
+      await recordQuestionRevisions([{ doc, action: doc.$locals.revisionAction, restoredFrom: doc.$locals.restoredFrom }]);
+      delete doc.$locals.revisionAction;
+    });
+
+    schema.post('insertMany', async function (docs) {
+      await recordQuestionRevisions(docs.map(doc => ({ doc, action: 'create' })));
+    });
+
+    schema.pre('findOneAndUpdate', async function () {
+      const update = this.getUpdate();
+      if (!touchesRevisionFields(update)) return;
+
+      const before = await this.model.findOne(this.getFilter());
+      if (!before) return;
+
+      await ensureQuestionBaseline(before);
+      this._revision = await allocateQuestionRevision(this.model, before._id, this.getOptions().session) || (before.revision || 1) + 1;
+      update.$set = { ...update.$set, revision: this._revision };
+      delete update.revision;
+      this._revisionQuestionId = before._id;
+    });
+
+    schema.post('findOneAndUpdate', async function () {
+      if (!this._revisionQuestionId) return;
+      const after = await this.model.findById(this._revisionQuestionId);
+      if (after) await recordQuestionRevisions([{ doc: after, action: 'update', revision: this._revision }]);
+    });
+  }
+
+  // ========================================
+  // QUESTION FINGERPRINTS
+  // ========================================
+
+  // Wording a re-typed or re-extracted question tends to differ in: LaTeX markup, case,
+  // punctuation and spacing. Letters include combining marks so Gujarati text survives.
+  function normalizeQuestionContent(value) {
+    return String(value || '')
+      .replace(/\\(?:times|cdot)/g, ' * ')
+      .replace(/\\div/g, ' / ')
+      .replace(/\\[a-zA-Z]+/g, ' ')
+      .toLowerCase()
+      .replace(/[^\p{L}\p{M}\p{N}\s+\-*/=<>]/gu, ' ')
+      .replace(/\s*([+\-*/=<>])\s*/g, ' $1 ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  // Normalized text (with any assertion/reason) and options, the options sorted so their order does not count
+  function questionContentParts(question) {
+    const text = [question.text, question.assertion, question.reason].map(normalizeQuestionContent).filter(Boolean).join(' ');
+    const options = [...(question.options || []), ...(question.matchColumns?.left || []), ...(question.matchColumns?.right || [])]
+      .map(normalizeQuestionContent)
+      .filter(Boolean)
+      .sort();
+    return { text, options };
+  }
+
+  // Equal for questions that only differ in the ways normalizeQuestionContent ignores
+  function questionFingerprint(question) {
+    const { text, options } = questionContentParts(question);
+    return crypto.createHash('sha256').update(JSON.stringify([text, options])).digest('hex');
+  }
+
+  function trigrams(value) {
+    const padded = ` ${value} `;
+    const grams = new Set();
+    for (let i = 0; i < padded.length - 2; i++) grams.add(padded.slice(i, i + 3));
+    return grams;
+  }
+
+  function diceCoefficient(a, b) {
+    if (a.size === 0 && b.size === 0) return 1;
+    let shared = 0;
+    for (const gram of a) if (b.has(gram)) shared++;
+    return (2 * shared) / (a.size + b.size);
+  }
+
+  // What questionSimilarity compares - build once per question when comparing many
+  function similarityProfile(question) {
+    const { text, options } = questionContentParts(question);
+    return { text: trigrams(text), options: trigrams(options.join(' | ')), hasOptions: options.length > 0 };
+  }
+
+  // 0-1, mostly from the question text; options count when both questions have them
+  function questionSimilarity(a, b) {
+    const textScore = diceCoefficient(a.text, b.text);
+    if (!a.hasOptions || !b.hasOptions) return textScore;
+    return 0.75 * textScore + 0.25 * diceCoefficient(a.options, b.options);
+  }
+
+  const QUESTION_FINGERPRINT_FIELDS = ['text', 'assertion', 'reason', 'options', 'matchColumns'];
+
+  // Mongoose plugin: keep Question.fingerprint in step with the content (save, insertMany
+  // and findOneAndUpdate - insertMany validates each document, which runs the validate hook)
+  function questionFingerprintPlugin(schema) {
+    schema.pre('validate', function () {
+      if (this.isNew || QUESTION_FINGERPRINT_FIELDS.some(field => this.isModified(field))) {
+        this.fingerprint = questionFingerprint(this);
+      }
+    });
+
+    schema.pre('findOneAndUpdate', async function () {
+      const update = this.getUpdate();
+      const changes = Object.fromEntries(Object.entries(update || {}).flatMap(([key, value]) => key === '$set' ? Object.entries(value || {}) : key.startsWith('$') ? [] : [[key, value]]));
+      if (!Object.keys(changes).some(field => QUESTION_FINGERPRINT_FIELDS.includes(field.split('.')[0]))) return;
+
+      const before = await this.model.findOne(this.getFilter()).select(QUESTION_FINGERPRINT_FIELDS.join(' ')).lean();
+      if (!before) return;
+
+      update.$set = { ...update.$set, fingerprint: questionFingerprint({ ...before, ...changes }) };
+      delete update.fingerprint;
+    });
+  }
+
+  // Tenant scoping is applied before auditing so audit hooks only see the institution's documents
+  userSchema.plugin(tenantPlugin);
+  questionSchema.plugin(tenantPlugin, { shared: 'isShared' });
+  testSchema.plugin(tenantPlugin);
+  testResultSchema.plugin(tenantPlugin);
+  chapterSchema.plugin(tenantPlugin);
+  mockTestSchema.plugin(tenantPlugin);
+
+  institutionSchema.plugin(auditPlugin, { entity: 'Institution', omit: ['branding'] });
+  const Institution = mongoose.model('Institution', institutionSchema);
+
+  userSchema.plugin(auditPlugin, {
+    entity: 'User',
+    ignore: ['failedLoginAttempts', 'lastFailedLoginAt', 'twoFactorLastStep'],
+    omit: ['password', 'emailVerificationTokenHash', 'passwordResetTokenHash', 'twoFactorSecret', 'twoFactorPendingSecret', 'twoFactorBackupCodes']
+  });
+  questionSchema.plugin(auditPlugin, { entity: 'Question', omit: ['media'] });
+  questionSchema.plugin(questionRevisionPlugin);
+  questionSchema.plugin(questionFingerprintPlugin);
+  chapterSchema.plugin(auditPlugin, { entity: 'Chapter' });
+  mockTestSchema.plugin(auditPlugin, { entity: 'MockTest' });
+
   const User = mongoose.model('User', userSchema);
   const Question = mongoose.model('Question', questionSchema);
   const Test = mongoose.model('Test', testSchema);
@@ -202,6 +926,8 @@ const initializeServer = async () => {
     lastGenerated: { type: Date, default: Date.now }
   });
 
+  paperConfigSchema.plugin(tenantPlugin);
+  paperConfigSchema.plugin(auditPlugin, { entity: 'PaperConfig', ignore: ['lastGenerated'], omit: ['schoolLogo'] });
   const PaperConfig = mongoose.model('PaperConfig', paperConfigSchema);
 
   // Generated PDF Schema (for tracking PDFs with auto-cleanup)
@@ -217,6 +943,7 @@ const initializeServer = async () => {
     status: { type: String, enum: ['active', 'expired', 'deleted'], default: 'active' }
   });
 
+  generatedPDFSchema.plugin(tenantPlugin);
   const GeneratedPDF = mongoose.model('GeneratedPDF', generatedPDFSchema);
 
   // Embedded Document Schema
@@ -236,6 +963,8 @@ const initializeServer = async () => {
     lastModified: { type: Date, default: Date.now }
   });
 
+  embeddedDocumentSchema.plugin(tenantPlugin);
+  embeddedDocumentSchema.plugin(auditPlugin, { entity: 'EmbeddedDocument', ignore: ['viewCount'] });
   const EmbeddedDocument = mongoose.model('EmbeddedDocument', embeddedDocumentSchema);
 
   // Practice Test Schema
@@ -252,44 +981,150 @@ const initializeServer = async () => {
     createdAt: { type: Date, default: Date.now }
   });
 
+  practiceTestSchema.plugin(tenantPlugin);
+  practiceTestSchema.plugin(auditPlugin, { entity: 'PracticeTest' });
   const PracticeTest = mongoose.model('PracticeTest', practiceTestSchema);
 
+  // Passage Schema - comprehension text shared by several questions (Question.passageId)
+  const passageSchema = new mongoose.Schema({
+    title: { type: String },
+    text: { type: String, required: true },
+    examType: { type: String, enum: ['jee', 'neet'] },
+    subject: { type: String },
+    isShared: { type: Boolean, default: false }, // Readable by every institution, like shared questions
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    createdAt: { type: Date, default: Date.now },
+    lastModified: { type: Date, default: Date.now }
+  });
+
+  passageSchema.plugin(tenantPlugin, { shared: 'isShared' });
+  passageSchema.plugin(auditPlugin, { entity: 'Passage' });
+  const Passage = mongoose.model('Passage', passageSchema);
+
+  // Exam Pattern Schema - reusable paper layout (JEE Main, NEET, ...): sections with their
+  // question counts, marking and "attempt any N" rules. Mock tests copy the sections
+  // when they are created from a pattern.
+  const examSectionFields = {
+    name: { type: String, required: true }, // e.g. "Physics - Section A"
+    subject: { type: String },
+    questionType: { type: String, enum: ['mcq', 'multiple', 'numeric', 'matrix', 'assertion-reason'] }, // Only this type, if set
+    questionCount: { type: Number, required: true },
+    attemptLimit: { type: Number }, // Attempt any N - only the first N answered questions are scored
+    marksPerQuestion: { type: Number, default: 4 },
+    negativeMarks: { type: Number, default: 0 } // Deducted per wrong answer (positive number)
+  };
+
+  const examPatternSchema = new mongoose.Schema({
+    key: { type: String }, // Built-in patterns only ('jee-main', 'neet')
+    name: { type: String, required: true },
+    examType: { type: String, enum: ['jee', 'neet'], required: true },
+    description: { type: String },
+    duration: { type: Number, required: true }, // in minutes
+    sections: [examSectionFields],
+    isShared: { type: Boolean, default: false }, // Built-in patterns are readable by every institution
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    createdAt: { type: Date, default: Date.now }
+  });
+
+  examPatternSchema.plugin(tenantPlugin, { shared: 'isShared' });
+  examPatternSchema.plugin(auditPlugin, { entity: 'ExamPattern' });
+  const ExamPattern = mongoose.model('ExamPattern', examPatternSchema);
+
+  // Batch Schema - a group of students (a class, a coaching batch) that tests are assigned to
+  const batchSchema = new mongoose.Schema({
+    name: { type: String, required: true },
+    description: { type: String },
+    studentIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    createdAt: { type: Date, default: Date.now }
+  });
+
+  batchSchema.index({ studentIds: 1 });
+
+  batchSchema.plugin(tenantPlugin);
+  batchSchema.plugin(auditPlugin, { entity: 'Batch' });
+  const Batch = mongoose.model('Batch', batchSchema);
+
+  // Test Attempt Schema - one per student sitting of a mock or practice test. The server
+  // owns the clock: answers are saved as the student goes and only count until deadline.
+  const testAttemptSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    username: { type: String, required: true },
+    mockTestId: { type: mongoose.Schema.Types.ObjectId, ref: 'MockTest' },
+    practiceTestId: { type: mongoose.Schema.Types.ObjectId, ref: 'PracticeTest' },
+    testTitle: { type: String, required: true },
+    questionIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Question' }],
+    answers: { type: Map, of: String, default: {} }, // As the student sees them - option letters in their own order
+    optionOrders: { type: Map, of: [Number] }, // Shuffled options - questionId -> canonical index per displayed position
+    questionRevisions: { type: Map, of: Number }, // questionId -> revision shown when the attempt started
+    markedForReview: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Question' }],
+    currentIndex: { type: Number, default: 0 }, // Question the student was on, for resuming
+    startedAt: { type: Date, default: Date.now },
+    deadline: { type: Date, required: true },
+    status: { type: String, enum: ['in-progress', 'submitted', 'expired'], default: 'in-progress' },
+    submittedAt: { type: Date },
+    lastSavedAt: { type: Date },
+    testResultId: { type: mongoose.Schema.Types.ObjectId, ref: 'TestResult' }
+  });
+
+  testAttemptSchema.index({ userId: 1, status: 1 });
+  testAttemptSchema.index({ status: 1, deadline: 1 }); // Expiry scheduler
+
+  testAttemptSchema.plugin(tenantPlugin);
+  const TestAttempt = mongoose.model('TestAttempt', testAttemptSchema);
+
+  // Auth Session Schema (one per login, holds the hashed refresh token)
+  const sessionSchema = new mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    refreshTokenHash: { type: String, required: true, unique: true },
+    userAgent: { type: String },
+    ipAddress: { type: String },
+    createdAt: { type: Date, default: Date.now },
+    lastSeenAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date },
+    revokedReason: { type: String },
+    institutionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Institution' }, // Tenant for every request made with this session
+    sudoUntil: { type: Date } // Elevated (re-authenticated) admin mode expires at this time
+  });
+
+  // Let MongoDB drop sessions once the refresh token has expired
+  sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+  const Session = mongoose.model('Session', sessionSchema);
+
+  // Demo accounts - only seeded when DEMO_MODE=true, and never allowed in production
+  const DEMO_MODE = process.env.DEMO_MODE === 'true';
+  const DEMO_USERS = [
+    {
+      username: 'student',
+      password: 'student123',
+      role: 'student',
+      email: 'student@demo.com'
+    },
+    {
+      username: 'teacher',
+      password: 'teacher123',
+      role: 'teacher',
+      email: 'teacher@demo.com'
+    },
+    {
+      username: 'admin',
+      password: 'admin123',
+      role: 'admin',
+      email: 'admin@demo.com'
+    }
+  ];
+
   // Create demo users function
   async function createDemoUsers() {
     console.log('👥 Creating demo users...');
 
-    const demoUsers = [
-      {
-        username: 'student',
-        password: 'student123',
-        role: 'student',
-        email: 'student@demo.com'
-      },
-      {
-        username: 'teacher',
-        password: 'teacher123',
-        role: 'teacher',
-        email: 'teacher@demo.com'
-      },
-      {
-        username: 'admin',
-        password: 'admin123',
-        role: 'admin',
-        email: 'admin@demo.com'
-      },
-      {
-        username: 'admin',
-        password: 'admin123',
-        role: 'admin',
-        email: 'admin@demo.com'
-      }
-    ];
-
     try {
-      for (const userData of demoUsers) {
+      for (const userData of DEMO_USERS) {
         const existingUser = await User.findOne({ username: userData.username });
         if (!existingUser) {
-          const user = new User(userData);
+          const user = new User({ ...userData, emailVerified: true });
           await user.save();
           console.log(`✅ Created demo user: ${userData.username} (${userData.role})`);
         } else {
@@ -1120,10 +1955,47 @@ const initializeServer = async () => {
   }, 1000);
 
   // Middleware
+
+  // Behind a reverse proxy (e.g. Render) req.ip has to come from X-Forwarded-For
+  if (process.env.TRUST_PROXY) {
+    const hops = parseInt(process.env.TRUST_PROXY, 10);
+    app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+  }
+
   app.use(cors());
   app.use(bodyParser.json({ limit: '50mb' }));
   app.use(bodyParser.urlencoded({ extended: true, limit: '50mb' }));
 
+  // Audit context - lets model hooks attribute changes to the current request
+  app.use((req, res, next) => {
+    auditContext.run({ ipAddress: req.ip, actor: null }, next);
+  });
+
+  // Institution for the request: taken from the session behind the access token
+  // (authenticate confirms it), otherwise the default institution. Auth and setup
+  // routes work across institutions - usernames and emails are unique platform-wide.
+  const UNSCOPED_PATHS = ['/api/auth/', '/api/setup'];
+
+  app.use((req, res, next) => {
+    const store = auditContext.getStore();
+    if (UNSCOPED_PATHS.some(prefix => req.path.startsWith(prefix))) return next();
+
+    store.institutionId = defaultInstitutionId;
+
+    const authHeader = req.headers.authorization;
+    if (authHeader && authHeader.startsWith('Bearer ')) {
+      try {
+        const { tid } = jwt.verify(authHeader.substring(7), JWT_SECRET);
+        if (tid && mongoose.Types.ObjectId.isValid(tid)) {
+          store.institutionId = new mongoose.Types.ObjectId(tid);
+        }
+      } catch (error) {
+        // Invalid or expired token - authenticate reports it on protected routes
+      }
+    }
+    next();
+  });
+
   // Disable caching for HTML files to ensure updates are loaded
   app.use((req, res, next) => {
     if (req.url.endsWith('.html') || req.url === '/') {
@@ -1139,118 +2011,313 @@ const initializeServer = async () => {
   // Initialize default data
   async function initializeDefaultData() {
     try {
-      console.log('🔧 Checking and creating default users...');
+      if (DEMO_MODE) {
+        await createDemoUsers();
+      }
 
-      const defaultUsers = [
-        {
-          username: 'admin',
-          password: 'admin123',
-          role: 'admin',
-          email: 'admin@edusphere.com'
-        },
+      const totalUsers = await User.countDocuments();
+      console.log(`👥 Total users in database: ${totalUsers}`);
 
-      ];
+      if (await isSetupRequired()) {
+        console.log('\n🛠️  No admin account exists yet. Create one with either:');
+        console.log('   • npm run setup');
+        console.log(`   • the setup wizard in the browser, using setup token: ${SETUP_TOKEN}\n`);
+      }
 
-      let createdCount = 0;
-      for (const userData of defaultUsers) {
-        const existingUser = await User.findOne({ username: userData.username });
-        if (!existingUser) {
-          const user = new User(userData);
-          await user.save();
-          console.log(`✅ Created user: ${userData.username} (${userData.role})`);
-          createdCount++;
-        } else {
-          console.log(`ℹ️ User already exists: ${userData.username} (${existingUser.role})`);
-        }
+      // Default chapters initialization disabled - chapters will be added manually
+
+      // Skip creating default questions - let admin/teachers add questions manually
+      const questionCount = await Question.countDocuments();
+      console.log(`📊 Current question count: ${questionCount}`);
+
+    } catch (error) {
+      console.error('❌ Error initializing default data:', error);
+    }
+  }
+
+  // Default chapter initialization removed - chapters will be added manually through the UI
+
+  // ========================================
+  // FIRST-RUN SETUP
+  // ========================================
+
+  // The initial admin is created once, either from the CLI (npm run setup) or from the
+  // setup wizard. The wizard needs SETUP_TOKEN, which is printed to the server log when
+  // it is not configured, so only someone with access to the server can claim the install.
+  const SETUP_TOKEN = process.env.SETUP_TOKEN || crypto.randomBytes(16).toString('hex');
+  const ADMIN_PASSWORD_MIN_LENGTH = 10;
+  let setupInProgress = false;
+
+  async function isSetupRequired() {
+    return !(await User.exists({ role: 'admin' }));
+  }
+
+  // Accounts whose password is still one of the published demo passwords
+  async function findUsersWithDefaultCredentials() {
+    const found = [];
+    for (const demoUser of DEMO_USERS) {
+      const user = await User.findOne({ username: demoUser.username });
+      if (user && await user.comparePassword(demoUser.password)) {
+        found.push(user);
       }
+    }
+    return found;
+  }
+
+  // Give every account still on a demo password a random new one (printed once), or delete
+  // those accounts. Returns how many were changed.
+  async function secureDefaultCredentialUsers({ remove = false } = {}) {
+    const users = await findUsersWithDefaultCredentials();
 
-      if (createdCount > 0) {
-        console.log(`✅ Created ${createdCount} default users`);
+    for (const user of users) {
+      if (remove) {
+        await User.deleteOne({ _id: user._id });
+        await Session.deleteMany({ userId: user._id });
+        console.log(`🗑️ Deleted ${user.username} - it still had its demo password`);
       } else {
-        console.log('ℹ️ All default users already exist');
+        const password = crypto.randomBytes(12).toString('base64url');
+        user.password = password; // Will be hashed by the pre-save middleware
+        await user.save();
+        await revokeUserSessions(user._id, 'password-reset');
+        console.log(`🔑 ${user.username} still had its demo password - new password: ${password}`);
       }
+    }
 
-      // Check final user count
-      const totalUsers = await User.countDocuments();
-      console.log(`👥 Total users in database: ${totalUsers}`);
+    return users.length;
+  }
 
-      // List all users for debugging
-      const allUsers = await User.find({}, 'username role email');
-      console.log('📋 Current users:', allUsers.map(u => `${u.username} (${u.role})`).join(', '));
+  // Validate and create the first admin. Returns { user } or { error }.
+  async function createInitialAdmin({ username, email, password }) {
+    username = typeof username === 'string' ? username.trim() : '';
+    email = typeof email === 'string' ? email.trim().toLowerCase() : '';
 
-      // If no users exist at all, something is wrong - force create them
-      if (totalUsers === 0) {
-        console.log('⚠️ No users found in database! Force creating default users...');
-        for (const userData of defaultUsers) {
-          const user = new User(userData);
-          await user.save();
-          console.log(`✅ Force created user: ${userData.username} (${userData.role})`);
-        }
+    if (!username || !email || typeof password !== 'string' || !password) {
+      return { error: 'Username, email, and password are required' };
+    }
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      return { error: 'Please enter a valid email address' };
+    }
+    if (password.length < ADMIN_PASSWORD_MIN_LENGTH) {
+      return { error: `Admin password must be at least ${ADMIN_PASSWORD_MIN_LENGTH} characters long` };
+    }
+    if (DEMO_USERS.some(demoUser => demoUser.password === password)) {
+      return { error: 'That password is a published demo password - choose another one' };
+    }
+    if (setupInProgress || !(await isSetupRequired())) {
+      return { error: 'Setup has already been completed', code: 'SETUP_COMPLETE' };
+    }
+
+    setupInProgress = true;
+    try {
+      const existing = await User.findOne({
+        $or: [
+          { username: { $regex: new RegExp(`^${escapeRegExp(username)}$`, 'i') } },
+          { email: { $regex: new RegExp(`^${escapeRegExp(email)}$`, 'i') } }
+        ]
+      });
+      if (existing) {
+        return { error: 'Username or email already in use' };
       }
 
-      // Default chapters initialization disabled - chapters will be added manually
+      const user = new User({ username, email, password, role: 'admin', emailVerified: true });
+      await user.save();
+      console.log('✅ Initial admin account created:', user.username);
+      return { user };
+    } finally {
+      setupInProgress = false;
+    }
+  }
 
-      // Skip creating default questions - let admin/teachers add questions manually
-      const questionCount = await Question.countDocuments();
-      console.log(`📊 Current question count: ${questionCount}`);
+  // npm run setup - interactive prompts, or SETUP_ADMIN_USERNAME / SETUP_ADMIN_EMAIL /
+  // SETUP_ADMIN_PASSWORD for unattended installs. Accounts still on a demo password get a
+  // new random password first - or are deleted with `npm run setup -- --delete-demo-accounts` -
+  // since production refuses to start while they exist.
+  async function runSetupCli() {
+    const readline = require('readline');
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    const ask = (question) => new Promise(resolve => rl.question(question, resolve));
 
-    } catch (error) {
-      console.error('❌ Error initializing default data:', error);
+    try {
+      const secured = await secureDefaultCredentialUsers({ remove: process.argv.includes('--delete-demo-accounts') });
+
+      if (!(await isSetupRequired())) {
+        console.log(secured > 0 ? '✅ Demo passwords replaced - an admin account already exists' : 'ℹ️ An admin account already exists - nothing to do');
+        return 0;
+      }
+
+      const username = process.env.SETUP_ADMIN_USERNAME || await ask('Admin username: ');
+      const email = process.env.SETUP_ADMIN_EMAIL || await ask('Admin email: ');
+      const password = process.env.SETUP_ADMIN_PASSWORD || await ask(`Admin password (min ${ADMIN_PASSWORD_MIN_LENGTH} characters): `);
+
+      const result = await createInitialAdmin({ username, email, password });
+      if (result.error) {
+        console.error('❌ Setup failed:', result.error);
+        return 1;
+      }
+      console.log('🎉 Setup complete - log in as', result.user.username);
+      return 0;
+    } finally {
+      rl.close();
     }
   }
 
-  // Default chapter initialization removed - chapters will be added manually through the UI
+  // ========================================
+  // AUTH TOKENS AND SESSIONS
+  // ========================================
+
+  // Access tokens are short-lived signed JWTs; refresh tokens are random strings
+  // whose SHA-256 hash is stored on the Session so a logout can revoke them.
+  const JWT_SECRET = process.env.JWT_SECRET || process.env.SESSION_SECRET || crypto.randomBytes(48).toString('hex');
+  const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+  const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+  if (!process.env.JWT_SECRET && !process.env.SESSION_SECRET) {
+    console.log('⚠️ JWT_SECRET not set - using a random secret, sessions will not survive a restart');
+  }
+
+  function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  function signAccessToken(user, session) {
+    return jwt.sign({
+      userId: user._id.toString(),
+      username: user.username,
+      role: user.role,
+      sid: session._id.toString(),
+      tid: (session.institutionId || user.institutionId)?.toString()
+    }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+  }
+
+  // Build the token part of an auth response for a user/session pair
+  function buildTokenResponse(user, session, refreshToken) {
+    const token = signAccessToken(user, session);
+    const { exp } = jwt.decode(token);
+
+    return {
+      token: token,
+      refreshToken: refreshToken,
+      expiresIn: exp - Math.floor(Date.now() / 1000)
+    };
+  }
+
+  // Start a new session for a user (called on login/registration)
+  async function issueSession(user, req) {
+    const refreshToken = crypto.randomBytes(48).toString('hex');
+
+    const session = new Session({
+      userId: user._id,
+      refreshTokenHash: hashToken(refreshToken),
+      userAgent: req.headers['user-agent'] || '',
+      ipAddress: req.ip,
+      institutionId: user.institutionId,
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+    });
+    await session.save();
+
+    return buildTokenResponse(user, session, refreshToken);
+  }
+
+  // Revoke every active session of a user, optionally keeping one (e.g. the current one)
+  async function revokeUserSessions(userId, reason, exceptSessionId) {
+    const filter = { userId, revokedAt: { $exists: false } };
+    if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+    const result = await Session.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+    return result.modifiedCount;
+  }
+
+  // Short "Browser on OS" label for a session's user agent
+  function describeDevice(userAgent) {
+    if (!userAgent) return 'Unknown device';
+
+    const browser = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Chrome/', 'Chrome'], ['Firefox/', 'Firefox'], ['Safari/', 'Safari']]
+      .find(([token]) => userAgent.includes(token))?.[1] || 'Browser';
+    const os = [['Android', 'Android'], ['iPhone', 'iPhone'], ['iPad', 'iPad'], ['Windows', 'Windows'], ['Mac OS', 'macOS'], ['CrOS', 'ChromeOS'], ['Linux', 'Linux']]
+      .find(([token]) => userAgent.includes(token))?.[1] || 'unknown OS';
+
+    return `${browser} on ${os}`;
+  }
+
+  function sessionResponse(session, currentSessionId) {
+    return {
+      id: session._id,
+      device: describeDevice(session.userAgent),
+      userAgent: session.userAgent,
+      ipAddress: session.ipAddress,
+      createdAt: session.createdAt,
+      lastSeenAt: session.lastSeenAt,
+      expiresAt: session.expiresAt,
+      current: !!currentSessionId && session._id.equals(currentSessionId)
+    };
+  }
+
+  // lastSeenAt is refreshed at most once a minute per session
+  const SESSION_TOUCH_INTERVAL = 60 * 1000;
 
   // Authentication middleware
   const authenticate = async (req, res, next) => {
     const authHeader = req.headers.authorization;
 
-    console.log('🔐 Auth Debug:', {
-      hasAuthHeader: !!authHeader,
-      authHeader: authHeader?.substring(0, 20) + '...',
-      endpoint: req.path
-    });
-
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      console.log('❌ Auth failed: No Bearer token');
+      console.log('❌ Auth failed: No Bearer token for', req.path);
       return res.status(401).json({
         success: false,
         error: 'Authentication token required'
       });
     }
 
-    const token = authHeader.substring(7);
-    const username = token.replace('-token', '');
-
-    console.log('🔍 Token Debug:', {
-      token: token,
-      extractedUsername: username
-    });
-
+    let payload;
     try {
-      const user = await User.findOne({
-        $or: [
-          { username: username },
-          { email: username + '@edusphere.com' }
-        ]
+      payload = jwt.verify(authHeader.substring(7), JWT_SECRET);
+    } catch (error) {
+      const expired = error.name === 'TokenExpiredError';
+      console.log(`❌ Auth failed: ${expired ? 'Token expired' : 'Invalid token'} for`, req.path);
+      return res.status(401).json({
+        success: false,
+        error: expired ? 'Authentication token expired' : 'Invalid authentication token',
+        code: expired ? 'TOKEN_EXPIRED' : 'TOKEN_INVALID'
       });
+    }
 
-      console.log('👤 User lookup result:', {
-        found: !!user,
-        username: user?.username,
-        role: user?.role
-      });
+    try {
+      const session = await Session.findById(payload.sid);
 
-      if (user) {
-        req.user = user;
-        next();
-      } else {
-        console.log('❌ Auth failed: User not found for username:', username);
-        res.status(401).json({
+      if (!session || session.revokedAt || session.expiresAt < new Date()) {
+        console.log('❌ Auth failed: Session revoked or expired for user', payload.username);
+        return res.status(401).json({
+          success: false,
+          error: 'Session has ended, please log in again',
+          code: 'SESSION_REVOKED'
+        });
+      }
+
+      const user = await User.findById(payload.userId);
+
+      if (!user) {
+        console.log('❌ Auth failed: User not found for token:', payload.userId);
+        return res.status(401).json({
           success: false,
           error: 'Invalid authentication token'
         });
       }
+
+      req.user = user;
+      req.authSession = session;
+      req.institutionId = session.institutionId || user.institutionId;
+
+      if (Date.now() - session.lastSeenAt > SESSION_TOUCH_INTERVAL) {
+        session.lastSeenAt = new Date();
+        await Session.updateOne({ _id: session._id }, { $set: { lastSeenAt: session.lastSeenAt, ipAddress: req.ip } });
+      }
+
+      const auditStore = auditContext.getStore();
+      if (auditStore) {
+        auditStore.actor = user;
+        auditStore.institutionId = req.institutionId;
+      }
+
+      next();
     } catch (error) {
       console.error('❌ Auth error:', error);
       res.status(500).json({
@@ -1260,843 +2327,2308 @@ const initializeServer = async () => {
     }
   };
 
-  // Routes
+  // ========================================
+  // ROLE-BASED AUTHORIZATION
+  // ========================================
 
-  // User authentication
-  app.post('/api/auth/login', async (req, res) => {
-    let { username, password, role } = req.body;
+  // Permissions granted to each User.role. Admins get every permission.
+  const ROLE_PERMISSIONS = {
+    student: [],
+    teacher: [
+      'questions:write',
+      'questions:review',
+      'chapters:write',
+      'mock-tests:write',
+      'batches:write',
+      'documents:write',
+      'results:read-all'
+    ],
+    admin: ['*']
+  };
 
-    // Trim whitespace from username to handle spaces
-    username = username ? username.trim() : username;
+  function hasPermission(user, permission) {
+    const granted = ROLE_PERMISSIONS[user?.role] || [];
+    return granted.includes('*') || granted.includes(permission);
+  }
 
-    console.log('🔐 Login attempt:', { username, role });
+  function sendForbidden(res, error) {
+    return res.status(403).json({
+      success: false,
+      error: error || 'You do not have permission to perform this action'
+    });
+  }
 
-    if (!username || !password || !role) {
-      return res.status(400).json({
-        success: false,
-        error: 'Username, password, and role are required'
-      });
+  // Route guard: require one of the given roles (use after authenticate)
+  const requireRole = (...roles) => (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      console.log(`🚫 ${req.user?.username} (${req.user?.role}) denied ${req.method} ${req.path} - requires role ${roles.join('/')}`);
+      return sendForbidden(res);
     }
+    if (needsTwoFactorSetup(req.user)) return sendTwoFactorSetupRequired(res);
+    next();
+  };
 
-    try {
-      // Case-insensitive search with trimmed username
-      const user = await User.findOne({ 
-        username: { $regex: new RegExp(`^${username}$`, 'i') }
-      });
-      console.log('👤 User found:', { found: !!user, userRole: user?.role, requestedRole: role });
+  // Route guard: require a permission from ROLE_PERMISSIONS (use after authenticate)
+  const requirePermission = (permission) => (req, res, next) => {
+    if (!hasPermission(req.user, permission)) {
+      console.log(`🚫 ${req.user?.username} (${req.user?.role}) denied ${req.method} ${req.path} - requires ${permission}`);
+      return sendForbidden(res);
+    }
+    if (needsTwoFactorSetup(req.user)) return sendTwoFactorSetupRequired(res);
+    next();
+  };
 
-      if (user) {
-        const validPassword = await user.comparePassword(password);
-        console.log('🔑 Password valid:', validPassword);
+  // Route guard: load Model by req.params.id and require the caller to own it,
+  // unless they hold overridePermission. The loaded document is put on req.resource.
+  const requireOwnership = (Model, ownerField, overridePermission) => async (req, res, next) => {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(404).json({
+          success: false,
+          error: `${Model.modelName} not found`
+        });
+      }
 
-        if (validPassword && user.role === role) {
-          const token = `${user.username}-token`;
-          console.log('✅ Login successful, token:', token);
+      const resource = await Model.findById(req.params.id);
 
-          return res.json({
-            success: true,
-            user: {
-              _id: user._id,
-              id: user._id,
-              username: user.username,
-              role: user.role,
-              email: user.email,
-              isAdmin: user.role === 'admin'
-            },
-            token: token,
-            isAdmin: user.role === 'admin'
-          });
-        } else {
-          console.log('❌ Login failed: Invalid password or role mismatch');
-          return res.status(401).json({
-            success: false,
-            error: 'Invalid username, password, or role'
-          });
-        }
-      } else {
-        console.log('❌ Login failed: User not found');
-        return res.status(401).json({
+      if (!resource) {
+        return res.status(404).json({
           success: false,
-          error: 'Invalid username, password, or role'
+          error: `${Model.modelName} not found`
         });
       }
+
+      const isOwner = resource[ownerField] && resource[ownerField].toString() === req.user._id.toString();
+      if (!isOwner && !(overridePermission && hasPermission(req.user, overridePermission))) {
+        console.log(`🚫 ${req.user.username} denied access to ${Model.modelName} ${resource._id} (not owner)`);
+        return sendForbidden(res, `You do not have access to this ${Model.modelName}`);
+      }
+
+      req.resource = resource;
+      next();
     } catch (error) {
-      console.error('Login error:', error);
-      return res.status(500).json({
+      console.error('❌ Ownership check error:', error);
+      res.status(500).json({
         success: false,
-        error: 'Server error during login'
+        error: 'Authorization error'
       });
     }
-  });
-
-  // User registration
-  app.post('/api/auth/register', async (req, res) => {
-    let { username, password, email, role } = req.body;
+  };
 
-    // Trim whitespace from username and email
-    username = username ? username.trim() : username;
-    email = email ? email.trim().toLowerCase() : email;
+  // Route guard for /:userId routes - the user themself, or holders of permission
+  const requireSelfOr = (permission) => (req, res, next) => {
+    if (req.user._id.toString() !== req.params.userId && !hasPermission(req.user, permission)) {
+      return sendForbidden(res);
+    }
+    next();
+  };
 
-    console.log('📝 Registration attempt:', { username, email, role });
+  // Sudo mode: admins re-enter their password before destructive operations
+  const SUDO_TTL_MINUTES = parseInt(process.env.SUDO_TTL_MINUTES, 10) || 10;
 
-    // Validation
-    if (!username || !password || !email || !role) {
-      return res.status(400).json({
+  // Route guard: require the current session to be in sudo mode (use after authenticate)
+  const requireSudo = (req, res, next) => {
+    if (!req.authSession?.sudoUntil || req.authSession.sudoUntil < new Date()) {
+      return res.status(403).json({
         success: false,
-        error: 'Username, password, email, and role are required'
+        error: 'Please confirm your password to continue',
+        code: 'SUDO_REQUIRED'
       });
     }
+    next();
+  };
 
-    // Validate role
-    if (!['student', 'teacher', 'admin'].includes(role)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Role must be student, teacher, or admin'
-      });
-    }
+  // ========================================
+  // MAIL TRANSPORT
+  // ========================================
 
-    // Validate email format
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Please enter a valid email address'
+  // MAIL_TRANSPORT selects how emails are delivered:
+  //   smtp    - real delivery through SMTP_HOST/SMTP_PORT/SMTP_USER/SMTP_PASS
+  //   file    - each email written as JSON to MAIL_FILE_DIR (local development and tests)
+  //   console - each email printed to the server log (default when SMTP is not configured)
+  const MAIL_FROM = process.env.MAIL_FROM || 'EduSphere Pro <no-reply@edusphere.local>';
+
+  function createMailTransport() {
+    const type = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console');
+
+    if (type === 'smtp') {
+      const port = parseInt(process.env.SMTP_PORT, 10) || 587;
+      const transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: port,
+        secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+        auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
       });
+
+      return {
+        name: 'smtp',
+        send: (message) => transporter.sendMail({ from: MAIL_FROM, ...message })
+      };
     }
 
-    // Validate password strength
-    if (password.length < 6) {
-      return res.status(400).json({
-        success: false,
-        error: 'Password must be at least 6 characters long'
-      });
+    if (type === 'file') {
+      const mailDir = process.env.MAIL_FILE_DIR || path.join(__dirname, 'temp_mail');
+
+      return {
+        name: 'file',
+        send: async (message) => {
+          await fs.mkdir(mailDir, { recursive: true });
+          const filename = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+          await fs.writeFile(
+            path.join(mailDir, filename),
+            JSON.stringify({ from: MAIL_FROM, ...message, sentAt: new Date().toISOString() }, null, 2)
+          );
+        }
+      };
     }
 
-    try {
-      // Check if username already exists (case-insensitive)
-      const existingUser = await User.findOne({ 
-        username: { $regex: new RegExp(`^${username}$`, 'i') }
-      });
-      if (existingUser) {
-        return res.status(409).json({
-          success: false,
-          error: 'Username already exists. Please choose a different username.'
-        });
+    return {
+      name: 'console',
+      send: async (message) => {
+        console.log(`📧 Email to ${message.to}: ${message.subject}\n${message.text}`);
       }
+    };
+  }
 
-      // Check if email already exists (case-insensitive)
-      const existingEmail = await User.findOne({ 
-        email: { $regex: new RegExp(`^${email}$`, 'i') }
-      });
-      if (existingEmail) {
-        return res.status(409).json({
-          success: false,
-          error: 'Email already registered. Please use a different email or login.'
-        });
-      }
+  const mailTransport = createMailTransport();
+  console.log(`📧 Mail transport: ${mailTransport.name}`);
 
-      // Create new user
-      const newUser = new User({
-        username,
-        password, // Will be hashed by the pre-save middleware
-        email,
-        role
-      });
+  // Send an email - never throws, returns whether it was handed to the transport
+  async function sendMail(message) {
+    try {
+      await mailTransport.send(message);
+      return true;
+    } catch (error) {
+      console.error(`❌ Error sending email to ${message.to}:`, error);
+      return false;
+    }
+  }
 
-      await newUser.save();
+  // Base URL for links in emails. Production must set APP_URL (checked at startup) - the
+  // Host header is client-controlled and would let anyone point reset links at their site.
+  const APP_URL = (process.env.APP_URL || '').replace(/\/$/, '');
 
-      console.log('✅ User registered successfully:', { username, email, role });
+  function getAppUrl(req) {
+    return APP_URL || `${req.protocol}://${req.get('host')}`;
+  }
 
-      // Generate token
-      const token = `${newUser.role}-token`;
+  const REQUIRE_EMAIL_VERIFICATION = process.env.REQUIRE_EMAIL_VERIFICATION === 'true';
+  const EMAIL_VERIFICATION_TTL_HOURS = 48;
+  const PASSWORD_RESET_TTL_MINUTES = 60;
+
+  // Create a new verification token on the user (not saved) and email the link
+  async function sendVerificationEmail(user, req) {
+    const token = crypto.randomBytes(32).toString('hex');
+    user.emailVerificationTokenHash = hashToken(token);
+    user.emailVerificationExpires = new Date(Date.now() + EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000);
+    await user.save();
+
+    const link = `${getAppUrl(req)}/?verifyEmail=${token}`;
+    return sendMail({
+      to: user.email,
+      subject: 'Verify your EduSphere Pro email address',
+      text: `Hi ${user.username},\n\nPlease confirm your email address by opening this link:\n${link}\n\nThe link expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours.`,
+      html: `<p>Hi ${escapeHtml(user.username)},</p><p>Please confirm your email address:</p><p><a href="${link}">Verify email</a></p><p>The link expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours.</p>`
+    });
+  }
 
-      res.status(201).json({
-        success: true,
-        message: 'Registration successful! Welcome to EduSphere Pro!',
-        user: {
-          _id: newUser._id,
-          id: newUser._id,
-          username: newUser.username,
-          role: newUser.role,
-          email: newUser.email
-        },
-        token: token
-      });
+  // ========================================
+  // LOGIN THROTTLING AND LOCKOUT
+  // ========================================
 
-    } catch (error) {
-      console.error('❌ Registration error:', error);
+  const LOGIN_MAX_FAILURES = parseInt(process.env.LOGIN_MAX_FAILURES, 10) || 5; // per account, then lock
+  const LOGIN_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15;
+  const LOGIN_IP_MAX_FAILURES = parseInt(process.env.LOGIN_IP_MAX_FAILURES, 10) || 30; // per IP per window
+  const LOGIN_IP_WINDOW = 15 * 60 * 1000;
+  const LOGIN_METRICS_WINDOW = 24 * 60 * 60 * 1000;
 
-      if (error.code === 11000) {
-        // Duplicate key error
-        const field = Object.keys(error.keyPattern)[0];
-        return res.status(409).json({
-          success: false,
-          error: `${field.charAt(0).toUpperCase() + field.slice(1)} already exists`
-        });
+  const ipLoginTracking = {}; // Failed attempts per IP: { failures, windowStart, lastFailureAt }
+  const failedLoginLog = []; // Recent failures for metrics: { timestamp, ip, username, reason }
+
+  // Escape user input before using it in a RegExp
+  function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  // Progressive delay: no delay for the first few failures, then doubling up to a minute
+  function loginDelaySeconds(failures, freeAttempts) {
+    if (failures < freeAttempts) return 0;
+    return Math.min(2 ** (failures - freeAttempts + 1), 60);
+  }
+
+  // Seconds the caller must wait before another attempt is accepted (0 = allowed)
+  function getLoginRetryAfter(ip, user) {
+    const now = Date.now();
+    let wait = 0;
+
+    const tracking = ipLoginTracking[ip];
+    if (tracking && now - tracking.windowStart < LOGIN_IP_WINDOW) {
+      if (tracking.failures >= LOGIN_IP_MAX_FAILURES) {
+        wait = Math.ceil((tracking.windowStart + LOGIN_IP_WINDOW - now) / 1000);
+      } else {
+        const delay = loginDelaySeconds(tracking.failures, 10) * 1000;
+        wait = Math.max(wait, Math.ceil((tracking.lastFailureAt + delay - now) / 1000));
       }
+    }
 
-      return res.status(500).json({
-        success: false,
-        error: 'Registration failed. Please try again.'
-      });
+    if (user && user.failedLoginAttempts > 0 && user.lastFailedLoginAt) {
+      const delay = loginDelaySeconds(user.failedLoginAttempts, 3) * 1000;
+      wait = Math.max(wait, Math.ceil((user.lastFailedLoginAt.getTime() + delay - now) / 1000));
     }
-  });
 
-  // Integrated training examples for better AI responses
-  const trainingExamples = {
-    physics: {
-      problemSolving: `
-**PHYSICS PROBLEM-SOLVING APPROACH:**
-1. **IDENTIFY**: What type of physics problem (mechanics, electromagnetism, etc.)
-2. **GIVEN DATA**: List all given values with units
-3. **FIND**: Clearly state what needs to be calculated
-4. **CONCEPTS**: Identify relevant physics principles and formulas
-5. **SOLVE**: Step-by-step calculation with proper units
-6. **VERIFY**: Check if answer makes physical sense
+    return Math.max(wait, 0);
+  }
 
-**COMMON FORMULAS:**
-- Mechanics: F=ma, v²=u²+2as, KE=½mv², PE=mgh
-- Electricity: V=IR, P=VI, F=kq₁q₂/r²
-- Waves: v=fλ, E=hf
-- Modern Physics: E=mc², λ=h/p
-      `
-    },
-    chemistry: {
-      problemSolving: `
-**CHEMISTRY PROBLEM-SOLVING APPROACH:**
-1. **IDENTIFY**: Reaction type (organic, inorganic, physical chemistry)
-2. **MECHANISM**: Draw electron movement for organic reactions
-3. **STOICHIOMETRY**: Balance equations and calculate moles
-4. **CONDITIONS**: Consider temperature, pressure, catalysts
-5. **PRODUCTS**: Predict major and minor products
-6. **VERIFY**: Check atom balance and charge balance
+  async function recordLoginFailure(req, username, reason, user) {
+    const now = Date.now();
+    const ip = req.ip;
 
-**KEY CONCEPTS:**
-- Organic: Electron movement, stereochemistry, reaction mechanisms
-- Inorganic: Oxidation states, coordination chemistry, periodic trends
-- Physical: Thermodynamics, kinetics, equilibrium
-      `
-    },
-    mathematics: {
-      problemSolving: `
-**MATHEMATICS PROBLEM-SOLVING APPROACH:**
-1. **UNDERSTAND**: Read problem carefully, identify what's asked
-2. **PLAN**: Choose appropriate method (algebraic, geometric, calculus)
-3. **EXECUTE**: Solve step-by-step with clear working
-4. **CHECK**: Verify answer by substitution or alternative method
-5. **INTERPRET**: Ensure answer makes sense in context
+    // Per-IP tracking
+    let tracking = ipLoginTracking[ip];
+    if (!tracking || now - tracking.windowStart >= LOGIN_IP_WINDOW) {
+      tracking = ipLoginTracking[ip] = { failures: 0, windowStart: now, lastFailureAt: now };
+    }
+    tracking.failures++;
+    tracking.lastFailureAt = now;
 
-**COMMON TECHNIQUES:**
-- Algebra: Factoring, substitution, elimination
-- Calculus: Differentiation, integration, limits
-- Geometry: Coordinate geometry, trigonometry
-- Probability: Combinations, permutations, conditional probability
-      `
-    },
-    biology: {
-      problemSolving: `
-**BIOLOGY PROBLEM-SOLVING APPROACH:**
-1. **IDENTIFY**: System/process involved (cellular, physiological, ecological)
-2. **MECHANISM**: Understand the biological process step-by-step
-3. **FACTORS**: Consider all influencing factors
-4. **CONNECTIONS**: Link to other biological processes
-5. **APPLICATIONS**: Real-world relevance and medical connections
+    if (tracking.failures === LOGIN_IP_MAX_FAILURES) {
+      console.log(`🚫 IP ${ip} blocked from logging in after ${tracking.failures} failures`);
+    }
 
-**KEY AREAS:**
-- Cell Biology: Membrane transport, metabolism, cell division
-- Physiology: Organ systems, homeostasis, regulation
-- Genetics: Inheritance patterns, molecular genetics
-- Ecology: Population dynamics, ecosystem interactions
-      `
+    // Metrics
+    failedLoginLog.push({ timestamp: now, ip, username: username.toLowerCase(), reason, institutionId: user?.institutionId?.toString() });
+    while (failedLoginLog.length > 0 && now - failedLoginLog[0].timestamp > LOGIN_METRICS_WINDOW) {
+      failedLoginLog.shift();
     }
-  };
-  console.log('✅ AI training examples integrated successfully');
 
-  // Subject detector for better context
-  function detectSubject(query) {
-    const lowerQuery = query.toLowerCase();
-    
-    if (lowerQuery.includes('physics') || lowerQuery.includes('force') || lowerQuery.includes('motion') || 
-        lowerQuery.includes('electric') || lowerQuery.includes('magnetic') || lowerQuery.includes('wave') ||
-        lowerQuery.includes('energy') || lowerQuery.includes('momentum')) {
-      return 'physics';
-    } else if (lowerQuery.includes('chemistry') || lowerQuery.includes('organic') || lowerQuery.includes('inorganic') ||
-               lowerQuery.includes('reaction') || lowerQuery.includes('molecule') || lowerQuery.includes('bond') ||
-               lowerQuery.includes('acid') || lowerQuery.includes('base')) {
-      return 'chemistry';
-    } else if (lowerQuery.includes('math') || lowerQuery.includes('calculus') || lowerQuery.includes('algebra') ||
-               lowerQuery.includes('geometry') || lowerQuery.includes('integral') || lowerQuery.includes('derivative') ||
-               lowerQuery.includes('equation') || lowerQuery.includes('function')) {
-      return 'mathematics';
-    } else if (lowerQuery.includes('biology') || lowerQuery.includes('cell') || lowerQuery.includes('gene') ||
-               lowerQuery.includes('protein') || lowerQuery.includes('enzyme') || lowerQuery.includes('DNA') ||
-               lowerQuery.includes('physiology') || lowerQuery.includes('anatomy')) {
-      return 'biology';
+    // Per-account tracking (wrong passwords and 2FA codes only, a wrong role selection is not a guess)
+    if (user && (reason === 'invalid_password' || reason === 'invalid_2fa')) {
+      user.failedLoginAttempts = (user.failedLoginAttempts || 0) + 1;
+      user.lastFailedLoginAt = new Date(now);
+
+      if (user.failedLoginAttempts >= LOGIN_MAX_FAILURES) {
+        user.lockUntil = new Date(now + LOGIN_LOCKOUT_MINUTES * 60 * 1000);
+        console.log(`🔒 Account ${user.username} locked until ${user.lockUntil.toISOString()}`);
+      }
+
+      await user.save();
     }
-    
-    return 'general';
   }
 
-  // Get relevant training context based on subject
-  function getRelevantTrainingContext(subject) {
-    if (!trainingExamples[subject]) {
-      return trainingExamples.mathematics.problemSolving; // Default fallback
-    }
+  // Forget IP tracking entries whose window has passed
+  setInterval(() => {
+    const now = Date.now();
+    Object.keys(ipLoginTracking).forEach(ip => {
+      if (now - ipLoginTracking[ip].windowStart >= LOGIN_IP_WINDOW) delete ipLoginTracking[ip];
+    });
+  }, LOGIN_IP_WINDOW);
 
-    return `
-🎓 **${subject.toUpperCase()} PROBLEM-SOLVING METHODOLOGY:**
+  // ========================================
+  // TWO-FACTOR AUTHENTICATION (TOTP)
+  // ========================================
 
-${trainingExamples[subject].problemSolving}
+  const TOTP_ISSUER = process.env.TOTP_ISSUER || 'EduSphere Pro';
+  const TOTP_STEP_SECONDS = 30;
+  const BACKUP_CODE_COUNT = 10;
+  const REQUIRE_ADMIN_2FA = process.env.REQUIRE_ADMIN_2FA !== 'false';
 
-**CRITICAL INSTRUCTIONS:**
-- ALWAYS provide fresh, original solutions - never repeat previous answers
-- Show complete step-by-step working for the CURRENT problem only
-- Use proper mathematical notation with LaTeX formatting
-- Explain the reasoning behind each step
-- Verify your final answer
-- Focus specifically on the question asked, not general concepts
-`;
+  // TOTP secrets must be readable to check codes, so they are encrypted (AES-256-GCM)
+  // rather than hashed like passwords
+  const TWO_FACTOR_KEY = crypto.createHash('sha256')
+    .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || JWT_SECRET)
+    .digest();
+
+  if (!process.env.TWO_FACTOR_ENCRYPTION_KEY && !process.env.JWT_SECRET && !process.env.SESSION_SECRET) {
+    console.log('⚠️ TWO_FACTOR_ENCRYPTION_KEY not set - 2FA enrollments will not survive a restart');
   }
 
-  // Problem difficulty analyzer for better AI responses
-  function analyzeProblemComplexity(query) {
-    const complexityIndicators = {
-      high: ['advanced', 'complex', 'difficult', 'challenging', 'multi-step', 'integration', 'differential', 'mechanism', 'synthesis', 'prove', 'derive'],
-      medium: ['calculate', 'find', 'determine', 'solve', 'explain', 'compare', 'analyze'],
-      low: ['define', 'list', 'identify', 'name', 'what is', 'simple']
-    };
+  function encryptSecret(plainText) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', TWO_FACTOR_KEY, iv);
+    const encrypted = Buffer.concat([cipher.update(plainText, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+  }
 
-    const lowerQuery = query.toLowerCase();
-    let complexity = 'medium'; // default
+  function decryptSecret(stored) {
+    const [iv, tag, encrypted] = stored.split('.').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', TWO_FACTOR_KEY, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  }
 
-    if (complexityIndicators.high.some(indicator => lowerQuery.includes(indicator))) {
-      complexity = 'high';
-    } else if (complexityIndicators.low.some(indicator => lowerQuery.includes(indicator))) {
-      complexity = 'low';
+  const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+  function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+      value = (value << 8) | byte;
+      bits += 8;
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
     }
+    if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
 
-    return complexity;
+    return output;
   }
 
-  // Enhanced system prompt based on problem complexity
-  function getEnhancedSystemPrompt(complexity, subject = '', query = '') {
-    const basePrompt = `You are an ELITE JEE/NEET expert tutor with 15+ years of experience training top rankers. You specialize in solving the most challenging competitive exam problems with precision and clarity.`;
+  function base32Decode(text) {
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of text.replace(/=+$/, '').toUpperCase()) {
+      value = (value << 5) | BASE32_ALPHABET.indexOf(char);
+      bits += 5;
+      if (bits >= 8) {
+        bytes.push((value >>> (bits - 8)) & 255);
+        bits -= 8;
+      }
+    }
 
-    const complexityEnhancements = {
-      high: `
-🔥 ULTRA-ADVANCED MODE ACTIVATED 🔥
-You are now handling a HIGH COMPLEXITY problem that requires:
-- Multi-step reasoning with intermediate verification
-- Integration of multiple concepts from different chapters
-- Advanced mathematical techniques and approximations
-- Deep conceptual understanding beyond formula application
-- Identification of subtle problem-solving tricks and shortcuts
-- Connection to real-world applications and advanced theory
+    return Buffer.from(bytes);
+  }
 
-APPROACH: Break down into smaller sub-problems, solve systematically, and provide multiple solution methods where possible.`,
-      
-      medium: `
-⚡ STANDARD EXCELLENCE MODE ⚡
-This is a MEDIUM COMPLEXITY problem requiring:
-- Clear step-by-step methodology
-- Proper application of fundamental concepts
-- Logical reasoning with formula derivations
-- Verification of results and units
-- Connection to related concepts
+  // RFC 6238 TOTP code (HMAC-SHA1, 6 digits) for a base32 secret and time step
+  function generateTotp(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
 
-APPROACH: Provide structured solution with clear explanations at each step.`,
-      
-      low: `
-📚 FOUNDATION BUILDING MODE 📚
-This is a BASIC LEVEL query focusing on:
-- Clear conceptual explanations
-- Fundamental principle clarification
-- Building blocks for advanced topics
-- Simple examples and analogies
-- Preparation for more complex problems
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 15;
+    const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 1000000;
 
-APPROACH: Focus on building strong conceptual foundation with simple, clear explanations.`
-    };
+    return code.toString().padStart(6, '0');
+  }
 
-    // Add relevant training context
-    const trainingContext = getRelevantTrainingContext(subject);
+  // Time step matching the code (allowing one step of clock drift), or null.
+  // Steps at or before lastStep are rejected so a code cannot be used twice.
+  function matchTotpStep(secret, code, lastStep) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(normalized)) return null;
+
+    const currentStep = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+    for (const step of [currentStep - 1, currentStep, currentStep + 1]) {
+      if (lastStep && step <= lastStep) continue;
+      const expected = generateTotp(secret, step);
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) return step;
+    }
+    return null;
+  }
 
-    return basePrompt + complexityEnhancements[complexity] + trainingContext + `
+  // New backup codes: plain codes are shown to the user once, only hashes are stored
+  async function generateBackupCodes() {
+    const codes = [];
+    const hashes = [];
 
-🚨 **CRITICAL RESPONSE REQUIREMENTS:**
-- Provide FRESH, accurate analysis for each question
-- Show COMPLETE working for the specific problem asked
-- Use proper LaTeX formatting for all mathematical expressions
-- Explain each step clearly with reasoning
-- Provide numerical answers where applicable
-- Check your work and verify the solution makes sense
-- If this is part of a conversation, maintain context and build upon previous discussions
+    for (let i = 0; i < BACKUP_CODE_COUNT; i++) {
+      const code = crypto.randomBytes(5).toString('hex');
+      codes.push(`${code.substring(0, 5)}-${code.substring(5)}`);
+      hashes.push(await bcrypt.hash(code, 10));
+    }
 
-� **RcESPONSE FORMAT:**
-1. **Problem Analysis**: Understand what's being asked
-2. **Given Information**: List all provided data
-3. **Solution Strategy**: Explain your approach
-4. **Step-by-Step Solution**: Show all calculations with clear explanations
-5. **Final Answer**: Clear, highlighted result
-6. **Verification**: Check if answer is reasonable
+    return { codes, hashes };
+  }
 
+  // Admins must enroll in 2FA before using any privileged route
+  function needsTwoFactorSetup(user) {
+    return REQUIRE_ADMIN_2FA && user?.role === 'admin' && !user.twoFactorEnabled;
+  }
 
-🧠 SPECIALIZED KNOWLEDGE BASE:
-**PHYSICS (JEE Advanced Level):**
-- Mechanics: Complex rotational motion, oscillations, wave interference
-- Electromagnetism: Advanced circuit analysis, electromagnetic induction, AC circuits
-- Modern Physics: Photoelectric effect, atomic structure, nuclear physics
-- Thermodynamics: Carnot cycles, entropy, kinetic theory applications
+  function sendTwoFactorSetupRequired(res) {
+    return res.status(403).json({
+      success: false,
+      error: 'Admin accounts must set up two-factor authentication first',
+      code: 'TWO_FACTOR_SETUP_REQUIRED'
+    });
+  }
 
-**CHEMISTRY (JEE/NEET Advanced):**
-- Organic: Complex reaction mechanisms, stereochemistry, named reactions
-- Inorganic: Coordination chemistry, metallurgy, p-block elements
-- Physical: Chemical kinetics, electrochemistry, surface chemistry
-- Analytical: Qualitative/quantitative analysis, spectroscopy basics
+  // Body returned by a completed login (password, or password + 2FA)
+  function buildLoginResponse(user, tokens) {
+    return {
+      success: true,
+      user: {
+        _id: user._id,
+        id: user._id,
+        username: user.username,
+        role: user.role,
+        email: user.email,
+        emailVerified: user.emailVerified !== false,
+        twoFactorEnabled: !!user.twoFactorEnabled,
+        isAdmin: user.role === 'admin'
+      },
+      ...tokens,
+      twoFactorSetupRequired: needsTwoFactorSetup(user),
+      isAdmin: user.role === 'admin'
+    };
+  }
 
-**MATHEMATICS (JEE Advanced):**
-- Calculus: Advanced integration techniques, differential equations
-- Algebra: Complex numbers, matrices, probability distributions
-- Coordinate Geometry: Conic sections, 3D geometry applications
-- Trigonometry: Inverse functions, complex trigonometric equations
+  // Short-lived token proving the password step of a 2FA login succeeded
+  function signTwoFactorChallenge(user) {
+    return jwt.sign({ userId: user._id.toString(), purpose: '2fa-login' }, JWT_SECRET, { expiresIn: '5m', jwtid: crypto.randomBytes(12).toString('hex') });
+  }
 
-**BIOLOGY (NEET Advanced):**
-- Human Physiology: Detailed organ systems, hormonal regulation
-- Plant Biology: Photosynthesis mechanisms, plant hormones
-- Genetics: Advanced inheritance patterns, molecular genetics
-- Ecology: Population dynamics, ecosystem interactions
-
-🔬 PROBLEM-SOLVING METHODOLOGY:
-1. **ANALYZE**: Break down the problem, identify given data and required solution
-2. **STRATEGIZE**: Choose the most efficient approach, explain why
-3. **EXECUTE**: Solve step-by-step with clear mathematical/scientific reasoning
-4. **VERIFY**: Check the solution for reasonableness and units
-5. **EXTEND**: Provide related concepts or variations for deeper understanding
-
-📎 ENHANCED FILE PROCESSING:
-- Extract and solve problems from images using OCR
-- Handle complex diagrams and mathematical expressions
-- Process multiple-choice questions with detailed explanations
-- Analyze graphs, charts, and experimental data
+  // Wrong codes allowed per challenge token before the password has to be entered again
+  const TWO_FACTOR_MAX_GUESSES = 5;
+  const twoFactorChallengeGuesses = {}; // jti -> { guesses, expiresAt }; a used token is set to the maximum
 
-🎯 SOLUTION QUALITY STANDARDS:
-- Always show complete working with intermediate steps
-- Explain the physics/chemistry/biology behind each step
-- Highlight key concepts and formulas used
-- Provide alternative solution methods when applicable
-- Include common pitfalls and how to avoid them
+  // Count a wrong code (or spend the token on success) - returns the guesses made
+  function recordTwoFactorGuess(payload, used = false) {
+    const now = Date.now();
+    Object.keys(twoFactorChallengeGuesses).forEach(jti => {
+      if (twoFactorChallengeGuesses[jti].expiresAt < now) delete twoFactorChallengeGuesses[jti];
+    });
 
-MATHEMATICAL FORMATTING (LaTeX):
-- Inline: $E = mc^2$, $\\frac{dy}{dx}$, $\\int_0^\\infty e^{-x}dx$
-- Display: $\\Delta G = \\Delta H - T\\Delta S$, $\\nabla \\times \\vec{E} = -\\frac{\\partial \\vec{B}}{\\partial t}$
-- Complex: $\\lim_{n \\to \\infty} \\sum_{k=1}^n \\frac{1}{k^2} = \\frac{\\pi^2}{6}$
+    const entry = twoFactorChallengeGuesses[payload.jti] || { guesses: 0, expiresAt: payload.exp * 1000 };
+    entry.guesses = used ? TWO_FACTOR_MAX_GUESSES : entry.guesses + 1;
+    twoFactorChallengeGuesses[payload.jti] = entry;
+    return entry.guesses;
+  }
 
-🏆 SUCCESS METRICS:
-Your goal is to help students achieve JEE Advanced AIR < 1000 and NEET AIR < 500 level understanding.
-Focus on building strong conceptual foundation while solving challenging problems efficiently.
+  // Routes
 
-CONVERSATION CONTEXT: Maintain continuity and build upon previous discussions to create a comprehensive learning experience.`;
-  }
+  // User authentication
+  app.post('/api/auth/login', async (req, res) => {
+    let { username, password, role } = req.body;
 
-  // 🚀 ENHANCED MULTI-AI GUIDANCE WITH SMART FALLBACK
-  app.post('/api/ai-guidance', authenticate, async (req, res) => {
-    const { query, files, preferredProvider, conversationHistory } = req.body;
+    if (typeof username !== 'string' || typeof password !== 'string' || typeof role !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Username, password, and role are required'
+      });
+    }
 
-    // Analyze problem complexity and subject for better AI response
-    const problemComplexity = analyzeProblemComplexity(query || '');
-    const detectedSubject = detectSubject(query || '');
-    
-    // Use provided conversation history (simple session-based memory)
-    const fullConversationHistory = conversationHistory || [];
-    
-    const enhancedSystemPrompt = getEnhancedSystemPrompt(problemComplexity, detectedSubject, query);
+    // Trim whitespace from username to handle spaces
+    username = username.trim();
 
-    console.log('🤖 Enhanced Multi-AI Guidance Request:', {
-      query: query,
-      detectedSubject: detectedSubject,
-      problemComplexity: problemComplexity,
-      historyLength: fullConversationHistory.length,
-      filesCount: files ? files.length : 0,
-      availableProviders: aiProviders.length,
-      providers: aiProviders.map(p => p.name),
-      user: req.user?.username,
-      timestamp: new Date().toISOString()
-    });
+    console.log('🔐 Login attempt:', { username, role, ip: req.ip });
 
-    if (!query && (!files || files.length === 0)) {
+    if (!username || !password || !role) {
       return res.status(400).json({
         success: false,
-        error: 'Query or files are required'
+        error: 'Username, password, and role are required'
       });
     }
 
     try {
-      let guidance;
-      let provider = 'fallback';
-      let responseTime = 0;
-      let model = '';
-      let speed = '';
+      // Case-insensitive search with trimmed username
+      const user = await User.findOne({ 
+        username: { $regex: new RegExp(`^${escapeRegExp(username)}$`, 'i') }
+      });
+      console.log('👤 User found:', { found: !!user, userRole: user?.role, requestedRole: role });
 
-      console.log(`🔍 Available AI Providers: ${aiProviders.length}`);
+      if (user && user.lockUntil && user.lockUntil > new Date()) {
+        const retryAfter = Math.ceil((user.lockUntil - Date.now()) / 1000);
+        console.log('🔒 Login refused: account locked:', user.username);
+        await recordLoginFailure(req, username, 'account_locked', user);
+        res.setHeader('Retry-After', retryAfter);
+        return res.status(423).json({
+          success: false,
+          error: `Too many failed attempts. This account is locked for ${Math.ceil(retryAfter / 60)} more minute(s).`,
+          code: 'ACCOUNT_LOCKED',
+          retryAfter
+        });
+      }
 
-      // Try AI providers with smart fallback or specific provider
-      if (aiProviders.length > 0) {
-        try {
-          if (preferredProvider && preferredProvider !== 'auto') {
-            console.log(`🎯 User selected specific provider: ${preferredProvider}`);
-            const selectedProvider = aiProviders.find(p => p.type === preferredProvider);
-            if (selectedProvider) {
-              console.log(`🚀 Attempting ${selectedProvider.name} specifically...`);
-              try {
-                const startTime = Date.now();
-                const result = await selectedProvider.client.createChatCompletion({
-                  messages: [
-                    {
-                      role: "system",
-                      content: enhancedSystemPrompt
-                    },
-                    // Include full conversation history
-                    ...fullConversationHistory,
-                    {
-                      role: "user",
-                      content: query || "Please analyze the attached files."
-                    }
-                  ],
-                  files: files || [],
-                  conversationHistory: fullConversationHistory,
-                  max_tokens: 4096,
-                  temperature: 0.7,
-                  stream: false
-                });
+      const retryAfter = getLoginRetryAfter(req.ip, user);
+      if (retryAfter > 0) {
+        console.log(`⏳ Login throttled for ${username} from ${req.ip}: retry in ${retryAfter}s`);
+        res.setHeader('Retry-After', retryAfter);
+        return res.status(429).json({
+          success: false,
+          error: `Too many login attempts. Please wait ${retryAfter} second(s) and try again.`,
+          code: 'LOGIN_THROTTLED',
+          retryAfter
+        });
+      }
 
-                const endTime = Date.now();
-                const responseTime = endTime - startTime;
+      if (user) {
+        const validPassword = await user.comparePassword(password);
+        console.log('🔑 Password valid:', validPassword);
 
-                if (result.choices && result.choices[0] && result.choices[0].message) {
-                  guidance = result.choices[0].message.content;
-                  provider = selectedProvider.name;
-                  model = selectedProvider.model;
-                  speed = selectedProvider.speed;
-                  responseTime = responseTime;
-                  console.log(`✅ ${provider} (selected) response successful in ${responseTime}ms`);
-                }
-              } catch (providerError) {
-                console.log(`❌ Selected provider ${selectedProvider.name} failed: ${providerError.message}`);
+        if (validPassword && user.role === role) {
+          // With 2FA the failure count is only cleared once the second factor passes too -
+          // otherwise alternating password logins and code guesses would never lock the account
+          if (!user.twoFactorEnabled && (user.failedLoginAttempts > 0 || user.lockUntil)) {
+            user.failedLoginAttempts = 0;
+            user.lockUntil = undefined;
+            await user.save();
+          }
 
-                // Provide specific error message but still try fallback for better user experience
-                console.log('🔄 Falling back to automatic selection due to provider failure...');
-                guidance = null; // This will trigger the fallback below
-              }
-            }
+          if (REQUIRE_EMAIL_VERIFICATION && user.emailVerified === false) {
+            console.log('❌ Login refused: email not verified:', user.username);
+            return res.status(403).json({
+              success: false,
+              error: 'Please verify your email address before logging in. Check your inbox for the verification link.',
+              code: 'EMAIL_NOT_VERIFIED'
+            });
           }
 
-          // If no specific provider selected or it failed, use smart fallback
-          if (!guidance) {
-            try {
-              console.log('🚀 Attempting Multi-AI call with smart fallback...');
+          if (user.twoFactorEnabled) {
+            console.log('🔐 Password accepted, awaiting 2FA code:', user.username);
+            return res.json({
+              success: true,
+              twoFactorRequired: true,
+              twoFactorToken: signTwoFactorChallenge(user)
+            });
+          }
 
-              const completion = await callAIWithFallback({
-                messages: [
-                  {
-                    role: "system",
-                    content: enhancedSystemPrompt
-                  },
-                  // Include full conversation history
-                  ...fullConversationHistory,
-                  {
-                    role: "user",
-                    content: query || "Please analyze the attached files."
-                  }
-                ],
-                files: files || [],
-                conversationHistory: fullConversationHistory,
-                max_tokens: 4096,
-                temperature: 0.7,
-                stream: false
-              });
+          const tokens = await issueSession(user, req);
+          console.log('✅ Login successful:', user.username);
 
-              if (completion.choices && completion.choices[0] && completion.choices[0].message) {
-                guidance = completion.choices[0].message.content;
-                provider = completion.provider;
-                model = completion.model;
-                speed = completion.speed;
-                responseTime = completion.responseTime;
-                console.log(`✅ ${provider} response successful in ${responseTime}ms (with ${files ? files.length : 0} files)`);
-              }
-            } catch (aiError) {
-              console.error('❌ All AI providers failed:', aiError.message);
-            }
-          }
-        } catch (error) {
-          console.error('❌ AI provider system error:', error.message);
+          return res.json(buildLoginResponse(user, tokens));
+        } else {
+          console.log('❌ Login failed: Invalid password or role mismatch');
+          await recordLoginFailure(req, username, validPassword ? 'role_mismatch' : 'invalid_password', user);
+          return res.status(401).json({
+            success: false,
+            error: 'Invalid username, password, or role'
+          });
         }
+      } else {
+        console.log('❌ Login failed: User not found');
+        await recordLoginFailure(req, username, 'unknown_user', null);
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid username, password, or role'
+        });
       }
+    } catch (error) {
+      console.error('Login error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Server error during login'
+      });
+    }
+  });
 
-      // Use fallback if all AI providers failed or not available
-      if (!guidance) {
-        console.log('🔄 Using enhanced fallback guidance');
-        const startTime = Date.now();
-        guidance = generateEnhancedFallbackGuidance(query);
-        responseTime = Date.now() - startTime;
-        provider = 'fallback';
-        model = 'local-fallback';
-        speed = 'Instant';
-      }
-
-      console.log(`📊 AI Response Summary:`);
-      console.log(`   Provider: ${provider}`);
-      console.log(`   Model: ${model}`);
-      console.log(`   Response Length: ${guidance.length} characters`);
-      console.log(`   Response Time: ${responseTime}ms`);
-      console.log(`   Problem Complexity: ${problemComplexity}`);
-      console.log(`   Detected Subject: ${detectedSubject}`);
-      console.log(`🔍 Response Preview: ${guidance.substring(0, 200)}...`);
-
-      const responseData = {
-        success: true,
-        guidance: guidance,
-        response: guidance, // Add for compatibility
-        provider: provider,
-        model: model,
-        speed: speed,
-        responseTime: responseTime,
-        query: query,
-        problemComplexity: problemComplexity,
-        detectedSubject: detectedSubject,
-        enhancedMode: true,
-        conversationLength: fullConversationHistory.length,
-        availableProviders: aiProviders.map(p => ({
-          name: p.name,
-          model: p.model,
-          speed: p.speed,
-          priority: p.priority
-        }))
-      };
+  // Second login step for accounts with 2FA: TOTP code or a backup code
+  app.post('/api/auth/login/2fa', async (req, res) => {
+    const { twoFactorToken, code } = req.body;
 
-      console.log(`📤 Sending response:`, {
-        success: responseData.success,
-        guidanceLength: responseData.guidance?.length,
-        provider: responseData.provider,
-        model: responseData.model
+    if (typeof twoFactorToken !== 'string' || typeof code !== 'string' || !code.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Verification code is required'
       });
+    }
 
-      res.json(responseData);
-
-    } catch (error) {
-      console.error('💥 AI guidance endpoint error:', error);
-      const fallbackGuidance = generateEnhancedFallbackGuidance(query);
+    try {
+      let payload;
+      try {
+        payload = jwt.verify(twoFactorToken, JWT_SECRET);
+      } catch (err) {
+        payload = null;
+      }
+
+      if (!payload || payload.purpose !== '2fa-login' || !payload.jti) {
+        return res.status(401).json({
+          success: false,
+          error: 'Your login has expired. Please enter your password again.',
+          code: 'TWO_FACTOR_EXPIRED'
+        });
+      }
+
+      if ((twoFactorChallengeGuesses[payload.jti]?.guesses || 0) >= TWO_FACTOR_MAX_GUESSES) {
+        return res.status(401).json({
+          success: false,
+          error: 'Too many attempts with this login. Please enter your password again.',
+          code: 'TWO_FACTOR_EXPIRED'
+        });
+      }
+
+      const user = await User.findById(payload.userId);
+      if (!user || !user.twoFactorEnabled) {
+        return res.status(401).json({
+          success: false,
+          error: 'Your login has expired. Please enter your password again.',
+          code: 'TWO_FACTOR_EXPIRED'
+        });
+      }
+
+      if (user.lockUntil && user.lockUntil > new Date()) {
+        const retryAfter = Math.ceil((user.lockUntil - Date.now()) / 1000);
+        await recordLoginFailure(req, user.username, 'account_locked', user);
+        res.setHeader('Retry-After', retryAfter);
+        return res.status(423).json({
+          success: false,
+          error: `Too many failed attempts. This account is locked for ${Math.ceil(retryAfter / 60)} more minute(s).`,
+          code: 'ACCOUNT_LOCKED',
+          retryAfter
+        });
+      }
+
+      const retryAfter = getLoginRetryAfter(req.ip, user);
+      if (retryAfter > 0) {
+        res.setHeader('Retry-After', retryAfter);
+        return res.status(429).json({
+          success: false,
+          error: `Too many login attempts. Please wait ${retryAfter} second(s) and try again.`,
+          code: 'LOGIN_THROTTLED',
+          retryAfter
+        });
+      }
+
+      const validTotp = user.verifyTotp(code);
+      const usedBackupCode = !validTotp && await user.useBackupCode(code);
+      if (!validTotp && !usedBackupCode) {
+        console.log('❌ 2FA failed: invalid code for', user.username);
+        await recordLoginFailure(req, user.username, 'invalid_2fa', user);
+        const guessesLeft = TWO_FACTOR_MAX_GUESSES - recordTwoFactorGuess(payload);
+        return res.status(401).json({
+          success: false,
+          error: guessesLeft > 0 ? 'Invalid verification code' : 'Invalid verification code. Please enter your password again.',
+          ...(guessesLeft <= 0 && { code: 'TWO_FACTOR_EXPIRED' })
+        });
+      }
+
+      recordTwoFactorGuess(payload, true);
+      user.failedLoginAttempts = 0;
+      user.lockUntil = undefined;
+      await user.save();
+
+      const tokens = await issueSession(user, req);
+      console.log(`✅ Login successful (2FA${usedBackupCode ? ', backup code' : ''}):`, user.username);
 
       res.json({
-        success: true,
-        guidance: fallbackGuidance,
-        provider: 'fallback-error',
-        model: 'local-fallback',
-        speed: 'Instant',
-        responseTime: 0,
-        query: query,
-        error: error.message
+        ...buildLoginResponse(user, tokens),
+        backupCodesRemaining: user.twoFactorBackupCodes.length
+      });
+    } catch (error) {
+      console.error('2FA login error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Server error during login'
       });
     }
   });
 
-  // Enhanced fallback guidance with JEE/NEET level problem-solving
-  function generateEnhancedFallbackGuidance(query) {
-    const lowerQuery = query.toLowerCase();
+  // User registration
+  app.post('/api/auth/register', async (req, res) => {
+    let { username, password, email, role, institutionCode } = req.body;
 
-    let topicGuidance = '';
-    let specificTips = '';
-    let advancedStrategies = '';
+    if ([username, password, email, role, institutionCode].some(value => value !== undefined && typeof value !== 'string')) {
+      return res.status(400).json({
+        success: false,
+        error: 'Username, password, email, and role are required'
+      });
+    }
 
-    if (lowerQuery.includes('physics') || lowerQuery.includes('mechanic') || lowerQuery.includes('electr')) {
-      topicGuidance = 'Advanced Physics';
-      specificTips = `
-        <h4>🔬 JEE Advanced Physics Mastery:</h4>
-        <ul>
-          <li><strong>Mechanics:</strong> Lagrangian mechanics, complex oscillations, collision dynamics</li>
-          <li><strong>Electromagnetism:</strong> Maxwell's equations, electromagnetic waves, advanced circuits</li>
-          <li><strong>Modern Physics:</strong> Quantum mechanics basics, nuclear reactions, particle physics</li>
-          <li><strong>Thermodynamics:</strong> Statistical mechanics, entropy calculations, heat engines</li>
-        </ul>
-        <p><strong>Problem-Solving Approach:</strong> Always draw free body diagrams, identify conservation laws, use dimensional analysis</p>
-      `;
-      advancedStrategies = `
-        <div class="advanced-strategies">
-          <h5>🎯 Advanced Problem-Solving Techniques:</h5>
-          <ul>
-            <li><strong>Multi-Concept Integration:</strong> Combine mechanics with electromagnetism</li>
-            <li><strong>Approximation Methods:</strong> Use small angle approximations, Taylor expansions</li>
-            <li><strong>Graphical Analysis:</strong> Interpret v-t, a-t graphs for complex motion</li>
-            <li><strong>Energy Methods:</strong> Use energy conservation for complex systems</li>
-          </ul>
-        </div>
-      `;
-    } else if (lowerQuery.includes('chemistry') || lowerQuery.includes('organic') || lowerQuery.includes('inorganic')) {
-      topicGuidance = 'Advanced Chemistry';
-      specificTips = `
-        <h4>🧪 JEE/NEET Advanced Chemistry:</h4>
-        <ul>
-          <li><strong>Organic Mechanisms:</strong> Arrow pushing, stereochemistry, pericyclic reactions</li>
-          <li><strong>Inorganic Complexes:</strong> Crystal field theory, coordination isomerism</li>
-          <li><strong>Physical Chemistry:</strong> Quantum chemistry, statistical thermodynamics</li>
-          <li><strong>Analytical Chemistry:</strong> Spectroscopy (IR, NMR, Mass spec), chromatography</li>
-        </ul>
-        <p><strong>Advanced Strategy:</strong> Master reaction mechanisms, not just products. Understand WHY reactions occur.</p>
-      `;
-      advancedStrategies = `
-        <div class="advanced-strategies">
-          <h5>🎯 Chemistry Problem-Solving Excellence:</h5>
-          <ul>
-            <li><strong>Mechanism Mastery:</strong> Draw complete electron movement for organic reactions</li>
-            <li><strong>Thermodynamic Analysis:</strong> Use ΔG, ΔH, ΔS to predict reaction feasibility</li>
-            <li><strong>Kinetic Studies:</strong> Analyze rate laws, activation energies, catalysis</li>
-            <li><strong>Structure-Property Relations:</strong> Connect molecular structure to chemical behavior</li>
-          </ul>
-        </div>
-      `;
-    } else if (lowerQuery.includes('math') || lowerQuery.includes('calculus') || lowerQuery.includes('algebra')) {
-      topicGuidance = 'Advanced Mathematics';
-      specificTips = `
-        <h4>➗ JEE Advanced Mathematics:</h4>
-        <ul>
-          <li><strong>Calculus:</strong> Advanced integration (substitution, parts, partial fractions), differential equations</li>
-          <li><strong>Algebra:</strong> Complex analysis, matrix theory, advanced probability</li>
-          <li><strong>Geometry:</strong> 3D coordinate geometry, vector methods, conic sections</li>
-          <li><strong>Number Theory:</strong> Modular arithmetic, Diophantine equations</li>
-        </ul>
-        <p><strong>Strategy:</strong> Focus on conceptual understanding, not just formula memorization</p>
-      `;
-      advancedStrategies = `
-        <div class="advanced-strategies">
-          <h5>🎯 Mathematical Problem-Solving Mastery:</h5>
-          <ul>
-            <li><strong>Multiple Approaches:</strong> Solve problems using different methods (algebraic, geometric, calculus)</li>
-            <li><strong>Pattern Recognition:</strong> Identify underlying mathematical structures</li>
-            <li><strong>Proof Techniques:</strong> Master direct proof, contradiction, induction</li>
-            <li><strong>Optimization:</strong> Use calculus for maximum/minimum problems</li>
-          </ul>
-        </div>
-      `;
-    } else if (lowerQuery.includes('biology') || lowerQuery.includes('botany') || lowerQuery.includes('zoology')) {
-      topicGuidance = 'Advanced Biology';
-      specificTips = `
-        <h4>🌱 NEET Advanced Biology:</h4>
-        <ul>
-          <li><strong>Molecular Biology:</strong> DNA replication, transcription, translation mechanisms</li>
-          <li><strong>Advanced Physiology:</strong> Hormonal cascades, neural networks, immune responses</li>
-          <li><strong>Ecology & Evolution:</strong> Population genetics, speciation, ecosystem dynamics</li>
-          <li><strong>Biotechnology:</strong> Genetic engineering, PCR, cloning techniques</li>
-        </ul>
-        <p><strong>NEET Strategy:</strong> Master NCERT diagrams, understand processes at molecular level</p>
-      `;
-      advancedStrategies = `
-        <div class="advanced-strategies">
-          <h5>🎯 Biology Excellence Techniques:</h5>
-          <ul>
-            <li><strong>Process Integration:</strong> Connect molecular events to physiological outcomes</li>
-            <li><strong>Comparative Analysis:</strong> Compare similar processes across different organisms</li>
-            <li><strong>Experimental Design:</strong> Understand how biological discoveries were made</li>
-            <li><strong>Clinical Connections:</strong> Relate basic biology to medical applications</li>
-          </ul>
-        </div>
-      `;
-    } else {
-      topicGuidance = 'Elite Preparation Strategy';
-      specificTips = `
-        <h4>🎯 Top Ranker Preparation Strategy:</h4>
-        <ul>
-          <li><strong>Conceptual Mastery:</strong> Build deep understanding, not surface knowledge</li>
-          <li><strong>Problem Patterns:</strong> Identify and master recurring problem types</li>
-          <li><strong>Time Management:</strong> Develop speed with accuracy through practice</li>
-          <li><strong>Error Analysis:</strong> Maintain error log, understand mistake patterns</li>
-        </ul>
-      `;
-      advancedStrategies = `
-        <div class="advanced-strategies">
-          <h5>🏆 Elite Performance Strategies:</h5>
-          <ul>
-            <li><strong>Multi-Subject Integration:</strong> Solve problems requiring knowledge from multiple subjects</li>
-            <li><strong>Advanced Problem Sets:</strong> Practice with Olympiad-level questions</li>
-            <li><strong>Conceptual Connections:</strong> Build mental maps linking different topics</li>
-            <li><strong>Teaching Others:</strong> Explain concepts to solidify understanding</li>
-          </ul>
-        </div>
-      `;
+    // Trim whitespace from username and email
+    username = username ? username.trim() : username;
+    email = email ? email.trim().toLowerCase() : email;
+
+    console.log('📝 Registration attempt:', { username, email, role });
+
+    // Validation
+    if (!username || !password || !email || !role) {
+      return res.status(400).json({
+        success: false,
+        error: 'Username, password, email, and role are required'
+      });
     }
 
-    return `
-      <div class="guidance-result">
-        <div class="guidance-header">
-          <i class="fas fa-brain"></i>
-          <h3>Elite AI Tutor - ${topicGuidance}</h3>
-          <span class="provider-badge">Advanced Problem-Solving Mode</span>
-        </div>
-        
-        <div class="guidance-content">
-          <div class="query-preview" style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 1.5rem; border-radius: 12px; margin-bottom: 1.5rem;">
-            <strong>🎯 Your Challenge:</strong> "${query}"
-            <div style="margin-top: 0.5rem; font-size: 0.9rem; opacity: 0.9;">
-              <i class="fas fa-lightbulb"></i> Analyzing with JEE Advanced/NEET level expertise...
-            </div>
-          </div>
-          
-          ${specificTips}
-          
-          ${advancedStrategies}
-          
-          <div class="elite-study-plan">
-            <h4>🏆 Elite 30-Day Mastery Plan</h4>
-            <div class="plan-grid" style="display: grid; grid-template-columns: repeat(auto-fit, minmax(280px, 1fr)); gap: 1.5rem; margin: 1.5rem 0;">
-              <div class="plan-item" style="display: flex; align-items: center; gap: 1rem; padding: 1.5rem; background: linear-gradient(135deg, #f093fb 0%, #f5576c 100%); color: white; border-radius: 12px; box-shadow: 0 4px 15px rgba(240, 147, 251, 0.3);">
-                <div class="plan-icon" style="font-size: 2rem;">🎯</div>
-                <div class="plan-text">
-                  <strong>Intensive Practice</strong>
-                  <p>100+ JEE Advanced level problems daily</p>
-                  <small>Focus on multi-concept integration</small>
-                </div>
-              </div>
-              <div class="plan-item" style="display: flex; align-items: center; gap: 1rem; padding: 1.5rem; background: linear-gradient(135deg, #4facfe 0%, #00f2fe 100%); color: white; border-radius: 12px; box-shadow: 0 4px 15px rgba(79, 172, 254, 0.3);">
-                <div class="plan-icon" style="font-size: 2rem;">🧠</div>
-                <div class="plan-text">
-                  <strong>Conceptual Mastery</strong>
-                  <p>Deep dive into fundamental principles</p>
-                  <small>Build intuitive understanding</small>
-                </div>
-              </div>
-              <div class="plan-item" style="display: flex; align-items: center; gap: 1rem; padding: 1.5rem; background: linear-gradient(135deg, #43e97b 0%, #38f9d7 100%); color: white; border-radius: 12px; box-shadow: 0 4px 15px rgba(67, 233, 123, 0.3);">
-                <div class="plan-icon" style="font-size: 2rem;">⚡</div>
-                <div class="plan-text">
-                  <strong>Speed Building</strong>
-                  <p>Timed practice with accuracy focus</p>
-                  <small>Develop exam-level speed</small>
-                </div>
-              </div>
-              <div class="plan-item" style="display: flex; align-items: center; gap: 1rem; padding: 1.5rem; background: linear-gradient(135deg, #fa709a 0%, #fee140 100%); color: white; border-radius: 12px; box-shadow: 0 4px 15px rgba(250, 112, 154, 0.3);">
-                <div class="plan-icon" style="font-size: 2rem;">📈</div>
-                <div class="plan-text">
-                  <strong>Performance Analysis</strong>
-                  <p>Daily mock tests with detailed review</p>
-                  <small>Track improvement metrics</small>
-                </div>
-              </div>
-            </div>
-          </div>
-          
-          <div class="problem-solving-framework" style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 2rem; border-radius: 16px; margin: 2rem 0;">
-            <h4 style="margin-bottom: 1rem;"><i class="fas fa-cogs"></i> Elite Problem-Solving Framework</h4>
-            <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 1rem;">
-              <div style="text-align: center; padding: 1rem;">
-                <div style="font-size: 2rem; margin-bottom: 0.5rem;">🔍</div>
-                <strong>ANALYZE</strong>
-                <p style="font-size: 0.9rem; margin-top: 0.5rem;">Break down complex problems into manageable parts</p>
-              </div>
-              <div style="text-align: center; padding: 1rem;">
-                <div style="font-size: 2rem; margin-bottom: 0.5rem;">🎯</div>
-                <strong>STRATEGIZE</strong>
-                <p style="font-size: 0.9rem; margin-top: 0.5rem;">Choose optimal solution approach</p>
-              </div>
-              <div style="text-align: center; padding: 1rem;">
-                <div style="font-size: 2rem; margin-bottom: 0.5rem;">⚡</div>
-                <strong>EXECUTE</strong>
+    // Only students sign themselves up - teacher and admin accounts carry staff permissions
+    // and are created by an administrator (POST /api/admin/users)
+    if (role !== 'student') {
+      console.log('🚫 Self-registration refused for role:', role);
+      return res.status(403).json({
+        success: false,
+        error: 'Only student accounts can be registered here. Ask your administrator for a teacher account.'
+      });
+    }
+
+    // Validate email format
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (!emailRegex.test(email)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please enter a valid email address'
+      });
+    }
+
+    // Validate password strength
+    if (password.length < 6) {
+      return res.status(400).json({
+        success: false,
+        error: 'Password must be at least 6 characters long'
+      });
+    }
+
+    try {
+      // Students and teachers join the institution whose code they enter (default institution if blank)
+      const institution = await Institution.findOne({
+        slug: institutionCode && institutionCode.trim() ? institutionCode.trim().toLowerCase() : DEFAULT_INSTITUTION_SLUG
+      });
+      if (!institution) {
+        return res.status(400).json({
+          success: false,
+          error: 'Unknown institution code. Please check the code given by your institution.'
+        });
+      }
+
+      // Check if username already exists (case-insensitive)
+      const existingUser = await User.findOne({ 
+        username: { $regex: new RegExp(`^${escapeRegExp(username)}$`, 'i') }
+      });
+      if (existingUser) {
+        return res.status(409).json({
+          success: false,
+          error: 'Username already exists. Please choose a different username.'
+        });
+      }
+
+      // Check if email already exists (case-insensitive)
+      const existingEmail = await User.findOne({ 
+        email: { $regex: new RegExp(`^${escapeRegExp(email)}$`, 'i') }
+      });
+      if (existingEmail) {
+        return res.status(409).json({
+          success: false,
+          error: 'Email already registered. Please use a different email or login.'
+        });
+      }
+
+      // Create new user
+      const newUser = new User({
+        username,
+        password, // Will be hashed by the pre-save middleware
+        email,
+        role,
+        institutionId: institution._id,
+        emailVerified: false
+      });
+
+      await newUser.save();
+
+      console.log('✅ User registered successfully:', { username, email, role });
+
+      await sendVerificationEmail(newUser, req);
+
+      const user = {
+        _id: newUser._id,
+        id: newUser._id,
+        username: newUser.username,
+        role: newUser.role,
+        email: newUser.email,
+        emailVerified: false
+      };
+
+      // Unverified accounts cannot sign in when verification is required
+      if (REQUIRE_EMAIL_VERIFICATION) {
+        return res.status(201).json({
+          success: true,
+          message: 'Registration successful! Please check your email to verify your account before logging in.',
+          user
+        });
+      }
+
+      // Start a session for the new user
+      const tokens = await issueSession(newUser, req);
+
+      res.status(201).json({
+        success: true,
+        message: 'Registration successful! Welcome to EduSphere Pro! Please check your email to verify your address.',
+        user,
+        ...tokens
+      });
+
+    } catch (error) {
+      console.error('❌ Registration error:', error);
+
+      if (error.code === 11000) {
+        // Duplicate key error
+        const field = Object.keys(error.keyPattern)[0];
+        return res.status(409).json({
+          success: false,
+          error: `${field.charAt(0).toUpperCase() + field.slice(1)} already exists`
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        error: 'Registration failed. Please try again.'
+      });
+    }
+  });
+
+  // Exchange a refresh token for a new access token (the refresh token is rotated)
+  app.post('/api/auth/refresh', async (req, res) => {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        error: 'Refresh token is required'
+      });
+    }
+
+    try {
+      const session = await Session.findOne({ refreshTokenHash: hashToken(refreshToken) });
+
+      if (!session || session.revokedAt || session.expiresAt < new Date()) {
+        return res.status(401).json({
+          success: false,
+          error: 'Session has ended, please log in again',
+          code: 'SESSION_REVOKED'
+        });
+      }
+
+      const user = await User.findById(session.userId);
+      if (!user) {
+        return res.status(401).json({
+          success: false,
+          error: 'Session has ended, please log in again',
+          code: 'SESSION_REVOKED'
+        });
+      }
+
+      const newRefreshToken = crypto.randomBytes(48).toString('hex');
+      session.refreshTokenHash = hashToken(newRefreshToken);
+      session.lastSeenAt = new Date();
+      await session.save();
+
+      res.json({
+        success: true,
+        ...buildTokenResponse(user, session, newRefreshToken)
+      });
+    } catch (error) {
+      console.error('❌ Token refresh error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error refreshing session'
+      });
+    }
+  });
+
+  // Logout - revoke the current session server-side
+  // Accepts the refresh token in the body so an expired access token can still log out.
+  app.post('/api/auth/logout', async (req, res) => {
+    try {
+      const { refreshToken } = req.body || {};
+      let session = null;
+
+      if (refreshToken) {
+        session = await Session.findOne({ refreshTokenHash: hashToken(refreshToken) });
+      } else if (req.headers.authorization?.startsWith('Bearer ')) {
+        try {
+          const payload = jwt.verify(req.headers.authorization.substring(7), JWT_SECRET, { ignoreExpiration: true });
+          session = await Session.findById(payload.sid);
+        } catch (err) {
+          // Invalid token - nothing to revoke
+        }
+      }
+
+      if (session && !session.revokedAt) {
+        session.revokedAt = new Date();
+        session.revokedReason = 'logout';
+        await session.save();
+        console.log('👋 Session revoked on logout:', session._id);
+      }
+
+      res.json({
+        success: true,
+        message: 'Logged out successfully'
+      });
+    } catch (error) {
+      console.error('❌ Logout error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error during logout'
+      });
+    }
+  });
+
+  // List the current user's active sessions (one per logged-in device)
+  app.get('/api/auth/sessions', authenticate, async (req, res) => {
+    try {
+      const sessions = await Session.find({
+        userId: req.user._id,
+        revokedAt: { $exists: false },
+        expiresAt: { $gt: new Date() }
+      }).sort({ lastSeenAt: -1 });
+
+      res.json({
+        success: true,
+        sessions: sessions.map(session => sessionResponse(session, req.authSession._id))
+      });
+    } catch (error) {
+      console.error('❌ Error fetching sessions:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error fetching sessions'
+      });
+    }
+  });
+
+  // Log out every other device, keeping the current session
+  app.delete('/api/auth/sessions', authenticate, async (req, res) => {
+    try {
+      const revoked = await revokeUserSessions(req.user._id, 'user-revoked', req.authSession._id);
+      console.log(`👋 ${req.user.username} revoked ${revoked} other session(s)`);
+
+      res.json({
+        success: true,
+        message: `Logged out of ${revoked} other device(s)`,
+        revoked
+      });
+    } catch (error) {
+      console.error('❌ Error revoking sessions:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error revoking sessions'
+      });
+    }
+  });
+
+  // Revoke one of the current user's sessions
+  app.delete('/api/auth/sessions/:id', authenticate, async (req, res) => {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Session not found'
+        });
+      }
+
+      const session = await Session.findOne({ _id: req.params.id, userId: req.user._id });
+      if (!session || session.revokedAt) {
+        return res.status(404).json({
+          success: false,
+          error: 'Session not found'
+        });
+      }
+
+      session.revokedAt = new Date();
+      session.revokedReason = 'user-revoked';
+      await session.save();
+
+      console.log(`👋 ${req.user.username} revoked session ${session._id}`);
+
+      res.json({
+        success: true,
+        message: 'Session revoked',
+        current: session._id.equals(req.authSession._id)
+      });
+    } catch (error) {
+      console.error('❌ Error revoking session:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error revoking session'
+      });
+    }
+  });
+
+  // Confirm an email address with the token from the verification email
+  app.post('/api/auth/verify-email', async (req, res) => {
+    try {
+      const { token } = req.body;
+
+      if (typeof token !== 'string' || !token) {
+        return res.status(400).json({
+          success: false,
+          error: 'Verification token is required'
+        });
+      }
+
+      const user = await User.findOne({
+        emailVerificationTokenHash: hashToken(token),
+        emailVerificationExpires: { $gt: new Date() }
+      });
+
+      if (!user) {
+        return res.status(400).json({
+          success: false,
+          error: 'This verification link is invalid or has expired'
+        });
+      }
+
+      user.emailVerified = true;
+      user.emailVerificationTokenHash = undefined;
+      user.emailVerificationExpires = undefined;
+      await user.save();
+
+      console.log('✅ Email verified:', user.username);
+
+      res.json({
+        success: true,
+        message: 'Email verified successfully! You can now log in.'
+      });
+    } catch (error) {
+      console.error('❌ Email verification error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error verifying email'
+      });
+    }
+  });
+
+  // Send a new verification email, by email address (no login needed while unverified)
+  app.post('/api/auth/resend-verification', async (req, res) => {
+    try {
+      const { email } = req.body;
+
+      if (typeof email !== 'string' || !email) {
+        return res.status(400).json({
+          success: false,
+          error: 'Email is required'
+        });
+      }
+
+      // Same response whether or not the address exists, so this cannot be used to find accounts
+      const user = await User.findOne({ email: email.trim().toLowerCase() });
+      if (user && user.emailVerified === false) {
+        await sendVerificationEmail(user, req);
+      }
+
+      res.json({
+        success: true,
+        message: 'If that account needs verification, a new link has been sent.'
+      });
+    } catch (error) {
+      console.error('❌ Resend verification error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error sending verification email'
+      });
+    }
+  });
+
+  // Request a password reset link
+  app.post('/api/auth/forgot-password', async (req, res) => {
+    try {
+      const { email } = req.body;
+
+      if (typeof email !== 'string' || !email) {
+        return res.status(400).json({
+          success: false,
+          error: 'Email is required'
+        });
+      }
+
+      const user = await User.findOne({ email: email.trim().toLowerCase() });
+
+      // Don't issue a new link more than once a minute per account
+      const recentlyIssued = user?.passwordResetExpires &&
+        user.passwordResetExpires.getTime() - PASSWORD_RESET_TTL_MINUTES * 60 * 1000 > Date.now() - 60 * 1000;
+
+      if (user && !recentlyIssued) {
+        const token = crypto.randomBytes(32).toString('hex');
+        user.passwordResetTokenHash = hashToken(token);
+        user.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+        await user.save();
+
+        const link = `${getAppUrl(req)}/?resetPassword=${token}`;
+        await sendMail({
+          to: user.email,
+          subject: 'Reset your EduSphere Pro password',
+          text: `Hi ${user.username},\n\nSomeone asked to reset the password for your account. To choose a new password, open this link:\n${link}\n\nThe link expires in ${PASSWORD_RESET_TTL_MINUTES} minutes and can only be used once. If you did not ask for this, you can ignore this email.`,
+          html: `<p>Hi ${escapeHtml(user.username)},</p><p>Someone asked to reset the password for your account.</p><p><a href="${link}">Choose a new password</a></p><p>The link expires in ${PASSWORD_RESET_TTL_MINUTES} minutes and can only be used once. If you did not ask for this, you can ignore this email.</p>`
+        });
+
+        console.log('🔑 Password reset link sent to:', user.username);
+      }
+
+      // Same response whether or not the address exists, so this cannot be used to find accounts
+      res.json({
+        success: true,
+        message: 'If an account exists for that email, a password reset link has been sent.'
+      });
+    } catch (error) {
+      console.error('❌ Forgot password error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error requesting password reset'
+      });
+    }
+  });
+
+  // Choose a new password with a reset token - signs the user out everywhere
+  app.post('/api/auth/reset-password', async (req, res) => {
+    try {
+      const { token, password } = req.body;
+
+      if (typeof token !== 'string' || !token || typeof password !== 'string') {
+        return res.status(400).json({
+          success: false,
+          error: 'Reset token and new password are required'
+        });
+      }
+
+      if (password.length < 6) {
+        return res.status(400).json({
+          success: false,
+          error: 'Password must be at least 6 characters long'
+        });
+      }
+
+      const user = await User.findOne({
+        passwordResetTokenHash: hashToken(token),
+        passwordResetExpires: { $gt: new Date() }
+      });
+
+      if (!user) {
+        return res.status(400).json({
+          success: false,
+          error: 'This reset link is invalid or has expired'
+        });
+      }
+
+      user.password = password; // Will be hashed by the pre-save middleware
+      user.passwordResetTokenHash = undefined;
+      user.passwordResetExpires = undefined;
+      user.failedLoginAttempts = 0;
+      user.lockUntil = undefined;
+      // The reset link was delivered to this address, so it is verified
+      if (user.emailVerified === false) user.emailVerified = true;
+      await user.save();
+
+      await revokeUserSessions(user._id, 'password-reset');
+
+      console.log('🔑 Password reset for:', user.username);
+
+      res.json({
+        success: true,
+        message: 'Password updated successfully! You can now log in with your new password.'
+      });
+    } catch (error) {
+      console.error('❌ Reset password error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error resetting password'
+      });
+    }
+  });
+
+  // ========================================
+  // TWO-FACTOR ENROLLMENT
+  // ========================================
+
+  // Start enrollment: a new pending secret with its provisioning URI and QR code.
+  // These routes check the role inline - requireRole would block admins who have not enrolled yet.
+  app.post('/api/auth/2fa/setup', authenticate, async (req, res) => {
+    try {
+      if (!['teacher', 'admin'].includes(req.user.role)) {
+        return sendForbidden(res);
+      }
+
+      if (req.user.twoFactorEnabled) {
+        return res.status(409).json({
+          success: false,
+          error: 'Two-factor authentication is already enabled'
+        });
+      }
+
+      const secret = base32Encode(crypto.randomBytes(20));
+      const label = encodeURIComponent(`${TOTP_ISSUER}:${req.user.username}`);
+      const otpauthUrl = `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(TOTP_ISSUER)}&algorithm=SHA1&digits=6&period=${TOTP_STEP_SECONDS}`;
+
+      req.user.twoFactorPendingSecret = encryptSecret(secret);
+      await req.user.save();
+
+      res.json({
+        success: true,
+        secret,
+        otpauthUrl,
+        qrCode: await QRCode.toDataURL(otpauthUrl)
+      });
+    } catch (error) {
+      console.error('❌ 2FA setup error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error starting two-factor setup'
+      });
+    }
+  });
+
+  // Finish enrollment by confirming a code from the authenticator app.
+  // Backup codes are returned only here and when regenerated.
+  app.post('/api/auth/2fa/enable', authenticate, async (req, res) => {
+    try {
+      const { code } = req.body;
+
+      if (!req.user.twoFactorPendingSecret) {
+        return res.status(400).json({
+          success: false,
+          error: 'Start two-factor setup first'
+        });
+      }
+
+      const secret = decryptSecret(req.user.twoFactorPendingSecret);
+      const step = matchTotpStep(secret, code);
+      if (step === null) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid verification code'
+        });
+      }
+
+      const backupCodes = await generateBackupCodes();
+
+      req.user.twoFactorEnabled = true;
+      req.user.twoFactorSecret = req.user.twoFactorPendingSecret;
+      req.user.twoFactorPendingSecret = undefined;
+      req.user.twoFactorLastStep = step;
+      req.user.twoFactorBackupCodes = backupCodes.hashes;
+      await req.user.save();
+
+      console.log('🔐 2FA enabled for:', req.user.username);
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication enabled. Store your backup codes somewhere safe.',
+        backupCodes: backupCodes.codes
+      });
+    } catch (error) {
+      console.error('❌ 2FA enable error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error enabling two-factor authentication'
+      });
+    }
+  });
+
+  // Turn 2FA off - needs the password and a current code (or backup code)
+  app.post('/api/auth/2fa/disable', authenticate, async (req, res) => {
+    try {
+      const { password, code } = req.body;
+
+      if (!req.user.twoFactorEnabled) {
+        return res.status(400).json({
+          success: false,
+          error: 'Two-factor authentication is not enabled'
+        });
+      }
+
+      if (REQUIRE_ADMIN_2FA && req.user.role === 'admin') {
+        return res.status(403).json({
+          success: false,
+          error: 'Two-factor authentication is required for admin accounts'
+        });
+      }
+
+      if (typeof password !== 'string' || typeof code !== 'string' ||
+          !(await req.user.comparePassword(password)) ||
+          !(req.user.verifyTotp(code) || await req.user.useBackupCode(code))) {
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid password or verification code'
+        });
+      }
+
+      req.user.twoFactorEnabled = false;
+      req.user.twoFactorSecret = undefined;
+      req.user.twoFactorLastStep = undefined;
+      req.user.twoFactorBackupCodes = [];
+      await req.user.save();
+
+      console.log('🔓 2FA disabled for:', req.user.username);
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication disabled'
+      });
+    } catch (error) {
+      console.error('❌ 2FA disable error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error disabling two-factor authentication'
+      });
+    }
+  });
+
+  // Replace all backup codes - needs a current TOTP code
+  app.post('/api/auth/2fa/backup-codes', authenticate, async (req, res) => {
+    try {
+      if (!req.user.twoFactorEnabled || !req.user.verifyTotp(req.body.code)) {
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid verification code'
+        });
+      }
+
+      const backupCodes = await generateBackupCodes();
+      req.user.twoFactorBackupCodes = backupCodes.hashes;
+      await req.user.save();
+
+      res.json({
+        success: true,
+        backupCodes: backupCodes.codes
+      });
+    } catch (error) {
+      console.error('❌ Backup code error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error generating backup codes'
+      });
+    }
+  });
+
+  // Setup wizard: tells the frontend whether the install still needs its first admin
+  app.get('/api/setup/status', async (req, res) => {
+    try {
+      res.json({
+        success: true,
+        setupRequired: await isSetupRequired(),
+        demoMode: DEMO_MODE
+      });
+    } catch (error) {
+      console.error('❌ Setup status error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error checking setup status'
+      });
+    }
+  });
+
+  // Setup wizard: create the initial admin (only while no admin exists)
+  app.post('/api/setup', async (req, res) => {
+    try {
+      const { setupToken, username, email, password } = req.body;
+
+      const validToken = typeof setupToken === 'string' &&
+        crypto.timingSafeEqual(Buffer.from(hashToken(setupToken), 'hex'), Buffer.from(hashToken(SETUP_TOKEN), 'hex'));
+      if (!validToken) {
+        console.log('🚫 Setup attempt with invalid token from', req.ip);
+        return res.status(403).json({
+          success: false,
+          error: 'Invalid setup token. Check the server log for the token.'
+        });
+      }
+
+      const result = await createInitialAdmin({ username, email, password });
+      if (result.error) {
+        return res.status(result.code === 'SETUP_COMPLETE' ? 409 : 400).json({
+          success: false,
+          error: result.error,
+          code: result.code
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'Admin account created! Log in to finish setting up two-factor authentication.',
+        user: {
+          id: result.user._id,
+          username: result.user.username,
+          role: result.user.role
+        }
+      });
+    } catch (error) {
+      console.error('❌ Setup error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error completing setup'
+      });
+    }
+  });
+
+  // ========================================
+  // INSTITUTION MANAGEMENT
+  // ========================================
+
+  const HEX_COLOR_REGEX = /^#[0-9a-fA-F]{6}$/;
+  const LOGO_DATA_URL_REGEX = /^data:image\/[a-z0-9.+-]+;base64,[a-z0-9+/=\s]+$/i;
+
+  // Logos end up in an <img src> on generated papers - only uploaded images (data:image/...)
+  // and https links are accepted
+  function isAllowedLogo(logo) {
+    if (typeof logo !== 'string') return false;
+    if (LOGO_DATA_URL_REGEX.test(logo)) return true;
+    try {
+      return new URL(logo).protocol === 'https:';
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Create the default institution on first boot and move documents created
+  // before multi-tenancy into it (runs outside any request, so unscoped)
+  async function ensureDefaultInstitution() {
+    let institution = await Institution.findOne({ slug: DEFAULT_INSTITUTION_SLUG });
+    if (!institution) {
+      institution = await Institution.create({
+        name: process.env.DEFAULT_INSTITUTION_NAME || 'GYANMANJARI',
+        slug: DEFAULT_INSTITUTION_SLUG
+      });
+      console.log('🏫 Created default institution:', institution.name);
+    }
+    defaultInstitutionId = institution._id;
+
+    const tenantModels = [User, Question, Test, TestResult, Chapter, MockTest, PaperConfig, GeneratedPDF, EmbeddedDocument, PracticeTest, AuditEvent];
+    for (const Model of tenantModels) {
+      if (await Model.exists({ institutionId: { $exists: false } })) {
+        const result = await Model.updateMany({ institutionId: { $exists: false } }, { $set: { institutionId: defaultInstitutionId } });
+        console.log(`🏫 Assigned ${result.modifiedCount} ${Model.modelName} document(s) to the default institution`);
+      }
+    }
+
+    // Chapter names are now unique per institution instead of globally
+    await Chapter.syncIndexes();
+  }
+
+  // Admins of the default institution operate the platform and manage institutions
+  function isPlatformAdmin(user) {
+    return user?.role === 'admin' && !!user.institutionId && user.institutionId.equals(defaultInstitutionId);
+  }
+
+  const requirePlatformAdmin = (req, res, next) => {
+    if (!isPlatformAdmin(req.user)) {
+      return sendForbidden(res, 'Only platform administrators can manage institutions');
+    }
+    next();
+  };
+
+  // Apply name/branding fields from a request body. Returns an error message or null.
+  function applyInstitutionBranding(institution, { name, branding }) {
+    if (name !== undefined) {
+      if (typeof name !== 'string' || !name.trim()) return 'Institution name is required';
+      institution.name = name.trim();
+    }
+
+    if (branding) {
+      for (const field of ['primaryColor', 'secondaryColor', 'accentColor']) {
+        if (branding[field] === undefined) continue;
+        if (!HEX_COLOR_REGEX.test(branding[field])) return `${field} must be a hex colour like #5046e5`;
+        institution.branding[field] = branding[field];
+      }
+      if (branding.logo !== undefined) {
+        if (branding.logo && !isAllowedLogo(branding.logo)) return 'logo must be an uploaded image or an https:// URL';
+        institution.branding.logo = branding.logo || undefined;
+      }
+    }
+
+    return null;
+  }
+
+  function institutionResponse(institution) {
+    return {
+      _id: institution._id,
+      name: institution.name,
+      slug: institution.slug,
+      branding: institution.branding,
+      isDefault: institution._id.equals(defaultInstitutionId)
+    };
+  }
+
+  // Current user's institution with its branding (used by the UI and paper PDFs)
+  app.get('/api/institution', authenticate, async (req, res) => {
+    try {
+      const institution = await Institution.findById(req.institutionId);
+      if (!institution) {
+        return res.status(404).json({
+          success: false,
+          error: 'Institution not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        institution: institutionResponse(institution),
+        isPlatformAdmin: isPlatformAdmin(req.user)
+      });
+    } catch (error) {
+      console.error('Error fetching institution:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error fetching institution'
+      });
+    }
+  });
+
+  // Update the current institution's name and branding
+  app.put('/api/institution', authenticate, requirePermission('institution:manage'), async (req, res) => {
+    try {
+      const institution = await Institution.findById(req.institutionId);
+      if (!institution) {
+        return res.status(404).json({
+          success: false,
+          error: 'Institution not found'
+        });
+      }
+
+      const error = applyInstitutionBranding(institution, req.body);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error
+        });
+      }
+
+      await institution.save();
+
+      res.json({
+        success: true,
+        message: 'Institution updated successfully',
+        institution: institutionResponse(institution)
+      });
+    } catch (error) {
+      console.error('Error updating institution:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error updating institution'
+      });
+    }
+  });
+
+  // List all institutions (platform admins)
+  app.get('/api/institutions', authenticate, requireRole('admin'), requirePlatformAdmin, async (req, res) => {
+    try {
+      const institutions = await Institution.find().sort({ createdAt: 1 });
+
+      res.json({
+        success: true,
+        institutions: institutions.map(institutionResponse)
+      });
+    } catch (error) {
+      console.error('Error fetching institutions:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error fetching institutions'
+      });
+    }
+  });
+
+  // Create an institution together with its first admin account (platform admins)
+  app.post('/api/institutions', authenticate, requireRole('admin'), requirePlatformAdmin, requireSudo, async (req, res) => {
+    try {
+      const { slug, admin } = req.body;
+
+      if (typeof slug !== 'string' || !/^[a-z0-9-]{2,40}$/.test(slug.trim().toLowerCase())) {
+        return res.status(400).json({
+          success: false,
+          error: 'Institution code must be 2-40 lowercase letters, digits, or dashes'
+        });
+      }
+
+      if (!admin || !admin.username || !admin.email || typeof admin.password !== 'string') {
+        return res.status(400).json({
+          success: false,
+          error: 'Admin username, email, and password are required'
+        });
+      }
+
+      if (admin.password.length < ADMIN_PASSWORD_MIN_LENGTH) {
+        return res.status(400).json({
+          success: false,
+          error: `Admin password must be at least ${ADMIN_PASSWORD_MIN_LENGTH} characters long`
+        });
+      }
+
+      const institution = new Institution({ slug: slug.trim().toLowerCase() });
+      const error = applyInstitutionBranding(institution, { name: req.body.name || '', branding: req.body.branding });
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error
+        });
+      }
+
+      await institution.save();
+
+      let adminUser;
+      try {
+        adminUser = await withInstitution(institution._id, () => new User({
+          username: String(admin.username).trim(),
+          email: String(admin.email).trim().toLowerCase(),
+          password: admin.password,
+          role: 'admin',
+          emailVerified: true
+        }).save());
+      } catch (userError) {
+        await institution.deleteOne();
+        throw userError;
+      }
+
+      console.log(`🏫 ${req.user.username} created institution ${institution.slug} with admin ${adminUser.username}`);
+
+      res.status(201).json({
+        success: true,
+        message: 'Institution created successfully',
+        institution: institutionResponse(institution),
+        admin: {
+          _id: adminUser._id,
+          username: adminUser.username,
+          email: adminUser.email
+        }
+      });
+    } catch (error) {
+      console.error('Error creating institution:', error);
+
+      if (error.code === 11000) {
+        const field = Object.keys(error.keyPattern)[0];
+        return res.status(409).json({
+          success: false,
+          error: `${field.charAt(0).toUpperCase() + field.slice(1)} already exists`
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: 'Error creating institution'
+      });
+    }
+  });
+
+  // Integrated training examples for better AI responses
+  const trainingExamples = {
+    physics: {
+      problemSolving: `
+**PHYSICS PROBLEM-SOLVING APPROACH:**
+1. **IDENTIFY**: What type of physics problem (mechanics, electromagnetism, etc.)
+2. **GIVEN DATA**: List all given values with units
+3. **FIND**: Clearly state what needs to be calculated
+4. **CONCEPTS**: Identify relevant physics principles and formulas
+5. **SOLVE**: Step-by-step calculation with proper units
+6. **VERIFY**: Check if answer makes physical sense
+
+**COMMON FORMULAS:**
+- Mechanics: F=ma, v²=u²+2as, KE=½mv², PE=mgh
+- Electricity: V=IR, P=VI, F=kq₁q₂/r²
+- Waves: v=fλ, E=hf
+- Modern Physics: E=mc², λ=h/p
+      `
+    },
+    chemistry: {
+      problemSolving: `
+**CHEMISTRY PROBLEM-SOLVING APPROACH:**
+1. **IDENTIFY**: Reaction type (organic, inorganic, physical chemistry)
+2. **MECHANISM**: Draw electron movement for organic reactions
+3. **STOICHIOMETRY**: Balance equations and calculate moles
+4. **CONDITIONS**: Consider temperature, pressure, catalysts
+5. **PRODUCTS**: Predict major and minor products
+6. **VERIFY**: Check atom balance and charge balance
+
+**KEY CONCEPTS:**
+- Organic: Electron movement, stereochemistry, reaction mechanisms
+- Inorganic: Oxidation states, coordination chemistry, periodic trends
+- Physical: Thermodynamics, kinetics, equilibrium
+      `
+    },
+    mathematics: {
+      problemSolving: `
+**MATHEMATICS PROBLEM-SOLVING APPROACH:**
+1. **UNDERSTAND**: Read problem carefully, identify what's asked
+2. **PLAN**: Choose appropriate method (algebraic, geometric, calculus)
+3. **EXECUTE**: Solve step-by-step with clear working
+4. **CHECK**: Verify answer by substitution or alternative method
+5. **INTERPRET**: Ensure answer makes sense in context
+
+**COMMON TECHNIQUES:**
+- Algebra: Factoring, substitution, elimination
+- Calculus: Differentiation, integration, limits
+- Geometry: Coordinate geometry, trigonometry
+- Probability: Combinations, permutations, conditional probability
+      `
+    },
+    biology: {
+      problemSolving: `
+**BIOLOGY PROBLEM-SOLVING APPROACH:**
+1. **IDENTIFY**: System/process involved (cellular, physiological, ecological)
+2. **MECHANISM**: Understand the biological process step-by-step
+3. **FACTORS**: Consider all influencing factors
+4. **CONNECTIONS**: Link to other biological processes
+5. **APPLICATIONS**: Real-world relevance and medical connections
+
+**KEY AREAS:**
+- Cell Biology: Membrane transport, metabolism, cell division
+- Physiology: Organ systems, homeostasis, regulation
+- Genetics: Inheritance patterns, molecular genetics
+- Ecology: Population dynamics, ecosystem interactions
+      `
+    }
+  };
+  console.log('✅ AI training examples integrated successfully');
+
+  // Subject detector for better context
+  function detectSubject(query) {
+    const lowerQuery = query.toLowerCase();
+    
+    if (lowerQuery.includes('physics') || lowerQuery.includes('force') || lowerQuery.includes('motion') || 
+        lowerQuery.includes('electric') || lowerQuery.includes('magnetic') || lowerQuery.includes('wave') ||
+        lowerQuery.includes('energy') || lowerQuery.includes('momentum')) {
+      return 'physics';
+    } else if (lowerQuery.includes('chemistry') || lowerQuery.includes('organic') || lowerQuery.includes('inorganic') ||
+               lowerQuery.includes('reaction') || lowerQuery.includes('molecule') || lowerQuery.includes('bond') ||
+               lowerQuery.includes('acid') || lowerQuery.includes('base')) {
+      return 'chemistry';
+    } else if (lowerQuery.includes('math') || lowerQuery.includes('calculus') || lowerQuery.includes('algebra') ||
+               lowerQuery.includes('geometry') || lowerQuery.includes('integral') || lowerQuery.includes('derivative') ||
+               lowerQuery.includes('equation') || lowerQuery.includes('function')) {
+      return 'mathematics';
+    } else if (lowerQuery.includes('biology') || lowerQuery.includes('cell') || lowerQuery.includes('gene') ||
+               lowerQuery.includes('protein') || lowerQuery.includes('enzyme') || lowerQuery.includes('DNA') ||
+               lowerQuery.includes('physiology') || lowerQuery.includes('anatomy')) {
+      return 'biology';
+    }
+    
+    return 'general';
+  }
+
+  // Get relevant training context based on subject
+  function getRelevantTrainingContext(subject) {
+    if (!trainingExamples[subject]) {
+      return trainingExamples.mathematics.problemSolving; // Default fallback
+    }
+
+    return `
+🎓 **${subject.toUpperCase()} PROBLEM-SOLVING METHODOLOGY:**
+
+${trainingExamples[subject].problemSolving}
+
+**CRITICAL INSTRUCTIONS:**
+- ALWAYS provide fresh, original solutions - never repeat previous answers
+- Show complete step-by-step working for the CURRENT problem only
+- Use proper mathematical notation with LaTeX formatting
+- Explain the reasoning behind each step
+- Verify your final answer
+- Focus specifically on the question asked, not general concepts
+`;
+  }
+
+  // Problem difficulty analyzer for better AI responses
+  function analyzeProblemComplexity(query) {
+    const complexityIndicators = {
+      high: ['advanced', 'complex', 'difficult', 'challenging', 'multi-step', 'integration', 'differential', 'mechanism', 'synthesis', 'prove', 'derive'],
+      medium: ['calculate', 'find', 'determine', 'solve', 'explain', 'compare', 'analyze'],
+      low: ['define', 'list', 'identify', 'name', 'what is', 'simple']
+    };
+
+    const lowerQuery = query.toLowerCase();
+    let complexity = 'medium'; // default
+
+    if (complexityIndicators.high.some(indicator => lowerQuery.includes(indicator))) {
+      complexity = 'high';
+    } else if (complexityIndicators.low.some(indicator => lowerQuery.includes(indicator))) {
+      complexity = 'low';
+    }
+
+    return complexity;
+  }
+
+  // Enhanced system prompt based on problem complexity
+  function getEnhancedSystemPrompt(complexity, subject = '', query = '') {
+    const basePrompt = `You are an ELITE JEE/NEET expert tutor with 15+ years of experience training top rankers. You specialize in solving the most challenging competitive exam problems with precision and clarity.`;
+
+    const complexityEnhancements = {
+      high: `
+🔥 ULTRA-ADVANCED MODE ACTIVATED 🔥
+You are now handling a HIGH COMPLEXITY problem that requires:
+- Multi-step reasoning with intermediate verification
+- Integration of multiple concepts from different chapters
+- Advanced mathematical techniques and approximations
+- Deep conceptual understanding beyond formula application
+- Identification of subtle problem-solving tricks and shortcuts
+- Connection to real-world applications and advanced theory
+
+APPROACH: Break down into smaller sub-problems, solve systematically, and provide multiple solution methods where possible.`,
+      
+      medium: `
+⚡ STANDARD EXCELLENCE MODE ⚡
+This is a MEDIUM COMPLEXITY problem requiring:
+- Clear step-by-step methodology
+- Proper application of fundamental concepts
+- Logical reasoning with formula derivations
+- Verification of results and units
+- Connection to related concepts
+
+APPROACH: Provide structured solution with clear explanations at each step.`,
+      
+      low: `
+📚 FOUNDATION BUILDING MODE 📚
+This is a BASIC LEVEL query focusing on:
+- Clear conceptual explanations
+- Fundamental principle clarification
+- Building blocks for advanced topics
+- Simple examples and analogies
+- Preparation for more complex problems
+
+APPROACH: Focus on building strong conceptual foundation with simple, clear explanations.`
+    };
+
+    // Add relevant training context
+    const trainingContext = getRelevantTrainingContext(subject);
+
+    return basePrompt + complexityEnhancements[complexity] + trainingContext + `
+
+🚨 **CRITICAL RESPONSE REQUIREMENTS:**
+- Provide FRESH, accurate analysis for each question
+- Show COMPLETE working for the specific problem asked
+- Use proper LaTeX formatting for all mathematical expressions
+- Explain each step clearly with reasoning
+- Provide numerical answers where applicable
+- Check your work and verify the solution makes sense
+- If this is part of a conversation, maintain context and build upon previous discussions
+
+� **RcESPONSE FORMAT:**
+1. **Problem Analysis**: Understand what's being asked
+2. **Given Information**: List all provided data
+3. **Solution Strategy**: Explain your approach
+4. **Step-by-Step Solution**: Show all calculations with clear explanations
+5. **Final Answer**: Clear, highlighted result
+6. **Verification**: Check if answer is reasonable
+
+
+🧠 SPECIALIZED KNOWLEDGE BASE:
+**PHYSICS (JEE Advanced Level):**
+- Mechanics: Complex rotational motion, oscillations, wave interference
+- Electromagnetism: Advanced circuit analysis, electromagnetic induction, AC circuits
+- Modern Physics: Photoelectric effect, atomic structure, nuclear physics
+- Thermodynamics: Carnot cycles, entropy, kinetic theory applications
+
+**CHEMISTRY (JEE/NEET Advanced):**
+- Organic: Complex reaction mechanisms, stereochemistry, named reactions
+- Inorganic: Coordination chemistry, metallurgy, p-block elements
+- Physical: Chemical kinetics, electrochemistry, surface chemistry
+- Analytical: Qualitative/quantitative analysis, spectroscopy basics
+
+**MATHEMATICS (JEE Advanced):**
+- Calculus: Advanced integration techniques, differential equations
+- Algebra: Complex numbers, matrices, probability distributions
+- Coordinate Geometry: Conic sections, 3D geometry applications
+- Trigonometry: Inverse functions, complex trigonometric equations
+
+**BIOLOGY (NEET Advanced):**
+- Human Physiology: Detailed organ systems, hormonal regulation
+- Plant Biology: Photosynthesis mechanisms, plant hormones
+- Genetics: Advanced inheritance patterns, molecular genetics
+- Ecology: Population dynamics, ecosystem interactions
+
+🔬 PROBLEM-SOLVING METHODOLOGY:
+1. **ANALYZE**: Break down the problem, identify given data and required solution
+2. **STRATEGIZE**: Choose the most efficient approach, explain why
+3. **EXECUTE**: Solve step-by-step with clear mathematical/scientific reasoning
+4. **VERIFY**: Check the solution for reasonableness and units
+5. **EXTEND**: Provide related concepts or variations for deeper understanding
+
+📎 ENHANCED FILE PROCESSING:
+- Extract and solve problems from images using OCR
+- Handle complex diagrams and mathematical expressions
+- Process multiple-choice questions with detailed explanations
+- Analyze graphs, charts, and experimental data
+
+🎯 SOLUTION QUALITY STANDARDS:
+- Always show complete working with intermediate steps
+- Explain the physics/chemistry/biology behind each step
+- Highlight key concepts and formulas used
+- Provide alternative solution methods when applicable
+- Include common pitfalls and how to avoid them
+
+MATHEMATICAL FORMATTING (LaTeX):
+- Inline: $E = mc^2$, $\\frac{dy}{dx}$, $\\int_0^\\infty e^{-x}dx$
+- Display: $\\Delta G = \\Delta H - T\\Delta S$, $\\nabla \\times \\vec{E} = -\\frac{\\partial \\vec{B}}{\\partial t}$
+- Complex: $\\lim_{n \\to \\infty} \\sum_{k=1}^n \\frac{1}{k^2} = \\frac{\\pi^2}{6}$
+
+🏆 SUCCESS METRICS:
+Your goal is to help students achieve JEE Advanced AIR < 1000 and NEET AIR < 500 level understanding.
+Focus on building strong conceptual foundation while solving challenging problems efficiently.
+
+CONVERSATION CONTEXT: Maintain continuity and build upon previous discussions to create a comprehensive learning experience.`;
+  }
+
+  // 🚀 ENHANCED MULTI-AI GUIDANCE WITH SMART FALLBACK
+  app.post('/api/ai-guidance', authenticate, async (req, res) => {
+    const { query, files, preferredProvider, conversationHistory } = req.body;
+
+    // Analyze problem complexity and subject for better AI response
+    const problemComplexity = analyzeProblemComplexity(query || '');
+    const detectedSubject = detectSubject(query || '');
+    
+    // Use provided conversation history (simple session-based memory)
+    const fullConversationHistory = conversationHistory || [];
+    
+    const enhancedSystemPrompt = getEnhancedSystemPrompt(problemComplexity, detectedSubject, query);
+
+    console.log('🤖 Enhanced Multi-AI Guidance Request:', {
+      query: query,
+      detectedSubject: detectedSubject,
+      problemComplexity: problemComplexity,
+      historyLength: fullConversationHistory.length,
+      filesCount: files ? files.length : 0,
+      availableProviders: aiProviders.length,
+      providers: aiProviders.map(p => p.name),
+      user: req.user?.username,
+      timestamp: new Date().toISOString()
+    });
+
+    if (!query && (!files || files.length === 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Query or files are required'
+      });
+    }
+
+    try {
+      let guidance;
+      let provider = 'fallback';
+      let responseTime = 0;
+      let model = '';
+      let speed = '';
+
+      console.log(`🔍 Available AI Providers: ${aiProviders.length}`);
+
+      // Try AI providers with smart fallback or specific provider
+      if (aiProviders.length > 0) {
+        try {
+          if (preferredProvider && preferredProvider !== 'auto') {
+            console.log(`🎯 User selected specific provider: ${preferredProvider}`);
+            const selectedProvider = aiProviders.find(p => p.type === preferredProvider);
+            if (selectedProvider) {
+              console.log(`🚀 Attempting ${selectedProvider.name} specifically...`);
+              try {
+                const startTime = Date.now();
+                const result = await selectedProvider.client.createChatCompletion({
+                  messages: [
+                    {
+                      role: "system",
+                      content: enhancedSystemPrompt
+                    },
+                    // Include full conversation history
+                    ...fullConversationHistory,
+                    {
+                      role: "user",
+                      content: query || "Please analyze the attached files."
+                    }
+                  ],
+                  files: files || [],
+                  conversationHistory: fullConversationHistory,
+                  max_tokens: 4096,
+                  temperature: 0.7,
+                  stream: false
+                });
+
+                const endTime = Date.now();
+                const responseTime = endTime - startTime;
+
+                if (result.choices && result.choices[0] && result.choices[0].message) {
+                  guidance = result.choices[0].message.content;
+                  provider = selectedProvider.name;
+                  model = selectedProvider.model;
+                  speed = selectedProvider.speed;
+                  responseTime = responseTime;
+                  console.log(`✅ ${provider} (selected) response successful in ${responseTime}ms`);
+                }
+              } catch (providerError) {
+                console.log(`❌ Selected provider ${selectedProvider.name} failed: ${providerError.message}`);
+
+                // Provide specific error message but still try fallback for better user experience
+                console.log('🔄 Falling back to automatic selection due to provider failure...');
+                guidance = null; // This will trigger the fallback below
+              }
+            }
+          }
+
+          // If no specific provider selected or it failed, use smart fallback
+          if (!guidance) {
+            try {
+              console.log('🚀 Attempting Multi-AI call with smart fallback...');
+
+              const completion = await callAIWithFallback({
+                messages: [
+                  {
+                    role: "system",
+                    content: enhancedSystemPrompt
+                  },
+                  // Include full conversation history
+                  ...fullConversationHistory,
+                  {
+                    role: "user",
+                    content: query || "Please analyze the attached files."
+                  }
+                ],
+                files: files || [],
+                conversationHistory: fullConversationHistory,
+                max_tokens: 4096,
+                temperature: 0.7,
+                stream: false
+              });
+
+              if (completion.choices && completion.choices[0] && completion.choices[0].message) {
+                guidance = completion.choices[0].message.content;
+                provider = completion.provider;
+                model = completion.model;
+                speed = completion.speed;
+                responseTime = completion.responseTime;
+                console.log(`✅ ${provider} response successful in ${responseTime}ms (with ${files ? files.length : 0} files)`);
+              }
+            } catch (aiError) {
+              console.error('❌ All AI providers failed:', aiError.message);
+            }
+          }
+        } catch (error) {
+          console.error('❌ AI provider system error:', error.message);
+        }
+      }
+
+      // Use fallback if all AI providers failed or not available
+      if (!guidance) {
+        console.log('🔄 Using enhanced fallback guidance');
+        const startTime = Date.now();
+        guidance = generateEnhancedFallbackGuidance(query);
+        responseTime = Date.now() - startTime;
+        provider = 'fallback';
+        model = 'local-fallback';
+        speed = 'Instant';
+      }
+
+      console.log(`📊 AI Response Summary:`);
+      console.log(`   Provider: ${provider}`);
+      console.log(`   Model: ${model}`);
+      console.log(`   Response Length: ${guidance.length} characters`);
+      console.log(`   Response Time: ${responseTime}ms`);
+      console.log(`   Problem Complexity: ${problemComplexity}`);
+      console.log(`   Detected Subject: ${detectedSubject}`);
+      console.log(`🔍 Response Preview: ${guidance.substring(0, 200)}...`);
+
+      const responseData = {
+        success: true,
+        guidance: guidance,
+        response: guidance, // Add for compatibility
+        provider: provider,
+        model: model,
+        speed: speed,
+        responseTime: responseTime,
+        query: query,
+        problemComplexity: problemComplexity,
+        detectedSubject: detectedSubject,
+        enhancedMode: true,
+        conversationLength: fullConversationHistory.length,
+        availableProviders: aiProviders.map(p => ({
+          name: p.name,
+          model: p.model,
+          speed: p.speed,
+          priority: p.priority
+        }))
+      };
+
+      console.log(`📤 Sending response:`, {
+        success: responseData.success,
+        guidanceLength: responseData.guidance?.length,
+        provider: responseData.provider,
+        model: responseData.model
+      });
+
+      res.json(responseData);
+
+    } catch (error) {
+      console.error('💥 AI guidance endpoint error:', error);
+      const fallbackGuidance = generateEnhancedFallbackGuidance(query);
+
+      res.json({
+        success: true,
+        guidance: fallbackGuidance,
+        provider: 'fallback-error',
+        model: 'local-fallback',
+        speed: 'Instant',
+        responseTime: 0,
+        query: query,
+        error: error.message
+      });
+    }
+  });
+
+  // Enhanced fallback guidance with JEE/NEET level problem-solving
+  function generateEnhancedFallbackGuidance(query) {
+    const lowerQuery = query.toLowerCase();
+
+    let topicGuidance = '';
+    let specificTips = '';
+    let advancedStrategies = '';
+
+    if (lowerQuery.includes('physics') || lowerQuery.includes('mechanic') || lowerQuery.includes('electr')) {
+      topicGuidance = 'Advanced Physics';
+      specificTips = `
+        <h4>🔬 JEE Advanced Physics Mastery:</h4>
+        <ul>
+          <li><strong>Mechanics:</strong> Lagrangian mechanics, complex oscillations, collision dynamics</li>
+          <li><strong>Electromagnetism:</strong> Maxwell's equations, electromagnetic waves, advanced circuits</li>
+          <li><strong>Modern Physics:</strong> Quantum mechanics basics, nuclear reactions, particle physics</li>
+          <li><strong>Thermodynamics:</strong> Statistical mechanics, entropy calculations, heat engines</li>
+        </ul>
+        <p><strong>Problem-Solving Approach:</strong> Always draw free body diagrams, identify conservation laws, use dimensional analysis</p>
+      `;
+      advancedStrategies = `
+        <div class="advanced-strategies">
+          <h5>🎯 Advanced Problem-Solving Techniques:</h5>
+          <ul>
+            <li><strong>Multi-Concept Integration:</strong> Combine mechanics with electromagnetism</li>
+            <li><strong>Approximation Methods:</strong> Use small angle approximations, Taylor expansions</li>
+            <li><strong>Graphical Analysis:</strong> Interpret v-t, a-t graphs for complex motion</li>
+            <li><strong>Energy Methods:</strong> Use energy conservation for complex systems</li>
+          </ul>
+        </div>
+      `;
+    } else if (lowerQuery.includes('chemistry') || lowerQuery.includes('organic') || lowerQuery.includes('inorganic')) {
+      topicGuidance = 'Advanced Chemistry';
+      specificTips = `
+        <h4>🧪 JEE/NEET Advanced Chemistry:</h4>
+        <ul>
+          <li><strong>Organic Mechanisms:</strong> Arrow pushing, stereochemistry, pericyclic reactions</li>
+          <li><strong>Inorganic Complexes:</strong> Crystal field theory, coordination isomerism</li>
+          <li><strong>Physical Chemistry:</strong> Quantum chemistry, statistical thermodynamics</li>
+          <li><strong>Analytical Chemistry:</strong> Spectroscopy (IR, NMR, Mass spec), chromatography</li>
+        </ul>
+        <p><strong>Advanced Strategy:</strong> Master reaction mechanisms, not just products. Understand WHY reactions occur.</p>
+      `;
+      advancedStrategies = `
+        <div class="advanced-strategies">
+          <h5>🎯 Chemistry Problem-Solving Excellence:</h5>
+          <ul>
+            <li><strong>Mechanism Mastery:</strong> Draw complete electron movement for organic reactions</li>
+            <li><strong>Thermodynamic Analysis:</strong> Use ΔG, ΔH, ΔS to predict reaction feasibility</li>
+            <li><strong>Kinetic Studies:</strong> Analyze rate laws, activation energies, catalysis</li>
+            <li><strong>Structure-Property Relations:</strong> Connect molecular structure to chemical behavior</li>
+          </ul>
+        </div>
+      `;
+    } else if (lowerQuery.includes('math') || lowerQuery.includes('calculus') || lowerQuery.includes('algebra')) {
+      topicGuidance = 'Advanced Mathematics';
+      specificTips = `
+        <h4>➗ JEE Advanced Mathematics:</h4>
+        <ul>
+          <li><strong>Calculus:</strong> Advanced integration (substitution, parts, partial fractions), differential equations</li>
+          <li><strong>Algebra:</strong> Complex analysis, matrix theory, advanced probability</li>
+          <li><strong>Geometry:</strong> 3D coordinate geometry, vector methods, conic sections</li>
+          <li><strong>Number Theory:</strong> Modular arithmetic, Diophantine equations</li>
+        </ul>
+        <p><strong>Strategy:</strong> Focus on conceptual understanding, not just formula memorization</p>
+      `;
+      advancedStrategies = `
+        <div class="advanced-strategies">
+          <h5>🎯 Mathematical Problem-Solving Mastery:</h5>
+          <ul>
+            <li><strong>Multiple Approaches:</strong> Solve problems using different methods (algebraic, geometric, calculus)</li>
+            <li><strong>Pattern Recognition:</strong> Identify underlying mathematical structures</li>
+            <li><strong>Proof Techniques:</strong> Master direct proof, contradiction, induction</li>
+            <li><strong>Optimization:</strong> Use calculus for maximum/minimum problems</li>
+          </ul>
+        </div>
+      `;
+    } else if (lowerQuery.includes('biology') || lowerQuery.includes('botany') || lowerQuery.includes('zoology')) {
+      topicGuidance = 'Advanced Biology';
+      specificTips = `
+        <h4>🌱 NEET Advanced Biology:</h4>
+        <ul>
+          <li><strong>Molecular Biology:</strong> DNA replication, transcription, translation mechanisms</li>
+          <li><strong>Advanced Physiology:</strong> Hormonal cascades, neural networks, immune responses</li>
+          <li><strong>Ecology & Evolution:</strong> Population genetics, speciation, ecosystem dynamics</li>
+          <li><strong>Biotechnology:</strong> Genetic engineering, PCR, cloning techniques</li>
+        </ul>
+        <p><strong>NEET Strategy:</strong> Master NCERT diagrams, understand processes at molecular level</p>
+      `;
+      advancedStrategies = `
+        <div class="advanced-strategies">
+          <h5>🎯 Biology Excellence Techniques:</h5>
+          <ul>
+            <li><strong>Process Integration:</strong> Connect molecular events to physiological outcomes</li>
+            <li><strong>Comparative Analysis:</strong> Compare similar processes across different organisms</li>
+            <li><strong>Experimental Design:</strong> Understand how biological discoveries were made</li>
+            <li><strong>Clinical Connections:</strong> Relate basic biology to medical applications</li>
+          </ul>
+        </div>
+      `;
+    } else {
+      topicGuidance = 'Elite Preparation Strategy';
+      specificTips = `
+        <h4>🎯 Top Ranker Preparation Strategy:</h4>
+        <ul>
+          <li><strong>Conceptual Mastery:</strong> Build deep understanding, not surface knowledge</li>
+          <li><strong>Problem Patterns:</strong> Identify and master recurring problem types</li>
+          <li><strong>Time Management:</strong> Develop speed with accuracy through practice</li>
+          <li><strong>Error Analysis:</strong> Maintain error log, understand mistake patterns</li>
+        </ul>
+      `;
+      advancedStrategies = `
+        <div class="advanced-strategies">
+          <h5>🏆 Elite Performance Strategies:</h5>
+          <ul>
+            <li><strong>Multi-Subject Integration:</strong> Solve problems requiring knowledge from multiple subjects</li>
+            <li><strong>Advanced Problem Sets:</strong> Practice with Olympiad-level questions</li>
+            <li><strong>Conceptual Connections:</strong> Build mental maps linking different topics</li>
+            <li><strong>Teaching Others:</strong> Explain concepts to solidify understanding</li>
+          </ul>
+        </div>
+      `;
+    }
+
+    return `
+      <div class="guidance-result">
+        <div class="guidance-header">
+          <i class="fas fa-brain"></i>
+          <h3>Elite AI Tutor - ${topicGuidance}</h3>
+          <span class="provider-badge">Advanced Problem-Solving Mode</span>
+        </div>
+        
+        <div class="guidance-content">
+          <div class="query-preview" style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 1.5rem; border-radius: 12px; margin-bottom: 1.5rem;">
+            <strong>🎯 Your Challenge:</strong> "${query}"
+            <div style="margin-top: 0.5rem; font-size: 0.9rem; opacity: 0.9;">
+              <i class="fas fa-lightbulb"></i> Analyzing with JEE Advanced/NEET level expertise...
+            </div>
+          </div>
+          
+          ${specificTips}
+          
+          ${advancedStrategies}
+          
+          <div class="elite-study-plan">
+            <h4>🏆 Elite 30-Day Mastery Plan</h4>
+            <div class="plan-grid" style="display: grid; grid-template-columns: repeat(auto-fit, minmax(280px, 1fr)); gap: 1.5rem; margin: 1.5rem 0;">
+              <div class="plan-item" style="display: flex; align-items: center; gap: 1rem; padding: 1.5rem; background: linear-gradient(135deg, #f093fb 0%, #f5576c 100%); color: white; border-radius: 12px; box-shadow: 0 4px 15px rgba(240, 147, 251, 0.3);">
+                <div class="plan-icon" style="font-size: 2rem;">🎯</div>
+                <div class="plan-text">
+                  <strong>Intensive Practice</strong>
+                  <p>100+ JEE Advanced level problems daily</p>
+                  <small>Focus on multi-concept integration</small>
+                </div>
+              </div>
+              <div class="plan-item" style="display: flex; align-items: center; gap: 1rem; padding: 1.5rem; background: linear-gradient(135deg, #4facfe 0%, #00f2fe 100%); color: white; border-radius: 12px; box-shadow: 0 4px 15px rgba(79, 172, 254, 0.3);">
+                <div class="plan-icon" style="font-size: 2rem;">🧠</div>
+                <div class="plan-text">
+                  <strong>Conceptual Mastery</strong>
+                  <p>Deep dive into fundamental principles</p>
+                  <small>Build intuitive understanding</small>
+                </div>
+              </div>
+              <div class="plan-item" style="display: flex; align-items: center; gap: 1rem; padding: 1.5rem; background: linear-gradient(135deg, #43e97b 0%, #38f9d7 100%); color: white; border-radius: 12px; box-shadow: 0 4px 15px rgba(67, 233, 123, 0.3);">
+                <div class="plan-icon" style="font-size: 2rem;">⚡</div>
+                <div class="plan-text">
+                  <strong>Speed Building</strong>
+                  <p>Timed practice with accuracy focus</p>
+                  <small>Develop exam-level speed</small>
+                </div>
+              </div>
+              <div class="plan-item" style="display: flex; align-items: center; gap: 1rem; padding: 1.5rem; background: linear-gradient(135deg, #fa709a 0%, #fee140 100%); color: white; border-radius: 12px; box-shadow: 0 4px 15px rgba(250, 112, 154, 0.3);">
+                <div class="plan-icon" style="font-size: 2rem;">📈</div>
+                <div class="plan-text">
+                  <strong>Performance Analysis</strong>
+                  <p>Daily mock tests with detailed review</p>
+                  <small>Track improvement metrics</small>
+                </div>
+              </div>
+            </div>
+          </div>
+          
+          <div class="problem-solving-framework" style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 2rem; border-radius: 16px; margin: 2rem 0;">
+            <h4 style="margin-bottom: 1rem;"><i class="fas fa-cogs"></i> Elite Problem-Solving Framework</h4>
+            <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 1rem;">
+              <div style="text-align: center; padding: 1rem;">
+                <div style="font-size: 2rem; margin-bottom: 0.5rem;">🔍</div>
+                <strong>ANALYZE</strong>
+                <p style="font-size: 0.9rem; margin-top: 0.5rem;">Break down complex problems into manageable parts</p>
+              </div>
+              <div style="text-align: center; padding: 1rem;">
+                <div style="font-size: 2rem; margin-bottom: 0.5rem;">🎯</div>
+                <strong>STRATEGIZE</strong>
+                <p style="font-size: 0.9rem; margin-top: 0.5rem;">Choose optimal solution approach</p>
+              </div>
+              <div style="text-align: center; padding: 1rem;">
+                <div style="font-size: 2rem; margin-bottom: 0.5rem;">⚡</div>
+                <strong>EXECUTE</strong>
                 <p style="font-size: 0.9rem; margin-top: 0.5rem;">Implement with precision and speed</p>
               </div>
               <div style="text-align: center; padding: 1rem;">
@@ -2129,857 +4661,4510 @@ CONVERSATION CONTEXT: Maintain continuity and build upon previous discussions to
 
 
 
-  // Test AI providers endpoint
-  app.post('/api/test-ai-providers', async (req, res) => {
-    const results = {};
-    
-    for (const provider of aiProviders) {
-      try {
-        console.log(`🧪 Testing ${provider.name}...`);
-        const startTime = Date.now();
-        
-        const testResult = await provider.client.createChatCompletion({
-          messages: [
-            { role: 'system', content: 'You are a helpful assistant.' },
-            { role: 'user', content: 'Say "Hello, I am working!" in exactly those words.' }
-          ],
-          max_tokens: 20,
-          temperature: 0.1
+  // Test AI providers endpoint
+  app.post('/api/test-ai-providers', authenticate, requirePermission('ai:manage'), async (req, res) => {
+    const results = {};
+    
+    for (const provider of aiProviders) {
+      try {
+        console.log(`🧪 Testing ${provider.name}...`);
+        const startTime = Date.now();
+        
+        const testResult = await provider.client.createChatCompletion({
+          messages: [
+            { role: 'system', content: 'You are a helpful assistant.' },
+            { role: 'user', content: 'Say "Hello, I am working!" in exactly those words.' }
+          ],
+          max_tokens: 20,
+          temperature: 0.1
+        });
+        
+        const responseTime = Date.now() - startTime;
+        
+        if (testResult.choices && testResult.choices[0] && testResult.choices[0].message) {
+          results[provider.name] = {
+            success: true,
+            response: testResult.choices[0].message.content,
+            responseTime: responseTime,
+            model: provider.model
+          };
+          console.log(`✅ ${provider.name} test successful`);
+        } else {
+          results[provider.name] = {
+            success: false,
+            error: 'Invalid response format',
+            responseTime: responseTime
+          };
+        }
+      } catch (error) {
+        console.log(`❌ ${provider.name} test failed:`, error.message);
+        results[provider.name] = {
+          success: false,
+          error: error.message
+        };
+      }
+    }
+    
+    res.json({
+      success: true,
+      results: results,
+      totalProviders: aiProviders.length
+    });
+  });
+
+  // API status endpoint with rate limit info
+  app.get('/api/ai-status', (req, res) => {
+    const now = Date.now();
+    
+    // Calculate key rotation status
+    const keyStatus = geminiApiKeys.map((key, index) => {
+      const tracking = keyUsageTracking[index];
+      const timeSinceReset = now - tracking.lastReset;
+      const secondsUntilReset = Math.max(0, Math.ceil((60000 - timeSinceReset) / 1000));
+      
+      return {
+        key_number: index + 1,
+        requests_used: tracking.requestCount,
+        requests_limit: 15,
+        requests_remaining: Math.max(0, 15 - tracking.requestCount),
+        is_blocked: tracking.isBlocked && now < tracking.blockUntil,
+        resets_in_seconds: secondsUntilReset,
+        key_preview: `${key.substring(0, 10)}...${key.substring(key.length - 4)}`
+      };
+    });
+    
+    res.json({
+      ai_configured: aiProviders.length > 0,
+      total_providers: aiProviders.length,
+      providers: aiProviders.map(p => ({
+        name: p.name,
+        model: p.model,
+        speed: p.speed,
+        priority: p.priority
+      })),
+      cohere_configured: !!process.env.COHERE_API_KEY,
+      gemini_configured: geminiApiKeys.length > 0,
+      groq_configured: !!process.env.GROQ_API_KEY,
+      gemini_key_rotation: {
+        total_keys: geminiApiKeys.length,
+        current_key_index: currentKeyIndex + 1,
+        keys: keyStatus,
+        rotation_enabled: geminiApiKeys.length > 1,
+        combined_capacity: `${geminiApiKeys.length * 15} requests per minute`,
+        free_tier_limits_per_key: {
+          rpm: '15 requests per minute',
+          rpd: '1,500 requests per day',
+          tpm: '1 million tokens per minute'
+        }
+      },
+      server_time: new Date().toISOString(),
+      fallback_mode: aiProviders.length === 0
+    });
+  });
+
+  // Admin sudo - re-enter your own password (and a 2FA code if enabled) to unlock destructive
+  // admin operations. Wrong guesses count toward the same throttle and lockout as logins.
+  app.post('/api/admin/sudo', authenticate, requireRole('admin'), async (req, res) => {
+    try {
+      const { password, code } = req.body;
+      const user = req.user;
+
+      if (user.lockUntil && user.lockUntil > new Date()) {
+        const retryAfter = Math.ceil((user.lockUntil - Date.now()) / 1000);
+        await recordLoginFailure(req, user.username, 'account_locked', user);
+        res.setHeader('Retry-After', retryAfter);
+        return res.status(423).json({
+          success: false,
+          error: `Too many failed attempts. This account is locked for ${Math.ceil(retryAfter / 60)} more minute(s).`,
+          code: 'ACCOUNT_LOCKED',
+          retryAfter
+        });
+      }
+
+      const retryAfter = getLoginRetryAfter(req.ip, user);
+      if (retryAfter > 0) {
+        res.setHeader('Retry-After', retryAfter);
+        return res.status(429).json({
+          success: false,
+          error: `Too many attempts. Please wait ${retryAfter} second(s) and try again.`,
+          code: 'LOGIN_THROTTLED',
+          retryAfter
+        });
+      }
+
+      if (typeof password !== 'string' || !password || !(await user.comparePassword(password))) {
+        await recordLoginFailure(req, user.username, 'invalid_password', user);
+        await recordAuditEvent({ entity: 'User', entityId: user._id, action: 'admin.sudo-failed' });
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid password'
+        });
+      }
+
+      if (user.twoFactorEnabled) {
+        if (typeof code !== 'string' || !code.trim()) {
+          return res.status(401).json({
+            success: false,
+            error: 'Enter the code from your authenticator app',
+            code: 'TWO_FACTOR_REQUIRED'
+          });
+        }
+        if (!(user.verifyTotp(code) || await user.useBackupCode(code))) {
+          await recordLoginFailure(req, user.username, 'invalid_2fa', user);
+          await recordAuditEvent({ entity: 'User', entityId: user._id, action: 'admin.sudo-failed' });
+          return res.status(401).json({
+            success: false,
+            error: 'Invalid verification code',
+            code: 'TWO_FACTOR_REQUIRED'
+          });
+        }
+      }
+
+      // Also keeps the used TOTP step or backup code from being replayed
+      if (user.twoFactorEnabled || user.failedLoginAttempts > 0) {
+        user.failedLoginAttempts = 0;
+        await user.save();
+      }
+
+      req.authSession.sudoUntil = new Date(Date.now() + SUDO_TTL_MINUTES * 60 * 1000);
+      await req.authSession.save();
+      await recordAuditEvent({ entity: 'User', entityId: req.user._id, action: 'admin.sudo' });
+
+      res.json({
+        success: true,
+        message: 'Admin access granted',
+        sudoExpiresAt: req.authSession.sudoUntil
+      });
+    } catch (error) {
+      console.error('❌ Error verifying admin password:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error verifying password'
+      });
+    }
+  });
+
+  // Test API keys endpoint
+  app.post('/api/test-ai-keys', authenticate, requirePermission('ai:manage'), async (req, res) => {
+    const { groqKey, cohereKey } = req.body;
+    const results = {};
+
+    // Test Groq
+    if (groqKey) {
+      try {
+        const response = await fetch('https://api.groq.com/openai/v1/chat/completions', {
+          method: 'POST',
+          headers: {
+            'Authorization': `Bearer ${groqKey}`,
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({
+            model: 'llama-3.1-8b-instant',
+            messages: [{ role: 'user', content: 'Hi' }],
+            max_tokens: 10,
+            temperature: 0.1
+          })
+        });
+
+        if (response.ok) {
+          const data = await response.json();
+          results.groq = { success: true, message: 'Groq API key is valid and working!' };
+        } else {
+          const errorText = await response.text();
+          throw new Error(`HTTP ${response.status}: ${errorText}`);
+        }
+      } catch (error) {
+        results.groq = { success: false, error: error.message };
+      }
+    }
+
+    // Test Cohere
+    if (cohereKey) {
+      try {
+        const response = await fetch('https://api.cohere.ai/v1/chat', {
+          method: 'POST',
+          headers: {
+            'Authorization': `Bearer ${cohereKey}`,
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({
+            model: 'command-r-08-2024',
+            message: 'Test connection',
+            max_tokens: 10,
+            temperature: 0.1
+          })
+        });
+
+        if (response.ok) {
+          results.cohere = { success: true, message: 'Cohere API key is valid and working!' };
+        } else {
+          const errorText = await response.text();
+          throw new Error(`HTTP ${response.status}: ${errorText}`);
+        }
+      } catch (error) {
+        results.cohere = { success: false, error: error.message };
+      }
+    }
+
+    // Test with current environment keys if no keys provided
+    if (!groqKey && !cohereKey) {
+      // Test current Groq key
+      if (process.env.GROQ_API_KEY) {
+        try {
+          const response = await fetch('https://api.groq.com/openai/v1/chat/completions', {
+            method: 'POST',
+            headers: {
+              'Authorization': `Bearer ${process.env.GROQ_API_KEY}`,
+              'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+              model: 'llama-3.1-8b-instant',
+              messages: [{ role: 'user', content: 'Test' }],
+              max_tokens: 5,
+              temperature: 0.1
+            })
+          });
+
+          if (response.ok) {
+            results.groq = { success: true, message: 'Current Groq API key is working!' };
+          } else {
+            const errorText = await response.text();
+            results.groq = { success: false, error: `Groq API Error: ${response.status} - ${errorText}` };
+          }
+        } catch (error) {
+          results.groq = { success: false, error: error.message };
+        }
+      }
+
+      // Test current Cohere key
+      if (process.env.COHERE_API_KEY) {
+        try {
+          const response = await fetch('https://api.cohere.ai/v1/chat', {
+            method: 'POST',
+            headers: {
+              'Authorization': `Bearer ${process.env.COHERE_API_KEY}`,
+              'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+              model: 'command-r-08-2024',
+              message: 'Test',
+              max_tokens: 5,
+              temperature: 0.1
+            })
+          });
+
+          if (response.ok) {
+            results.cohere = { success: true, message: 'Current Cohere API key is working!' };
+          } else {
+            const errorText = await response.text();
+            results.cohere = { success: false, error: `Cohere API Error: ${response.status} - ${errorText}` };
+          }
+        } catch (error) {
+          results.cohere = { success: false, error: error.message };
+        }
+      }
+
+      // Test current Gemini key
+      if (process.env.GEMINI_API_KEY) {
+        try {
+          const response = await fetch(`https://generativelanguage.googleapis.com/v1/models/gemini-2.0-flash:generateContent?key=${process.env.GEMINI_API_KEY}`, {
+            method: 'POST',
+            headers: {
+              'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+              contents: [{
+                parts: [{
+                  text: 'Test'
+                }]
+              }],
+              generationConfig: {
+                maxOutputTokens: 5
+              }
+            })
+          });
+
+          if (response.ok) {
+            results.gemini = { success: true, message: 'Current Gemini API key is working!' };
+          } else {
+            const errorText = await response.text();
+            results.gemini = { success: false, error: `Gemini API Error: ${response.status} - ${errorText}` };
+          }
+        } catch (error) {
+          results.gemini = { success: false, error: error.message };
+        }
+      }
+    }
+
+
+
+    res.json(results);
+  });
+
+
+
+  // ========================================
+  // QUESTION TYPES
+  // ========================================
+
+  const QUESTION_TYPES = ['mcq', 'multiple', 'numeric', 'matrix', 'assertion-reason'];
+
+  // Standard assertion-reason choices, used when a question does not supply its own
+  const ASSERTION_REASON_OPTIONS = [
+    'Both A and R are true and R is the correct explanation of A',
+    'Both A and R are true but R is NOT the correct explanation of A',
+    'A is true but R is false',
+    'A is false but R is true'
+  ];
+  const ASSERTION_REASON_TEXT = 'Given below are two statements: Assertion (A) and Reason (R). Choose the correct option.';
+
+  // Floating point slack when comparing numeric answers
+  const NUMERIC_EPSILON = 1e-9;
+
+  function parseNumber(value) {
+    if (value === undefined || value === null || String(value).trim() === '') return undefined;
+    const number = Number(String(value).trim());
+    return Number.isFinite(number) ? number : NaN;
+  }
+
+  // Option letters from an answer such as "A,C", "a c" or ["A", "C"] - uppercased, unique, sorted
+  function parseOptionLetters(value) {
+    const parts = Array.isArray(value) ? value : String(value ?? '').split(/[\s,;|]+/);
+    return [...new Set(parts.map(part => String(part).trim().toUpperCase()).filter(Boolean))].sort();
+  }
+
+  // Readable answer for a numeric key - stored in Question.answer for answer keys and results
+  function formatNumericAnswer({ mode, value, tolerance, min, max, unit }) {
+    const unitSuffix = unit ? ` ${unit}` : '';
+    if (mode === 'range') return `${min} to ${max}${unitSuffix}`;
+    if (mode === 'tolerance' && tolerance > 0) return `${value} ± ${tolerance}${unitSuffix}`;
+    return `${value}${unitSuffix}`;
+  }
+
+  function isNumericAnswerCorrect(spec, submitted) {
+    const given = parseNumber(submitted);
+    if (!spec || given === undefined || Number.isNaN(given)) return false;
+
+    if (spec.mode === 'range') {
+      return given >= spec.min - NUMERIC_EPSILON && given <= spec.max + NUMERIC_EPSILON;
+    }
+    const tolerance = spec.mode === 'tolerance' ? (spec.tolerance || 0) : 0;
+    return Math.abs(given - spec.value) <= tolerance + NUMERIC_EPSILON;
+  }
+
+  // Validate the type-specific part of a question (as sent to POST/PUT /api/questions or
+  // bulk-add) and return the fields to store: { fields } or { error }
+  function normalizeQuestionAnswer(question) {
+    const questionType = question.questionType || 'mcq';
+    if (!QUESTION_TYPES.includes(questionType)) {
+      return { error: `Unknown question type "${questionType}"` };
+    }
+
+    if (question.passageId !== undefined && question.passageId !== null && question.passageId !== '' &&
+      !mongoose.Types.ObjectId.isValid(question.passageId)) {
+      return { error: 'Invalid passage ID' };
+    }
+
+    if (questionType === 'numeric') {
+      const spec = question.numericAnswer || {};
+      const numericAnswer = {
+        mode: spec.mode || (spec.min !== undefined || spec.max !== undefined ? 'range' : spec.tolerance ? 'tolerance' : 'exact'),
+        value: parseNumber(spec.value ?? question.answer),
+        tolerance: parseNumber(spec.tolerance),
+        min: parseNumber(spec.min),
+        max: parseNumber(spec.max),
+        unit: spec.unit ? String(spec.unit).trim() : undefined
+      };
+
+      if (numericAnswer.mode === 'range') {
+        if (!Number.isFinite(numericAnswer.min) || !Number.isFinite(numericAnswer.max) || numericAnswer.min > numericAnswer.max) {
+          return { error: 'A numeric range answer needs a minimum that is not above the maximum' };
+        }
+        numericAnswer.value = undefined;
+        numericAnswer.tolerance = undefined;
+      } else if (['exact', 'tolerance'].includes(numericAnswer.mode)) {
+        if (!Number.isFinite(numericAnswer.value)) {
+          return { error: 'A numeric question needs a numeric answer value' };
+        }
+        if (numericAnswer.mode === 'tolerance' && !(numericAnswer.tolerance >= 0)) {
+          return { error: 'A numeric tolerance must be zero or more' };
+        }
+        if (numericAnswer.mode === 'exact') numericAnswer.tolerance = undefined;
+        numericAnswer.min = undefined;
+        numericAnswer.max = undefined;
+      } else {
+        return { error: `Unknown numeric answer mode "${numericAnswer.mode}"` };
+      }
+
+      return {
+        fields: { questionType, options: [], numericAnswer, answer: formatNumericAnswer(numericAnswer) }
+      };
+    }
+
+    if (questionType === 'multiple') {
+      const options = Array.isArray(question.options) ? question.options : [];
+      const validLetters = options.map((option, index) => String.fromCharCode(65 + index));
+      const correctOptions = parseOptionLetters(question.correctOptions ?? question.answer);
+
+      if (options.length < 2) {
+        return { error: 'A multiple-correct question needs at least two options' };
+      }
+      if (correctOptions.length === 0 || correctOptions.some(letter => !validLetters.includes(letter))) {
+        return { error: `Correct options must be one or more of ${validLetters.join(', ')}` };
+      }
+
+      return {
+        fields: { questionType, options, correctOptions, answer: correctOptions.join(',') }
+      };
+    }
+
+    if (question.answer === undefined || question.answer === null || String(question.answer).trim() === '') {
+      return { error: 'An answer is required' };
+    }
+
+    if (questionType === 'matrix' || questionType === 'assertion-reason') {
+      return normalizeStructuredQuestion(question, questionType);
+    }
+
+    return {
+      fields: { questionType, answer: question.answer, ...(Array.isArray(question.options) && { options: question.options }) }
+    };
+  }
+
+  // Matrix-match and assertion-reason questions are answered like MCQs (one option
+  // letter) but carry their columns / statements as separate fields
+  function normalizeStructuredQuestion(question, questionType) {
+    const answer = String(question.answer).trim().toUpperCase();
+    const fields = { questionType, answer };
+
+    if (questionType === 'matrix') {
+      const columns = question.matchColumns || {};
+      const left = (Array.isArray(columns.left) ? columns.left : []).map(String).filter(entry => entry.trim());
+      const right = (Array.isArray(columns.right) ? columns.right : []).map(String).filter(entry => entry.trim());
+      if (left.length < 2 || right.length < 2) {
+        return { error: 'A matrix-match question needs at least two entries in each column' };
+      }
+      fields.matchColumns = { left, right };
+      fields.options = Array.isArray(question.options) ? question.options : [];
+    } else {
+      if (!question.assertion || !String(question.assertion).trim() || !question.reason || !String(question.reason).trim()) {
+        return { error: 'An assertion-reason question needs both an assertion and a reason' };
+      }
+      fields.assertion = String(question.assertion).trim();
+      fields.reason = String(question.reason).trim();
+      fields.options = Array.isArray(question.options) && question.options.length > 0 ? question.options : ASSERTION_REASON_OPTIONS;
+      if (!question.text || !String(question.text).trim()) fields.text = ASSERTION_REASON_TEXT;
+    }
+
+    const validLetters = fields.options.map((option, index) => String.fromCharCode(65 + index));
+    if (fields.options.length < 2) {
+      return { error: `A ${questionType} question needs at least two options` };
+    }
+    if (!validLetters.includes(answer)) {
+      return { error: `The answer must be one of ${validLetters.join(', ')}` };
+    }
+
+    return { fields };
+  }
+
+  // IDs among `passageIds` that do not match a passage visible to this institution
+  async function findMissingPassages(passageIds) {
+    const ids = [...new Set(passageIds.filter(Boolean).map(String))];
+    if (ids.length === 0) return [];
+
+    const found = await Passage.find({ _id: { $in: ids } }).select('_id');
+    const foundIds = new Set(found.map(passage => passage._id.toString()));
+    return ids.filter(id => !foundIds.has(id));
+  }
+
+  // ========================================
+  // QUESTION BANK LISTING
+  // ========================================
+
+  // Questions that may be used to build tests (no status: from before the review workflow)
+  const PUBLISHED_QUESTION_FILTER = { status: { $in: ['published', null] } };
+
+  // Status a new question starts in. Authors can save a draft or send it straight to
+  // review; only users who can approve any question may publish (or retire) directly and
+  // their imports are published by default.
+  function initialQuestionStatus(user, requested) {
+    const canPublish = hasPermission(user, 'questions:review-any');
+    if (requested === 'draft' || requested === 'in-review') return requested;
+    if (canPublish && (requested === 'published' || requested === 'retired')) return requested;
+    return canPublish ? 'published' : 'draft';
+  }
+
+  const QUESTION_PAGE_MAX = 200;
+  const QUESTION_SORT_FIELDS = ['createdAt', 'lastModified', 'chapter', 'difficulty'];
+
+  // Opaque keyset cursor: the last row's sort value and _id
+  function encodeQuestionCursor(question, sortField) {
+    const value = question[sortField];
+    return Buffer.from(JSON.stringify({
+      v: value instanceof Date ? value.toISOString() : value,
+      d: value instanceof Date,
+      id: question._id.toString()
+    })).toString('base64url');
+  }
+
+  function decodeQuestionCursor(cursor) {
+    try {
+      const { v, d, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+      if (!mongoose.Types.ObjectId.isValid(id)) return null;
+      return { value: d ? new Date(v) : v, id: new mongoose.Types.ObjectId(id) };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Mongo filter from the list's query string - published questions only. Returns { query } or { error }.
+  function questionListQuery(params) {
+    const { examType, subject, difficulty, chapter, class: classLevel, language, questionType, tag, createdBy, createdFrom, createdTo, hasSolution, hasMedia, q } = params;
+
+    const query = { ...PUBLISHED_QUESTION_FILTER };
+
+    // CRITICAL: Always filter by examType to prevent mixing JEE/NEET questions
+    if (examType) query.examType = examType;
+    if (subject) query.subject = subject;
+    if (difficulty) query.difficulty = difficulty;
+    if (chapter) query.chapter = chapter;
+    if (classLevel) query.class = classLevel;
+
+    // Language filter - if not specified, show all questions (backward compatibility)
+    if (language) query.language = language;
+
+    if (questionType) {
+      // Older questions have no questionType and are MCQs
+      query.questionType = questionType === 'mcq' ? { $in: ['mcq', null] } : questionType;
+    }
+    if (tag) query.tags = { $in: String(tag).split(',').map(value => value.trim()).filter(Boolean) };
+
+    if (createdBy) {
+      if (!mongoose.Types.ObjectId.isValid(createdBy)) return { error: 'createdBy must be a user ID' };
+      query.createdBy = createdBy;
+    }
+
+    if (createdFrom || createdTo) {
+      query.createdAt = {};
+      if (createdFrom) query.createdAt.$gte = new Date(createdFrom);
+      if (createdTo) query.createdAt.$lte = new Date(createdTo);
+      if (Object.values(query.createdAt).some(date => isNaN(date.getTime()))) {
+        return { error: 'createdFrom and createdTo must be dates' };
+      }
+    }
+
+    const conditions = [];
+    if (hasSolution === 'true') query.solution = { $nin: [null, ''] };
+    if (hasSolution === 'false') conditions.push({ $or: [{ solution: { $exists: false } }, { solution: { $in: [null, ''] } }] });
+    if (hasMedia === 'true') query['media.0'] = { $exists: true };
+    if (hasMedia === 'false') query['media.0'] = { $exists: false };
+    if (conditions.length > 0) query.$and = conditions;
+
+    if (q && String(q).trim()) query.$text = { $search: String(q).trim() };
+
+    return { query };
+  }
+
+  // List questions. Without limit/page/cursor every match is returned (older callers
+  // rely on that); with them the list is paged. Base64 media is left out unless
+  // includeMedia=true; answers and solutions only go to users who can edit questions.
+  //   Page:   ?page=2&limit=50            -> pagination { page, limit, total, totalPages, hasMore }
+  //   Cursor: ?limit=50[&cursor=...]      -> pagination { limit, nextCursor, hasMore }
+  //   Sort:   ?sort=createdAt|lastModified|chapter|difficulty&order=asc|desc
+  //           (a search with q= is ranked by relevance unless sort is given)
+  //   Filter: examType, subject, difficulty, chapter, class, language, questionType, tag
+  //           (comma-separated), createdBy, createdFrom, createdTo, hasSolution, hasMedia, q
+  app.get('/api/questions', authenticate, async (req, res) => {
+    try {
+      const { query, error } = questionListQuery(req.query);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error
+        });
+      }
+
+      const searching = Boolean(query.$text);
+      const sortField = QUESTION_SORT_FIELDS.includes(req.query.sort) ? req.query.sort : 'createdAt';
+      const direction = req.query.order === 'asc' ? 1 : -1;
+      const byRelevance = searching && !req.query.sort;
+
+      const paged = req.query.limit !== undefined || req.query.page !== undefined || req.query.cursor !== undefined;
+      const usePages = req.query.page !== undefined || (paged && byRelevance); // Relevance ranking has no cursor
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), QUESTION_PAGE_MAX);
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+      if (req.query.cursor !== undefined && (byRelevance || req.query.page !== undefined)) {
+        return res.status(400).json({
+          success: false,
+          error: 'cursor cannot be combined with page or relevance-ranked search - use page instead'
+        });
+      }
+
+      let listQuery = { ...query };
+      if (req.query.cursor) {
+        const cursor = decodeQuestionCursor(req.query.cursor);
+        if (!cursor) {
+          return res.status(400).json({
+            success: false,
+            error: 'Invalid cursor'
+          });
+        }
+        const past = direction === 1 ? '$gt' : '$lt';
+        listQuery.$and = [...(query.$and || []), {
+          $or: [
+            { [sortField]: { [past]: cursor.value } },
+            { [sortField]: cursor.value, _id: { [past]: cursor.id } }
+          ]
+        }];
+      }
+
+      const projection = req.query.includeMedia === 'true' ? {} : { media: 0 };
+      if (byRelevance) projection.score = { $meta: 'textScore' };
+      const sort = byRelevance ? { score: { $meta: 'textScore' }, _id: -1 } : { [sortField]: direction, _id: direction };
+
+      let find = Question.find(listQuery, projection).sort(sort);
+      if (!hasPermission(req.user, 'questions:write')) find = find.select(ATTEMPT_HIDDEN_FIELDS);
+      if (paged) {
+        find = find.limit(limit + 1);
+        if (usePages) find = find.skip((page - 1) * limit);
+      }
+
+      const rows = await find;
+      const hasMore = paged && rows.length > limit;
+      const questions = hasMore ? rows.slice(0, limit) : rows;
+
+      let pagination;
+      if (usePages) {
+        const total = await Question.countDocuments(query);
+        pagination = { page, limit, total, totalPages: Math.ceil(total / limit), hasMore };
+      } else if (paged) {
+        pagination = {
+          limit,
+          hasMore,
+          nextCursor: hasMore ? encodeQuestionCursor(questions[questions.length - 1], sortField) : null
+        };
+      }
+
+      console.log(`✅ Found ${questions.length} questions${paged ? ` (${usePages ? `page ${page}` : 'cursor'}, limit ${limit})` : ''} for`, query);
+
+      res.json({
+        success: true,
+        questions: questions,
+        count: questions.length,
+        pagination
+      });
+    } catch (error) {
+      console.error('Error fetching questions:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error fetching questions'
+      });
+    }
+  });
+
+  // Add new question
+  app.post('/api/questions', authenticate, requirePermission('questions:write'), async (req, res) => {
+    try {
+      console.log('📥 Received question data:', JSON.stringify(req.body, null, 2));
+      let { examType, subject, class: classLevel, chapter, difficulty, question, tags, enhanced } = req.body;
+
+      // CRITICAL FIX: Force Biology to NEET, ignore frontend examType
+      if (subject === 'biology') {
+        console.log('🔧 FORCING Biology to NEET (was:', examType, ')');
+        examType = 'neet';
+      }
+
+      const { fields: answerFields, error: answerError } = normalizeQuestionAnswer(question || {});
+      if (answerError) {
+        return res.status(400).json({
+          success: false,
+          error: answerError
+        });
+      }
+
+      if ((await findMissingPassages([question.passageId])).length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Passage not found'
+        });
+      }
+
+      // Likely duplicates are refused unless the author confirms with allowDuplicate: true,
+      // in which case the question is saved flagged with what it resembles
+      const duplicates = await findDuplicateQuestions({ examType, subject, text: question.text, ...answerFields });
+      if (duplicates.length > 0 && req.body.allowDuplicate !== true) {
+        return res.status(409).json({
+          success: false,
+          error: 'This looks like a question that is already in the bank',
+          code: 'DUPLICATE_QUESTION',
+          duplicates
+        });
+      }
+
+      const status = initialQuestionStatus(req.user, req.body.status);
+
+      // Create question data object
+      const questionData = {
+        subject,
+        class: classLevel,
+        chapter,
+        difficulty,
+        text: question.text,
+        ...answerFields,
+        passageId: question.passageId || undefined,
+        solution: question.solution,
+        explanation: question.explanation || '',
+        enhanced: enhanced || false,
+        tags: tags || [],
+        hints: question.hints || '',
+        references: question.references || '',
+        isShared: !!req.body.isShared && hasPermission(req.user, 'questions:share'),
+        status,
+        publishedAt: status === 'published' ? new Date() : undefined,
+        duplicateOf: duplicates.map(duplicate => duplicate._id),
+        createdBy: req.user._id
+      };
+
+      const savedQuestions = [];
+
+      // For physics and chemistry, create questions for both JEE and NEET
+      if (subject === 'physics' || subject === 'chemistry') {
+        console.log(`🔬 Creating ${subject} question for both JEE and NEET`);
+
+        // Create JEE version
+        const jeeQuestion = new Question({
+          ...questionData,
+          examType: 'jee'
+        });
+        await jeeQuestion.save();
+        savedQuestions.push(jeeQuestion);
+        console.log('✅ JEE question saved:', jeeQuestion._id);
+
+        // Create NEET version
+        const neetQuestion = new Question({
+          ...questionData,
+          examType: 'neet'
+        });
+        await neetQuestion.save();
+        savedQuestions.push(neetQuestion);
+        console.log('✅ NEET question saved:', neetQuestion._id);
+      } else {
+        // For mathematics and biology, use the examType (already corrected above for biology)
+        // Biology is forced to NEET, Mathematics defaults to JEE
+        const finalExamType = examType || 'jee';
+        
+        console.log(`📚 Creating ${subject} question for ${finalExamType}`);
+
+        const singleQuestion = new Question({
+          ...questionData,
+          examType: finalExamType
+        });
+        await singleQuestion.save();
+        savedQuestions.push(singleQuestion);
+        console.log('✅ Question saved:', singleQuestion._id, 'with examType:', finalExamType);
+      }
+
+      // Prepare response message
+      const message = savedQuestions.length > 1
+        ? `Question added successfully for both JEE and NEET (${savedQuestions.length} questions created)`
+        : 'Question added successfully';
+
+      res.json({
+        success: true,
+        message: message,
+        questions: savedQuestions,
+        question: savedQuestions[0] // For backward compatibility
+      });
+    } catch (error) {
+      console.error('Error adding question:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error adding question'
+      });
+    }
+  });
+
+  // Bulk add questions endpoint (for admin). Likely duplicates - of questions in the bank or
+  // of earlier rows - are handled per onDuplicate: 'skip' (default) leaves them out, 'flag'
+  // saves them with duplicateOf set and 'reject' adds nothing if there are any.
+  app.post('/api/questions/bulk-add', authenticate, requirePermission('questions:write'), async (req, res) => {
+    try {
+      console.log('Bulk adding questions by', req.user.username);
+
+      let { questions } = req.body;
+
+      if (!questions || !Array.isArray(questions)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Questions array is required'
+        });
+      }
+
+      const onDuplicate = req.body.onDuplicate || 'skip';
+      if (!['skip', 'flag', 'reject'].includes(onDuplicate)) {
+        return res.status(400).json({
+          success: false,
+          error: 'onDuplicate must be skip, flag or reject'
+        });
+      }
+
+      // Only users allowed to publish to the shared pool may import shared questions
+      const canShare = hasPermission(req.user, 'questions:share');
+
+      // Check each question's type-specific fields before inserting any of them
+      const invalid = [];
+      questions = questions.map((q, index) => {
+        const { fields, error } = normalizeQuestionAnswer(q || {});
+        if (error) invalid.push({ index, error });
+        return { ...q, ...fields };
+      });
+
+      const missingPassages = await findMissingPassages(questions.map(q => q.passageId));
+      questions.forEach((q, index) => {
+        if (q.passageId && missingPassages.includes(String(q.passageId))) invalid.push({ index, error: 'Passage not found' });
+      });
+
+      if (invalid.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `${invalid.length} question(s) are invalid`,
+          invalid
+        });
+      }
+
+      // CRITICAL FIX: Force Biology questions to NEET
+      questions = questions.map(q => {
+        const status = initialQuestionStatus(req.user, q.status);
+        q = {
+          ...q,
+          isShared: canShare && !!q.isShared,
+          status,
+          publishedAt: status === 'published' ? new Date() : undefined,
+          reviewerId: undefined,
+          reviewComments: [],
+          createdBy: req.user._id
+        };
+        if (q.subject === 'biology') {
+          console.log('🔧 FORCING Biology question to NEET (was:', q.examType, ')');
+          return { ...q, examType: 'neet' };
+        }
+        return q;
+      });
+
+      const matchesByIndex = await screenDuplicateBatch(questions, onDuplicate !== 'skip');
+      const duplicates = matchesByIndex
+        .map((matches, index) => ({ index, matches }))
+        .filter(entry => entry.matches.length > 0);
+
+      if (duplicates.length > 0 && onDuplicate === 'reject') {
+        return res.status(409).json({
+          success: false,
+          error: `${duplicates.length} question(s) look like duplicates`,
+          code: 'DUPLICATE_QUESTION',
+          duplicates
+        });
+      }
+
+      const accepted = questions.filter((q, index) => {
+        if (matchesByIndex[index].length === 0) return true;
+        q.duplicateOf = matchesByIndex[index].map(match => match._id);
+        return onDuplicate !== 'skip';
+      });
+
+      const result = await Question.insertMany(accepted);
+
+      res.json({
+        success: true,
+        message: `Successfully added ${result.length} questions` + (onDuplicate === 'skip' && duplicates.length > 0 ? ` (${duplicates.length} likely duplicate(s) skipped)` : ''),
+        addedCount: result.length,
+        skippedCount: onDuplicate === 'skip' ? duplicates.length : 0,
+        duplicates,
+        questions: result
+      });
+    } catch (error) {
+      console.error('Error bulk adding questions:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error bulk adding questions: ' + error.message
+      });
+    }
+  });
+
+  // Update question
+  app.put('/api/questions/:id', authenticate, requirePermission('questions:write'), async (req, res) => {
+    try {
+      const { id } = req.params;
+      let { examType, subject, class: classLevel, chapter, difficulty, question } = req.body;
+
+      // Auto-correct examType for Biology - should always be NEET
+      if (subject === 'biology' && (!examType || examType === 'jee')) {
+        console.log('⚠️ Auto-correcting Biology examType from', examType, 'to NEET');
+        examType = 'neet';
+      }
+
+      const { fields: answerFields, error: answerError } = normalizeQuestionAnswer(question || {});
+      if (answerError) {
+        return res.status(400).json({
+          success: false,
+          error: answerError
+        });
+      }
+
+      if (question.passageId !== undefined) {
+        if ((await findMissingPassages([question.passageId])).length > 0) {
+          return res.status(400).json({
+            success: false,
+            error: 'Passage not found'
+          });
+        }
+        answerFields.passageId = question.passageId || null;
+      }
+
+      const update = {
+        examType,
+        subject,
+        class: classLevel,
+        chapter,
+        difficulty,
+        text: question.text,
+        ...answerFields,
+        solution: question.solution,
+        explanation: question.explanation || '',
+        lastModified: new Date()
+      };
+
+      // Publishing to / withdrawing from the shared question pool
+      if (typeof req.body.isShared === 'boolean' && hasPermission(req.user, 'questions:share')) {
+        update.isShared = req.body.isShared;
+      }
+
+      // Editing a published question needs approval unless the editor can approve it themselves
+      const current = mongoose.Types.ObjectId.isValid(id) ? await Question.findById(id) : null;
+      if (current && editNeedsReview(req.user, current)) {
+        holdEditForReview(current, req.user, update, 'Edited while published - the change needs approval');
+        await current.save();
+
+        return res.json({
+          success: true,
+          message: 'Edit sent for review - the published question stays as it is until the change is approved',
+          question: current
+        });
+      }
+
+      // Scoped to the user's institution - shared questions from elsewhere are read-only
+      const updatedQuestion = await Question.findByIdAndUpdate(id, update, { new: true });
+
+      if (!updatedQuestion) {
+        return res.status(404).json({
+          success: false,
+          error: 'Question not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Question updated successfully',
+        question: updatedQuestion
+      });
+    } catch (error) {
+      console.error('Error updating question:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error updating question'
+      });
+    }
+  });
+
+  // Delete question
+  app.delete('/api/questions/:id', authenticate, requirePermission('questions:write'), async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const result = await Question.findByIdAndDelete(id);
+
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          error: 'Question not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Question deleted successfully',
+      });
+    } catch (error) {
+      console.error('Error deleting question:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error deleting question'
+      });
+    }
+  });
+
+  // ========================================
+  // QUESTION REVIEW WORKFLOW
+  // ========================================
+
+  // Reviewers approve questions assigned to them; users with questions:review-any (admins)
+  // can act on any question. Nobody approves their own question or edit unless they can review any.
+  function canReviewQuestion(user, question) {
+    if (hasPermission(user, 'questions:review-any')) return true;
+    if (!hasPermission(user, 'questions:review')) return false;
+    if (question.createdBy && question.createdBy.equals(user._id)) return false;
+    if (question.pendingEdit?.editedBy && question.pendingEdit.editedBy.equals(user._id)) return false;
+    return Boolean(question.reviewerId && question.reviewerId.equals(user._id));
+  }
+
+  // Only the author (or a user who can review any question) sends a question for review and
+  // picks its reviewer - otherwise any second account could assign itself and approve
+  function canManageQuestionReview(user, question) {
+    if (hasPermission(user, 'questions:review-any')) return true;
+    return Boolean(question.createdBy && question.createdBy.equals(user._id));
+  }
+
+  // Reviewer for `question` chosen by `user`: another teacher or admin who is neither the
+  // author nor the caller. Returns null if reviewerId does not qualify.
+  async function findAssignableReviewer(reviewerId, question, user) {
+    if (!mongoose.Types.ObjectId.isValid(reviewerId)) return null;
+    const reviewer = await User.findOne({ _id: reviewerId, role: { $in: ['teacher', 'admin'] } });
+    if (!reviewer || reviewer._id.equals(user._id)) return null;
+    if (question.createdBy && reviewer._id.equals(question.createdBy)) return null;
+    return reviewer;
+  }
+
+  function addReviewComment(question, user, action, comment) {
+    question.reviewComments.push({
+      authorId: user._id,
+      authorUsername: user.username,
+      action,
+      comment: comment ? String(comment).trim() : undefined
+    });
+  }
+
+  // Changes to a published question go through review unless the editor can approve them
+  function editNeedsReview(user, question) {
+    return (question.status || 'published') === 'published' && !hasPermission(user, 'questions:review-any');
+  }
+
+  // Park `fields` in question.pendingEdit for review. The live fields - what students, tests
+  // and papers see - stay as approved until the edit is approved.
+  function holdEditForReview(question, user, fields, comment) {
+    question.pendingEdit = {
+      fields: Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined)),
+      status: 'in-review',
+      editedBy: user._id,
+      editedByUsername: user.username,
+      editedAt: new Date()
+    };
+    addReviewComment(question, user, 'submit', comment);
+  }
+
+  // Load req.params.id for a workflow route. Sends the error response and returns null on failure.
+  async function loadReviewQuestion(req, res) {
+    const question = mongoose.Types.ObjectId.isValid(req.params.id) ? await Question.findById(req.params.id) : null;
+    if (!question) {
+      res.status(404).json({
+        success: false,
+        error: 'Question not found'
+      });
+      return null;
+    }
+    return question;
+  }
+
+  // Where the question is in the review workflow. A published question with a pending edit
+  // is in review (or back in draft once changes were requested) while staying published.
+  function reviewStatus(question) {
+    if (question.pendingEdit?.status) return question.pendingEdit.status === 'in-review' ? 'in-review' : 'draft';
+    return question.status || 'published';
+  }
+
+  function sendWrongStatus(res, question, expected) {
+    return res.status(409).json({
+      success: false,
+      error: `Only ${expected} questions can do this - this one is ${reviewStatus(question)}`,
+      status: reviewStatus(question)
+    });
+  }
+
+  function reviewQuestionResponse(question) {
+    const { media, ...rest } = question.toObject();
+    return { ...rest, mediaCount: (media || []).length };
+  }
+
+  // Users who can be assigned as reviewers
+  app.get('/api/questions/reviewers', authenticate, requirePermission('questions:write'), async (req, res) => {
+    try {
+      const reviewers = await User.find({ role: { $in: ['teacher', 'admin'] } }).select('username role').sort({ username: 1 });
+
+      res.json({
+        success: true,
+        reviewers
+      });
+    } catch (error) {
+      console.error('Error fetching reviewers:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error fetching reviewers'
+      });
+    }
+  });
+
+  // Review queue - ?status=in-review (default) | draft | retired | all, ?mine=true for
+  // questions assigned to the caller. Reviewers without questions:review-any only see
+  // their own assignments and their own questions.
+  app.get('/api/questions/review-queue', authenticate, requirePermission('questions:review'), async (req, res) => {
+    try {
+      const status = ['draft', 'in-review', 'retired', 'all'].includes(req.query.status) ? req.query.status : 'in-review';
+      const statuses = status === 'all' ? ['draft', 'in-review', 'retired'] : [status];
+      // Pending edits to published questions are listed with the questions in review, or
+      // with the drafts once changes were requested
+      const pendingStatuses = [];
+      if (statuses.includes('in-review')) pendingStatuses.push('in-review');
+      if (statuses.includes('draft')) pendingStatuses.push('changes-requested');
+
+      const query = {
+        $and: [{
+          $or: [
+            { status: { $in: statuses } },
+            ...(pendingStatuses.length > 0 ? [{ 'pendingEdit.status': { $in: pendingStatuses } }] : [])
+          ]
+        }]
+      };
+
+      if (req.query.mine === 'true' || !hasPermission(req.user, 'questions:review-any')) {
+        query.$and.push({ $or: [{ reviewerId: req.user._id }, { createdBy: req.user._id }, { 'pendingEdit.editedBy': req.user._id }] });
+      }
+      if (req.query.examType) query.examType = String(req.query.examType);
+      if (req.query.subject) query.subject = String(req.query.subject);
+
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), QUESTION_PAGE_MAX);
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+      const [questions, total] = await Promise.all([
+        Question.find(query, { media: 0 })
+          .sort({ lastModified: 1 }) // Oldest waiting first
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .populate('reviewerId', 'username')
+          .populate('createdBy', 'username'),
+        Question.countDocuments(query)
+      ]);
+
+      res.json({
+        success: true,
+        questions,
+        pagination: { page, limit, total, totalPages: Math.ceil(total / limit), hasMore: page * limit < total }
+      });
+    } catch (error) {
+      console.error('Error fetching review queue:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error fetching review queue'
+      });
+    }
+  });
+
+  // Draft -> in review, optionally assigning a reviewer - { reviewerId, comment }. Author or questions:review-any only.
+  // A pending edit sent back with changes requested is resubmitted the same way.
+  app.post('/api/questions/:id/submit-review', authenticate, requirePermission('questions:write'), async (req, res) => {
+    try {
+      const question = await loadReviewQuestion(req, res);
+      if (!question) return;
+      if (reviewStatus(question) !== 'draft') return sendWrongStatus(res, question, 'draft');
+      if (!canManageQuestionReview(req.user, question)) {
+        return sendForbidden(res, 'Only the author can send this question for review');
+      }
+
+      if (req.body.reviewerId !== undefined) {
+        const reviewer = await findAssignableReviewer(req.body.reviewerId, question, req.user);
+        if (!reviewer) {
+          return res.status(400).json({
+            success: false,
+            error: 'Reviewer must be another teacher or admin - not the author or yourself'
+          });
+        }
+        question.reviewerId = reviewer._id;
+      }
+
+      if (question.pendingEdit?.status) question.pendingEdit.status = 'in-review';
+      else question.status = 'in-review';
+      addReviewComment(question, req.user, 'submit', req.body.comment);
+      await question.save();
+
+      res.json({
+        success: true,
+        message: 'Question sent for review',
+        question: reviewQuestionResponse(question)
+      });
+    } catch (error) {
+      console.error('Error submitting question for review:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error submitting question for review'
+      });
+    }
+  });
+
+  // (Re)assign the reviewer of a draft or in-review question - { reviewerId }. Author or questions:review-any only.
+  app.put('/api/questions/:id/reviewer', authenticate, requirePermission('questions:write'), async (req, res) => {
+    try {
+      const question = await loadReviewQuestion(req, res);
+      if (!question) return;
+      if (!['draft', 'in-review'].includes(reviewStatus(question))) return sendWrongStatus(res, question, 'draft or in-review');
+      if (!canManageQuestionReview(req.user, question)) {
+        return sendForbidden(res, 'Only the author can choose who reviews this question');
+      }
+
+      const reviewer = await findAssignableReviewer(req.body.reviewerId, question, req.user);
+      if (!reviewer) {
+        return res.status(400).json({
+          success: false,
+          error: 'Reviewer must be another teacher or admin - not the author or yourself'
+        });
+      }
+
+      question.reviewerId = reviewer._id;
+      addReviewComment(question, req.user, 'comment', `Reviewer set to ${reviewer.username}`);
+      await question.save();
+
+      res.json({
+        success: true,
+        message: `${reviewer.username} will review this question`,
+        question: reviewQuestionResponse(question)
+      });
+    } catch (error) {
+      console.error('Error assigning reviewer:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error assigning reviewer'
+      });
+    }
+  });
+
+  // Review discussion - { comment }
+  app.post('/api/questions/:id/comments', authenticate, requirePermission('questions:write'), async (req, res) => {
+    try {
+      const question = await loadReviewQuestion(req, res);
+      if (!question) return;
+
+      if (!req.body.comment || !String(req.body.comment).trim()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Comment is required'
+        });
+      }
+
+      addReviewComment(question, req.user, 'comment', req.body.comment);
+      await question.save();
+
+      res.json({
+        success: true,
+        message: 'Comment added',
+        reviewComments: question.reviewComments
+      });
+    } catch (error) {
+      console.error('Error adding review comment:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error adding comment'
+      });
+    }
+  });
+
+  // In review -> published, or a pending edit applied to the published question - { comment }
+  app.post('/api/questions/:id/approve', authenticate, requirePermission('questions:review'), async (req, res) => {
+    try {
+      const question = await loadReviewQuestion(req, res);
+      if (!question) return;
+      if (reviewStatus(question) !== 'in-review') return sendWrongStatus(res, question, 'in-review');
+      if (!canReviewQuestion(req.user, question)) {
+        return sendForbidden(res, 'Only the assigned reviewer can approve this question');
+      }
+
+      if (question.pendingEdit?.status) {
+        question.set(question.pendingEdit.fields || {});
+        question.pendingEdit = undefined;
+      } else {
+        question.status = 'published';
+      }
+      question.publishedAt = new Date();
+      addReviewComment(question, req.user, 'approve', req.body.comment);
+      await question.save();
+
+      console.log(`✅ ${req.user.username} published question ${question._id}`);
+
+      res.json({
+        success: true,
+        message: 'Question approved and published',
+        question: reviewQuestionResponse(question)
+      });
+    } catch (error) {
+      console.error('Error approving question:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error approving question'
+      });
+    }
+  });
+
+  // In review -> back to draft with the reviewer's notes - { comment } (required). A pending
+  // edit goes back to its editor; the published question is unaffected.
+  app.post('/api/questions/:id/request-changes', authenticate, requirePermission('questions:review'), async (req, res) => {
+    try {
+      const question = await loadReviewQuestion(req, res);
+      if (!question) return;
+      if (reviewStatus(question) !== 'in-review') return sendWrongStatus(res, question, 'in-review');
+      if (!canReviewQuestion(req.user, question)) {
+        return sendForbidden(res, 'Only the assigned reviewer can review this question');
+      }
+      if (!req.body.comment || !String(req.body.comment).trim()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Say what needs to change'
+        });
+      }
+
+      if (question.pendingEdit?.status) question.pendingEdit.status = 'changes-requested';
+      else question.status = 'draft';
+      addReviewComment(question, req.user, 'request-changes', req.body.comment);
+      await question.save();
+
+      res.json({
+        success: true,
+        message: 'Changes requested - the question is back in draft',
+        question: reviewQuestionResponse(question)
+      });
+    } catch (error) {
+      console.error('Error requesting question changes:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error requesting changes'
+      });
+    }
+  });
+
+  // Take a published question out of use - tests that already include it keep it
+  app.post('/api/questions/:id/retire', authenticate, requirePermission('questions:review-any'), async (req, res) => {
+    try {
+      const question = await loadReviewQuestion(req, res);
+      if (!question) return;
+      if ((question.status || 'published') !== 'published') return sendWrongStatus(res, question, 'published');
+
+      question.status = 'retired';
+      addReviewComment(question, req.user, 'retire', req.body.comment);
+      await question.save();
+
+      res.json({
+        success: true,
+        message: 'Question retired',
+        question: reviewQuestionResponse(question)
+      });
+    } catch (error) {
+      console.error('Error retiring question:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error retiring question'
+      });
+    }
+  });
+
+  // ========================================
+  // QUESTION REVISION HISTORY
+  // ========================================
+
+  // Revision list, newest first (snapshots left out - fetch one revision for its content)
+  app.get('/api/questions/:id/revisions', authenticate, requirePermission('questions:write'), async (req, res) => {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Question not found'
+        });
+      }
+
+      const revisions = await QuestionRevision.find({ questionId: req.params.id })
+        .select('-snapshot')
+        .sort({ revision: -1 });
+
+      res.json({
+        success: true,
+        revisions
+      });
+    } catch (error) {
+      console.error('Error fetching question revisions:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error fetching question revisions'
+      });
+    }
+  });
+
+  // Field-by-field differences between two revisions - ?from=2&to=5 (to defaults to the latest)
+  app.get('/api/questions/:id/revisions/diff', authenticate, requirePermission('questions:write'), async (req, res) => {
+    try {
+      const from = parseInt(req.query.from, 10);
+      const latest = mongoose.Types.ObjectId.isValid(req.params.id)
+        ? await QuestionRevision.findOne({ questionId: req.params.id }).sort({ revision: -1 }).select('revision')
+        : null;
+      const to = req.query.to !== undefined ? parseInt(req.query.to, 10) : latest?.revision;
+
+      if (!latest || !Number.isInteger(from) || !Number.isInteger(to)) {
+        return res.status(!latest ? 404 : 400).json({
+          success: false,
+          error: !latest ? 'No revisions found for this question' : 'from and to must be revision numbers'
+        });
+      }
+
+      const [before, after] = await Promise.all([
+        QuestionRevision.findOne({ questionId: req.params.id, revision: from }),
+        QuestionRevision.findOne({ questionId: req.params.id, revision: to })
+      ]);
+      if (!before || !after) {
+        return res.status(404).json({
+          success: false,
+          error: `Revision ${!before ? from : to} not found`
+        });
+      }
+
+      // Older revisions hold full media copies - compare them by reference as well
+      const digestMedia = (snapshot) => snapshot.media ? { ...snapshot, media: mediaReferences(snapshot.media) } : snapshot;
+
+      res.json({
+        success: true,
+        from: { revision: before.revision, editedByUsername: before.editedByUsername, createdAt: before.createdAt },
+        to: { revision: after.revision, editedByUsername: after.editedByUsername, createdAt: after.createdAt },
+        changes: auditDiff(digestMedia(before.snapshot), digestMedia(after.snapshot))
+      });
+    } catch (error) {
+      console.error('Error diffing question revisions:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error comparing revisions'
+      });
+    }
+  });
+
+  app.get('/api/questions/:id/revisions/:revision', authenticate, requirePermission('questions:write'), async (req, res) => {
+    try {
+      const revision = mongoose.Types.ObjectId.isValid(req.params.id)
+        ? await QuestionRevision.findOne({ questionId: req.params.id, revision: parseInt(req.params.revision, 10) || 0 })
+        : null;
+
+      if (!revision) {
+        return res.status(404).json({
+          success: false,
+          error: 'Revision not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        revision
+      });
+    } catch (error) {
+      console.error('Error fetching question revision:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error fetching question revision'
+      });
+    }
+  });
+
+  // Restore an earlier revision. History is never rewritten - the restored content is
+  // saved as a new revision.
+  app.post('/api/questions/:id/revisions/:revision/rollback', authenticate, requirePermission('questions:write'), async (req, res) => {
+    try {
+      const question = mongoose.Types.ObjectId.isValid(req.params.id) ? await Question.findById(req.params.id) : null;
+      if (!question) {
+        return res.status(404).json({
+          success: false,
+          error: 'Question not found'
+        });
+      }
+
+      const target = await QuestionRevision.findOne({ questionId: question._id, revision: parseInt(req.params.revision, 10) || 0 });
+      if (!target) {
+        return res.status(404).json({
+          success: false,
+          error: 'Revision not found'
+        });
+      }
+      if (target.revision === question.revision) {
+        return res.status(400).json({
+          success: false,
+          error: 'This is already the current revision'
+        });
+      }
+
+      if (editNeedsReview(req.user, question)) {
+        const restored = Object.fromEntries(RESTORABLE_QUESTION_FIELDS.map(field => [field, target.snapshot[field]]));
+        holdEditForReview(question, req.user, { ...restored, lastModified: new Date() }, `Restore revision ${target.revision} - needs approval`);
+        await question.save();
+
+        return res.json({
+          success: true,
+          message: `Restoring revision ${target.revision} was sent for review - the published question stays as it is until then`,
+          question
+        });
+      }
+
+      RESTORABLE_QUESTION_FIELDS.forEach(field => question.set(field, target.snapshot[field]));
+      question.lastModified = new Date();
+      question.$locals.revisionAction = 'rollback';
+      question.$locals.restoredFrom = target.revision;
+      await question.save();
+
+      console.log(`⏪ ${req.user.username} restored question ${question._id} to revision ${target.revision} (now revision ${question.revision})`);
+
+      res.json({
+        success: true,
+        message: `Question restored to revision ${target.revision}`,
+        question
+      });
+    } catch (error) {
+      console.error('Error rolling back question:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error restoring question revision'
+      });
+    }
+  });
+
+  // ========================================
+  // DUPLICATE QUESTIONS
+  // ========================================
+
+  // Similarity from which two questions are reported as likely duplicates
+  const DUPLICATE_SIMILARITY = 0.85;
+  const DUPLICATE_PROJECTION = 'text options assertion reason matchColumns examType subject chapter status fingerprint createdAt';
+
+  // Fingerprint questions saved before fingerprints existed (runs at startup, unscoped)
+  async function ensureQuestionFingerprints() {
+    if (!(await Question.exists({ fingerprint: { $exists: false } }))) return;
+
+    let updated = 0;
+    let batch = [];
+    const cursor = Question.find({ fingerprint: { $exists: false } }).select(QUESTION_FINGERPRINT_FIELDS.join(' ')).lean().cursor();
+    for await (const question of cursor) {
+      batch.push({ updateOne: { filter: { _id: question._id }, update: { $set: { fingerprint: questionFingerprint(question) } } } });
+      if (batch.length === 500) {
+        updated += (await Question.bulkWrite(batch)).modifiedCount;
+        batch = [];
+      }
+    }
+    if (batch.length > 0) updated += (await Question.bulkWrite(batch)).modifiedCount;
+
+    console.log(`🧬 Fingerprinted ${updated} existing question(s)`);
+  }
+
+  function duplicateMatch(candidate, similarity) {
+    return {
+      _id: candidate._id,
+      text: candidate.text,
+      subject: candidate.subject,
+      chapter: candidate.chapter,
+      status: candidate.status || 'published',
+      similarity: Math.round(similarity * 1000) / 1000
+    };
+  }
+
+  // Questions already in the bank that are likely duplicates of `question` (a plain object
+  // with examType, subject, text, options...), most similar first. Exact fingerprint matches
+  // plus near matches among the text-index hits for the same subject.
+  async function findDuplicateQuestions(question, limit = 5) {
+    const fingerprint = questionFingerprint(question);
+    const profile = similarityProfile(question);
+    const scope = { examType: question.examType, status: { $ne: 'retired' } };
+    const words = [...new Set(questionContentParts(question).text.split(/[^\p{L}\p{M}\p{N}]+/u).filter(word => word.length > 2))].slice(0, 30);
+
+    const [exact, similar] = await Promise.all([
+      Question.find({ ...scope, fingerprint }).select(DUPLICATE_PROJECTION).limit(limit).lean(),
+      words.length > 0
+        ? Question.find({ ...scope, subject: question.subject, $text: { $search: words.join(' ') } }, { score: { $meta: 'textScore' } })
+          .select(DUPLICATE_PROJECTION)
+          .sort({ score: { $meta: 'textScore' } })
+          .limit(20)
+          .lean()
+        : []
+    ]);
+
+    const matches = new Map();
+    for (const candidate of [...exact, ...similar]) {
+      if (matches.has(String(candidate._id))) continue;
+      const similarity = candidate.fingerprint === fingerprint ? 1 : questionSimilarity(profile, similarityProfile(candidate));
+      if (similarity >= DUPLICATE_SIMILARITY) matches.set(String(candidate._id), duplicateMatch(candidate, similarity));
+    }
+
+    return [...matches.values()].sort((a, b) => b.similarity - a.similarity).slice(0, limit);
+  }
+
+  // Likely duplicates of each of `questions` (plain objects about to be inserted together),
+  // in the bank or among the earlier ones, by position. Each question gets its _id here so a
+  // later one can point at it; with keepDuplicates false, flagged ones are not compared against.
+  async function screenDuplicateBatch(questions, keepDuplicates) {
+    const kept = [];
+    const matchesByIndex = [];
+
+    for (const [index, question] of questions.entries()) {
+      question._id = question._id || new mongoose.Types.ObjectId();
+      const fingerprint = questionFingerprint(question);
+      const profile = similarityProfile(question);
+      const matches = await findDuplicateQuestions(question);
+
+      for (const earlier of kept) {
+        if (earlier.question.examType !== question.examType) continue;
+        const similarity = earlier.fingerprint === fingerprint ? 1 : questionSimilarity(profile, earlier.profile);
+        if (similarity >= DUPLICATE_SIMILARITY) matches.push({ ...duplicateMatch(earlier.question, similarity), index: earlier.index });
+      }
+
+      matchesByIndex.push(matches);
+      if (matches.length === 0 || keepDuplicates) kept.push({ index, question, fingerprint, profile });
+    }
+
+    return matchesByIndex;
+  }
+
+  // Clusters of likely duplicates among `questions` (lean, DUPLICATE_PROJECTION + duplicateOf).
+  // Linked when fingerprints match, when one was saved flagged as a duplicate of the other, or
+  // when they are at least `threshold` similar within the same chapter.
+  function clusterDuplicateQuestions(questions, threshold) {
+    const parent = new Map(questions.map(question => [String(question._id), String(question._id)]));
+    const find = (id) => {
+      while (parent.get(id) !== id) {
+        parent.set(id, parent.get(parent.get(id)));
+        id = parent.get(id);
+      }
+      return id;
+    };
+    const union = (a, b) => {
+      if (parent.has(a) && parent.has(b)) parent.set(find(a), find(b));
+    };
+
+    const byFingerprint = new Map();
+    const byChapter = new Map();
+    for (const question of questions) {
+      const id = String(question._id);
+      if (question.fingerprint) {
+        if (byFingerprint.has(question.fingerprint)) union(id, byFingerprint.get(question.fingerprint));
+        else byFingerprint.set(question.fingerprint, id);
+      }
+      (question.duplicateOf || []).forEach(other => union(id, String(other)));
+
+      const key = `${question.examType}|${question.subject}|${question.chapter}`;
+      if (!byChapter.has(key)) byChapter.set(key, []);
+      byChapter.get(key).push({ id, profile: similarityProfile(question) });
+    }
+
+    // Dice similarity >= threshold needs the smaller trigram set to be at least
+    // threshold / (2 - threshold) of the larger, so sort by size and stop early
+    const sizeRatio = threshold / (2 - threshold);
+    for (const entries of byChapter.values()) {
+      entries.sort((a, b) => a.profile.text.size - b.profile.text.size);
+      for (let i = 0; i < entries.length; i++) {
+        for (let j = i + 1; j < entries.length; j++) {
+          if (entries[i].profile.text.size < sizeRatio * entries[j].profile.text.size) break;
+          if (find(entries[i].id) === find(entries[j].id)) continue;
+          if (questionSimilarity(entries[i].profile, entries[j].profile) >= threshold) union(entries[i].id, entries[j].id);
+        }
+      }
+    }
+
+    const clusters = new Map();
+    for (const question of questions) {
+      const root = find(String(question._id));
+      if (!clusters.has(root)) clusters.set(root, []);
+      clusters.get(root).push(question);
+    }
+    return [...clusters.values()].filter(cluster => cluster.length > 1);
+  }
+
+  // Replace merged question IDs with keepId, without listing keepId twice
+  function repointQuestionIds(ids, mergedIds, keepId) {
+    let changed = false;
+    const seen = new Set();
+    const result = [];
+    for (const id of ids) {
+      const target = mergedIds.has(String(id)) ? keepId : id;
+      if (target !== id) changed = true;
+      if (seen.has(String(target))) {
+        changed = true;
+        continue;
+      }
+      seen.add(String(target));
+      result.push(target);
+    }
+    return changed ? result : null;
+  }
+
+  // Point every test and paper at `keepId` instead of the merged questions, then retire
+  // those. All reads and writes go through `session`. Returns the number of documents
+  // re-pointed per collection.
+  async function mergeDuplicateQuestions(keepId, mergeIds, user, session) {
+    const mergedIds = new Set(mergeIds.map(String));
+    const idFilter = { $in: mergeIds };
+    const repointed = { mockTests: 0, practiceTests: 0, paperConfigs: 0, tests: 0 };
+
+    for (const test of await MockTest.find({ $or: [{ questionIds: idFilter }, { 'sections.questionIds': idFilter }] }).session(session)) {
+      const questionIds = repointQuestionIds(test.questionIds, mergedIds, keepId);
+      if (questionIds) {
+        test.questionIds = questionIds;
+        test.totalQuestions = questionIds.length;
+      }
+      test.sections.forEach(section => {
+        const sectionIds = repointQuestionIds(section.questionIds, mergedIds, keepId);
+        if (sectionIds) section.questionIds = sectionIds;
+      });
+      await test.save();
+      repointed.mockTests++;
+    }
+
+    for (const [Model, field, key] of [[PracticeTest, 'questionIds', 'practiceTests'], [PaperConfig, 'questionIds', 'paperConfigs'], [Test, 'questions', 'tests']]) {
+      for (const doc of await Model.find({ [field]: idFilter }).session(session)) {
+        doc[field] = repointQuestionIds(doc[field], mergedIds, keepId) || doc[field];
+        await doc.save();
+        repointed[key]++;
+      }
+    }
+
+    for (const question of await Question.find({ _id: idFilter, institutionId: currentInstitutionId() }).session(session)) {
+      question.status = 'retired';
+      question.mergedInto = keepId;
+      question.reviewComments.push({
+        authorId: user._id,
+        authorUsername: user.username,
+        action: 'retire',
+        comment: `Merged into ${keepId} as a duplicate`
+      });
+      await question.save();
+    }
+
+    const keep = await Question.findById(keepId).session(session);
+    if (keep && keep.duplicateOf.some(id => mergedIds.has(String(id)))) {
+      keep.duplicateOf = keep.duplicateOf.filter(id => !mergedIds.has(String(id)));
+      await keep.save();
+    }
+
+    return repointed;
+  }
+
+  // Likely duplicate clusters in this institution's bank - ?examType, ?subject, ?chapter,
+  // ?threshold (0.5-1, default 0.85). Each cluster suggests the oldest published question to keep.
+  app.get('/api/questions/duplicates', authenticate, requirePermission('questions:merge'), async (req, res) => {
+    try {
+      const threshold = req.query.threshold !== undefined ? Number(req.query.threshold) : DUPLICATE_SIMILARITY;
+      if (!Number.isFinite(threshold) || threshold < 0.5 || threshold > 1) {
+        return res.status(400).json({
+          success: false,
+          error: 'threshold must be between 0.5 and 1'
+        });
+      }
+
+      const query = { institutionId: currentInstitutionId(), status: { $ne: 'retired' } };
+      if (req.query.examType) query.examType = String(req.query.examType);
+      if (req.query.subject) query.subject = String(req.query.subject);
+      if (req.query.chapter) query.chapter = String(req.query.chapter);
+
+      const questions = await Question.find(query).select(`${DUPLICATE_PROJECTION} duplicateOf`).lean();
+      const clusters = clusterDuplicateQuestions(questions, threshold).map(cluster => {
+        const ordered = cluster.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+        const keep = ordered.find(question => (question.status || 'published') === 'published') || ordered[0];
+        const keepProfile = similarityProfile(keep);
+        return {
+          suggestedKeepId: keep._id,
+          questions: ordered.map(question => duplicateMatch(question, question === keep ? 1 : questionSimilarity(keepProfile, similarityProfile(question))))
+        };
+      }).sort((a, b) => b.questions.length - a.questions.length);
+
+      res.json({
+        success: true,
+        threshold,
+        scanned: questions.length,
+        clusters
+      });
+    } catch (error) {
+      console.error('Error building duplicate report:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error building duplicate report'
+      });
+    }
+  });
+
+  // Merge duplicates into one question - { keepId, mergeIds }. Mock tests (and their
+  // sections), practice tests, paper configs and legacy tests are re-pointed at keepId;
+  // the merged questions are retired, so past results that used them still resolve.
+  // Shared questions cannot be merged away (409). Needs a replica set (503 otherwise).
+  app.post('/api/questions/duplicates/merge', authenticate, requirePermission('questions:merge'), async (req, res) => {
+    try {
+      const { keepId } = req.body;
+      const mergeIds = [...new Set((Array.isArray(req.body.mergeIds) ? req.body.mergeIds : []).map(String))];
+
+      if (!mongoose.Types.ObjectId.isValid(keepId) || mergeIds.length === 0 || !mergeIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+        return res.status(400).json({
+          success: false,
+          error: 'keepId and a non-empty mergeIds array of question IDs are required'
+        });
+      }
+      if (mergeIds.includes(String(keepId))) {
+        return res.status(400).json({
+          success: false,
+          error: 'keepId cannot also be merged'
+        });
+      }
+
+      const [keep, merged] = await Promise.all([
+        Question.findOne({ _id: keepId, status: { $ne: 'retired' } }),
+        Question.find({ _id: { $in: mergeIds }, institutionId: currentInstitutionId() })
+      ]);
+      if (!keep) {
+        return res.status(404).json({
+          success: false,
+          error: 'Question to keep not found'
+        });
+      }
+      if (merged.length !== mergeIds.length) {
+        const found = new Set(merged.map(question => String(question._id)));
+        return res.status(404).json({
+          success: false,
+          error: 'Some questions to merge were not found in your institution',
+          missing: mergeIds.filter(id => !found.has(id))
+        });
+      }
+      // Other institutions' tests can use a shared question, and they are out of this
+      // institution's reach - retiring it would leave them pointing at a retired question
+      const shared = merged.find(question => question.isShared);
+      if (shared) {
+        return res.status(409).json({
+          success: false,
+          error: `Question ${shared._id} is in the shared pool and may be used by other institutions - it cannot be merged away. Keep it instead, or merge the others into it.`,
+          code: 'SHARED_QUESTION'
+        });
+      }
+
+      const otherExam = merged.find(question => question.examType !== keep.examType);
+      if (otherExam) {
+        return res.status(400).json({
+          success: false,
+          error: `Question ${otherExam._id} is for ${otherExam.examType.toUpperCase()}, not ${keep.examType.toUpperCase()}`
+        });
+      }
+
+      if (!(await supportsTransactions())) {
+        return res.status(503).json({
+          success: false,
+          error: `Merging needs MongoDB transactions, which this server does not support. Nothing was changed. ${TRANSACTIONS_HINT}`,
+          code: 'TRANSACTIONS_UNAVAILABLE'
+        });
+      }
+
+      // Re-pointing tests and retiring the duplicates commit together or not at all. Documents
+      // are read inside the transaction so a retried attempt starts again from fresh copies.
+      let repointed;
+      const session = await mongoose.startSession();
+      try {
+        await session.withTransaction(async () => {
+          repointed = await mergeDuplicateQuestions(keep._id, mergeIds, req.user, session);
+        });
+      } finally {
+        await session.endSession();
+      }
+
+      console.log(`🧬 ${req.user.username} merged ${merged.length} duplicate(s) into question ${keep._id}`);
+
+      res.json({
+        success: true,
+        message: `Merged ${merged.length} question(s) into ${keep._id}`,
+        keepId: keep._id,
+        mergedIds: mergeIds,
+        repointed
+      });
+    } catch (error) {
+      console.error('Error merging duplicate questions:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error merging duplicate questions'
+      });
+    }
+  });
+  // ========================================
+  // QUESTION SPREADSHEET IMPORT
+  // ========================================
+
+  const QUESTION_IMPORT_MAX_ROWS = 2000;
+  const QUESTION_IMPORT_OPTION_LETTERS = ['A', 'B', 'C', 'D', 'E', 'F'];
+
+  // Spreadsheet columns (first row) -> question fields. Headers are matched ignoring case,
+  // spaces and punctuation, so "Option A", "option_a" and "OPTIONA" are the same column.
+  //   examType, subject, class, chapter, difficulty - examType/subject/class can instead be
+  //     sent once with the upload for the whole sheet
+  //   questionType - mcq (default), multiple, numeric, matrix or assertion-reason
+  //   text, optionA ... optionF
+  //   answer - option letter ("A"; "A,C" for multiple) or the option's text; the number for numeric
+  //   tolerance, answerMin, answerMax, unit - numeric answers (min/max give a range)
+  //   assertion, reason - assertion-reason questions
+  //   columnI, columnII - matrix-match columns, entries separated by "|"
+  //   solution, explanation, hints, tags (separated by "," or "|"), language (en/gu), status
+  const QUESTION_IMPORT_COLUMNS = {
+    examType: ['examtype', 'exam'],
+    subject: ['subject'],
+    class: ['class', 'classlevel', 'standard'],
+    chapter: ['chapter'],
+    difficulty: ['difficulty', 'level'],
+    questionType: ['questiontype', 'type'],
+    text: ['text', 'question', 'questiontext'],
+    ...Object.fromEntries(QUESTION_IMPORT_OPTION_LETTERS.map((letter, index) => [`option${letter}`, [`option${letter.toLowerCase()}`, `option${index + 1}`]])),
+    answer: ['answer', 'correctanswer', 'correctoption'],
+    tolerance: ['tolerance'],
+    answerMin: ['answermin', 'min'],
+    answerMax: ['answermax', 'max'],
+    unit: ['unit'],
+    assertion: ['assertion'],
+    reason: ['reason'],
+    columnI: ['columni', 'column1', 'leftcolumn'],
+    columnII: ['columnii', 'column2', 'rightcolumn'],
+    solution: ['solution'],
+    explanation: ['explanation'],
+    hints: ['hints', 'hint'],
+    tags: ['tags'],
+    language: ['language'],
+    status: ['status']
+  };
+
+  const questionImportUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 5 * 1024 * 1024, files: 1 },
+    fileFilter: (req, file, cb) => cb(null, /\.(csv|xlsx)$/i.test(file.originalname))
+  });
+
+  // multer's errors (file too large, ...) as our usual 400 response
+  const receiveQuestionSpreadsheet = (req, res, next) => {
+    questionImportUpload.single('file')(req, res, (error) => {
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.code === 'LIMIT_FILE_SIZE' ? 'The file is larger than 5 MB' : `Upload failed: ${error.message}`
+        });
+      }
+      next();
+    });
+  };
+
+  // RFC 4180 CSV - quoted fields may contain commas, quotes ("") and line breaks
+  function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+    if (field !== '' || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+    return rows;
+  }
+
+  // Text of an ExcelJS cell value (rich text, formulas and hyperlinks included)
+  function spreadsheetCellText(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value !== 'object') return String(value);
+    if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+    if (value.result !== undefined) return spreadsheetCellText(value.result);
+    if (value.text !== undefined) return spreadsheetCellText(value.text);
+    return '';
+  }
+
+  // Rows of the upload as arrays of strings - the first worksheet for Excel files
+  async function readSpreadsheetRows(file) {
+    if (/\.csv$/i.test(file.originalname)) {
+      return parseCsv(file.buffer.toString('utf8').replace(/^\uFEFF/, ''));
+    }
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(file.buffer);
+    const sheet = workbook.worksheets[0];
+    if (!sheet) return [];
+
+    const rows = [];
+    sheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+      rows[rowNumber - 1] = Array.from({ length: row.cellCount }, (_, index) => spreadsheetCellText(row.getCell(index + 1).value));
+    });
+    return Array.from(rows, row => row || []);
+  }
+
+  // Column index for each QUESTION_IMPORT_COLUMNS field found in the header row
+  function mapImportColumns(header) {
+    const columns = {};
+    const ignored = [];
+    header.forEach((title, index) => {
+      const key = String(title).toLowerCase().replace(/[^a-z0-9]/g, '');
+      const field = Object.keys(QUESTION_IMPORT_COLUMNS).find(name => QUESTION_IMPORT_COLUMNS[name].includes(key));
+      if (field && columns[field] === undefined) columns[field] = index;
+      else if (String(title).trim()) ignored.push(String(title).trim());
+    });
+    return { columns, ignored };
+  }
+
+  const splitImportList = (value, separator) => value.split(separator).map(entry => entry.trim()).filter(Boolean);
+
+  // One spreadsheet row -> { question, errors }. `defaults` fills examType/subject/class;
+  // `chapters` maps "examType|subject|lowercased name" to the chapter's stored name.
+  function importRowToQuestion(cells, columns, defaults, chapters) {
+    const value = (field) => columns[field] === undefined ? '' : String(cells[columns[field]] ?? '').trim();
+    const errors = [];
+
+    const subject = (value('subject') || defaults.subject || '').toLowerCase();
+    // Biology is only taught for NEET - same rule as the other question routes
+    const examType = subject === 'biology' ? 'neet' : (value('examType') || defaults.examType || '').toLowerCase();
+    const questionType = (value('questionType') || 'mcq').toLowerCase();
+    const difficulty = value('difficulty').toLowerCase();
+    const language = (value('language') || 'en').toLowerCase();
+
+    const question = {
+      examType,
+      subject,
+      class: value('class') || defaults.class || '',
+      chapter: value('chapter'),
+      difficulty,
+      questionType,
+      text: value('text'),
+      solution: value('solution'),
+      explanation: value('explanation'),
+      hints: value('hints'),
+      tags: splitImportList(value('tags'), /[,|]/),
+      language,
+      status: value('status').toLowerCase() || defaults.status
+    };
+
+    if (!['jee', 'neet'].includes(examType)) errors.push(examType ? `Unknown exam type "${examType}"` : 'Missing exam type');
+    if (!subject) errors.push('Missing subject');
+    if (!question.class) errors.push('Missing class');
+    if (!['easy', 'medium', 'hard'].includes(difficulty)) errors.push(difficulty ? `Unknown difficulty "${difficulty}" (easy, medium or hard)` : 'Missing difficulty');
+    if (!['en', 'gu'].includes(language)) errors.push(`Unknown language "${language}" (en or gu)`);
+    if (!QUESTION_TYPES.includes(questionType)) errors.push(`Unknown question type "${questionType}"`);
+    if (!question.text && questionType !== 'assertion-reason') errors.push('Missing question text');
+    if (!question.solution) errors.push('Missing solution');
+
+    if (!question.chapter) {
+      errors.push('Missing chapter');
+    } else if (examType && subject) {
+      const chapter = chapters.get(`${examType}|${subject}|${question.chapter.toLowerCase()}`);
+      if (chapter) question.chapter = chapter;
+      else errors.push(`Unknown chapter "${question.chapter}" for ${examType.toUpperCase()} ${subject}`);
+    }
+
+    // Options must be filled from A without gaps
+    const options = QUESTION_IMPORT_OPTION_LETTERS.map(letter => value(`option${letter}`));
+    const lastFilled = options.map(Boolean).lastIndexOf(true);
+    const gap = options.slice(0, lastFilled + 1).findIndex(option => !option);
+    if (gap !== -1) errors.push(`Option ${QUESTION_IMPORT_OPTION_LETTERS[gap]} is empty but a later option is filled`);
+    question.options = options.slice(0, lastFilled + 1);
+
+    let answer = value('answer');
+    const isRange = questionType === 'numeric' && Boolean(value('answerMin') || value('answerMax'));
+    if (!answer && !isRange) {
+      errors.push('Missing answer');
+    } else if (questionType === 'numeric') {
+      question.numericAnswer = isRange
+        ? { min: value('answerMin'), max: value('answerMax'), unit: value('unit') || undefined }
+        : { value: answer, tolerance: value('tolerance') || undefined, unit: value('unit') || undefined };
+    } else if (['mcq', 'multiple', 'matrix'].includes(questionType) && question.options.length < 2) {
+      errors.push(question.options.length === 0 ? 'Missing options' : 'At least two options are needed');
+    } else if (questionType !== 'multiple') {
+      // The answer may be the text of the correct option instead of its letter
+      const byText = question.options.findIndex(option => option.toLowerCase() === answer.toLowerCase());
+      if (byText !== -1 && !/^[a-f]$/i.test(answer)) answer = QUESTION_IMPORT_OPTION_LETTERS[byText];
+      answer = answer.toUpperCase();
+
+      // Assertion-reason questions without their own options get the standard four
+      const letters = QUESTION_IMPORT_OPTION_LETTERS.slice(0, question.options.length || (questionType === 'assertion-reason' ? ASSERTION_REASON_OPTIONS.length : 0));
+      if (!letters.includes(answer)) errors.push(`Answer "${value('answer')}" is not among the options (${letters.join(', ')})`);
+    }
+    question.answer = answer;
+
+    if (questionType === 'assertion-reason') {
+      question.assertion = value('assertion');
+      question.reason = value('reason');
+    }
+    if (questionType === 'matrix') {
+      question.matchColumns = { left: splitImportList(value('columnI'), '|'), right: splitImportList(value('columnII'), '|') };
+    }
+
+    // Type-specific rules shared with POST /api/questions - only worth running once the basics pass
+    if (errors.length === 0) {
+      const { fields, error } = normalizeQuestionAnswer(question);
+      if (error) errors.push(error);
+      else Object.assign(question, fields);
+    }
+
+    return { question, errors };
+  }
+
+  // CSV with every recognised column and one example row, for teachers to fill in
+  app.get('/api/questions/import/template', authenticate, requirePermission('questions:write'), (req, res) => {
+    const example = {
+      examType: 'jee',
+      subject: 'physics',
+      class: '11',
+      chapter: 'Kinematics',
+      difficulty: 'easy',
+      questionType: 'mcq',
+      text: 'A body starts from rest with an acceleration of 2 m/s². Its speed after 3 s is',
+      optionA: '3 m/s',
+      optionB: '6 m/s',
+      optionC: '9 m/s',
+      optionD: '12 m/s',
+      answer: 'B',
+      solution: 'v = u + at = 0 + 2 × 3 = 6 m/s',
+      tags: 'kinematics, equations of motion',
+      language: 'en'
+    };
+    const csvCell = (cell) => /[",\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+    const fields = Object.keys(QUESTION_IMPORT_COLUMNS);
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', 'attachment; filename="question-import-template.csv"');
+    // The byte order mark makes Excel open the file as UTF-8
+    res.send(`\uFEFF${fields.join(',')}\n${fields.map(field => csvCell(example[field] || '')).join(',')}\n`);
+  });
+
+  // Import questions from a CSV or XLSX file (multipart field "file"). Other fields:
+  // dryRun=true to only validate, examType/subject/class defaults for the whole sheet,
+  // status, and onDuplicate=skip (default) | flag as for bulk-add. Every row gets a verdict
+  // in `rows`; the valid ones are inserted in a single transaction, so a real import needs a
+  // replica set (dry runs work on any server).
+  app.post('/api/questions/import', authenticate, requirePermission('questions:write'), receiveQuestionSpreadsheet, async (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          error: 'Upload a .csv or .xlsx file in the "file" field'
+        });
+      }
+
+      const dryRun = req.body.dryRun === 'true' || req.body.dryRun === true;
+      const onDuplicate = req.body.onDuplicate || 'skip';
+      if (!['skip', 'flag'].includes(onDuplicate)) {
+        return res.status(400).json({
+          success: false,
+          error: 'onDuplicate must be skip or flag'
+        });
+      }
+
+      let sheetRows;
+      try {
+        sheetRows = await readSpreadsheetRows(req.file);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: `Could not read the spreadsheet: ${error.message}`
+        });
+      }
+
+      const [header = [], ...body] = sheetRows;
+      const { columns, ignored } = mapImportColumns(header);
+      const missingColumns = ['chapter', 'difficulty', 'answer', 'solution'].filter(field => columns[field] === undefined);
+      if (missingColumns.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `Missing column(s): ${missingColumns.join(', ')}`,
+          recognizedColumns: Object.keys(columns),
+          ignoredColumns: ignored
+        });
+      }
+
+      // Spreadsheet row numbers (the header is row 1); blank rows are dropped
+      const dataRows = body
+        .map((cells, index) => ({ row: index + 2, cells }))
+        .filter(({ cells }) => cells.some(cell => String(cell).trim()));
+      if (dataRows.length > QUESTION_IMPORT_MAX_ROWS) {
+        return res.status(400).json({
+          success: false,
+          error: `At most ${QUESTION_IMPORT_MAX_ROWS} questions can be imported at once (the file has ${dataRows.length})`
+        });
+      }
+
+      const chapters = new Map((await Chapter.find({ isActive: { $ne: false } }).select('examType subject name').lean())
+        .map(chapter => [`${chapter.examType}|${chapter.subject}|${chapter.name.toLowerCase()}`, chapter.name]));
+
+      const defaults = {
+        examType: req.body.examType ? String(req.body.examType).toLowerCase() : undefined,
+        subject: req.body.subject ? String(req.body.subject).toLowerCase() : undefined,
+        class: req.body.class ? String(req.body.class) : undefined,
+        status: req.body.status
+      };
+      const canShare = hasPermission(req.user, 'questions:share');
+
+      const rows = dataRows.map(({ row, cells }) => ({ row, ...importRowToQuestion(cells, columns, defaults, chapters) }));
+      const valid = rows.filter(entry => entry.errors.length === 0);
+
+      valid.forEach(entry => {
+        const status = initialQuestionStatus(req.user, entry.question.status);
+        Object.assign(entry.question, {
+          status,
+          publishedAt: status === 'published' ? new Date() : undefined,
+          isShared: canShare && req.body.isShared === 'true',
+          createdBy: req.user._id
+        });
+      });
+
+      const matchesByIndex = await screenDuplicateBatch(valid.map(entry => entry.question), onDuplicate === 'flag');
+      valid.forEach((entry, index) => {
+        entry.duplicates = matchesByIndex[index].map(({ index: earlier, ...match }) => earlier === undefined ? match : { ...match, row: valid[earlier].row });
+        if (entry.duplicates.length > 0) entry.question.duplicateOf = entry.duplicates.map(match => match._id);
+      });
+
+      const toInsert = valid.filter(entry => entry.duplicates.length === 0 || onDuplicate === 'flag');
+      const report = rows.map(entry => ({
+        row: entry.row,
+        status: entry.errors.length > 0 ? 'invalid' : entry.duplicates.length > 0 && onDuplicate === 'skip' ? 'duplicate' : 'valid',
+        errors: entry.errors,
+        duplicates: entry.duplicates || [],
+        question: { text: entry.question.text, chapter: entry.question.chapter, questionType: entry.question.questionType, answer: entry.question.answer }
+      }));
+      const summary = {
+        totalRows: rows.length,
+        validCount: toInsert.length,
+        invalidCount: rows.length - valid.length,
+        duplicateCount: valid.length - toInsert.length,
+        recognizedColumns: Object.keys(columns),
+        ignoredColumns: ignored
+      };
+
+      if (dryRun || toInsert.length === 0) {
+        return res.json({
+          success: true,
+          dryRun,
+          importedCount: 0,
+          ...summary,
+          rows: report
+        });
+      }
+
+      if (!(await supportsTransactions())) {
+        return res.status(503).json({
+          success: false,
+          error: `Importing needs MongoDB transactions, which this server does not support. No questions were imported. ${TRANSACTIONS_HINT}`,
+          code: 'TRANSACTIONS_UNAVAILABLE'
+        });
+      }
+
+      // All valid rows or none - revision history and audit events join the same transaction
+      const session = await mongoose.startSession();
+      let inserted;
+      try {
+        await session.withTransaction(async () => {
+          inserted = await Question.insertMany(toInsert.map(entry => entry.question), { session });
+        });
+      } finally {
+        await session.endSession();
+      }
+
+      console.log(`📥 ${req.user.username} imported ${inserted.length} question(s) from ${req.file.originalname} (${summary.invalidCount} invalid, ${summary.duplicateCount} duplicate row(s) left out)`);
+
+      res.json({
+        success: true,
+        dryRun: false,
+        message: `Imported ${inserted.length} question(s)`,
+        importedCount: inserted.length,
+        ...summary,
+        rows: report
+      });
+    } catch (error) {
+      console.error('Error importing questions:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Import failed - no questions were imported'
+      });
+    }
+  });
+
+  // ========================================
+  // PASSAGES (comprehension question sets)
+  // ========================================
+
+  // List passages (no auth required for browsing, like questions)
+  app.get('/api/passages', async (req, res) => {
+    try {
+      const { examType, subject } = req.query;
+      const query = {};
+      if (examType) query.examType = String(examType);
+      if (subject) query.subject = String(subject);
+
+      const passages = await Passage.find(query).sort({ createdAt: -1 }).limit(500);
+
+      res.json({
+        success: true,
+        passages
+      });
+    } catch (error) {
+      console.error('Error fetching passages:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error fetching passages'
+      });
+    }
+  });
+
+  // A passage with the questions set on it
+  app.get('/api/passages/:id', async (req, res) => {
+    try {
+      const passage = mongoose.Types.ObjectId.isValid(req.params.id) ? await Passage.findById(req.params.id) : null;
+
+      if (!passage) {
+        return res.status(404).json({
+          success: false,
+          error: 'Passage not found'
+        });
+      }
+
+      const questions = await Question.find({ passageId: passage._id }).sort({ createdAt: 1 });
+
+      res.json({
+        success: true,
+        passage,
+        questions
+      });
+    } catch (error) {
+      console.error('Error fetching passage:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error fetching passage'
+      });
+    }
+  });
+
+  app.post('/api/passages', authenticate, requirePermission('questions:write'), async (req, res) => {
+    try {
+      const { title, text, examType, subject } = req.body;
+
+      if (!text || !String(text).trim()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Passage text is required'
+        });
+      }
+
+      const passage = new Passage({
+        title,
+        text,
+        examType,
+        subject,
+        isShared: !!req.body.isShared && hasPermission(req.user, 'questions:share'),
+        createdBy: req.user._id
+      });
+      await passage.save();
+
+      res.json({
+        success: true,
+        message: 'Passage added successfully',
+        passage
+      });
+    } catch (error) {
+      console.error('Error adding passage:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error adding passage'
+      });
+    }
+  });
+
+  app.put('/api/passages/:id', authenticate, requirePermission('questions:write'), async (req, res) => {
+    try {
+      const passage = mongoose.Types.ObjectId.isValid(req.params.id) ? await Passage.findById(req.params.id) : null;
+
+      if (!passage) {
+        return res.status(404).json({
+          success: false,
+          error: 'Passage not found'
+        });
+      }
+
+      ['title', 'text', 'examType', 'subject'].forEach(field => {
+        if (req.body[field] !== undefined) passage[field] = req.body[field];
+      });
+      if (typeof req.body.isShared === 'boolean' && hasPermission(req.user, 'questions:share')) {
+        passage.isShared = req.body.isShared;
+      }
+      passage.lastModified = new Date();
+
+      // Scoped to the user's institution - shared passages from elsewhere cannot be saved
+      await passage.save();
+
+      res.json({
+        success: true,
+        message: 'Passage updated successfully',
+        passage
+      });
+    } catch (error) {
+      console.error('Error updating passage:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error updating passage'
+      });
+    }
+  });
+
+  // Passages still referenced by questions cannot be deleted
+  app.delete('/api/passages/:id', authenticate, requirePermission('questions:write'), async (req, res) => {
+    try {
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(404).json({
+          success: false,
+          error: 'Passage not found'
+        });
+      }
+
+      const linkedQuestions = await Question.countDocuments({ passageId: req.params.id });
+      if (linkedQuestions > 0) {
+        return res.status(409).json({
+          success: false,
+          error: `This passage is used by ${linkedQuestions} question(s) - remove them from the passage first`
+        });
+      }
+
+      const result = await Passage.findOneAndDelete({ _id: req.params.id });
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          error: 'Passage not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Passage deleted successfully'
+      });
+    } catch (error) {
+      console.error('Error deleting passage:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error deleting passage'
+      });
+    }
+  });
+
+  // CHECK BIOLOGY QUESTIONS - Diagnostic endpoint
+  app.get('/api/admin/check-biology', authenticate, requirePermission('admin:maintenance'), async (req, res) => {
+    try {
+      console.log('🔍 Checking Biology questions...');
+      
+      // Count all Biology questions
+      const totalBiology = await Question.countDocuments({ subject: 'biology' });
+      const biologyInJEE = await Question.countDocuments({ subject: 'biology', examType: 'jee' });
+      const biologyInNEET = await Question.countDocuments({ subject: 'biology', examType: 'neet' });
+      
+      // Get sample questions
+      const sampleJEE = await Question.find({ subject: 'biology', examType: 'jee' }).limit(5);
+      const sampleNEET = await Question.find({ subject: 'biology', examType: 'neet' }).limit(5);
+
+      console.log(`📊 Biology Questions - Total: ${totalBiology}, JEE: ${biologyInJEE}, NEET: ${biologyInNEET}`);
+
+      res.json({
+        success: true,
+        total: totalBiology,
+        inJEE: biologyInJEE,
+        inNEET: biologyInNEET,
+        sampleJEE: sampleJEE.map(q => ({ id: q._id, text: q.text.substring(0, 50) })),
+        sampleNEET: sampleNEET.map(q => ({ id: q._id, text: q.text.substring(0, 50) })),
+        message: `Found ${totalBiology} Biology questions: ${biologyInJEE} in JEE, ${biologyInNEET} in NEET`
+      });
+    } catch (error) {
+      console.error('❌ Error checking Biology questions:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error checking Biology questions: ' + error.message
+      });
+    }
+  });
+
+  // FIX BIOLOGY QUESTIONS - Migration endpoint to move Biology from JEE to NEET
+  app.post('/api/admin/fix-biology-questions', authenticate, requirePermission('admin:maintenance'), requireSudo, async (req, res) => {
+    try {
+      console.log('🔧 Starting Biology questions migration...');
+      
+      // Find all Biology questions in JEE
+      const biologyInJEE = await Question.find({ 
+        subject: 'biology', 
+        examType: 'jee' 
+      });
+
+      console.log(`📊 Found ${biologyInJEE.length} Biology questions in JEE`);
+
+      if (biologyInJEE.length === 0) {
+        // Check if there are any Biology questions at all
+        const totalBiology = await Question.countDocuments({ subject: 'biology' });
+        const biologyInNEET = await Question.countDocuments({ subject: 'biology', examType: 'neet' });
+        
+        return res.json({
+          success: true,
+          message: `No Biology questions in JEE. Total Biology: ${totalBiology}, Already in NEET: ${biologyInNEET}`,
+          fixed: 0,
+          totalBiology,
+          alreadyInNEET: biologyInNEET
+        });
+      }
+
+      // Update all Biology questions to NEET
+      const result = await Question.updateMany(
+        { subject: 'biology', examType: 'jee' },
+        { $set: { examType: 'neet' } }
+      );
+
+      console.log(`✅ Migrated ${result.modifiedCount} Biology questions from JEE to NEET`);
+
+      res.json({
+        success: true,
+        message: `Successfully migrated ${result.modifiedCount} Biology questions from JEE to NEET`,
+        fixed: result.modifiedCount,
+        found: biologyInJEE.length
+      });
+    } catch (error) {
+      console.error('❌ Error fixing Biology questions:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error fixing Biology questions: ' + error.message
+      });
+    }
+  });
+
+  // FIX BIOLOGY CHAPTERS - Migration endpoint to move Biology chapters from JEE to NEET
+  app.post('/api/admin/fix-biology-chapters', authenticate, requirePermission('admin:maintenance'), requireSudo, async (req, res) => {
+    try {
+      console.log('🔧 Starting Biology chapters migration...');
+      
+      // Find all Biology chapters in JEE
+      const biologyChaptersInJEE = await Chapter.find({ 
+        subject: 'biology', 
+        examType: 'jee' 
+      });
+
+      console.log(`📊 Found ${biologyChaptersInJEE.length} Biology chapters in JEE`);
+
+      if (biologyChaptersInJEE.length === 0) {
+        return res.json({
+          success: true,
+          message: 'No Biology chapters found in JEE. All good!',
+          fixed: 0
+        });
+      }
+
+      // Update all Biology chapters to NEET
+      const result = await Chapter.updateMany(
+        { subject: 'biology', examType: 'jee' },
+        { $set: { examType: 'neet' } }
+      );
+
+      console.log(`✅ Migrated ${result.modifiedCount} Biology chapters from JEE to NEET`);
+
+      res.json({
+        success: true,
+        message: `Successfully migrated ${result.modifiedCount} Biology chapters from JEE to NEET`,
+        fixed: result.modifiedCount,
+        found: biologyChaptersInJEE.length
+      });
+    } catch (error) {
+      console.error('❌ Error fixing Biology chapters:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error fixing Biology chapters: ' + error.message
+      });
+    }
+  });
+
+  // CREATE DEFAULT BIOLOGY CHAPTERS - Helper endpoint
+  app.post('/api/admin/create-biology-chapters', authenticate, requirePermission('admin:maintenance'), async (req, res) => {
+    try {
+      console.log('📚 Creating default Biology chapters for NEET...');
+      
+      const defaultBiologyChapters = [
+        { name: 'Cell Biology', icon: 'fa-microscope', order: 1 },
+        { name: 'Genetics', icon: 'fa-dna', order: 2 },
+        { name: 'Evolution', icon: 'fa-tree', order: 3 },
+        { name: 'Human Physiology', icon: 'fa-heartbeat', order: 4 },
+        { name: 'Plant Physiology', icon: 'fa-leaf', order: 5 },
+        { name: 'Ecology', icon: 'fa-globe', order: 6 },
+        { name: 'Biotechnology', icon: 'fa-flask', order: 7 },
+        { name: 'Reproduction', icon: 'fa-seedling', order: 8 },
+        { name: 'Molecular Biology', icon: 'fa-atom', order: 9 },
+        { name: 'Diversity of Living Organisms', icon: 'fa-paw', order: 10 }
+      ];
+
+      const createdChapters = [];
+      
+      for (const chapterData of defaultBiologyChapters) {
+        // Check if chapter already exists
+        const existing = await Chapter.findOne({
+          examType: 'neet',
+          subject: 'biology',
+          name: chapterData.name
+        });
+
+        if (!existing) {
+          const newChapter = new Chapter({
+            examType: 'neet',
+            subject: 'biology',
+            name: chapterData.name,
+            description: `${chapterData.name} for NEET`,
+            icon: chapterData.icon,
+            order: chapterData.order,
+            isActive: true
+          });
+          await newChapter.save();
+          createdChapters.push(newChapter);
+          console.log(`✅ Created chapter: ${chapterData.name}`);
+        } else {
+          console.log(`ℹ️ Chapter already exists: ${chapterData.name}`);
+        }
+      }
+
+      res.json({
+        success: true,
+        message: `Created ${createdChapters.length} Biology chapters for NEET`,
+        created: createdChapters.length,
+        chapters: createdChapters
+      });
+    } catch (error) {
+      console.error('❌ Error creating Biology chapters:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error creating Biology chapters: ' + error.message
+      });
+    }
+  });
+
+  // ========================================
+  // EXAM PATTERNS
+  // ========================================
+
+  // Built-in patterns, created at startup and shared with every institution
+  const jeeMainSubjectSections = (subject, label) => [
+    { name: `${label} - Section A`, subject, questionType: 'mcq', questionCount: 20, marksPerQuestion: 4, negativeMarks: 1 },
+    { name: `${label} - Section B`, subject, questionType: 'numeric', questionCount: 10, attemptLimit: 5, marksPerQuestion: 4, negativeMarks: 1 }
+  ];
+  const neetSubjectSections = (subject, label) => [
+    { name: `${label} - Section A`, subject, questionCount: 35, marksPerQuestion: 4, negativeMarks: 1 },
+    { name: `${label} - Section B`, subject, questionCount: 15, attemptLimit: 10, marksPerQuestion: 4, negativeMarks: 1 }
+  ];
+
+  const BUILT_IN_EXAM_PATTERNS = [
+    {
+      key: 'jee-main',
+      name: 'JEE Main',
+      examType: 'jee',
+      description: 'Physics, Chemistry and Mathematics - 20 MCQs plus 10 numerical questions (attempt any 5) each',
+      duration: 180,
+      sections: [
+        ...jeeMainSubjectSections('physics', 'Physics'),
+        ...jeeMainSubjectSections('chemistry', 'Chemistry'),
+        ...jeeMainSubjectSections('mathematics', 'Mathematics')
+      ]
+    },
+    {
+      key: 'neet',
+      name: 'NEET (UG)',
+      examType: 'neet',
+      description: 'Physics, Chemistry, Botany and Zoology - 35 questions plus 15 optional (attempt any 10) each',
+      duration: 200,
+      sections: [
+        ...neetSubjectSections('physics', 'Physics'),
+        ...neetSubjectSections('chemistry', 'Chemistry'),
+        ...neetSubjectSections('biology', 'Botany'),
+        ...neetSubjectSections('biology', 'Zoology')
+      ]
+    }
+  ];
+
+  async function ensureBuiltInExamPatterns() {
+    await withInstitution(defaultInstitutionId, async () => {
+      for (const pattern of BUILT_IN_EXAM_PATTERNS) {
+        if (!(await ExamPattern.exists({ key: pattern.key }))) {
+          await ExamPattern.create({ ...pattern, isShared: true });
+          console.log('📐 Created built-in exam pattern:', pattern.name);
+        }
+      }
+    });
+  }
+
+  // Validate pattern sections from a request body. Returns { sections } or { error }.
+  function normalizePatternSections(sections) {
+    if (!Array.isArray(sections) || sections.length === 0) {
+      return { error: 'At least one section is required' };
+    }
+
+    const names = new Set();
+    const normalized = [];
+    for (const section of sections) {
+      const name = String(section?.name || '').trim();
+      const questionCount = Number(section?.questionCount);
+      const attemptLimit = section?.attemptLimit ? Number(section.attemptLimit) : undefined;
+
+      if (!name || names.has(name)) {
+        return { error: 'Every section needs a unique name' };
+      }
+      if (!Number.isInteger(questionCount) || questionCount < 1) {
+        return { error: `Section "${name}" needs a question count of at least 1` };
+      }
+      if (attemptLimit !== undefined && (!Number.isInteger(attemptLimit) || attemptLimit < 1 || attemptLimit > questionCount)) {
+        return { error: `Section "${name}" attempt limit must be between 1 and its question count` };
+      }
+      if (section.questionType && !QUESTION_TYPES.includes(section.questionType)) {
+        return { error: `Section "${name}" has an unknown question type` };
+      }
+
+      names.add(name);
+      normalized.push({
+        name,
+        subject: section.subject || undefined,
+        questionType: section.questionType || undefined,
+        questionCount,
+        attemptLimit,
+        marksPerQuestion: Number(section.marksPerQuestion ?? 4),
+        negativeMarks: Math.abs(Number(section.negativeMarks ?? 0))
+      });
+    }
+
+    return { sections: normalized };
+  }
+
+  // Mock test sections for a pattern from one question ID list per pattern section.
+  // Each list must fill its section and match the section's subject and question type.
+  // Returns { sections } or { error, details }.
+  async function buildPatternSections(pattern, sectionQuestionIds) {
+    if (!Array.isArray(sectionQuestionIds) || sectionQuestionIds.length !== pattern.sections.length) {
+      return { error: `Provide one question list for each of the ${pattern.sections.length} sections` };
+    }
+
+    const allIds = sectionQuestionIds.flat().map(String);
+    if (allIds.some(id => !mongoose.Types.ObjectId.isValid(id)) || new Set(allIds).size !== allIds.length) {
+      return { error: 'Question IDs must be valid and used only once' };
+    }
+
+    const questions = await Question.find({ _id: { $in: allIds } }).select('subject questionType');
+    const byId = new Map(questions.map(question => [question._id.toString(), question]));
+
+    const details = [];
+    const sections = pattern.sections.map((section, index) => {
+      const ids = sectionQuestionIds[index].map(String);
+      const problems = [];
+
+      if (ids.length !== section.questionCount) {
+        problems.push(`needs ${section.questionCount} questions, got ${ids.length}`);
+      }
+      const missing = ids.filter(id => !byId.has(id)).length;
+      if (missing > 0) problems.push(`${missing} question(s) not found`);
+      const wrongSubject = ids.filter(id => section.subject && byId.get(id) && byId.get(id).subject !== section.subject).length;
+      if (wrongSubject > 0) problems.push(`${wrongSubject} question(s) are not ${section.subject}`);
+      const wrongType = ids.filter(id => section.questionType && byId.get(id) && (byId.get(id).questionType || 'mcq') !== section.questionType).length;
+      if (wrongType > 0) problems.push(`${wrongType} question(s) are not ${section.questionType}`);
+
+      if (problems.length > 0) details.push({ section: section.name, problems });
+
+      return {
+        name: section.name,
+        subject: section.subject,
+        questionType: section.questionType,
+        questionIds: ids,
+        attemptLimit: section.attemptLimit,
+        marksPerQuestion: section.marksPerQuestion,
+        negativeMarks: section.negativeMarks
+      };
+    });
+
+    if (details.length > 0) {
+      return { error: 'The questions do not fit the exam pattern', details };
+    }
+    return { sections };
+  }
+
+  // Highest score possible on a sectioned test
+  function sectionsTotalMarks(sections) {
+    return sections.reduce((sum, section) => sum + (section.attemptLimit || section.questionIds.length) * section.marksPerQuestion, 0);
+  }
+
+  app.get('/api/exam-patterns', authenticate, async (req, res) => {
+    try {
+      const query = req.query.examType ? { examType: String(req.query.examType) } : {};
+      const patterns = await ExamPattern.find(query).sort({ key: -1, createdAt: -1 });
+
+      res.json({
+        success: true,
+        patterns
+      });
+    } catch (error) {
+      console.error('Error fetching exam patterns:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error fetching exam patterns'
+      });
+    }
+  });
+
+  app.post('/api/exam-patterns', authenticate, requirePermission('mock-tests:write'), async (req, res) => {
+    try {
+      const { name, examType, description, duration } = req.body;
+      const { sections, error } = normalizePatternSections(req.body.sections);
+
+      if (!name || !['jee', 'neet'].includes(examType) || !(Number(duration) > 0)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Name, exam type (jee or neet) and duration are required'
+        });
+      }
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error
+        });
+      }
+
+      const pattern = await ExamPattern.create({
+        name,
+        examType,
+        description,
+        duration: Number(duration),
+        sections,
+        createdBy: req.user._id
+      });
+
+      res.json({
+        success: true,
+        message: 'Exam pattern created successfully',
+        pattern
+      });
+    } catch (error) {
+      console.error('Error creating exam pattern:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error creating exam pattern'
+      });
+    }
+  });
+
+  // Built-in patterns cannot be changed; mock tests already created keep their own copy of the sections
+  app.put('/api/exam-patterns/:id', authenticate, requirePermission('mock-tests:write'), async (req, res) => {
+    try {
+      const pattern = mongoose.Types.ObjectId.isValid(req.params.id) ? await ExamPattern.findById(req.params.id) : null;
+
+      if (!pattern) {
+        return res.status(404).json({
+          success: false,
+          error: 'Exam pattern not found'
         });
-        
-        const responseTime = Date.now() - startTime;
-        
-        if (testResult.choices && testResult.choices[0] && testResult.choices[0].message) {
-          results[provider.name] = {
-            success: true,
-            response: testResult.choices[0].message.content,
-            responseTime: responseTime,
-            model: provider.model
-          };
-          console.log(`✅ ${provider.name} test successful`);
-        } else {
-          results[provider.name] = {
+      }
+      if (pattern.key) {
+        return sendForbidden(res, 'Built-in exam patterns cannot be changed');
+      }
+
+      if (req.body.sections !== undefined) {
+        const { sections, error } = normalizePatternSections(req.body.sections);
+        if (error) {
+          return res.status(400).json({
             success: false,
-            error: 'Invalid response format',
-            responseTime: responseTime
-          };
+            error
+          });
         }
-      } catch (error) {
-        console.log(`❌ ${provider.name} test failed:`, error.message);
-        results[provider.name] = {
+        pattern.sections = sections;
+      }
+      ['name', 'description'].forEach(field => {
+        if (req.body[field] !== undefined) pattern[field] = req.body[field];
+      });
+      if (Number(req.body.duration) > 0) pattern.duration = Number(req.body.duration);
+
+      await pattern.save();
+
+      res.json({
+        success: true,
+        message: 'Exam pattern updated successfully',
+        pattern
+      });
+    } catch (error) {
+      console.error('Error updating exam pattern:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error updating exam pattern'
+      });
+    }
+  });
+
+  app.delete('/api/exam-patterns/:id', authenticate, requirePermission('mock-tests:write'), async (req, res) => {
+    try {
+      const pattern = mongoose.Types.ObjectId.isValid(req.params.id) ? await ExamPattern.findById(req.params.id) : null;
+
+      if (!pattern) {
+        return res.status(404).json({
           success: false,
-          error: error.message
-        };
+          error: 'Exam pattern not found'
+        });
+      }
+      if (pattern.key) {
+        return sendForbidden(res, 'Built-in exam patterns cannot be deleted');
       }
+
+      await pattern.deleteOne();
+
+      res.json({
+        success: true,
+        message: 'Exam pattern deleted successfully'
+      });
+    } catch (error) {
+      console.error('Error deleting exam pattern:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error deleting exam pattern'
+      });
     }
-    
-    res.json({
-      success: true,
-      results: results,
-      totalProviders: aiProviders.length
-    });
   });
 
-  // API status endpoint with rate limit info
-  app.get('/api/ai-status', (req, res) => {
-    const now = Date.now();
-    
-    // Calculate key rotation status
-    const keyStatus = geminiApiKeys.map((key, index) => {
-      const tracking = keyUsageTracking[index];
-      const timeSinceReset = now - tracking.lastReset;
-      const secondsUntilReset = Math.max(0, Math.ceil((60000 - timeSinceReset) / 1000));
+  // ========================================
+  // MOCK TEST API ENDPOINTS
+  // ========================================
+
+  // Create mock test
+  app.post('/api/mock-tests', authenticate, requirePermission('mock-tests:write'), async (req, res) => {
+    try {
+      console.log('📝 ========== CREATING MOCK TEST ==========');
+      console.log('📝 Request body:', req.body);
       
-      return {
-        key_number: index + 1,
-        requests_used: tracking.requestCount,
-        requests_limit: 15,
-        requests_remaining: Math.max(0, 15 - tracking.requestCount),
-        is_blocked: tracking.isBlocked && now < tracking.blockUntil,
-        resets_in_seconds: secondsUntilReset,
-        key_preview: `${key.substring(0, 10)}...${key.substring(key.length - 4)}`
-      };
+      const { name, examType, duration, description, questionIds, totalQuestions, createdBy, isPublic, status, numericNegativeMarking, multipleCorrectMarking, examPatternId, sectionQuestionIds, shuffleQuestions, shuffleOptions } = req.body;
+
+      console.log('📝 Extracted fields:', { name, examType, duration, totalQuestions, status, examPatternId });
+
+      const mockTest = new MockTest({
+        name,
+        examType,
+        duration,
+        description,
+        questionIds,
+        totalQuestions,
+        createdBy,
+        isPublic: isPublic !== undefined ? isPublic : true,
+        status: status || 'active', // Default to 'active' if not provided
+        numericNegativeMarking: !!numericNegativeMarking,
+        multipleCorrectMarking,
+        shuffleQuestions: !!shuffleQuestions,
+        shuffleOptions: !!shuffleOptions
+      });
+
+      const schedule = await normalizeMockTestSchedule(req.body);
+      if (schedule.error) {
+        return res.status(400).json({
+          success: false,
+          error: schedule.error
+        });
+      }
+      mockTest.set(schedule.fields);
+
+      // Built from an exam pattern: sectionQuestionIds holds one ID list per pattern section
+      if (examPatternId) {
+        const pattern = mongoose.Types.ObjectId.isValid(examPatternId) ? await ExamPattern.findById(examPatternId) : null;
+        if (!pattern) {
+          return res.status(404).json({
+            success: false,
+            error: 'Exam pattern not found'
+          });
+        }
+
+        const { sections, error, details } = await buildPatternSections(pattern, sectionQuestionIds);
+        if (error) {
+          return res.status(400).json({
+            success: false,
+            error,
+            details
+          });
+        }
+
+        mockTest.examPatternId = pattern._id;
+        mockTest.examType = pattern.examType;
+        mockTest.duration = duration || pattern.duration;
+        mockTest.sections = sections;
+        mockTest.questionIds = sections.flatMap(section => section.questionIds);
+        mockTest.totalQuestions = mockTest.questionIds.length;
+        mockTest.totalMarks = sectionsTotalMarks(sections);
+      }
+
+      console.log('📝 Mock test object before save:', mockTest);
+      
+      await mockTest.save();
+      
+      console.log('✅ Mock test saved successfully!');
+      console.log('✅ Saved mock test ID:', mockTest._id);
+      console.log('✅ Saved mock test status:', mockTest.status);
+
+      res.json({
+        success: true,
+        message: 'Mock test created successfully',
+        mockTest
+      });
+    } catch (error) {
+      console.error('❌ Error creating mock test:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error creating mock test: ' + error.message
+      });
+    }
+  });
+
+  // ========================================
+  // MOCK TEST GENERATION (BLUEPRINTS)
+  // ========================================
+
+  const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+  // Split total across weighted keys (largest remainder), e.g. (10, { easy: 3, medium: 5, hard: 2 })
+  function apportion(total, weights) {
+    const entries = Object.entries(weights).filter(([, weight]) => Number(weight) > 0);
+    const weightSum = entries.reduce((sum, [, weight]) => sum + Number(weight), 0);
+    if (weightSum === 0) return {};
+
+    const shares = entries.map(([key, weight]) => {
+      const exact = total * Number(weight) / weightSum;
+      return { key, count: Math.floor(exact), remainder: exact - Math.floor(exact) };
     });
-    
-    res.json({
-      ai_configured: aiProviders.length > 0,
-      total_providers: aiProviders.length,
-      providers: aiProviders.map(p => ({
-        name: p.name,
-        model: p.model,
-        speed: p.speed,
-        priority: p.priority
-      })),
-      cohere_configured: !!process.env.COHERE_API_KEY,
-      gemini_configured: geminiApiKeys.length > 0,
-      groq_configured: !!process.env.GROQ_API_KEY,
-      gemini_key_rotation: {
-        total_keys: geminiApiKeys.length,
-        current_key_index: currentKeyIndex + 1,
-        keys: keyStatus,
-        rotation_enabled: geminiApiKeys.length > 1,
-        combined_capacity: `${geminiApiKeys.length * 15} requests per minute`,
-        free_tier_limits_per_key: {
-          rpm: '15 requests per minute',
-          rpd: '1,500 requests per day',
-          tpm: '1 million tokens per minute'
+    let left = total - shares.reduce((sum, share) => sum + share.count, 0);
+    [...shares].sort((a, b) => b.remainder - a.remainder).forEach(share => {
+      if (left > 0) {
+        share.count++;
+        left--;
+      }
+    });
+
+    return Object.fromEntries(shares.map(share => [share.key, share.count]));
+  }
+
+  // Take up to count random items from list (removing them from it)
+  function takeRandom(list, count) {
+    const taken = [];
+    while (taken.length < count && list.length > 0) {
+      const index = Math.floor(Math.random() * list.length);
+      taken.push(list.splice(index, 1)[0]);
+    }
+    return taken;
+  }
+
+  // Validate a blueprint from a request body. Returns { blueprint } or { error }.
+  // {
+  //   examType: 'jee',
+  //   subjects: [{ subject: 'physics', count: 30, chapters: { 'Kinematics': 2, 'Optics': 1 } }],
+  //   difficulty: { easy: 30, medium: 50, hard: 20 },  // optional mix (weights)
+  //   questionTypes: ['mcq', 'numeric'],              // optional
+  //   excludeRecentTests: 3                           // skip questions used in the last 3 mock tests for this exam
+  // }
+  // With an exam pattern the pattern's sections fix the subjects, types and counts;
+  // subjects[] then only supplies chapter weightage.
+  function normalizeBlueprint(body, pattern) {
+    const examType = pattern ? pattern.examType : body.examType;
+    if (!['jee', 'neet'].includes(examType)) {
+      return { error: 'Exam type (jee or neet) is required' };
+    }
+
+    const subjects = Array.isArray(body.subjects) ? body.subjects : [];
+    if (!pattern && subjects.length === 0) {
+      return { error: 'At least one subject is required' };
+    }
+    for (const entry of subjects) {
+      if (!entry?.subject) {
+        return { error: 'Every subject entry needs a subject' };
+      }
+      if (!pattern && !(Number.isInteger(Number(entry.count)) && Number(entry.count) > 0)) {
+        return { error: `Subject "${entry.subject}" needs a question count of at least 1` };
+      }
+      if (entry.chapters && (typeof entry.chapters !== 'object' || Object.values(entry.chapters).some(weight => !(Number(weight) >= 0)))) {
+        return { error: `Chapter weightage for "${entry.subject}" must map chapter names to non-negative weights` };
+      }
+    }
+
+    const difficulty = body.difficulty || null;
+    if (difficulty && (Object.keys(difficulty).some(level => !DIFFICULTIES.includes(level)) ||
+        Object.values(apportion(100, difficulty)).length === 0)) {
+      return { error: 'Difficulty mix must give weights for easy, medium and/or hard' };
+    }
+
+    const questionTypes = body.questionTypes?.length ? body.questionTypes : null;
+    if (questionTypes && questionTypes.some(type => !QUESTION_TYPES.includes(type))) {
+      return { error: 'Unknown question type in questionTypes' };
+    }
+
+    const chaptersFor = subject => subjects.find(entry => entry.subject === subject)?.chapters || null;
+    const slots = pattern
+      ? pattern.sections.map(section => ({
+        name: section.name,
+        subject: section.subject,
+        questionTypes: section.questionType ? [section.questionType] : questionTypes,
+        count: section.questionCount,
+        chapters: chaptersFor(section.subject)
+      }))
+      : subjects.map(entry => ({
+        name: entry.subject,
+        subject: entry.subject,
+        questionTypes,
+        count: Number(entry.count),
+        chapters: entry.chapters || null
+      }));
+
+    return {
+      blueprint: {
+        examType,
+        slots,
+        difficulty,
+        excludeRecentTests: Math.max(0, parseInt(body.excludeRecentTests, 10) || 0)
+      }
+    };
+  }
+
+  // Pick questions for each blueprint slot. Each slot is split by chapter weightage, then
+  // by difficulty mix; a cell the bank cannot fill is reported and topped up from the
+  // rest of the slot's pool. Returns { slots: [{ name, questionIds }], shortfalls, excluded }.
+  async function generateFromBlueprint(blueprint) {
+    const recentTests = blueprint.excludeRecentTests > 0
+      ? await MockTest.find({ examType: blueprint.examType }).sort({ createdAt: -1 }).limit(blueprint.excludeRecentTests).select('questionIds')
+      : [];
+    const used = new Set(recentTests.flatMap(test => test.questionIds.map(String)));
+    const picked = new Set();
+    const shortfalls = [];
+
+    const slots = [];
+    for (const slot of blueprint.slots) {
+      const query = { ...PUBLISHED_QUESTION_FILTER, examType: blueprint.examType };
+      if (slot.subject) query.subject = slot.subject;
+      if (slot.questionTypes) {
+        // Older questions have no questionType and are MCQs
+        query.questionType = { $in: slot.questionTypes.includes('mcq') ? [...slot.questionTypes, null] : slot.questionTypes };
+      }
+
+      const pool = (await Question.find(query).select('chapter difficulty').lean())
+        .filter(question => !used.has(question._id.toString()) && !picked.has(question._id.toString()));
+
+      const chapterTargets = slot.chapters ? apportion(slot.count, slot.chapters) : { '': slot.count };
+      const chosen = [];
+
+      for (const [chapter, chapterCount] of Object.entries(chapterTargets)) {
+        const difficultyTargets = blueprint.difficulty ? apportion(chapterCount, blueprint.difficulty) : { '': chapterCount };
+
+        for (const [difficulty, cellCount] of Object.entries(difficultyTargets)) {
+          if (cellCount === 0) continue;
+          const cell = pool.filter(question => (!chapter || question.chapter === chapter) && (!difficulty || question.difficulty === difficulty));
+          const taken = takeRandom(cell, cellCount);
+          taken.forEach(question => pool.splice(pool.indexOf(question), 1));
+          chosen.push(...taken);
+
+          if (taken.length < cellCount) {
+            shortfalls.push({
+              slot: slot.name,
+              chapter: chapter || undefined,
+              difficulty: difficulty || undefined,
+              requested: cellCount,
+              available: taken.length
+            });
+          }
+        }
+      }
+
+      // Top up from anything else that fits the slot
+      if (chosen.length < slot.count) {
+        chosen.push(...takeRandom(pool, slot.count - chosen.length));
+      }
+      if (chosen.length < slot.count) {
+        shortfalls.push({
+          slot: slot.name,
+          requested: slot.count,
+          available: chosen.length,
+          unfilled: true
+        });
+      }
+
+      chosen.forEach(question => picked.add(question._id.toString()));
+      slots.push({ name: slot.name, questionIds: chosen.map(question => question._id.toString()) });
+    }
+
+    return { slots, shortfalls, excluded: used.size };
+  }
+
+  // Build and save a mock test from a blueprint. Cells the bank cannot fill are topped up
+  // from the rest of the pool and listed in shortfalls; if a subject or section still
+  // comes up short nothing is saved (422). dryRun returns the selection without saving.
+  app.post('/api/mock-tests/generate', authenticate, requirePermission('mock-tests:write'), async (req, res) => {
+    try {
+      const { name, duration, description, isPublic, status, numericNegativeMarking, multipleCorrectMarking, examPatternId, dryRun, shuffleQuestions, shuffleOptions } = req.body;
+
+      let pattern = null;
+      if (examPatternId) {
+        pattern = mongoose.Types.ObjectId.isValid(examPatternId) ? await ExamPattern.findById(examPatternId) : null;
+        if (!pattern) {
+          return res.status(404).json({
+            success: false,
+            error: 'Exam pattern not found'
+          });
+        }
+      }
+
+      if (!name && !dryRun) {
+        return res.status(400).json({
+          success: false,
+          error: 'Test name is required'
+        });
+      }
+      if (!pattern && !(Number(duration) > 0)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Duration is required'
+        });
+      }
+
+      const { blueprint, error } = normalizeBlueprint(req.body, pattern);
+      const schedule = await normalizeMockTestSchedule(req.body);
+      if (error || schedule.error) {
+        return res.status(400).json({
+          success: false,
+          error: error || schedule.error
+        });
+      }
+
+      const { slots, shortfalls, excluded } = await generateFromBlueprint(blueprint);
+      const unfilled = shortfalls.some(shortfall => shortfall.unfilled);
+
+      console.log(`🎲 Blueprint for ${blueprint.examType}: ${slots.map(slot => `${slot.name}=${slot.questionIds.length}`).join(', ')} (${shortfalls.length} shortfalls, ${excluded} recent questions excluded)`);
+
+      if (dryRun || unfilled) {
+        return res.status(unfilled ? 422 : 200).json({
+          success: !unfilled,
+          error: unfilled ? 'The question bank cannot satisfy this blueprint' : undefined,
+          dryRun: !!dryRun,
+          slots,
+          shortfalls,
+          excludedRecentQuestions: excluded
+        });
+      }
+
+      const mockTest = new MockTest({
+        name,
+        examType: blueprint.examType,
+        duration: Number(duration) || pattern.duration,
+        description,
+        createdBy: req.user.username,
+        isPublic: isPublic !== undefined ? isPublic : true,
+        status: status || 'active',
+        numericNegativeMarking: !!numericNegativeMarking,
+        multipleCorrectMarking,
+        shuffleQuestions: !!shuffleQuestions,
+        shuffleOptions: !!shuffleOptions,
+        ...schedule.fields
+      });
+
+      if (pattern) {
+        const { sections, error: patternError } = await buildPatternSections(pattern, slots.map(slot => slot.questionIds));
+        if (patternError) {
+          throw new Error(patternError);
         }
-      },
-      server_time: new Date().toISOString(),
-      fallback_mode: aiProviders.length === 0
-    });
-  });
+        mockTest.examPatternId = pattern._id;
+        mockTest.sections = sections;
+        mockTest.totalMarks = sectionsTotalMarks(sections);
+      }
+      mockTest.questionIds = slots.flatMap(slot => slot.questionIds);
+      mockTest.totalQuestions = mockTest.questionIds.length;
+
+      await mockTest.save();
 
-  // Admin password verification endpoint
-  app.post('/api/admin/verify-password', (req, res) => {
-    const { password } = req.body;
-    const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || 'sarvesh9925'; // Default password
+      console.log(`✅ Generated mock test ${mockTest.name} (${mockTest._id}) with ${mockTest.totalQuestions} questions`);
 
-    if (password === ADMIN_PASSWORD) {
       res.json({
         success: true,
-        message: 'Admin access granted',
-        token: 'admin-access-token'
+        message: 'Mock test generated successfully',
+        mockTest,
+        shortfalls,
+        excludedRecentQuestions: excluded
       });
-    } else {
-      res.status(401).json({
+    } catch (error) {
+      console.error('❌ Error generating mock test:', error);
+      res.status(500).json({
         success: false,
-        error: 'Invalid admin password'
+        error: 'Error generating mock test: ' + error.message
       });
     }
   });
 
-  // Test API keys endpoint
-  app.post('/api/test-ai-keys', async (req, res) => {
-    const { groqKey, cohereKey } = req.body;
-    const results = {};
+  // ========================================
+  // MOCK TEST SCHEDULING & ASSIGNMENT
+  // ========================================
 
-    // Test Groq
-    if (groqKey) {
-      try {
-        const response = await fetch('https://api.groq.com/openai/v1/chat/completions', {
-          method: 'POST',
-          headers: {
-            'Authorization': `Bearer ${groqKey}`,
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({
-            model: 'llama-3.1-8b-instant',
-            messages: [{ role: 'user', content: 'Hi' }],
-            max_tokens: 10,
-            temperature: 0.1
-          })
-        });
+  // When a mock test can be started: 'upcoming', 'live' or 'closed'. A fixed-start test
+  // can be joined late (until closesAt, if set) but still ends duration after opensAt.
+  function mockTestAvailability(test, now = new Date()) {
+    const opensAt = test.opensAt || null;
+    let closesAt = test.closesAt || null;
+    let endsAt = null;
 
-        if (response.ok) {
-          const data = await response.json();
-          results.groq = { success: true, message: 'Groq API key is valid and working!' };
-        } else {
-          const errorText = await response.text();
-          throw new Error(`HTTP ${response.status}: ${errorText}`);
-        }
-      } catch (error) {
-        results.groq = { success: false, error: error.message };
-      }
+    if (test.fixedStart && opensAt) {
+      endsAt = new Date(opensAt.getTime() + test.duration * 60 * 1000);
+      closesAt = closesAt && closesAt < endsAt ? closesAt : endsAt;
     }
 
-    // Test Cohere
-    if (cohereKey) {
-      try {
-        const response = await fetch('https://api.cohere.ai/v1/chat', {
-          method: 'POST',
-          headers: {
-            'Authorization': `Bearer ${cohereKey}`,
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({
-            model: 'command-r-08-2024',
-            message: 'Test connection',
-            max_tokens: 10,
-            temperature: 0.1
-          })
-        });
+    let state = 'live';
+    if (opensAt && now < opensAt) state = 'upcoming';
+    else if (closesAt && now >= closesAt) state = 'closed';
 
-        if (response.ok) {
-          results.cohere = { success: true, message: 'Cohere API key is valid and working!' };
-        } else {
-          const errorText = await response.text();
-          throw new Error(`HTTP ${response.status}: ${errorText}`);
-        }
-      } catch (error) {
-        results.cohere = { success: false, error: error.message };
+    return { state, opensAt, closesAt, endsAt, fixedStart: !!test.fixedStart };
+  }
+
+  // When a new attempt on the test must end
+  function mockTestDeadline(test, startedAt) {
+    const { closesAt, endsAt } = mockTestAvailability(test, startedAt);
+    if (endsAt) return endsAt;
+
+    const deadline = new Date(startedAt.getTime() + (test.duration || 60) * 60 * 1000);
+    return closesAt && closesAt < deadline ? closesAt : deadline;
+  }
+
+  // Query for the active mock tests a student may take - unassigned tests, or tests
+  // assigned to them or to one of their batches
+  async function assignedMockTestsQuery(user) {
+    const batchIds = await Batch.find({ studentIds: user._id }).distinct('_id');
+    return {
+      status: 'active',
+      $or: [
+        { 'assignedBatchIds.0': { $exists: false }, 'assignedStudentIds.0': { $exists: false } },
+        { assignedStudentIds: user._id },
+        { assignedBatchIds: { $in: batchIds } }
+      ]
+    };
+  }
+
+  // Staff can open any test (to check it); students only what is assigned to them
+  async function canTakeMockTest(user, test) {
+    if (hasPermission(user, 'mock-tests:write')) return true;
+    if (!test.assignedBatchIds?.length && !test.assignedStudentIds?.length) return true;
+    if (test.assignedStudentIds?.some(id => id.equals(user._id))) return true;
+    return Boolean(test.assignedBatchIds?.length && await Batch.exists({ _id: { $in: test.assignedBatchIds }, studentIds: user._id }));
+  }
+
+  // Validate scheduling fields from a request body, on top of the test's current values.
+  // Only fields present in the body are returned. Returns { fields } or { error }.
+  async function normalizeMockTestSchedule(body, current = {}) {
+    const fields = {};
+
+    for (const field of ['opensAt', 'closesAt']) {
+      if (body[field] === undefined) continue;
+      if (body[field] === null || body[field] === '') {
+        fields[field] = null;
+        continue;
       }
+      const date = new Date(body[field]);
+      if (isNaN(date.getTime())) {
+        return { error: `${field} is not a valid date` };
+      }
+      fields[field] = date;
     }
+    if (body.fixedStart !== undefined) fields.fixedStart = !!body.fixedStart;
 
-    // Test with current environment keys if no keys provided
-    if (!groqKey && !cohereKey) {
-      // Test current Groq key
-      if (process.env.GROQ_API_KEY) {
-        try {
-          const response = await fetch('https://api.groq.com/openai/v1/chat/completions', {
-            method: 'POST',
-            headers: {
-              'Authorization': `Bearer ${process.env.GROQ_API_KEY}`,
-              'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-              model: 'llama-3.1-8b-instant',
-              messages: [{ role: 'user', content: 'Test' }],
-              max_tokens: 5,
-              temperature: 0.1
-            })
-          });
+    const opensAt = fields.opensAt !== undefined ? fields.opensAt : current.opensAt;
+    const closesAt = fields.closesAt !== undefined ? fields.closesAt : current.closesAt;
+    const fixedStart = fields.fixedStart !== undefined ? fields.fixedStart : current.fixedStart;
 
-          if (response.ok) {
-            results.groq = { success: true, message: 'Current Groq API key is working!' };
-          } else {
-            const errorText = await response.text();
-            results.groq = { success: false, error: `Groq API Error: ${response.status} - ${errorText}` };
-          }
-        } catch (error) {
-          results.groq = { success: false, error: error.message };
-        }
+    if (opensAt && closesAt && closesAt <= opensAt) {
+      return { error: 'The test must close after it opens' };
+    }
+    if (fixedStart && !opensAt) {
+      return { error: 'A fixed-start test needs a start time (opensAt)' };
+    }
+
+    if (body.assignedBatchIds !== undefined) {
+      const ids = [...new Set((body.assignedBatchIds || []).map(String))];
+      if (ids.some(id => !mongoose.Types.ObjectId.isValid(id)) || await Batch.countDocuments({ _id: { $in: ids } }) !== ids.length) {
+        return { error: 'One or more batches were not found' };
+      }
+      fields.assignedBatchIds = ids;
+    }
+    if (body.assignedStudentIds !== undefined) {
+      const ids = [...new Set((body.assignedStudentIds || []).map(String))];
+      if (ids.some(id => !mongoose.Types.ObjectId.isValid(id)) || await User.countDocuments({ _id: { $in: ids }, role: 'student' }) !== ids.length) {
+        return { error: 'One or more students were not found' };
       }
+      fields.assignedStudentIds = ids;
+    }
 
-      // Test current Cohere key
-      if (process.env.COHERE_API_KEY) {
-        try {
-          const response = await fetch('https://api.cohere.ai/v1/chat', {
-            method: 'POST',
-            headers: {
-              'Authorization': `Bearer ${process.env.COHERE_API_KEY}`,
-              'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-              model: 'command-r-08-2024',
-              message: 'Test',
-              max_tokens: 5,
-              temperature: 0.1
-            })
-          });
+    return { fields };
+  }
 
-          if (response.ok) {
-            results.cohere = { success: true, message: 'Current Cohere API key is working!' };
-          } else {
-            const errorText = await response.text();
-            results.cohere = { success: false, error: `Cohere API Error: ${response.status} - ${errorText}` };
-          }
-        } catch (error) {
-          results.cohere = { success: false, error: error.message };
+  // Mock tests the caller may take, each with its availability. Staff see every active test.
+  app.get('/api/mock-tests', authenticate, async (req, res) => {
+    try {
+      const query = hasPermission(req.user, 'mock-tests:write') ? { status: 'active' } : await assignedMockTestsQuery(req.user);
+      const mockTests = await MockTest.find(query).sort({ opensAt: 1, createdAt: -1 });
+
+      console.log(`📊 ${mockTests.length} mock tests for ${req.user.username} (${req.user.role})`);
+
+      const now = new Date();
+      res.json({
+        success: true,
+        serverTime: now,
+        mockTests: mockTests.map(test => ({
+          ...test.toObject(),
+          availability: mockTestAvailability(test, now)
+        }))
+      });
+    } catch (error) {
+      console.error('❌ Error fetching mock tests:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error fetching mock tests'
+      });
+    }
+  });
+
+  // Get single mock test by ID
+  // Staff get the questions in full; students only get the test's details and question IDs -
+  // they receive the questions, without answers, from POST /api/test-attempts
+  app.get('/api/mock-tests/:id', authenticate, async (req, res) => {
+    try {
+      let query = mongoose.Types.ObjectId.isValid(req.params.id) ? MockTest.findById(req.params.id) : null;
+      if (query && hasPermission(req.user, 'mock-tests:write')) query = query.populate('questionIds');
+      const mockTest = query ? await query : null;
+
+      if (!mockTest || !(await canTakeMockTest(req.user, mockTest))) {
+        return res.status(404).json({
+          success: false,
+          error: 'Mock test not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        mockTest: {
+          ...mockTest.toObject(),
+          availability: mockTestAvailability(mockTest)
         }
+      });
+    } catch (error) {
+      console.error('Error fetching mock test:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error fetching mock test'
+      });
+    }
+  });
+
+  // Reschedule or reassign a mock test - { opensAt, closesAt, fixedStart, assignedBatchIds, assignedStudentIds }.
+  // Attempts already running keep their deadline.
+  app.put('/api/mock-tests/:id/schedule', authenticate, requirePermission('mock-tests:write'), async (req, res) => {
+    try {
+      const mockTest = mongoose.Types.ObjectId.isValid(req.params.id) ? await MockTest.findById(req.params.id) : null;
+
+      if (!mockTest) {
+        return res.status(404).json({
+          success: false,
+          error: 'Mock test not found'
+        });
       }
 
-      // Test current Gemini key
-      if (process.env.GEMINI_API_KEY) {
-        try {
-          const response = await fetch(`https://generativelanguage.googleapis.com/v1/models/gemini-2.0-flash:generateContent?key=${process.env.GEMINI_API_KEY}`, {
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-              contents: [{
-                parts: [{
-                  text: 'Test'
-                }]
-              }],
-              generationConfig: {
-                maxOutputTokens: 5
-              }
-            })
-          });
+      const { fields, error } = await normalizeMockTestSchedule(req.body, mockTest);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error
+        });
+      }
 
-          if (response.ok) {
-            results.gemini = { success: true, message: 'Current Gemini API key is working!' };
-          } else {
-            const errorText = await response.text();
-            results.gemini = { success: false, error: `Gemini API Error: ${response.status} - ${errorText}` };
-          }
-        } catch (error) {
-          results.gemini = { success: false, error: error.message };
+      mockTest.set(fields);
+      await mockTest.save();
+
+      res.json({
+        success: true,
+        message: 'Schedule updated successfully',
+        mockTest: {
+          ...mockTest.toObject(),
+          availability: mockTestAvailability(mockTest)
         }
-      }
+      });
+    } catch (error) {
+      console.error('Error updating mock test schedule:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error updating mock test schedule'
+      });
+    }
+  });
+
+  // ========================================
+  // BATCHES
+  // ========================================
+
+  app.get('/api/batches', authenticate, requirePermission('batches:write'), async (req, res) => {
+    try {
+      const batches = await Batch.find({}).sort({ name: 1 }).populate('studentIds', 'username email');
+
+      res.json({
+        success: true,
+        batches
+      });
+    } catch (error) {
+      console.error('Error fetching batches:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error fetching batches'
+      });
     }
-
-
-
-    res.json(results);
   });
 
+  // Validate a batch's student list. Returns { studentIds } or { error }.
+  async function normalizeBatchStudents(studentIds) {
+    const ids = [...new Set((studentIds || []).map(String))];
+    if (ids.some(id => !mongoose.Types.ObjectId.isValid(id)) || await User.countDocuments({ _id: { $in: ids }, role: 'student' }) !== ids.length) {
+      return { error: 'One or more students were not found' };
+    }
+    return { studentIds: ids };
+  }
 
-
-  // Get all questions (no auth required for browsing)
-  app.get('/api/questions', async (req, res) => {
+  app.post('/api/batches', authenticate, requirePermission('batches:write'), async (req, res) => {
     try {
-      const { examType, subject, difficulty, chapter, class: classLevel, language } = req.query;
-      let query = {};
+      const { name, description } = req.body;
+      const { studentIds, error } = await normalizeBatchStudents(req.body.studentIds);
 
-      // CRITICAL: Always filter by examType to prevent mixing JEE/NEET questions
-      if (examType) query.examType = examType;
-      if (subject) query.subject = subject;
-      if (difficulty) query.difficulty = difficulty;
-      if (chapter) query.chapter = chapter;
-      if (classLevel) query.class = classLevel;
-      
-      // Language filter - if specified, filter by language
-      // If not specified, show all questions (backward compatibility)
-      if (language) {
-        query.language = language;
+      if (!name || !String(name).trim()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Batch name is required'
+        });
+      }
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error
+        });
       }
 
-      console.log('🔍 Filtering questions with:', query);
-
-      const questions = await Question.find(query).sort({ createdAt: -1 });
-
-      console.log(`✅ Found ${questions.length} questions for ${examType} ${subject}${language ? ` (${language})` : ''}`);
+      const batch = await Batch.create({
+        name: String(name).trim(),
+        description,
+        studentIds,
+        createdBy: req.user._id
+      });
 
       res.json({
         success: true,
-        questions: questions,
-        count: questions.length
+        message: 'Batch created successfully',
+        batch
       });
     } catch (error) {
-      console.error('Error fetching questions:', error);
+      console.error('Error creating batch:', error);
       res.status(500).json({
         success: false,
-        error: 'Error fetching questions'
+        error: 'Error creating batch'
       });
     }
   });
 
-  // Add new question
-  app.post('/api/questions', authenticate, async (req, res) => {
+  app.put('/api/batches/:id', authenticate, requirePermission('batches:write'), async (req, res) => {
     try {
-      console.log('📥 Received question data:', JSON.stringify(req.body, null, 2));
-      let { examType, subject, class: classLevel, chapter, difficulty, question, tags, enhanced } = req.body;
-
-      // CRITICAL FIX: Force Biology to NEET, ignore frontend examType
-      if (subject === 'biology') {
-        console.log('🔧 FORCING Biology to NEET (was:', examType, ')');
-        examType = 'neet';
-      }
-
-      // Create question data object
-      const questionData = {
-        subject,
-        class: classLevel,
-        chapter,
-        difficulty,
-        text: question.text,
-        options: question.options || [],
-        answer: question.answer,
-        solution: question.solution,
-        explanation: question.explanation || '',
-        enhanced: enhanced || false,
-        tags: tags || [],
-        hints: question.hints || '',
-        references: question.references || ''
-      };
-
-      const savedQuestions = [];
-
-      // For physics and chemistry, create questions for both JEE and NEET
-      if (subject === 'physics' || subject === 'chemistry') {
-        console.log(`🔬 Creating ${subject} question for both JEE and NEET`);
-
-        // Create JEE version
-        const jeeQuestion = new Question({
-          ...questionData,
-          examType: 'jee'
-        });
-        await jeeQuestion.save();
-        savedQuestions.push(jeeQuestion);
-        console.log('✅ JEE question saved:', jeeQuestion._id);
+      const batch = mongoose.Types.ObjectId.isValid(req.params.id) ? await Batch.findById(req.params.id) : null;
 
-        // Create NEET version
-        const neetQuestion = new Question({
-          ...questionData,
-          examType: 'neet'
+      if (!batch) {
+        return res.status(404).json({
+          success: false,
+          error: 'Batch not found'
         });
-        await neetQuestion.save();
-        savedQuestions.push(neetQuestion);
-        console.log('✅ NEET question saved:', neetQuestion._id);
-      } else {
-        // For mathematics and biology, use the examType (already corrected above for biology)
-        // Biology is forced to NEET, Mathematics defaults to JEE
-        const finalExamType = examType || 'jee';
-        
-        console.log(`📚 Creating ${subject} question for ${finalExamType}`);
+      }
 
-        const singleQuestion = new Question({
-          ...questionData,
-          examType: finalExamType
-        });
-        await singleQuestion.save();
-        savedQuestions.push(singleQuestion);
-        console.log('✅ Question saved:', singleQuestion._id, 'with examType:', finalExamType);
+      if (req.body.studentIds !== undefined) {
+        const { studentIds, error } = await normalizeBatchStudents(req.body.studentIds);
+        if (error) {
+          return res.status(400).json({
+            success: false,
+            error
+          });
+        }
+        batch.studentIds = studentIds;
       }
+      if (req.body.name !== undefined && String(req.body.name).trim()) batch.name = String(req.body.name).trim();
+      if (req.body.description !== undefined) batch.description = req.body.description;
 
-      // Prepare response message
-      const message = savedQuestions.length > 1
-        ? `Question added successfully for both JEE and NEET (${savedQuestions.length} questions created)`
-        : 'Question added successfully';
+      await batch.save();
 
       res.json({
         success: true,
-        message: message,
-        questions: savedQuestions,
-        question: savedQuestions[0] // For backward compatibility
+        message: 'Batch updated successfully',
+        batch
       });
     } catch (error) {
-      console.error('Error adding question:', error);
+      console.error('Error updating batch:', error);
       res.status(500).json({
         success: false,
-        error: 'Error adding question'
+        error: 'Error updating batch'
       });
     }
   });
 
-  // Bulk add questions endpoint (for admin)
-  app.post('/api/questions/bulk-add', authenticate, async (req, res) => {
+  // Tests assigned to the batch lose the assignment (and open to everyone if it was their only one)
+  app.delete('/api/batches/:id', authenticate, requirePermission('batches:write'), async (req, res) => {
     try {
-      // Admin panel is now password-protected, allow bulk question addition
-      console.log('Bulk adding questions via admin panel');
-
-      let { questions } = req.body;
+      const batch = mongoose.Types.ObjectId.isValid(req.params.id) ? await Batch.findById(req.params.id) : null;
 
-      if (!questions || !Array.isArray(questions)) {
-        return res.status(400).json({
+      if (!batch) {
+        return res.status(404).json({
           success: false,
-          error: 'Questions array is required'
+          error: 'Batch not found'
         });
       }
 
-      // CRITICAL FIX: Force Biology questions to NEET
-      questions = questions.map(q => {
-        if (q.subject === 'biology') {
-          console.log('🔧 FORCING Biology question to NEET (was:', q.examType, ')');
-          return { ...q, examType: 'neet' };
-        }
-        return q;
-      });
+      const assignedTests = await MockTest.countDocuments({ assignedBatchIds: batch._id });
+      if (assignedTests > 0 && req.query.force !== 'true') {
+        return res.status(409).json({
+          success: false,
+          error: `This batch is assigned to ${assignedTests} mock test(s). Delete with force=true to remove it from them.`,
+          assignedTests
+        });
+      }
 
-      const result = await Question.insertMany(questions);
+      await MockTest.updateMany({ assignedBatchIds: batch._id }, { $pull: { assignedBatchIds: batch._id } });
+      await batch.deleteOne();
 
       res.json({
         success: true,
-        message: `Successfully added ${result.length} questions`,
-        addedCount: result.length,
-        questions: result
+        message: 'Batch deleted successfully'
       });
     } catch (error) {
-      console.error('Error bulk adding questions:', error);
+      console.error('Error deleting batch:', error);
       res.status(500).json({
         success: false,
-        error: 'Error bulk adding questions: ' + error.message
+        error: 'Error deleting batch'
       });
     }
   });
 
-  // Update question
-  app.put('/api/questions/:id', authenticate, async (req, res) => {
+  // Delete mock test
+  app.delete('/api/mock-tests/:id', authenticate, requirePermission('mock-tests:write'), async (req, res) => {
     try {
-      const { id } = req.params;
-      let { examType, subject, class: classLevel, chapter, difficulty, question } = req.body;
-
-      // Auto-correct examType for Biology - should always be NEET
-      if (subject === 'biology' && (!examType || examType === 'jee')) {
-        console.log('⚠️ Auto-correcting Biology examType from', examType, 'to NEET');
-        examType = 'neet';
-      }
-
-      const updatedQuestion = await Question.findByIdAndUpdate(id, {
-        examType,
-        subject,
-        class: classLevel,
-        chapter,
-        difficulty,
-        text: question.text,
-        options: question.options,
-        answer: question.answer,
-        solution: question.solution,
-        explanation: question.explanation || '',
-        lastModified: new Date()
-      }, { new: true });
+      const result = await MockTest.findByIdAndDelete(req.params.id);
 
-      if (!updatedQuestion) {
+      if (!result) {
         return res.status(404).json({
           success: false,
-          error: 'Question not found'
+          error: 'Mock test not found'
         });
       }
 
       res.json({
         success: true,
-        message: 'Question updated successfully',
-        question: updatedQuestion
+        message: 'Mock test deleted successfully'
       });
     } catch (error) {
-      console.error('Error updating question:', error);
+      console.error('Error deleting mock test:', error);
       res.status(500).json({
         success: false,
-        error: 'Error updating question'
+        error: 'Error deleting mock test'
       });
     }
   });
 
-  // Delete question
-  app.delete('/api/questions/:id', authenticate, async (req, res) => {
-    try {
-      const { id } = req.params;
+  // ========================================
+  // SCORING
+  // ========================================
+
+  // Marking used when a submission is not for a MockTest (practice and custom tests)
+  const DEFAULT_MARKING_SCHEME = {
+    marksPerQuestion: 4,
+    negativeMarks: 0,
+    numericNegativeMarks: 0,
+    multipleCorrect: { fullMarks: 4, perCorrectOption: 1, wrongPenalty: 0, partialMarking: true }
+  };
+
+  function markingSchemeFor(mockTest) {
+    if (!mockTest) return DEFAULT_MARKING_SCHEME;
+
+    const marksPerQuestion = mockTest.marksPerQuestion ?? DEFAULT_MARKING_SCHEME.marksPerQuestion;
+    const negativeMarks = mockTest.negativeMarking ? Math.abs(mockTest.negativeMarks ?? marksPerQuestion * 0.25) : 0;
+    const multipleCorrect = mockTest.multipleCorrectMarking || {};
+    return {
+      marksPerQuestion,
+      negativeMarks,
+      numericNegativeMarks: mockTest.numericNegativeMarking ? negativeMarks : 0,
+      multipleCorrect: {
+        fullMarks: multipleCorrect.fullMarks ?? 4,
+        perCorrectOption: multipleCorrect.perCorrectOption ?? 1,
+        wrongPenalty: Math.abs(multipleCorrect.wrongPenalty ?? 2),
+        partialMarking: multipleCorrect.partialMarking ?? true
+      },
+      sections: (mockTest.sections || []).map(section => ({
+        name: section.name,
+        questionIds: section.questionIds.map(id => id.toString()),
+        attemptLimit: section.attemptLimit,
+        marksPerQuestion: section.marksPerQuestion ?? undefined,
+        negativeMarks: section.negativeMarks != null ? Math.abs(section.negativeMarks) : undefined
+      }))
+    };
+  }
+
+  // Marking for questions in a section - the section's marks replace the test-wide ones,
+  // which still apply to whatever the section leaves unset
+  function sectionMarkingScheme(scheme, section) {
+    return {
+      ...scheme,
+      marksPerQuestion: section.marksPerQuestion ?? scheme.marksPerQuestion,
+      negativeMarks: section.negativeMarks ?? scheme.negativeMarks ?? 0,
+      numericNegativeMarks: section.negativeMarks ?? scheme.numericNegativeMarks ?? 0
+    };
+  }
+
+  // Whether a submitted answer matches the question's key. Numeric questions are matched
+  // by value (see isNumericAnswerCorrect). Otherwise comparison ignores case and
+  // surrounding spaces, and an option letter (A, B, ...) matches the text of that option.
+  function isAnswerCorrect(question, submitted) {
+    if (question.questionType === 'numeric') {
+      return isNumericAnswerCorrect(question.numericAnswer, submitted);
+    }
+
+    const normalize = (value) => String(value).trim().toLowerCase();
+    const optionAt = (letter) => /^[a-z]$/.test(letter) ? question.options?.[letter.charCodeAt(0) - 97] : undefined;
+
+    const expected = normalize(question.answer);
+    const given = normalize(submitted);
+    if (given === expected) return true;
+
+    const givenOption = optionAt(given);
+    const expectedOption = optionAt(expected);
+    return (givenOption !== undefined && normalize(givenOption) === expected) ||
+      (expectedOption !== undefined && normalize(expectedOption) === given);
+  }
+
+  function maxMarksFor(question, scheme) {
+    return question.questionType === 'multiple' ? scheme.multipleCorrect.fullMarks : scheme.marksPerQuestion;
+  }
+
+  // Grade one answered question: { status, marks }
+  function gradeAnswer(question, submitted, scheme) {
+    if (question.questionType === 'multiple') {
+      const rules = scheme.multipleCorrect;
+      const chosen = parseOptionLetters(submitted);
+      const correct = new Set(question.correctOptions || []);
+
+      if (chosen.some(letter => !correct.has(letter))) return { status: 'incorrect', marks: rules.wrongPenalty ? -rules.wrongPenalty : 0 };
+      if (chosen.length === correct.size) return { status: 'correct', marks: rules.fullMarks };
+      return { status: 'partial', marks: rules.partialMarking ? chosen.length * rules.perCorrectOption : 0 };
+    }
+
+    if (isAnswerCorrect(question, submitted)) {
+      return { status: 'correct', marks: scheme.marksPerQuestion };
+    }
+    const penalty = question.questionType === 'numeric' ? (scheme.numericNegativeMarks ?? 0) : scheme.negativeMarks;
+    return { status: 'incorrect', marks: penalty ? -penalty : 0 };
+  }
+
+  // Score submitted answers ({ questionId: answer }) against the answer key. In a
+  // section with an attempt limit only the first N answered questions (in test order)
+  // are scored, and max marks count N questions.
+  function scoreSubmission(questions, answers, scheme) {
+    const sectionOf = new Map();
+    (scheme.sections || []).forEach(section => section.questionIds.forEach(id => sectionOf.set(id, section)));
+
+    const answeredIn = new Map(); // section -> answered questions scored so far
+    const seenIn = new Map(); // section -> questions counted towards max marks so far
+    let maxMarks = 0;
+
+    const breakdown = questions.map(question => {
+      const section = sectionOf.get(question._id.toString());
+      const questionScheme = section ? sectionMarkingScheme(scheme, section) : scheme;
+      const limit = section?.attemptLimit || Infinity;
+
+      const seen = seenIn.get(section) || 0;
+      if (seen < limit) maxMarks += maxMarksFor(question, questionScheme);
+      seenIn.set(section, seen + 1);
+
+      const submitted = answers[question._id.toString()];
+      const answered = submitted !== undefined && submitted !== null && String(submitted).trim() !== '';
+
+      let graded = { status: 'unanswered', marks: 0 };
+      if (answered) {
+        const scored = answeredIn.get(section) || 0;
+        graded = scored < limit ? gradeAnswer(question, submitted, questionScheme) : { status: 'not-evaluated', marks: 0 };
+        answeredIn.set(section, scored + 1);
+      }
+
+      return {
+        questionId: question._id,
+        answer: answered ? String(submitted) : undefined,
+        correctAnswer: question.answer,
+        status: graded.status,
+        marks: graded.marks,
+        section: section?.name,
+        revision: question.revision || 1
+      };
+    });
+
+    const tally = (entries) => {
+      const count = (status) => entries.filter(entry => entry.status === status).length;
+      return {
+        score: entries.reduce((sum, entry) => sum + entry.marks, 0),
+        correct: count('correct'),
+        partial: count('partial'),
+        incorrect: count('incorrect'),
+        unanswered: count('unanswered'),
+        notEvaluated: count('not-evaluated')
+      };
+    };
+
+    const sectionResults = (scheme.sections || []).map(section => {
+      const entries = breakdown.filter(entry => entry.section === section.name);
+      const sectionMax = questions
+        .filter(question => sectionOf.get(question._id.toString()) === section)
+        .slice(0, section.attemptLimit || undefined)
+        .reduce((sum, question) => sum + maxMarksFor(question, sectionMarkingScheme(scheme, section)), 0);
+      return { name: section.name, ...tally(entries), maxMarks: sectionMax, attemptLimit: section.attemptLimit };
+    });
+
+    const totals = tally(breakdown);
+    return {
+      breakdown,
+      ...totals,
+      maxMarks,
+      sectionResults,
+      percentage: maxMarks > 0 ? Math.round((totals.score / maxMarks) * 10000) / 100 : 0
+    };
+  }
+
+  // Questions a submission is scored against, in test order. `filter` narrows which of
+  // them count (e.g. only published ones).
+  async function loadSubmissionQuestions(questionIds, filter = {}) {
+    const ids = questionIds.map(id => id.toString()).filter(id => mongoose.Types.ObjectId.isValid(id)).slice(0, 1000);
+
+    const questions = await Question.find({ ...filter, _id: { $in: ids } });
+    const byId = new Map(questions.map(question => [question._id.toString(), question]));
+    return ids.map(id => byId.get(id)).filter(Boolean);
+  }
+
+  // The questions as they were at the given revisions ({ questionId: revision }) - a question
+  // edited since then is replaced by its logged copy, so answers are graded against what
+  // the student actually saw
+  async function questionsAtRevisions(questions, revisions) {
+    if (!revisions || revisions.size === 0) return questions;
+
+    const changed = questions.filter(question => {
+      const seen = revisions.get(question._id.toString());
+      return seen && seen !== (question.revision || 1);
+    });
+    if (changed.length === 0) return questions;
+
+    const logged = await QuestionRevision.find({
+      $or: changed.map(question => ({ questionId: question._id, revision: revisions.get(question._id.toString()) }))
+    });
+    const snapshots = new Map(logged.map(entry => [entry.questionId.toString(), entry]));
+
+    return questions.map(question => {
+      const entry = snapshots.get(question._id.toString());
+      // Media is not kept in revisions - the current images are shown
+      return entry ? Question.hydrate({ ...entry.snapshot, media: question.media, _id: question._id, revision: entry.revision }) : question;
+    });
+  }
+
+  // Score answers against `questions` and store the TestResult. `details` holds the
+  // result's identifying fields (user, test, title, type, timeSpent, attemptId) and, for
+  // shuffled attempts, the optionOrders to keep for review.
+  // Pass answerKey: false to keep correctAnswer out of the stored and returned breakdown
+  async function saveScoredResult(questions, answers, mockTest, { optionOrders, answerKey = true, ...details }) {
+    const scheme = markingSchemeFor(mockTest);
+    const result = scoreSubmission(questions, answers, scheme);
+    if (!answerKey) {
+      result.breakdown.forEach(entry => {
+        delete entry.correctAnswer;
+      });
+    }
+    if (optionOrders) {
+      result.breakdown.forEach(entry => {
+        entry.optionOrder = optionOrders.get(entry.questionId.toString());
+      });
+    }
+
+    const testResult = new TestResult({
+      ...details,
+      answers: new Map(result.breakdown.filter(entry => entry.answer !== undefined).map(entry => [entry.questionId.toString(), entry.answer])),
+      score: result.score,
+      totalMarks: result.score,
+      maxMarks: result.maxMarks,
+      totalQuestions: questions.length,
+      correct: result.correct,
+      incorrect: result.incorrect,
+      unanswered: result.unanswered,
+      partial: result.partial,
+      sectionResults: result.sectionResults,
+      percentage: result.percentage,
+      hasNegativeMarking: scheme.negativeMarks > 0 || scheme.numericNegativeMarks > 0 || scheme.multipleCorrect.wrongPenalty > 0 ||
+        (scheme.sections || []).some(section => section.negativeMarks > 0),
+      markingScheme: scheme,
+      breakdown: result.breakdown
+    });
+
+    await testResult.save();
+
+    console.log(`📊 Scored ${testResult.testTitle} for ${testResult.username}: ${result.score}/${result.maxMarks}`);
+    return testResult;
+  }
+
+  // ========================================
+  // TEST ATTEMPTS (server-timed)
+  // ========================================
+
+  // Saves and submits are still accepted this long after the deadline, so the last
+  // autosave is not lost to network latency
+  const ATTEMPT_GRACE_MS = 30 * 1000;
+  const ATTEMPT_SWEEP_INTERVAL = 30 * 1000;
+
+  // Question fields a student must not see while the attempt is running
+  const ATTEMPT_HIDDEN_FIELDS = '-answer -correctOptions -solution -explanation -numericAnswer.mode -numericAnswer.value -numericAnswer.tolerance -numericAnswer.min -numericAnswer.max -pendingEdit';
+
+  // Question types whose options are shuffled (assertion-reason options are a fixed list)
+  const SHUFFLED_OPTION_TYPES = ['mcq', 'multiple', 'matrix'];
+
+  // Random numbers seeded from the attempt, so its order can always be derived again
+  function seededRandom(seed) {
+    let state = crypto.createHash('sha256').update(seed).digest().readUInt32LE(0);
+    return () => {
+      // mulberry32
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  function seededShuffle(items, random) {
+    const shuffled = [...items];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+  }
+
+  // The attempt's own question order and option orders. Questions are shuffled within
+  // each section of a sectioned test; questions on the same passage stay together.
+  // Returns { questionIds, optionOrders } - optionOrders is null if options are not shuffled.
+  async function shuffleAttemptOrder(attemptId, test, revisions) {
+    const questions = await questionsAtRevisions(await Question.find({ _id: { $in: test.questionIds } }).select('options questionType passageId revision'), revisions);
+    const byId = new Map(questions.map(question => [question._id.toString(), question]));
+    let questionIds = test.questionIds.map(String);
+
+    if (test.shuffleQuestions) {
+      const random = seededRandom(`${attemptId}:questions`);
+      const groups = test.sections?.length
+        ? test.sections.map(section => section.questionIds.map(String))
+        : [questionIds];
+
+      questionIds = groups.flatMap(ids => {
+        // Consecutive questions on one passage move as a block
+        const blocks = [];
+        ids.forEach(id => {
+          const passageId = byId.get(id)?.passageId?.toString();
+          const last = blocks[blocks.length - 1];
+          if (passageId && last?.passageId === passageId) {
+            last.ids.push(id);
+          } else {
+            blocks.push({ passageId, ids: [id] });
+          }
+        });
+        return seededShuffle(blocks, random).flatMap(block => block.ids);
+      });
+    }
+
+    let optionOrders = null;
+    if (test.shuffleOptions) {
+      optionOrders = new Map();
+      questions.forEach(question => {
+        if (!SHUFFLED_OPTION_TYPES.includes(question.questionType || 'mcq') || !question.options?.length) return;
+        const random = seededRandom(`${attemptId}:options:${question._id}`);
+        optionOrders.set(question._id.toString(), seededShuffle(question.options.map((option, index) => index), random));
+      });
+    }
+
+    return { questionIds, optionOrders };
+  }
+
+  // Option letters as the student saw them -> the question's own letters ("B,D" -> "A,C")
+  function toCanonicalAnswer(answer, order) {
+    if (!order || !answer) return answer;
+    return String(answer).split(',').map(letter => {
+      const canonical = order[letter.trim().toUpperCase().charCodeAt(0) - 65];
+      return canonical === undefined ? letter : String.fromCharCode(65 + canonical);
+    }).sort().join(',');
+  }
+
+  // The question's own letters -> the letters the student saw
+  function toDisplayedAnswer(answer, order) {
+    if (!order || !answer) return answer;
+    return String(answer).split(',').map(letter => {
+      const displayed = order.indexOf(letter.trim().toUpperCase().charCodeAt(0) - 65);
+      return displayed === -1 ? letter : String.fromCharCode(65 + displayed);
+    }).sort().join(',');
+  }
+
+  // A question with its options in the student's order
+  function withDisplayedOptions(question, order) {
+    const shown = question.toObject ? question.toObject() : { ...question };
+    if (order) shown.options = order.map(index => question.options[index]);
+    return shown;
+  }
+
+  function isAttemptOverdue(attempt) {
+    return Date.now() > attempt.deadline.getTime() + ATTEMPT_GRACE_MS;
+  }
+
+  function attemptResponse(attempt) {
+    return {
+      id: attempt._id,
+      mockTestId: attempt.mockTestId,
+      practiceTestId: attempt.practiceTestId,
+      testTitle: attempt.testTitle,
+      status: attempt.status,
+      startedAt: attempt.startedAt,
+      deadline: attempt.deadline,
+      serverTime: new Date(),
+      remainingSeconds: attempt.status === 'in-progress' ? Math.max(0, Math.floor((attempt.deadline.getTime() - Date.now()) / 1000)) : 0,
+      answers: Object.fromEntries(attempt.answers || []),
+      markedForReview: (attempt.markedForReview || []).map(id => id.toString()),
+      currentIndex: attempt.currentIndex || 0,
+      testResultId: attempt.testResultId
+    };
+  }
+
+  // What the player needs to know about a sectioned mock test
+  function attemptSections(sections) {
+    if (!sections || sections.length === 0) return undefined;
+    return sections.map(section => ({
+      name: section.name,
+      questionIds: section.questionIds.map(String),
+      attemptLimit: section.attemptLimit,
+      marksPerQuestion: section.marksPerQuestion,
+      negativeMarks: section.negativeMarks
+    }));
+  }
 
-      const result = await Question.findByIdAndDelete(id);
+  // The attempt's questions in the student's order, without answers or solutions
+  async function loadAttemptQuestions(attempt) {
+    const current = await Question.find({ _id: { $in: attempt.questionIds } })
+      .select(ATTEMPT_HIDDEN_FIELDS)
+      .populate('passageId', 'title text');
+
+    // Questions edited since the attempt started are shown as they were then - revision
+    // snapshots are complete, so take the answer fields out again
+    const questions = await questionsAtRevisions(current, attempt.questionRevisions);
+    const restored = questions.filter(question => !current.includes(question));
+    if (restored.length > 0) {
+      const hidden = ATTEMPT_HIDDEN_FIELDS.split(' ').map(field => field.slice(1));
+      restored.forEach(question => hidden.forEach(field => question.set(field, undefined)));
+      await Question.populate(restored, { path: 'passageId', select: 'title text' });
+    }
 
-      if (!result) {
-        return res.status(404).json({
-          success: false,
-          error: 'Question not found'
-        });
-      }
+    const byId = new Map(questions.map(question => [question._id.toString(), question]));
+    return attempt.questionIds
+      .map(id => byId.get(id.toString()))
+      .filter(Boolean)
+      .map(question => attempt.optionOrders?.get(question._id.toString()) ? withDisplayedOptions(question, attempt.optionOrders.get(question._id.toString())) : question);
+  }
 
-      res.json({
-        success: true,
-        message: 'Question deleted successfully',
-      });
-    } catch (error) {
-      console.error('Error deleting question:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Error deleting question'
+  // Apply a progress update to the attempt. `answers` ({ questionId: answer }) is merged
+  // into the saved answers - blank answers clear the question. `markedForReview` replaces
+  // the review list and `currentIndex` moves the resume position. IDs that are not part
+  // of the test are ignored.
+  function applyAttemptProgress(attempt, { answers, markedForReview, currentIndex } = {}) {
+    const allowed = new Set(attempt.questionIds.map(id => id.toString()));
+
+    if (answers && typeof answers === 'object') {
+      Object.entries(answers).forEach(([questionId, answer]) => {
+        if (!allowed.has(questionId)) return;
+        if (answer === null || answer === undefined || String(answer).trim() === '') {
+          attempt.answers.delete(questionId);
+        } else {
+          attempt.answers.set(questionId, String(answer));
+        }
       });
     }
-  });
-
-  // CHECK BIOLOGY QUESTIONS - Diagnostic endpoint
-  app.get('/api/admin/check-biology', authenticate, async (req, res) => {
-    try {
-      console.log('🔍 Checking Biology questions...');
-      
-      // Count all Biology questions
-      const totalBiology = await Question.countDocuments({ subject: 'biology' });
-      const biologyInJEE = await Question.countDocuments({ subject: 'biology', examType: 'jee' });
-      const biologyInNEET = await Question.countDocuments({ subject: 'biology', examType: 'neet' });
-      
-      // Get sample questions
-      const sampleJEE = await Question.find({ subject: 'biology', examType: 'jee' }).limit(5);
-      const sampleNEET = await Question.find({ subject: 'biology', examType: 'neet' }).limit(5);
 
-      console.log(`📊 Biology Questions - Total: ${totalBiology}, JEE: ${biologyInJEE}, NEET: ${biologyInNEET}`);
+    if (Array.isArray(markedForReview)) {
+      attempt.markedForReview = [...new Set(markedForReview.map(String))].filter(id => allowed.has(id));
+    }
 
-      res.json({
-        success: true,
-        total: totalBiology,
-        inJEE: biologyInJEE,
-        inNEET: biologyInNEET,
-        sampleJEE: sampleJEE.map(q => ({ id: q._id, text: q.text.substring(0, 50) })),
-        sampleNEET: sampleNEET.map(q => ({ id: q._id, text: q.text.substring(0, 50) })),
-        message: `Found ${totalBiology} Biology questions: ${biologyInJEE} in JEE, ${biologyInNEET} in NEET`
-      });
-    } catch (error) {
-      console.error('❌ Error checking Biology questions:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Error checking Biology questions: ' + error.message
-      });
+    if (Number.isInteger(currentIndex) && currentIndex >= 0 && currentIndex < attempt.questionIds.length) {
+      attempt.currentIndex = currentIndex;
     }
-  });
 
-  // FIX BIOLOGY QUESTIONS - Migration endpoint to move Biology from JEE to NEET
-  app.post('/api/admin/fix-biology-questions', authenticate, async (req, res) => {
-    try {
-      console.log('🔧 Starting Biology questions migration...');
-      
-      // Find all Biology questions in JEE
-      const biologyInJEE = await Question.find({ 
-        subject: 'biology', 
-        examType: 'jee' 
-      });
+    attempt.lastSavedAt = new Date();
+  }
 
-      console.log(`📊 Found ${biologyInJEE.length} Biology questions in JEE`);
+  // Close an attempt and score its saved answers. The status change is claimed atomically
+  // so a late submit and the expiry sweep cannot both score the same attempt.
+  async function finalizeAttempt(attempt, status) {
+    const claimed = await TestAttempt.findOneAndUpdate(
+      { _id: attempt._id, status: 'in-progress' },
+      { $set: { status, submittedAt: new Date() } },
+      { new: true }
+    );
+    if (!claimed) return TestAttempt.findById(attempt._id);
+
+    const mockTest = claimed.mockTestId ? await MockTest.findById(claimed.mockTestId) : null;
+    const questions = await questionsAtRevisions(await loadSubmissionQuestions(claimed.questionIds), claimed.questionRevisions);
+    const endedAt = Math.min(claimed.submittedAt.getTime(), claimed.deadline.getTime());
+
+    // Saved answers use the student's option letters; score them against the question's own
+    const optionOrders = claimed.optionOrders?.size ? claimed.optionOrders : null;
+    const answers = Object.fromEntries([...claimed.answers].map(([questionId, answer]) => [questionId, toCanonicalAnswer(answer, optionOrders?.get(questionId))]));
+
+    const testResult = await saveScoredResult(questions, answers, mockTest, {
+      userId: claimed.userId,
+      username: claimed.username,
+      testId: claimed.practiceTestId,
+      mockTestId: claimed.mockTestId,
+      testTitle: claimed.testTitle,
+      testType: claimed.mockTestId ? 'mock' : 'practice',
+      timeSpent: Math.max(0, Math.round((endedAt - claimed.startedAt.getTime()) / 1000)),
+      attemptId: claimed._id,
+      optionOrders
+    });
 
-      if (biologyInJEE.length === 0) {
-        // Check if there are any Biology questions at all
-        const totalBiology = await Question.countDocuments({ subject: 'biology' });
-        const biologyInNEET = await Question.countDocuments({ subject: 'biology', examType: 'neet' });
-        
-        return res.json({
-          success: true,
-          message: `No Biology questions in JEE. Total Biology: ${totalBiology}, Already in NEET: ${biologyInNEET}`,
-          fixed: 0,
-          totalBiology,
-          alreadyInNEET: biologyInNEET
-        });
+    claimed.testResultId = testResult._id;
+    await claimed.save();
+    return claimed;
+  }
+
+  // Auto-submit attempts whose time ran out (the student closed the tab, lost
+  // connection, ...). Runs outside any request, so each attempt sets its own tenant.
+  async function expireOverdueAttempts() {
+    try {
+      const overdue = await TestAttempt.find({
+        status: 'in-progress',
+        deadline: { $lt: new Date(Date.now() - ATTEMPT_GRACE_MS) }
+      }).limit(200);
+
+      for (const attempt of overdue) {
+        await withInstitution(attempt.institutionId, () => finalizeAttempt(attempt, 'expired'));
+        console.log(`⏰ Auto-submitted expired attempt ${attempt._id} (${attempt.username})`);
       }
+    } catch (error) {
+      console.error('❌ Error expiring test attempts:', error);
+    }
+  }
 
-      // Update all Biology questions to NEET
-      const result = await Question.updateMany(
-        { subject: 'biology', examType: 'jee' },
-        { $set: { examType: 'neet' } }
-      );
+  setInterval(expireOverdueAttempts, ATTEMPT_SWEEP_INTERVAL);
 
-      console.log(`✅ Migrated ${result.modifiedCount} Biology questions from JEE to NEET`);
+  // The student's unfinished attempts, so a test can be picked up again after a refresh
+  // or on another device
+  app.get('/api/test-attempts', authenticate, async (req, res) => {
+    try {
+      const attempts = await TestAttempt.find({
+        userId: req.user._id,
+        status: 'in-progress',
+        deadline: { $gt: new Date(Date.now() - ATTEMPT_GRACE_MS) }
+      }).sort({ startedAt: -1 });
 
       res.json({
         success: true,
-        message: `Successfully migrated ${result.modifiedCount} Biology questions from JEE to NEET`,
-        fixed: result.modifiedCount,
-        found: biologyInJEE.length
+        attempts: attempts.map(attemptResponse)
       });
     } catch (error) {
-      console.error('❌ Error fixing Biology questions:', error);
+      console.error('❌ Error fetching test attempts:', error);
       res.status(500).json({
         success: false,
-        error: 'Error fixing Biology questions: ' + error.message
+        error: 'Error fetching test attempts'
       });
     }
   });
 
-  // FIX BIOLOGY CHAPTERS - Migration endpoint to move Biology chapters from JEE to NEET
-  app.post('/api/admin/fix-biology-chapters', authenticate, async (req, res) => {
+  // Start (or resume) a timed attempt at a mock test or practice test
+  app.post('/api/test-attempts', authenticate, async (req, res) => {
     try {
-      console.log('🔧 Starting Biology chapters migration...');
-      
-      // Find all Biology chapters in JEE
-      const biologyChaptersInJEE = await Chapter.find({ 
-        subject: 'biology', 
-        examType: 'jee' 
-      });
+      const { mockTestId, practiceTestId } = req.body;
+      const testField = mockTestId ? 'mockTestId' : 'practiceTestId';
+      const testId = mockTestId || practiceTestId;
 
-      console.log(`📊 Found ${biologyChaptersInJEE.length} Biology chapters in JEE`);
+      if (!testId || !mongoose.Types.ObjectId.isValid(testId)) {
+        return res.status(400).json({
+          success: false,
+          error: 'mockTestId or practiceTestId is required'
+        });
+      }
 
-      if (biologyChaptersInJEE.length === 0) {
-        return res.json({
-          success: true,
-          message: 'No Biology chapters found in JEE. All good!',
-          fixed: 0
+      const test = mockTestId ? await MockTest.findById(testId) : await PracticeTest.findById(testId);
+      if (!test) {
+        return res.status(404).json({
+          success: false,
+          error: mockTestId ? 'Mock test not found' : 'Practice test not found'
         });
       }
 
-      // Update all Biology chapters to NEET
-      const result = await Chapter.updateMany(
-        { subject: 'biology', examType: 'jee' },
-        { $set: { examType: 'neet' } }
-      );
+      // Practice tests belong to whoever created them, as in GET /api/practice-tests/:id
+      if (!mockTestId && !test.createdBy?.equals(req.user._id) && !hasPermission(req.user, 'practice-tests:manage')) {
+        console.log(`🚫 ${req.user.username} denied an attempt at PracticeTest ${test._id} (not owner)`);
+        return sendForbidden(res, 'You do not have access to this PracticeTest');
+      }
 
-      console.log(`✅ Migrated ${result.modifiedCount} Biology chapters from JEE to NEET`);
+      if (mockTestId && test.status !== 'active') {
+        return res.status(403).json({
+          success: false,
+          error: 'This mock test is not open for attempts'
+        });
+      }
 
-      res.json({
-        success: true,
-        message: `Successfully migrated ${result.modifiedCount} Biology chapters from JEE to NEET`,
-        fixed: result.modifiedCount,
-        found: biologyChaptersInJEE.length
-      });
-    } catch (error) {
-      console.error('❌ Error fixing Biology chapters:', error);
-      res.status(500).json({
-        success: false,
-        error: 'Error fixing Biology chapters: ' + error.message
-      });
-    }
-  });
+      if (mockTestId && !(await canTakeMockTest(req.user, test))) {
+        return res.status(404).json({
+          success: false,
+          error: 'Mock test not found'
+        });
+      }
 
-  // CREATE DEFAULT BIOLOGY CHAPTERS - Helper endpoint
-  app.post('/api/admin/create-biology-chapters', authenticate, async (req, res) => {
-    try {
-      console.log('📚 Creating default Biology chapters for NEET...');
-      
-      const defaultBiologyChapters = [
-        { name: 'Cell Biology', icon: 'fa-microscope', order: 1 },
-        { name: 'Genetics', icon: 'fa-dna', order: 2 },
-        { name: 'Evolution', icon: 'fa-tree', order: 3 },
-        { name: 'Human Physiology', icon: 'fa-heartbeat', order: 4 },
-        { name: 'Plant Physiology', icon: 'fa-leaf', order: 5 },
-        { name: 'Ecology', icon: 'fa-globe', order: 6 },
-        { name: 'Biotechnology', icon: 'fa-flask', order: 7 },
-        { name: 'Reproduction', icon: 'fa-seedling', order: 8 },
-        { name: 'Molecular Biology', icon: 'fa-atom', order: 9 },
-        { name: 'Diversity of Living Organisms', icon: 'fa-paw', order: 10 }
-      ];
+      let attempt = await TestAttempt.findOne({ userId: req.user._id, [testField]: test._id, status: 'in-progress' });
+      if (attempt && isAttemptOverdue(attempt)) {
+        await finalizeAttempt(attempt, 'expired');
+        attempt = null;
+      }
 
-      const createdChapters = [];
-      
-      for (const chapterData of defaultBiologyChapters) {
-        // Check if chapter already exists
-        const existing = await Chapter.findOne({
-          examType: 'neet',
-          subject: 'biology',
-          name: chapterData.name
-        });
+      const resumed = Boolean(attempt);
+      if (!attempt) {
+        // A running attempt can always be resumed; new ones only while the test is open
+        const availability = mockTestId ? mockTestAvailability(test) : null;
+        if (availability && availability.state !== 'live') {
+          return res.status(403).json({
+            success: false,
+            error: availability.state === 'upcoming'
+              ? `This test opens at ${availability.opensAt.toISOString()}`
+              : 'This test is closed',
+            code: availability.state === 'upcoming' ? 'TEST_NOT_OPEN' : 'TEST_CLOSED',
+            availability
+          });
+        }
 
-        if (!existing) {
-          const newChapter = new Chapter({
-            examType: 'neet',
-            subject: 'biology',
-            name: chapterData.name,
-            description: `${chapterData.name} for NEET`,
-            icon: chapterData.icon,
-            order: chapterData.order,
-            isActive: true
+        if (!test.questionIds || test.questionIds.length === 0) {
+          return res.status(400).json({
+            success: false,
+            error: 'No questions found in this test'
           });
-          await newChapter.save();
-          createdChapters.push(newChapter);
-          console.log(`✅ Created chapter: ${chapterData.name}`);
-        } else {
-          console.log(`ℹ️ Chapter already exists: ${chapterData.name}`);
         }
+
+        const startedAt = new Date();
+        attempt = new TestAttempt({
+          userId: req.user._id,
+          username: req.user.username,
+          [testField]: test._id,
+          testTitle: test.name,
+          questionIds: test.questionIds,
+          startedAt,
+          deadline: mockTestId ? mockTestDeadline(test, startedAt) : new Date(startedAt.getTime() + (test.duration || 60) * 60 * 1000)
+        });
+
+        // Answers are graded against these revisions even if a question is edited mid-test
+        const revisions = await Question.find({ _id: { $in: attempt.questionIds } }).select('revision');
+        attempt.questionRevisions = new Map(revisions.map(question => [question._id.toString(), question.revision || 1]));
+
+        if (test.shuffleQuestions || test.shuffleOptions) {
+          const { questionIds, optionOrders } = await shuffleAttemptOrder(attempt._id, test, attempt.questionRevisions);
+          attempt.questionIds = questionIds;
+          if (optionOrders) attempt.optionOrders = optionOrders;
+        }
+
+        await attempt.save();
+
+        console.log(`📝 ${req.user.username} started ${test.name} (attempt ${attempt._id}, due ${attempt.deadline.toISOString()})`);
       }
 
       res.json({
         success: true,
-        message: `Created ${createdChapters.length} Biology chapters for NEET`,
-        created: createdChapters.length,
-        chapters: createdChapters
+        resumed,
+        attempt: attemptResponse(attempt),
+        questions: await loadAttemptQuestions(attempt),
+        sections: mockTestId ? attemptSections(test.sections) : undefined
       });
     } catch (error) {
-      console.error('❌ Error creating Biology chapters:', error);
+      console.error('❌ Error starting test attempt:', error);
       res.status(500).json({
         success: false,
-        error: 'Error creating Biology chapters: ' + error.message
+        error: 'Error starting test attempt'
       });
     }
   });
 
-  // ========================================
-  // MOCK TEST API ENDPOINTS
-  // ========================================
-
-  // Create mock test
-  app.post('/api/mock-tests', authenticate, async (req, res) => {
+  // Current state of an attempt (closes it first if its time has run out)
+  app.get('/api/test-attempts/:id', authenticate, requireOwnership(TestAttempt, 'userId', 'results:read-all'), async (req, res) => {
     try {
-      console.log('📝 ========== CREATING MOCK TEST ==========');
-      console.log('📝 Request body:', req.body);
-      
-      const { name, examType, duration, description, questionIds, totalQuestions, createdBy, isPublic, status } = req.body;
-
-      console.log('📝 Extracted fields:', { name, examType, duration, totalQuestions, status });
-
-      const mockTest = new MockTest({
-        name,
-        examType,
-        duration,
-        description,
-        questionIds,
-        totalQuestions,
-        createdBy,
-        isPublic: isPublic !== undefined ? isPublic : true,
-        status: status || 'active' // Default to 'active' if not provided
-      });
+      let attempt = req.resource;
+      if (attempt.status === 'in-progress' && isAttemptOverdue(attempt)) {
+        attempt = await finalizeAttempt(attempt, 'expired');
+      }
 
-      console.log('📝 Mock test object before save:', mockTest);
-      
-      await mockTest.save();
-      
-      console.log('✅ Mock test saved successfully!');
-      console.log('✅ Saved mock test ID:', mockTest._id);
-      console.log('✅ Saved mock test status:', mockTest.status);
+      const inProgress = attempt.status === 'in-progress';
+      const mockTest = inProgress && attempt.mockTestId ? await MockTest.findById(attempt.mockTestId).select('sections') : null;
 
       res.json({
         success: true,
-        message: 'Mock test created successfully',
-        mockTest
+        attempt: attemptResponse(attempt),
+        questions: inProgress ? await loadAttemptQuestions(attempt) : undefined,
+        sections: attemptSections(mockTest?.sections)
       });
     } catch (error) {
-      console.error('❌ Error creating mock test:', error);
+      console.error('❌ Error fetching test attempt:', error);
       res.status(500).json({
         success: false,
-        error: 'Error creating mock test: ' + error.message
+        error: 'Error fetching test attempt'
       });
     }
   });
 
-  // Get all mock tests
-  app.get('/api/mock-tests', async (req, res) => {
+  // Save progress as the student goes - { answers: { questionId: answer }, markedForReview: [questionId], currentIndex }
+  app.put('/api/test-attempts/:id/progress', authenticate, requireOwnership(TestAttempt, 'userId'), async (req, res) => {
     try {
-      console.log('📊 ========== FETCHING MOCK TESTS ==========');
-      
-      // First, check ALL mock tests in database (for debugging)
-      const allMockTests = await MockTest.find({}).sort({ createdAt: -1 });
-      console.log('📊 Total mock tests in database (all statuses):', allMockTests.length);
-      
-      if (allMockTests.length > 0) {
-        console.log('📊 All mock tests:');
-        allMockTests.forEach((test, index) => {
-          console.log(`   ${index + 1}. ${test.name} - Status: ${test.status} - ID: ${test._id}`);
+      const attempt = req.resource;
+
+      if (attempt.status !== 'in-progress') {
+        return res.status(409).json({
+          success: false,
+          error: 'This attempt has already been submitted',
+          code: 'ATTEMPT_CLOSED'
         });
       }
-      
-      // Now get only active ones
-      const mockTests = await MockTest.find({ status: 'active' }).sort({ createdAt: -1 });
-      
-      console.log('📊 Active mock tests:', mockTests.length);
-      if (mockTests.length > 0) {
-        console.log('📊 First active mock test:', {
-          id: mockTests[0]._id,
-          name: mockTests[0].name,
-          status: mockTests[0].status,
-          examType: mockTests[0].examType
+
+      if (isAttemptOverdue(attempt)) {
+        await finalizeAttempt(attempt, 'expired');
+        return res.status(409).json({
+          success: false,
+          error: 'Time is up - this attempt has been submitted with your saved answers',
+          code: 'ATTEMPT_EXPIRED'
         });
-      } else {
-        console.log('⚠️ No active mock tests found!');
-        if (allMockTests.length > 0) {
-          console.log('⚠️ But there are', allMockTests.length, 'mock tests with other statuses');
-        }
       }
 
+      applyAttemptProgress(attempt, req.body);
+      await attempt.save();
+
       res.json({
         success: true,
-        mockTests
+        attempt: attemptResponse(attempt)
       });
     } catch (error) {
-      console.error('❌ Error fetching mock tests:', error);
+      console.error('❌ Error saving attempt progress:', error);
       res.status(500).json({
         success: false,
-        error: 'Error fetching mock tests'
+        error: 'Error saving progress'
       });
     }
   });
 
-  // Get single mock test by ID
-  app.get('/api/mock-tests/:id', async (req, res) => {
+  // Submit an attempt. Submissions after the deadline are rejected - the attempt is
+  // closed with the answers saved in time instead.
+  app.post('/api/test-attempts/:id/submit', authenticate, requireOwnership(TestAttempt, 'userId'), async (req, res) => {
     try {
-      const mockTest = await MockTest.findById(req.params.id).populate('questionIds');
+      const attempt = req.resource;
 
-      if (!mockTest) {
-        return res.status(404).json({
+      if (attempt.status !== 'in-progress') {
+        return res.status(409).json({
+          success: false,
+          error: 'This attempt has already been submitted',
+          code: 'ATTEMPT_CLOSED',
+          attempt: attemptResponse(attempt)
+        });
+      }
+
+      if (isAttemptOverdue(attempt)) {
+        const expired = await finalizeAttempt(attempt, 'expired');
+        console.log(`⛔ Rejected late submission of attempt ${attempt._id} by ${req.user.username}`);
+        return res.status(409).json({
           success: false,
-          error: 'Mock test not found'
+          error: 'Time is up - late submissions are not accepted. Your answers saved before the deadline were submitted.',
+          code: 'ATTEMPT_EXPIRED',
+          attempt: attemptResponse(expired),
+          testResult: await TestResult.findById(expired.testResultId)
         });
       }
 
+      applyAttemptProgress(attempt, { answers: req.body.answers });
+      await attempt.save();
+
+      const submitted = await finalizeAttempt(attempt, 'submitted');
+
       res.json({
         success: true,
-        mockTest
+        attempt: attemptResponse(submitted),
+        testResult: await TestResult.findById(submitted.testResultId)
       });
     } catch (error) {
-      console.error('Error fetching mock test:', error);
+      console.error('❌ Error submitting test attempt:', error);
       res.status(500).json({
         success: false,
-        error: 'Error fetching mock test'
+        error: 'Error submitting test'
       });
     }
   });
 
-  // Delete mock test
-  app.delete('/api/mock-tests/:id', authenticate, async (req, res) => {
+  // Review a finished attempt - questions, options and answer letters in the order the
+  // student saw them, with the correct answer and solution
+  app.get('/api/test-attempts/:id/review', authenticate, requireOwnership(TestAttempt, 'userId', 'results:read-all'), async (req, res) => {
     try {
-      const result = await MockTest.findByIdAndDelete(req.params.id);
+      const attempt = req.resource;
 
-      if (!result) {
-        return res.status(404).json({
+      if (attempt.status === 'in-progress' || !attempt.testResultId) {
+        return res.status(409).json({
           success: false,
-          error: 'Mock test not found'
+          error: 'Answers can be reviewed once the test is submitted',
+          code: 'ATTEMPT_OPEN'
         });
       }
 
+      const testResult = await TestResult.findById(attempt.testResultId);
+      const entriesById = new Map((testResult?.breakdown || []).map(entry => [entry.questionId.toString(), entry]));
+      const gradedRevisions = new Map([...entriesById].filter(([, entry]) => entry.revision).map(([id, entry]) => [id, entry.revision]));
+      const current = await Question.find({ _id: { $in: attempt.questionIds } });
+      const questions = await Question.populate(await questionsAtRevisions(current, gradedRevisions), { path: 'passageId', select: 'title text' });
+      const questionsById = new Map(questions.map(question => [question._id.toString(), question]));
+
+      const review = attempt.questionIds.map(id => {
+        const question = questionsById.get(id.toString());
+        if (!question) return null;
+        const entry = entriesById.get(id.toString());
+        const order = entry?.optionOrder?.length ? entry.optionOrder : null;
+
+        return {
+          question: withDisplayedOptions(question, order),
+          answer: toDisplayedAnswer(entry?.answer, order),
+          correctAnswer: toDisplayedAnswer(question.questionType === 'numeric' ? question.answer : (question.correctOptions?.length ? question.correctOptions.join(',') : question.answer), order),
+          status: entry?.status || 'unanswered',
+          marks: entry?.marks || 0,
+          section: entry?.section
+        };
+      }).filter(Boolean);
+
       res.json({
         success: true,
-        message: 'Mock test deleted successfully'
+        attempt: attemptResponse(attempt),
+        testResult,
+        review
       });
     } catch (error) {
-      console.error('Error deleting mock test:', error);
+      console.error('❌ Error loading attempt review:', error);
       res.status(500).json({
         success: false,
-        error: 'Error deleting mock test'
+        error: 'Error loading review'
       });
     }
   });
@@ -2988,33 +9173,54 @@ CONVERSATION CONTEXT: Maintain continuity and build upon previous discussions to
   // TEST RESULTS API ENDPOINTS
   // ========================================
 
-  // Save test result
+  // Save the result of an untimed practice test (testId, one of the caller's own) - scored
+  // here from the submitted answers; any totals sent by the client are ignored. Mock tests
+  // are timed and must go through /api/test-attempts.
   app.post('/api/test-results', authenticate, async (req, res) => {
     try {
-      const { testId, mockTestId, testTitle, testType, answers, score, totalMarks, maxMarks, totalQuestions, correct, incorrect, unanswered, percentage, timeSpent, hasNegativeMarking } = req.body;
+      const { testId, mockTestId, testTitle, testType, timeSpent } = req.body;
+      const answers = req.body.answers && typeof req.body.answers === 'object' ? req.body.answers : {};
+
+      if (mockTestId) {
+        return res.status(409).json({
+          success: false,
+          error: 'Mock tests are submitted through their test attempt',
+          code: 'ATTEMPT_REQUIRED'
+        });
+      }
+
+      // Outside a test attempt only the caller's own practice tests are scored, against their
+      // published questions, and the result carries no answer key - otherwise any question
+      // list (a draft, an upcoming mock test) could be submitted to read its answers
+      const practiceTest = mongoose.Types.ObjectId.isValid(testId) ? await PracticeTest.findById(testId) : null;
+      if (!practiceTest) {
+        return res.status(404).json({
+          success: false,
+          error: 'Practice test not found'
+        });
+      }
+      if (!practiceTest.createdBy || !practiceTest.createdBy.equals(req.user._id)) {
+        return sendForbidden(res, 'You can only submit your own practice tests');
+      }
+
+      const questions = await loadSubmissionQuestions(practiceTest.questionIds, PUBLISHED_QUESTION_FILTER);
+      if (questions.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'No questions found for this test'
+        });
+      }
 
-      const testResult = new TestResult({
+      const testResult = await saveScoredResult(questions, answers, null, {
         userId: req.user._id,
         username: req.user.username,
-        testId,
-        mockTestId,
-        testTitle,
-        testType,
-        answers,
-        score,
-        totalMarks,
-        maxMarks,
-        totalQuestions,
-        correct,
-        incorrect,
-        unanswered,
-        percentage,
-        timeSpent,
-        hasNegativeMarking
+        answerKey: false,
+        testId: practiceTest._id,
+        testTitle: testTitle || practiceTest.name || 'Practice Test',
+        testType: ['practice', 'custom'].includes(testType) ? testType : 'practice',
+        timeSpent: Math.max(0, Number(timeSpent) || 0)
       });
 
-      await testResult.save();
-
       res.json({
         success: true,
         testResult
@@ -3029,7 +9235,7 @@ CONVERSATION CONTEXT: Maintain continuity and build upon previous discussions to
   });
 
   // Get all test results for a user
-  app.get('/api/test-results/user/:userId', authenticate, async (req, res) => {
+  app.get('/api/test-results/user/:userId', authenticate, requireSelfOr('results:read-all'), async (req, res) => {
     try {
       const results = await TestResult.find({ userId: req.params.userId })
         .sort({ timestamp: -1 })
@@ -3049,7 +9255,7 @@ CONVERSATION CONTEXT: Maintain continuity and build upon previous discussions to
   });
 
   // Get all test results (for admin/teacher to view all students' performance)
-  app.get('/api/test-results/all', authenticate, async (req, res) => {
+  app.get('/api/test-results/all', authenticate, requirePermission('results:read-all'), async (req, res) => {
     try {
       const results = await TestResult.find({})
         .sort({ timestamp: -1 })
@@ -3080,7 +9286,7 @@ CONVERSATION CONTEXT: Maintain continuity and build upon previous discussions to
   });
 
   // Get all test results for a specific mock test (admin only)
-  app.get('/api/test-results/mock/:mockTestId', authenticate, async (req, res) => {
+  app.get('/api/test-results/mock/:mockTestId', authenticate, requirePermission('results:read-all'), async (req, res) => {
     try {
       const results = await TestResult.find({ mockTestId: req.params.mockTestId })
         .populate('userId', 'username email')
@@ -3100,7 +9306,7 @@ CONVERSATION CONTEXT: Maintain continuity and build upon previous discussions to
   });
 
   // Get all test results (admin only - for performance tab)
-  app.get('/api/test-results', authenticate, async (req, res) => {
+  app.get('/api/test-results', authenticate, requirePermission('results:read-all'), async (req, res) => {
     try {
       const results = await TestResult.find()
         .populate('userId', 'username email')
@@ -3181,10 +9387,11 @@ CONVERSATION CONTEXT: Maintain continuity and build upon previous discussions to
     }
   });
 
-  // Get all practice tests
-  app.get('/api/practice-tests', async (req, res) => {
+  // List the caller's practice tests (every one for practice-tests:manage)
+  app.get('/api/practice-tests', authenticate, async (req, res) => {
     try {
-      const tests = await PracticeTest.find().sort({ createdAt: -1 });
+      const filter = hasPermission(req.user, 'practice-tests:manage') ? {} : { createdBy: req.user._id };
+      const tests = await PracticeTest.find(filter).sort({ createdAt: -1 });
       
       console.log(`📊 Fetched ${tests.length} practice tests`);
       
@@ -3196,22 +9403,20 @@ CONVERSATION CONTEXT: Maintain continuity and build upon previous discussions to
       console.error('❌ Error fetching practice tests:', error);
       res.status(500).json({ 
         success: false, 
-        error: error.message 
+        error: 'Error fetching practice tests'
       });
     }
   });
 
   // Get single practice test by ID with questions
-  app.get('/api/practice-tests/:id', async (req, res) => {
+  // Owner only; answers stay hidden unless the caller can edit questions - students get the
+  // questions to answer from POST /api/test-attempts
+  app.get('/api/practice-tests/:id', authenticate, requireOwnership(PracticeTest, 'createdBy', 'practice-tests:manage'), async (req, res) => {
     try {
-      const test = await PracticeTest.findById(req.params.id).populate('questionIds');
-      
-      if (!test) {
-        return res.status(404).json({
-          success: false,
-          error: 'Practice test not found'
-        });
-      }
+      const test = await req.resource.populate({
+        path: 'questionIds',
+        select: hasPermission(req.user, 'questions:write') ? undefined : ATTEMPT_HIDDEN_FIELDS
+      });
       
       res.json({
         success: true,
@@ -3230,16 +9435,9 @@ CONVERSATION CONTEXT: Maintain continuity and build upon previous discussions to
   });
 
   // Delete practice test
-  app.delete('/api/practice-tests/:id', authenticate, async (req, res) => {
+  app.delete('/api/practice-tests/:id', authenticate, requireOwnership(PracticeTest, 'createdBy', 'practice-tests:manage'), async (req, res) => {
     try {
-      const result = await PracticeTest.findByIdAndDelete(req.params.id);
-      
-      if (!result) {
-        return res.status(404).json({
-          success: false,
-          error: 'Practice test not found'
-        });
-      }
+      await req.resource.deleteOne();
       
       console.log('✅ Practice test deleted:', req.params.id);
       
@@ -3256,11 +9454,28 @@ CONVERSATION CONTEXT: Maintain continuity and build upon previous discussions to
     }
   });
 
+  // Questions by ID for selectors and paper builders. Users who can edit questions get
+  // them in full; everyone else only gets published questions, without answer fields.
+  function findQuestionsForCaller(ids, user) {
+    if (hasPermission(user, 'questions:write')) return Question.find({ _id: { $in: ids } });
+    return Question.find({ ...PUBLISHED_QUESTION_FILTER, _id: { $in: ids } }).select(ATTEMPT_HIDDEN_FIELDS);
+  }
+
+  const validQuestionIds = (ids) => Array.isArray(ids) && ids.every(id => mongoose.Types.ObjectId.isValid(id));
+
   // Get questions by IDs (for displaying selected questions)
-  app.post('/api/questions/by-ids', async (req, res) => {
+  app.post('/api/questions/by-ids', authenticate, async (req, res) => {
     try {
       const { ids } = req.body;
-      const questions = await Question.find({ _id: { $in: ids } });
+
+      if (!validQuestionIds(ids)) {
+        return res.status(400).json({
+          success: false,
+          error: 'ids must be an array of question IDs'
+        });
+      }
+
+      const questions = await findQuestionsForCaller(ids, req.user);
 
       res.json({
         success: true,
@@ -3334,7 +9549,7 @@ CONVERSATION CONTEXT: Maintain continuity and build upon previous discussions to
   });
 
   // Add new chapter
-  app.post('/api/chapters', authenticate, async (req, res) => {
+  app.post('/api/chapters', authenticate, requirePermission('chapters:write'), async (req, res) => {
     try {
       let { examType, subject, name, description, icon, order } = req.body;
 
@@ -3415,228 +9630,543 @@ CONVERSATION CONTEXT: Maintain continuity and build upon previous discussions to
           createdBy: req.user._id
         });
 
-        await newChapter.save();
+        await newChapter.save();
+
+        res.json({
+          success: true,
+          message: 'Chapter added successfully',
+          chapter: newChapter
+        });
+      }
+    } catch (error) {
+      console.error('Error adding chapter:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error adding chapter'
+      });
+    }
+  });
+
+  // Update chapter
+  app.put('/api/chapters/:id', authenticate, requirePermission('chapters:write'), async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { name, description, icon, order, isActive } = req.body;
+
+      const updatedChapter = await Chapter.findByIdAndUpdate(id, {
+        name,
+        description,
+        icon,
+        order,
+        isActive
+      }, { new: true });
+
+      if (!updatedChapter) {
+        return res.status(404).json({
+          success: false,
+          error: 'Chapter not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Chapter updated successfully',
+        chapter: updatedChapter
+      });
+    } catch (error) {
+      console.error('Error updating chapter:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error updating chapter'
+      });
+    }
+  });
+
+  // Delete chapter
+  app.delete('/api/chapters/:id', authenticate, requirePermission('chapters:write'), async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      // Check if there are questions using this chapter
+      const questionsCount = await Question.countDocuments({ chapter: { $exists: true } });
+
+      // For now, we'll do a soft delete by setting isActive to false
+      const updatedChapter = await Chapter.findByIdAndUpdate(id, {
+        isActive: false
+      }, { new: true });
+
+      if (!updatedChapter) {
+        return res.status(404).json({
+          success: false,
+          error: 'Chapter not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Chapter deleted successfully',
+        chapter: updatedChapter
+      });
+    } catch (error) {
+      console.error('Error deleting chapter:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error deleting chapter'
+      });
+    }
+  });
+
+  // Clear all chapters for a subject (admin only)
+  app.delete('/api/chapters/clear', authenticate, requirePermission('chapters:clear'), requireSudo, async (req, res) => {
+    try {
+      const { examType, subject } = req.query;
+
+      let query = {};
+      if (examType) query.examType = examType;
+      if (subject) query.subject = subject;
+
+      const result = await Chapter.updateMany(query, { isActive: false });
+
+      res.json({
+        success: true,
+        message: `Successfully cleared chapters. Updated ${result.modifiedCount} chapters.`,
+        modifiedCount: result.modifiedCount
+      });
+    } catch (error) {
+      console.error('Error clearing chapters:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error clearing chapters'
+      });
+    }
+  });
+
+  // Clear ALL chapters from database (admin only)
+  app.delete('/api/admin/chapters/clear-all', authenticate, requirePermission('chapters:clear'), requireSudo, async (req, res) => {
+    try {
+      const result = await Chapter.deleteMany({});
+
+      res.json({
+        success: true,
+        message: `Successfully deleted all chapters. Deleted ${result.deletedCount} chapters.`,
+        deletedCount: result.deletedCount
+      });
+    } catch (error) {
+      console.error('Error clearing all chapters:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error clearing all chapters'
+      });
+    }
+  });
+
+  // Clear ALL questions from database (admin only)
+  app.delete('/api/admin/questions/clear-all', authenticate, requirePermission('questions:clear'), requireSudo, async (req, res) => {
+    try {
+      const result = await Question.deleteMany({});
+
+      res.json({
+        success: true,
+        message: `Successfully deleted all questions. Deleted ${result.deletedCount} questions.`,
+        deletedCount: result.deletedCount
+      });
+    } catch (error) {
+      console.error('Error clearing all questions:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error clearing all questions'
+      });
+    }
+  });
+
+
+
+
+
+
+
+
+
+
+
+  // Admin-only endpoints
+
+  // Get all users
+  app.get('/api/admin/users', authenticate, requirePermission('users:read'), async (req, res) => {
+    try {
+      const users = await User.find({}, 'username email role lockUntil createdAt').sort({ createdAt: -1 });
+
+      res.json({
+        success: true,
+        users: users
+      });
+    } catch (error) {
+      console.error('Error fetching users:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Error fetching users'
+      });
+    }
+  });
+
+  // Create a user account of any role, including other admins
+  app.post('/api/admin/users', authenticate, requirePermission('users:write'), requireSudo, async (req, res) => {
+    try {
+      let { username, password, email, role } = req.body;
+
+      username = username ? username.trim() : username;
+      email = email ? email.trim().toLowerCase() : email;
+
+      if (!username || !password || !email || !role) {
+        return res.status(400).json({
+          success: false,
+          error: 'Username, password, email, and role are required'
+        });
+      }
+
+      if (!['student', 'teacher', 'admin'].includes(role)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Role must be student, teacher, or admin'
+        });
+      }
+
+      if (password.length < 6) {
+        return res.status(400).json({
+          success: false,
+          error: 'Password must be at least 6 characters long'
+        });
+      }
+
+      const newUser = new User({ username, password, email, role });
+      await newUser.save();
+
+      console.log(`✅ ${req.user.username} created ${role} account: ${username}`);
 
-        res.json({
-          success: true,
-          message: 'Chapter added successfully',
-          chapter: newChapter
+      res.status(201).json({
+        success: true,
+        message: 'User created successfully',
+        user: {
+          _id: newUser._id,
+          username: newUser.username,
+          email: newUser.email,
+          role: newUser.role,
+          createdAt: newUser.createdAt
+        }
+      });
+    } catch (error) {
+      console.error('Error creating user:', error);
+
+      if (error.code === 11000) {
+        const field = Object.keys(error.keyPattern)[0];
+        return res.status(409).json({
+          success: false,
+          error: `${field.charAt(0).toUpperCase() + field.slice(1)} already exists`
         });
       }
-    } catch (error) {
-      console.error('Error adding chapter:', error);
+
       res.status(500).json({
         success: false,
-        error: 'Error adding chapter'
+        error: 'Error creating user'
       });
     }
   });
 
-  // Update chapter
-  app.put('/api/chapters/:id', authenticate, async (req, res) => {
+  // Change a user's role
+  app.put('/api/admin/users/:id/role', authenticate, requirePermission('users:write'), requireSudo, async (req, res) => {
     try {
-      const { id } = req.params;
-      const { name, description, icon, order, isActive } = req.body;
+      const { role } = req.body;
 
-      const updatedChapter = await Chapter.findByIdAndUpdate(id, {
-        name,
-        description,
-        icon,
-        order,
-        isActive
-      }, { new: true });
+      if (!['student', 'teacher', 'admin'].includes(role)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Role must be student, teacher, or admin'
+        });
+      }
 
-      if (!updatedChapter) {
+      if (req.params.id === req.user._id.toString()) {
+        return res.status(400).json({
+          success: false,
+          error: 'You cannot change your own role'
+        });
+      }
+
+      const user = await User.findById(req.params.id);
+      if (!user) {
         return res.status(404).json({
           success: false,
-          error: 'Chapter not found'
+          error: 'User not found'
         });
       }
 
+      user.role = role;
+      await user.save();
+
       res.json({
         success: true,
-        message: 'Chapter updated successfully',
-        chapter: updatedChapter
+        message: `${user.username} is now ${role}`,
+        user: { _id: user._id, username: user.username, email: user.email, role: user.role }
       });
     } catch (error) {
-      console.error('Error updating chapter:', error);
+      console.error('Error changing user role:', error);
       res.status(500).json({
         success: false,
-        error: 'Error updating chapter'
+        error: 'Error changing user role'
       });
     }
   });
 
-  // Delete chapter
-  app.delete('/api/chapters/:id', authenticate, async (req, res) => {
+  // Unlock an account locked by too many failed logins
+  app.post('/api/admin/users/:id/unlock', authenticate, requirePermission('users:write'), async (req, res) => {
     try {
-      const { id } = req.params;
-
-      // Check if there are questions using this chapter
-      const questionsCount = await Question.countDocuments({ chapter: { $exists: true } });
-
-      // For now, we'll do a soft delete by setting isActive to false
-      const updatedChapter = await Chapter.findByIdAndUpdate(id, {
-        isActive: false
-      }, { new: true });
-
-      if (!updatedChapter) {
+      const user = await User.findById(req.params.id);
+      if (!user) {
         return res.status(404).json({
           success: false,
-          error: 'Chapter not found'
+          error: 'User not found'
         });
       }
 
+      user.failedLoginAttempts = 0;
+      user.lockUntil = undefined;
+      await user.save();
+
+      console.log(`🔓 ${req.user.username} unlocked account ${user.username}`);
+
       res.json({
         success: true,
-        message: 'Chapter deleted successfully',
-        chapter: updatedChapter
+        message: `${user.username} has been unlocked`
       });
     } catch (error) {
-      console.error('Error deleting chapter:', error);
+      console.error('Error unlocking user:', error);
       res.status(500).json({
         success: false,
-        error: 'Error deleting chapter'
+        error: 'Error unlocking user'
       });
     }
   });
 
-  // Clear all chapters for a subject (admin only)
-  app.delete('/api/chapters/clear', authenticate, async (req, res) => {
+  // Active sessions of a user
+  app.get('/api/admin/users/:id/sessions', authenticate, requirePermission('users:read'), async (req, res) => {
     try {
-      const { examType, subject } = req.query;
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid user ID'
+        });
+      }
 
-      let query = {};
-      if (examType) query.examType = examType;
-      if (subject) query.subject = subject;
+      const user = await User.findById(req.params.id);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: 'User not found'
+        });
+      }
 
-      const result = await Chapter.updateMany(query, { isActive: false });
+      const sessions = await Session.find({
+        userId: user._id,
+        revokedAt: { $exists: false },
+        expiresAt: { $gt: new Date() }
+      }).sort({ lastSeenAt: -1 });
 
       res.json({
         success: true,
-        message: `Successfully cleared chapters. Updated ${result.modifiedCount} chapters.`,
-        modifiedCount: result.modifiedCount
+        sessions: sessions.map(session => sessionResponse(session))
       });
     } catch (error) {
-      console.error('Error clearing chapters:', error);
+      console.error('Error fetching user sessions:', error);
       res.status(500).json({
         success: false,
-        error: 'Error clearing chapters'
+        error: 'Error fetching user sessions'
       });
     }
   });
 
-  // Clear ALL chapters from database (admin only)
-  app.delete('/api/admin/chapters/clear-all', authenticate, async (req, res) => {
+  // Force-logout: revoke every session of a user
+  app.post('/api/admin/users/:id/logout', authenticate, requirePermission('users:write'), async (req, res) => {
     try {
-      const result = await Chapter.deleteMany({});
+      if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid user ID'
+        });
+      }
+
+      const user = await User.findById(req.params.id);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: 'User not found'
+        });
+      }
+
+      const revoked = await revokeUserSessions(user._id, 'admin-force-logout');
+      await recordAuditEvent({ entity: 'User', entityId: user._id, action: 'admin.force-logout', details: { revoked } });
+
+      console.log(`👋 ${req.user.username} logged out ${user.username} (${revoked} session(s))`);
 
       res.json({
         success: true,
-        message: `Successfully deleted all chapters. Deleted ${result.deletedCount} chapters.`,
-        deletedCount: result.deletedCount
+        message: `${user.username} has been logged out of ${revoked} session(s)`,
+        revoked
       });
     } catch (error) {
-      console.error('Error clearing all chapters:', error);
+      console.error('Error forcing logout:', error);
       res.status(500).json({
         success: false,
-        error: 'Error clearing all chapters'
+        error: 'Error logging out user'
       });
     }
   });
 
-  // Clear ALL questions from database (admin only)
-  app.delete('/api/admin/questions/clear-all', authenticate, async (req, res) => {
+  // Failed login metrics - for spotting credential stuffing
+  app.get('/api/admin/login-metrics', authenticate, requirePermission('users:read'), async (req, res) => {
     try {
-      const result = await Question.deleteMany({});
+      const now = Date.now();
+
+      // Institution admins only see failures for their own accounts; platform admins see
+      // everything, including unknown usernames and blocked IPs
+      const platformAdmin = isPlatformAdmin(req.user);
+      const entries = platformAdmin
+        ? failedLoginLog
+        : failedLoginLog.filter(entry => entry.institutionId === req.institutionId.toString());
+
+      const countSince = (ms) => entries.filter(entry => now - entry.timestamp <= ms).length;
+
+      const topBy = (key) => {
+        const counts = {};
+        entries.forEach(entry => { counts[entry[key]] = (counts[entry[key]] || 0) + 1; });
+        return Object.entries(counts)
+          .sort((a, b) => b[1] - a[1])
+          .slice(0, 10)
+          .map(([value, failures]) => ({ [key]: value, failures }));
+      };
+
+      const byReason = {};
+      entries.forEach(entry => { byReason[entry.reason] = (byReason[entry.reason] || 0) + 1; });
+
+      const lockedAccounts = await User.find({ lockUntil: { $gt: new Date() } }, 'username role lockUntil failedLoginAttempts');
 
       res.json({
         success: true,
-        message: `Successfully deleted all questions. Deleted ${result.deletedCount} questions.`,
-        deletedCount: result.deletedCount
+        metrics: {
+          failedLast15Minutes: countSince(15 * 60 * 1000),
+          failedLastHour: countSince(60 * 60 * 1000),
+          failedLast24Hours: entries.length,
+          byReason,
+          topIps: topBy('ip'),
+          topUsernames: topBy('username'),
+          blockedIps: !platformAdmin ? [] : Object.entries(ipLoginTracking)
+            .filter(([, tracking]) => tracking.failures >= LOGIN_IP_MAX_FAILURES && now - tracking.windowStart < LOGIN_IP_WINDOW)
+            .map(([ip]) => ip),
+          lockedAccounts
+        }
       });
     } catch (error) {
-      console.error('Error clearing all questions:', error);
+      console.error('Error fetching login metrics:', error);
       res.status(500).json({
         success: false,
-        error: 'Error clearing all questions'
+        error: 'Error fetching login metrics'
       });
     }
   });
 
+  // Delete user
+  app.delete('/api/admin/users/:id', authenticate, requirePermission('users:delete'), requireSudo, async (req, res) => {
+    try {
+      const { id } = req.params;
 
+      if (id === req.user._id.toString()) {
+        return res.status(400).json({
+          success: false,
+          error: 'You cannot delete your own account'
+        });
+      }
 
+      const result = await User.findByIdAndDelete(id);
 
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          error: 'User not found'
+        });
+      }
 
-
-
-
-
-
-
-  // Admin-only endpoints
-
-  // Get all users (password protected)
-  app.get('/api/admin/users', authenticate, async (req, res) => {
-    try {
-      // Admin panel is now password-protected, no role check needed
-
-      const users = await User.find({}, 'username email role createdAt').sort({ createdAt: -1 });
+      await Session.deleteMany({ userId: result._id });
 
       res.json({
         success: true,
-        users: users
+        message: 'User deleted successfully'
       });
     } catch (error) {
-      console.error('Error fetching users:', error);
+      console.error('Error deleting user:', error);
       res.status(500).json({
         success: false,
-        error: 'Error fetching users'
+        error: 'Error deleting user'
       });
     }
   });
 
-  // Delete user (password protected)
-  app.delete('/api/admin/users/:id', authenticate, async (req, res) => {
+  // Query the audit log by entity, actor, action and date range (newest first)
+  app.get('/api/admin/audit-events', authenticate, requirePermission('audit:read'), async (req, res) => {
     try {
-      // Admin panel is now password-protected, no role check needed
+      const { entity, entityId, actor, action, from, to } = req.query;
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+      const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
 
-      const { id } = req.params;
-      const result = await User.findByIdAndDelete(id);
+      let query = {};
+      if (entity) query.entity = entity;
+      if (entityId) query.entityId = entityId;
+      if (action) query.action = action;
+
+      // Actor can be given as a user ID or a username
+      if (actor) {
+        query = mongoose.Types.ObjectId.isValid(actor)
+          ? { ...query, actorId: actor }
+          : { ...query, actorUsername: actor };
+      }
 
-      if (!result) {
-        return res.status(404).json({
-          success: false,
-          error: 'User not found'
-        });
+      if (from || to) {
+        query.timestamp = {};
+        if (from) query.timestamp.$gte = new Date(from);
+        if (to) query.timestamp.$lte = new Date(to);
       }
 
+      const [events, total] = await Promise.all([
+        AuditEvent.find(query).sort({ timestamp: -1 }).skip((page - 1) * limit).limit(limit),
+        AuditEvent.countDocuments(query)
+      ]);
+
       res.json({
         success: true,
-        message: 'User deleted successfully'
+        events,
+        total,
+        page,
+        pages: Math.ceil(total / limit)
       });
     } catch (error) {
-      console.error('Error deleting user:', error);
+      console.error('Error fetching audit events:', error);
       res.status(500).json({
         success: false,
-        error: 'Error deleting user'
+        error: 'Error fetching audit events'
       });
     }
   });
 
   // Bulk fetch questions by IDs (for paper generation)
-  app.post('/api/questions/bulk', async (req, res) => {
+  app.post('/api/questions/bulk', authenticate, async (req, res) => {
     try {
       const { questionIds } = req.body;
       
-      if (!questionIds || !Array.isArray(questionIds)) {
+      if (!validQuestionIds(questionIds)) {
         return res.status(400).json({
           success: false,
           error: 'Invalid question IDs'
         });
       }
 
-      const questions = await Question.find({ _id: { $in: questionIds } });
+      const questions = await findQuestionsForCaller(questionIds, req.user);
       
       res.json(questions);
     } catch (error) {
@@ -3651,31 +10181,20 @@ CONVERSATION CONTEXT: Maintain continuity and build upon previous discussions to
   // ==================== PAPER CONFIGURATION ENDPOINTS ====================
   
   // Save paper configuration (without PDF)
-  app.post('/api/paper-configs', async (req, res) => {
+  app.post('/api/paper-configs', authenticate, async (req, res) => {
     try {
       console.log('📝 Saving paper config:', req.body);
-      
-      // Get user ID from token or use a default
-      let userId;
-      try {
-        const token = req.headers.authorization?.split(' ')[1];
-        if (token && token !== 'admin-token' && token !== 'student-token') {
-          const decoded = jwt.verify(token, JWT_SECRET);
-          userId = decoded.userId;
-        } else {
-          // Use a default user for demo
-          const defaultUser = await User.findOne({ username: 'student' });
-          userId = defaultUser ? defaultUser._id : new mongoose.Types.ObjectId();
-        }
-      } catch (err) {
-        // Use a default user for demo
-        const defaultUser = await User.findOne({ username: 'student' });
-        userId = defaultUser ? defaultUser._id : new mongoose.Types.ObjectId();
+
+      if (req.body.schoolLogo && !isAllowedLogo(req.body.schoolLogo)) {
+        return res.status(400).json({
+          success: false,
+          error: 'schoolLogo must be an uploaded image or an https:// URL'
+        });
       }
 
       const paperConfig = new PaperConfig({
-        userId,
-        ...req.body
+        ...req.body,
+        userId: req.user._id
       });
 
       await paperConfig.save();
@@ -3717,19 +10236,9 @@ CONVERSATION CONTEXT: Maintain continuity and build upon previous discussions to
   });
 
   // Get single paper configuration by ID
-  app.get('/api/paper-configs/:id', authenticate, async (req, res) => {
+  app.get('/api/paper-configs/:id', authenticate, requireOwnership(PaperConfig, 'userId', 'paper-configs:manage'), async (req, res) => {
     try {
-      const paperConfig = await PaperConfig.findOne({
-        _id: req.params.id,
-        userId: req.user._id
-      }).populate('questionIds');
-
-      if (!paperConfig) {
-        return res.status(404).json({
-          success: false,
-          error: 'Paper configuration not found'
-        });
-      }
+      const paperConfig = await req.resource.populate('questionIds');
 
       res.json({
         success: true,
@@ -3745,21 +10254,24 @@ CONVERSATION CONTEXT: Maintain continuity and build upon previous discussions to
   });
 
   // Update paper configuration
-  app.put('/api/paper-configs/:id', authenticate, async (req, res) => {
+  app.put('/api/paper-configs/:id', authenticate, requireOwnership(PaperConfig, 'userId', 'paper-configs:manage'), async (req, res) => {
     try {
-      const paperConfig = await PaperConfig.findOneAndUpdate(
-        { _id: req.params.id, userId: req.user._id },
-        { ...req.body, lastGenerated: new Date() },
-        { new: true }
-      );
+      // The owner of a paper configuration cannot be reassigned
+      const { userId, ...updates } = req.body;
 
-      if (!paperConfig) {
-        return res.status(404).json({
+      if (updates.schoolLogo && !isAllowedLogo(updates.schoolLogo)) {
+        return res.status(400).json({
           success: false,
-          error: 'Paper configuration not found'
+          error: 'schoolLogo must be an uploaded image or an https:// URL'
         });
       }
 
+      const paperConfig = await PaperConfig.findByIdAndUpdate(
+        req.resource._id,
+        { ...updates, lastGenerated: new Date() },
+        { new: true }
+      );
+
       res.json({
         success: true,
         message: 'Paper configuration updated successfully',
@@ -3775,19 +10287,9 @@ CONVERSATION CONTEXT: Maintain continuity and build upon previous discussions to
   });
 
   // Delete paper configuration
-  app.delete('/api/paper-configs/:id', authenticate, async (req, res) => {
+  app.delete('/api/paper-configs/:id', authenticate, requireOwnership(PaperConfig, 'userId', 'paper-configs:manage'), async (req, res) => {
     try {
-      const paperConfig = await PaperConfig.findOneAndDelete({
-        _id: req.params.id,
-        userId: req.user._id
-      });
-
-      if (!paperConfig) {
-        return res.status(404).json({
-          success: false,
-          error: 'Paper configuration not found'
-        });
-      }
+      await req.resource.deleteOne();
 
       res.json({
         success: true,
@@ -3834,9 +10336,18 @@ CONVERSATION CONTEXT: Maintain continuity and build upon previous discussions to
       const tempDir = path.join(__dirname, 'temp_pdfs');
       await fs.mkdir(tempDir, { recursive: true });
 
+      // Papers carry the institution's name, logo and colours unless the config overrides them
+      const institution = await Institution.findById(req.institutionId);
+
+      // Comprehension questions are printed under their passage
+      const passageIds = questions.map(q => q.passageId?._id || q.passageId).filter(id => id && mongoose.Types.ObjectId.isValid(id));
+      const passages = passageIds.length > 0 ? await Passage.find({ _id: { $in: passageIds } }) : [];
+      const passagesById = new Map(passages.map(passage => [passage._id.toString(), passage]));
+      const paperQuestions = questions.map(q => ({ ...q, passage: passagesById.get(String(q.passageId?._id || q.passageId)) }));
+
       // Generate filename
       const timestamp = Date.now();
-      const filename = `${config.schoolName || 'GYANMANJARI'}_${config.paperTitle || 'MOCK'}_${pdfType}_${timestamp}.pdf`;
+      const filename = `${config.schoolName || institution?.name || 'EduSphere'}_${config.paperTitle || 'MOCK'}_${pdfType}_${timestamp}.pdf`;
       const filepath = path.join(tempDir, filename);
 
       console.log('📁 Saving to:', filepath);
@@ -3857,7 +10368,7 @@ CONVERSATION CONTEXT: Maintain continuity and build upon previous discussions to
       const page = await context.newPage();
 
       // Generate HTML based on PDF type
-      const html = generatePaperHTML(questions, config, pdfType);
+      const html = generatePaperHTML(paperQuestions, config, pdfType, institution);
       
       // Set content
       console.log('📝 Setting HTML content...');
@@ -3963,9 +10474,17 @@ CONVERSATION CONTEXT: Maintain continuity and build upon previous discussions to
       .replace(/'/g, '&#039;');
   }
 
+  // Line breaks (real or escaped "\n") as <br> for the paper
+  function formatPaperText(text) {
+    return String(text || '').replace(/\\n/g, '<br>').replace(/\n/g, '<br>');
+  }
+
   // Helper function to generate HTML for different PDF types
-  function generatePaperHTML(questions, config, type) {
-    const schoolName = config.schoolName || 'GYANMANJARI';
+  function generatePaperHTML(questions, config, type, institution) {
+    const branding = institution?.branding || {};
+    const schoolName = config.schoolName || institution?.name || 'EduSphere Pro';
+    const schoolLogo = config.schoolLogo || branding.logo;
+    const accentColor = branding.accentColor || '#1976d2';
     const paperTitle = config.paperTitle || 'MOCK_12-11';
     const subject = config.subject || 'Physics';
     const standard = config.standard || '11';
@@ -4058,6 +10577,7 @@ CONVERSATION CONTEXT: Maintain continuity and build upon previous discussions to
       margin-bottom: 8px; 
       line-height: 0.6; 
     }
+    .school-logo { max-height: 50px; max-width: 120px; margin: 0 auto 6px; }
     .header-info { 
       display: flex; 
       justify-content: space-between; 
@@ -4144,7 +10664,7 @@ CONVERSATION CONTEXT: Maintain continuity and build upon previous discussions to
     
     .solution { 
       margin: 8px 0 8px 15px; 
-      color: #1976d2; 
+      color: ${accentColor}; 
       font-style: italic; 
       font-size: 9pt; 
       white-space: pre-wrap; 
@@ -4152,6 +10672,11 @@ CONVERSATION CONTEXT: Maintain continuity and build upon previous discussions to
     }
     .solution-label { font-weight: bold; color: #000; }
     .correct-answer { color: #4caf50; font-weight: bold; }
+    .passage { margin: 8px 0; padding: 6px 8px; border: 1px solid #999; font-size: 9pt; line-height: 1.5; break-inside: avoid; }
+    .passage-label { font-weight: bold; display: block; margin-bottom: 3px; }
+    .match-table { border-collapse: collapse; margin: 4px 0 4px 15px; font-size: 9pt; }
+    .match-table th, .match-table td { border: 1px solid #000; padding: 3px 6px; text-align: left; vertical-align: top; }
+    .statement { margin: 3px 0 3px 15px; }
     .answer-table { width: 100%; border-collapse: collapse; margin: 15px 0; }
     .answer-table td { border: 1px solid #000; padding: 6px; text-align: center; font-size: 9pt; }
     img { max-width: 250px; max-height: 200px; height: auto; margin: 5px 0; display: block; }
@@ -4163,6 +10688,7 @@ CONVERSATION CONTEXT: Maintain continuity and build upon previous discussions to
 </head>
 <body>
   <div class="header">
+    ${schoolLogo && isAllowedLogo(schoolLogo) ? `<img class="school-logo" src="${escapeHtml(schoolLogo)}" alt="">` : ''}
     <div class="school-name">${schoolName}</div>
     <div class="header-info">
       <div class="header-left">
@@ -4182,89 +10708,139 @@ CONVERSATION CONTEXT: Maintain continuity and build upon previous discussions to
   </div>
 `;
 
-    if (type === 'answerkey') {
-      // Answer Key Format - Table layout
-      html += `<div class="section-title">${subject} - Section A (MCQ)</div>`;
-      html += `<table class="answer-table"><tr>`;
+    // JEE layout: one section per question type (MCQ, one-or-more correct, numerical
+    // value), lettered A, B, ... in that order. Question numbers run on across sections.
+    const sections = [
+      { title: 'MCQ', questions: questions.filter(q => !['multiple', 'numeric'].includes(q.questionType)) },
+      { title: 'One or More Correct', questions: questions.filter(q => q.questionType === 'multiple') },
+      { title: 'Numerical Value', questions: questions.filter(q => q.questionType === 'numeric') }
+    ].filter(section => section.questions.length > 0);
+
+    let questionOffset = 0;
+
+    sections.forEach((section, sectionIndex) => {
+      const sectionTitle = `${subject} - Section ${String.fromCharCode(65 + sectionIndex)} (${section.title})`;
+
+      if (type === 'answerkey') {
+        // Answer Key Format - Table layout
+        html += `<div class="section-title">${sectionTitle}</div>`;
+        html += `<table class="answer-table"><tr>`;
       
-      questions.forEach((q, index) => {
-        const qNum = index + 1;
-        const answer = q.answer || q.correctAnswer || 'N/A';
+        section.questions.forEach((q, index) => {
+          const qNum = questionOffset + index + 1;
+          const answer = q.answer || q.correctAnswer || 'N/A';
         
-        html += `<td><strong>${qNum}</strong> : ${answer}</td>`;
+          html += `<td><strong>${qNum}</strong> : ${answer}</td>`;
         
-        // 10 answers per row
-        if ((index + 1) % 10 === 0 && index < questions.length - 1) {
-          html += `</tr><tr>`;
-        }
-      });
+          // 10 answers per row
+          if ((index + 1) % 10 === 0 && index < section.questions.length - 1) {
+            html += `</tr><tr>`;
+          }
+        });
       
-      html += `</tr></table>`;
+        html += `</tr></table>`;
       
-    } else {
-      // Questions or Solutions Format
-      html += `<div class="section-title">${subject} - Section A (MCQ)</div>`;
-      html += `<div class="two-column">`;
+      } else {
+        // Questions or Solutions Format
+        html += `<div class="section-title">${sectionTitle}</div>`;
+        html += `<div class="two-column">`;
       
-      questions.forEach((q, index) => {
-        const qNum = index + 1;
-        const questionText = q.text || q.question || '';
-        const options = q.options || [];
-        const correctAnswer = q.answer || q.correctAnswer || '';
-        const solution = q.solution || q.explanation || '';
-        const language = q.language || 'en'; // Get language from question
+        section.questions.forEach((q, index) => {
+          const qNum = questionOffset + index + 1;
+          const questionText = q.text || q.question || '';
+          const options = q.options || [];
+          const correctAnswer = q.answer || q.correctAnswer || '';
+          const correctLetters = q.questionType === 'multiple' ? (q.correctOptions || []) : [correctAnswer];
+          const solution = q.solution || q.explanation || '';
+          const language = q.language || 'en'; // Get language from question
         
-        // Detect Gujarati text (contains Gujarati Unicode characters)
-        const isGujarati = language === 'gu' || /[\u0A80-\u0AFF]/.test(questionText);
-        const langClass = isGujarati ? ' lang-gu gujarati-text' : '';
+          // Detect Gujarati text (contains Gujarati Unicode characters)
+          const isGujarati = language === 'gu' || /[\u0A80-\u0AFF]/.test(questionText);
+          const langClass = isGujarati ? ' lang-gu gujarati-text' : '';
         
-        html += `<div class="question${langClass}">`;
-        // Convert \n to <br> for proper line breaks in PDF
-        const formattedQuestionText = questionText.replace(/\\n/g, '<br>').replace(/\n/g, '<br>');
-        html += `<div class="question-text${langClass}"><strong>(${qNum})</strong> ${formattedQuestionText}</div>`;
+          // Passage once, before the first of its (consecutive) questions
+          const passageId = q.passage?._id.toString();
+          if (passageId && passageId !== section.questions[index - 1]?.passage?._id.toString()) {
+            let groupSize = 1;
+            while (section.questions[index + groupSize]?.passage?._id.toString() === passageId) groupSize++;
+            const range = groupSize > 1 ? `Questions ${qNum} to ${qNum + groupSize - 1}` : `Question ${qNum}`;
+            html += `<div class="passage${langClass}"><span class="passage-label">Paragraph for ${range}${q.passage.title ? ` - ${q.passage.title}` : ''}</span>${formatPaperText(q.passage.text)}</div>`;
+          }
+
+          html += `<div class="question${langClass}">`;
+          // Convert \n to <br> for proper line breaks in PDF
+          const formattedQuestionText = questionText.replace(/\\n/g, '<br>').replace(/\n/g, '<br>');
+          html += `<div class="question-text${langClass}"><strong>(${qNum})</strong> ${formattedQuestionText}</div>`;
+
+          // Assertion-reason statements
+          if (q.questionType === 'assertion-reason') {
+            html += `<div class="statement${langClass}"><strong>Assertion (A):</strong> ${formatPaperText(q.assertion)}</div>`;
+            html += `<div class="statement${langClass}"><strong>Reason (R):</strong> ${formatPaperText(q.reason)}</div>`;
+          }
+
+          // Matrix-match columns side by side
+          if (q.questionType === 'matrix' && q.matchColumns) {
+            const left = q.matchColumns.left || [];
+            const right = q.matchColumns.right || [];
+            html += `<table class="match-table${langClass}"><tr><th>Column I</th><th>Column II</th></tr>`;
+            for (let row = 0; row < Math.max(left.length, right.length); row++) {
+              html += `<tr><td>${left[row] !== undefined ? `(${String.fromCharCode(65 + row)}) ${formatPaperText(left[row])}` : ''}</td>`;
+              html += `<td>${right[row] !== undefined ? `(${String.fromCharCode(112 + row)}) ${formatPaperText(right[row])}` : ''}</td></tr>`;
+            }
+            html += `</table>`;
+          }
         
-        // Question image
-        if (q.image || q.questionImage) {
-          html += `<img src="${q.image || q.questionImage}" alt="Question ${qNum}" style="max-width: 250px; max-height: 200px; height: auto; margin: 5px 0;">`;
-        }
+          // Question image
+          if (q.image || q.questionImage) {
+            html += `<img src="${q.image || q.questionImage}" alt="Question ${qNum}" style="max-width: 250px; max-height: 200px; height: auto; margin: 5px 0;">`;
+          }
         
-        // Options - Smart layout (inline for short, block for long)
-        if (options.length > 0) {
-          // Calculate average option length to decide layout
-          const avgLength = options.reduce((sum, opt) => sum + opt.length, 0) / options.length;
-          const maxLength = Math.max(...options.map(opt => opt.length));
+          // Options - Smart layout (inline for short, block for long)
+          if (options.length > 0) {
+            // Calculate average option length to decide layout
+            const avgLength = options.reduce((sum, opt) => sum + opt.length, 0) / options.length;
+            const maxLength = Math.max(...options.map(opt => opt.length));
           
-          // Use inline layout if all options are short (avg < 20 chars and max < 40 chars)
-          const useInlineLayout = avgLength < 20 && maxLength < 40;
-          const layoutClass = useInlineLayout ? 'inline' : 'block';
+            // Use inline layout if all options are short (avg < 20 chars and max < 40 chars)
+            const useInlineLayout = avgLength < 20 && maxLength < 40;
+            const layoutClass = useInlineLayout ? 'inline' : 'block';
           
-          html += `<div class="options ${layoutClass}${langClass}">`;
-          options.forEach((opt, optIndex) => {
-            const label = String.fromCharCode(65 + optIndex); // A, B, C, D
-            const isCorrect = type === 'solutions' && correctAnswer === label;
-            const optClass = isCorrect ? `option correct-answer${langClass}` : `option${langClass}`;
-            // Convert \n to <br> for proper line breaks in options
-            const formattedOption = opt.replace(/\\n/g, '<br>').replace(/\n/g, '<br>');
-            html += `<div class="${optClass}"><strong>${label})</strong> ${formattedOption}</div>`;
-          });
-          html += `</div>`;
-        }
+            html += `<div class="options ${layoutClass}${langClass}">`;
+            options.forEach((opt, optIndex) => {
+              const label = String.fromCharCode(65 + optIndex); // A, B, C, D
+              const isCorrect = type === 'solutions' && correctLetters.includes(label);
+              const optClass = isCorrect ? `option correct-answer${langClass}` : `option${langClass}`;
+              // Convert \n to <br> for proper line breaks in options
+              const formattedOption = opt.replace(/\\n/g, '<br>').replace(/\n/g, '<br>');
+              html += `<div class="${optClass}"><strong>${label})</strong> ${formattedOption}</div>`;
+            });
+            html += `</div>`;
+          }
+
+          // Numerical value questions - answer line with the unit hint
+          if (q.questionType === 'numeric' && type === 'questions') {
+            const unit = q.numericAnswer?.unit;
+            html += `<div class="options block${langClass}"><div class="option">Answer: ____________${unit ? ` ${unit}` : ''}</div></div>`;
+          }
         
-        // Solution (only for solutions type)
-        if (type === 'solutions' && solution) {
-          html += `<div class="solution${langClass}">`;
-          html += `<span class="solution-label">Solution:(Correct Answer:${correctAnswer})</span><br>`;
-          // Convert \n to <br> for proper line breaks in solutions
-          const formattedSolution = solution.replace(/\\n/g, '<br>').replace(/\n/g, '<br>');
-          html += formattedSolution;
-          html += `</div>`;
-        }
+          // Solution (only for solutions type)
+          if (type === 'solutions' && solution) {
+            html += `<div class="solution${langClass}">`;
+            html += `<span class="solution-label">Solution:(Correct Answer:${correctAnswer})</span><br>`;
+            // Convert \n to <br> for proper line breaks in solutions
+            const formattedSolution = solution.replace(/\\n/g, '<br>').replace(/\n/g, '<br>');
+            html += formattedSolution;
+            html += `</div>`;
+          }
         
-        html += `</div>`;
-      });
+          html += `</div>`;
+        });
       
-      html += `</div>`; // Close two-column div
-    }
+        html += `</div>`; // Close two-column div
+      }
+
+      questionOffset += section.questions.length;
+    });
 
     html += `</body></html>`;
     return html;
@@ -4371,7 +10947,7 @@ CONVERSATION CONTEXT: Maintain continuity and build upon previous discussions to
   setTimeout(cleanupExpiredPDFs, 10000); // Run after 10 seconds
 
   // Generate PDF on-demand from paper configuration
-  app.get('/api/paper-configs/:id/generate/:type', async (req, res) => {
+  app.get('/api/paper-configs/:id/generate/:type', authenticate, requireOwnership(PaperConfig, 'userId', 'paper-configs:manage'), async (req, res) => {
     try {
       const { id, type } = req.params;
       
@@ -4385,16 +10961,8 @@ CONVERSATION CONTEXT: Maintain continuity and build upon previous discussions to
         });
       }
 
-      // Load paper config with populated questions (without user check for now)
-      const paperConfig = await PaperConfig.findById(id).populate('questionIds');
-
-      if (!paperConfig) {
-        console.error('❌ Paper config not found:', id);
-        return res.status(404).json({
-          success: false,
-          error: 'Paper configuration not found'
-        });
-      }
+      // Paper config was loaded by the ownership check - populate its questions
+      const paperConfig = await req.resource.populate('questionIds');
 
       console.log('✅ Found paper config:', paperConfig.paperName);
       console.log('📋 Questions count:', paperConfig.questionIds?.length || 0);
@@ -4419,11 +10987,9 @@ CONVERSATION CONTEXT: Maintain continuity and build upon previous discussions to
     }
   });
 
-  // Get system statistics (password protected)
-  app.get('/api/admin/stats', authenticate, async (req, res) => {
+  // Get system statistics
+  app.get('/api/admin/stats', authenticate, requirePermission('admin:stats'), async (req, res) => {
     try {
-      // Admin panel is now password-protected, no role check needed
-
       const totalUsers = await User.countDocuments();
       const totalStudents = await User.countDocuments({ role: 'student' });
       const totalTeachers = await User.countDocuments({ role: 'teacher' });
@@ -4470,11 +11036,9 @@ CONVERSATION CONTEXT: Maintain continuity and build upon previous discussions to
     }
   });
 
-  // Clear all questions (password protected)
-  app.delete('/api/admin/questions/clear', authenticate, async (req, res) => {
+  // Clear all questions
+  app.delete('/api/admin/questions/clear', authenticate, requirePermission('questions:clear'), requireSudo, async (req, res) => {
     try {
-      // Admin panel is now password-protected, no role check needed
-
       const result = await Question.deleteMany({});
 
       res.json({
@@ -4492,16 +11056,10 @@ CONVERSATION CONTEXT: Maintain continuity and build upon previous discussions to
   });
 
   // Get user performance data
-  app.get('/api/performance/:userId', authenticate, async (req, res) => {
+  app.get('/api/performance/:userId', authenticate, requireSelfOr('results:read-all'), async (req, res) => {
     try {
       const { userId } = req.params;
 
-      // Users can access their own performance data, admin panel users can access any
-      if (req.user._id.toString() !== userId) {
-        // Allow access if user has admin panel access (password-based)
-        console.log('Admin panel user accessing performance data for:', userId);
-      }
-
       const testResults = await TestResult.find({ userId }).sort({ timestamp: -1 });
 
       // Calculate performance metrics
@@ -4601,7 +11159,7 @@ CONVERSATION CONTEXT: Maintain continuity and build upon previous discussions to
   });
 
   // Add new embedded document (admin only)
-  app.post('/api/embedded-documents', authenticate, async (req, res) => {
+  app.post('/api/embedded-documents', authenticate, requirePermission('documents:write'), async (req, res) => {
     try {
       let { name, pdfUrl, embedCode, stream, subject, documentType, description, downloadUrl } = req.body;
 
@@ -4660,7 +11218,7 @@ CONVERSATION CONTEXT: Maintain continuity and build upon previous discussions to
   });
 
   // Update embedded document (admin only)
-  app.put('/api/embedded-documents/:id', authenticate, async (req, res) => {
+  app.put('/api/embedded-documents/:id', authenticate, requirePermission('documents:write'), async (req, res) => {
     try {
       let { name, pdfUrl, embedCode, stream, subject, documentType, description, downloadUrl, isActive } = req.body;
 
@@ -4715,7 +11273,7 @@ CONVERSATION CONTEXT: Maintain continuity and build upon previous discussions to
   });
 
   // Delete embedded document (admin only)
-  app.delete('/api/embedded-documents/:id', authenticate, async (req, res) => {
+  app.delete('/api/embedded-documents/:id', authenticate, requirePermission('documents:write'), async (req, res) => {
     try {
       const result = await EmbeddedDocument.findByIdAndDelete(req.params.id);
 
@@ -4903,6 +11461,46 @@ CONVERSATION CONTEXT: Maintain continuity and build upon previous discussions to
     res.sendFile(path.join(__dirname, 'public', 'index.html'));
   });
 
+  await ensureDefaultInstitution();
+  await ensureBuiltInExamPatterns();
+  await ensureQuestionFingerprints();
+
+  if (process.argv.includes('--setup')) {
+    const exitCode = await runSetupCli();
+    await mongoose.disconnect();
+    process.exit(exitCode);
+  }
+
+  // Refuse to serve production traffic while anyone can log in with a published password
+  if (process.env.NODE_ENV === 'production') {
+    if (DEMO_MODE) {
+      console.error('❌ DEMO_MODE cannot be enabled in production');
+      process.exit(1);
+    }
+
+    if (!APP_URL) {
+      console.error('❌ APP_URL must be set in production - it is the public address used in verification and password reset links');
+      process.exit(1);
+    }
+
+    const defaultCredentialUsers = await findUsersWithDefaultCredentials();
+    if (defaultCredentialUsers.length > 0) {
+      console.error(`❌ Refusing to start: accounts with default demo passwords found (${defaultCredentialUsers.map(user => user.username).join(', ')}). Run \`npm run setup\` to give them new passwords, or \`npm run setup -- --delete-demo-accounts\` to delete them.`);
+      process.exit(1);
+    }
+  } else if (DEMO_MODE) {
+    console.log('🧪 DEMO_MODE enabled - demo accounts (admin/admin123, teacher/teacher123, student/student123) are available');
+  }
+
+  // Helpers the unit tests in test/ call directly
+  app.internals = {
+    markingSchemeFor, sectionMarkingScheme, gradeAnswer, scoreSubmission, apportion, toCanonicalAnswer, toDisplayedAnswer,
+    finalizeAttempt, expireOverdueAttempts, mapImportColumns, importRowToQuestion
+  };
+
+  // Required by the test suite - the routes are ready, the tests open their own port
+  if (require.main !== module) return;
+
   // Start server
   app.listen(PORT, async () => {
     console.log(`\n🚀 EduSphere Pro Multi-AI Server Started Successfully!`);
@@ -4933,7 +11531,8 @@ app.get("/google9401863f4d4771bf.html", (req, res) => {
   res.sendFile(path.join(__dirname, "google9401863f4d4771bf.html"));
 });
 
-// Initialize the server
-initializeServer().catch(console.error);
+// Initialize the server - app.ready settles once every route is registered
+app.ready = initializeServer();
+app.ready.catch(console.error);
 
 module.exports = app;
\ No newline at end of file
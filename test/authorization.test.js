@@ -0,0 +1,298 @@
+// Authorization checks: a student token must not reach admin routes, question and
+// chapter writes, answer keys, or another user's paper configs and practice tests.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const memoryDb = require('./helpers/memory-db');
+const { startServer, signIn: createUser } = require('./helpers/api');
+
+process.env.JWT_SECRET = 'authorization-test-secret';
+// The test admin has no authenticator app enrolled
+process.env.REQUIRE_ADMIN_2FA = 'false';
+// The server logs a lot - keep it on stderr, out of the test runner's report on stdout
+console.log = console.error;
+memoryDb.install();
+
+let server;
+let request;
+const tokens = {};
+const ids = {};
+
+// Create a user with an active session and return an access token for it
+async function signIn(username, role) {
+  const { user, token } = await createUser(username, role);
+  ids[username] = user._id;
+  return token;
+}
+
+before(async () => {
+  ({ server, request } = await startServer());
+
+  tokens.student = await signIn('test-student', 'student');
+  tokens.otherStudent = await signIn('test-other-student', 'student');
+  tokens.teacher = await signIn('test-teacher', 'teacher');
+  tokens.admin = await signIn('test-admin', 'admin');
+
+  const paperConfig = await mongoose.model('PaperConfig').create({
+    userId: ids['test-teacher'],
+    paperName: 'Unit test paper',
+    schoolName: 'Test School',
+    examType: 'jee',
+    subject: 'Physics',
+    examDate: new Date(),
+    examTime: 180,
+    totalMarks: 300
+  });
+  ids.paperConfig = paperConfig._id;
+
+  const Question = mongoose.model('Question');
+  const published = await Question.create({
+    examType: 'jee',
+    subject: 'physics',
+    class: '11',
+    chapter: 'Kinematics',
+    difficulty: 'easy',
+    text: 'A body starts from rest. What is its initial velocity?',
+    options: ['0 m/s', '1 m/s', '2 m/s', '3 m/s'],
+    answer: 'A',
+    solution: 'It starts from rest, so u = 0.',
+    status: 'published'
+  });
+  const draft = await Question.create({
+    examType: 'jee',
+    subject: 'physics',
+    class: '11',
+    chapter: 'Kinematics',
+    difficulty: 'medium',
+    text: 'A ball is dropped from 20 m. How long does it take to land? (g = 10 m/s²)',
+    options: ['1 s', '2 s', '3 s', '4 s'],
+    answer: 'B',
+    solution: 'h = gt²/2 gives t = 2 s.',
+    status: 'draft'
+  });
+  ids.publishedQuestion = published._id;
+  ids.draftQuestion = draft._id;
+
+  const practiceTest = await mongoose.model('PracticeTest').create({
+    name: 'Kinematics practice',
+    examType: 'jee',
+    subject: 'Physics',
+    difficulty: 'mixed',
+    questionCount: 2,
+    questionIds: [published._id, draft._id],
+    createdBy: ids['test-other-student']
+  });
+  ids.practiceTest = practiceTest._id;
+});
+
+after(async () => {
+  if (server) await new Promise(resolve => server.close(resolve));
+});
+
+test('protected routes need a token', async () => {
+  const response = await request('GET', '/api/admin/users');
+  assert.strictEqual(response.status, 401);
+});
+
+test('students are refused on admin routes', async () => {
+  const userId = new mongoose.Types.ObjectId();
+  const adminRoutes = [
+    ['GET', '/api/admin/users'],
+    ['POST', '/api/admin/users', { username: 'made-by-student', password: 'Password123!', email: 'x@example.com', role: 'teacher' }],
+    ['PUT', `/api/admin/users/${userId}/role`, { role: 'admin' }],
+    ['POST', `/api/admin/users/${userId}/unlock`],
+    ['GET', `/api/admin/users/${userId}/sessions`],
+    ['POST', `/api/admin/users/${userId}/logout`],
+    ['DELETE', `/api/admin/users/${userId}`],
+    ['GET', '/api/admin/login-metrics'],
+    ['GET', '/api/admin/audit-events'],
+    ['GET', '/api/admin/stats'],
+    ['POST', '/api/admin/sudo', { password: 'anything' }],
+    ['GET', '/api/admin/check-biology'],
+    ['POST', '/api/admin/fix-biology-questions'],
+    ['POST', '/api/admin/fix-biology-chapters'],
+    ['POST', '/api/admin/create-biology-chapters'],
+    ['DELETE', '/api/admin/questions/clear'],
+    ['DELETE', '/api/admin/questions/clear-all'],
+    ['DELETE', '/api/admin/chapters/clear-all']
+  ];
+
+  for (const [method, path, body] of adminRoutes) {
+    const response = await request(method, path, tokens.student, body);
+    assert.strictEqual(response.status, 403, `${method} ${path}`);
+  }
+});
+
+test('students cannot write questions', async () => {
+  const questionId = new mongoose.Types.ObjectId();
+  const question = {
+    examType: 'jee',
+    subject: 'Physics',
+    chapter: 'Kinematics',
+    text: 'A body starts from rest. What is its initial velocity?',
+    options: ['0', '1', '2', '3'],
+    answer: '0'
+  };
+  const questionRoutes = [
+    ['POST', '/api/questions', question],
+    ['POST', '/api/questions/bulk-add', { questions: [question] }],
+    ['PUT', `/api/questions/${questionId}`, question],
+    ['DELETE', `/api/questions/${questionId}`],
+    ['POST', `/api/questions/${questionId}/submit-review`],
+    ['PUT', `/api/questions/${questionId}/reviewer`, { reviewerId: ids['test-teacher'] }],
+    ['POST', `/api/questions/${questionId}/approve`],
+    ['POST', `/api/questions/${questionId}/retire`],
+    ['POST', '/api/questions/duplicates/merge', { keepId: questionId, mergeIds: [] }],
+    ['POST', '/api/questions/import']
+  ];
+
+  for (const [method, path, body] of questionRoutes) {
+    const response = await request(method, path, tokens.student, body);
+    assert.strictEqual(response.status, 403, `${method} ${path}`);
+  }
+});
+
+test('students cannot write chapters', async () => {
+  const chapterId = new mongoose.Types.ObjectId();
+  const chapter = { name: 'Kinematics', examType: 'jee', subject: 'Physics' };
+  const chapterRoutes = [
+    ['POST', '/api/chapters', chapter],
+    ['PUT', `/api/chapters/${chapterId}`, chapter],
+    ['DELETE', `/api/chapters/${chapterId}`]
+  ];
+
+  for (const [method, path, body] of chapterRoutes) {
+    const response = await request(method, path, tokens.student, body);
+    assert.strictEqual(response.status, 403, `${method} ${path}`);
+  }
+});
+
+test("students cannot open another user's paper config", async () => {
+  const paperConfigRoutes = [
+    ['GET', `/api/paper-configs/${ids.paperConfig}`],
+    ['PUT', `/api/paper-configs/${ids.paperConfig}`, { paperName: 'Renamed' }],
+    ['DELETE', `/api/paper-configs/${ids.paperConfig}`],
+    ['GET', `/api/paper-configs/${ids.paperConfig}/generate/paper`]
+  ];
+
+  for (const [method, path, body] of paperConfigRoutes) {
+    const response = await request(method, path, tokens.student, body);
+    assert.strictEqual(response.status, 403, `${method} ${path}`);
+  }
+});
+
+test("students cannot open another user's practice test", async () => {
+  for (const method of ['GET', 'DELETE']) {
+    const response = await request(method, `/api/practice-tests/${ids.practiceTest}`, tokens.student);
+    assert.strictEqual(response.status, 403, `${method} /api/practice-tests/:id`);
+  }
+
+  const attempt = await request('POST', '/api/test-attempts', tokens.student, { practiceTestId: ids.practiceTest });
+  assert.strictEqual(attempt.status, 403, 'POST /api/test-attempts with practiceTestId');
+
+  const owner = await request('GET', `/api/practice-tests/${ids.practiceTest}`, tokens.otherStudent);
+  assert.strictEqual(owner.status, 200);
+});
+
+test('the practice test list only shows your own tests', async () => {
+  const anonymous = await request('GET', '/api/practice-tests');
+  assert.strictEqual(anonymous.status, 401);
+
+  const mine = await (await request('GET', '/api/practice-tests', tokens.student)).json();
+  assert.deepStrictEqual(mine.tests, []);
+
+  const owner = await (await request('GET', '/api/practice-tests', tokens.otherStudent)).json();
+  assert.deepStrictEqual(owner.tests.map(test => test._id), [String(ids.practiceTest)]);
+});
+
+test('untimed results only score your own practice tests, without an answer key', async () => {
+  const answers = { [ids.publishedQuestion]: 'A', [ids.draftQuestion]: 'B' };
+
+  const notOwner = await request('POST', '/api/test-results', tokens.student, { testId: ids.practiceTest, answers });
+  assert.strictEqual(notOwner.status, 403);
+
+  const customList = await request('POST', '/api/test-results', tokens.student, { questionIds: [ids.draftQuestion], answers });
+  assert.strictEqual(customList.status, 404);
+
+  const response = await request('POST', '/api/test-results', tokens.otherStudent, { testId: ids.practiceTest, answers });
+  assert.strictEqual(response.status, 200);
+
+  const { testResult } = await response.json();
+  assert.strictEqual(testResult.totalQuestions, 1, 'draft questions are not scored');
+  assert.strictEqual(testResult.correct, 1);
+  assert.ok(testResult.breakdown.every(entry => entry.correctAnswer === undefined));
+});
+
+test('the question bank needs a login and hides answers from students', async () => {
+  const anonymous = await request('GET', '/api/questions?examType=jee');
+  assert.strictEqual(anonymous.status, 401);
+
+  const asStudent = await (await request('GET', '/api/questions?examType=jee', tokens.student)).json();
+  assert.strictEqual(asStudent.questions.length, 1);
+  assert.strictEqual(asStudent.questions[0].answer, undefined);
+  assert.strictEqual(asStudent.questions[0].solution, undefined);
+
+  const asTeacher = await (await request('GET', '/api/questions?examType=jee', tokens.teacher)).json();
+  assert.strictEqual(asTeacher.questions[0].answer, 'A');
+});
+
+test('wrong sudo passwords count toward the login lockout', async () => {
+  const response = await request('POST', '/api/admin/sudo', tokens.admin, { password: 'not-the-password' });
+  assert.strictEqual(response.status, 401);
+
+  const admin = await mongoose.model('User').findById(ids['test-admin']);
+  assert.strictEqual(admin.failedLoginAttempts, 1);
+});
+
+test('logos must be uploaded images or https links', async () => {
+  const logo = '" onerror="alert(document.cookie)';
+
+  const institution = await request('PUT', '/api/institution', tokens.admin, { branding: { logo } });
+  assert.strictEqual(institution.status, 400);
+
+  const paperConfig = await request('PUT', `/api/paper-configs/${ids.paperConfig}`, tokens.teacher, { schoolLogo: 'javascript:alert(1)' });
+  assert.strictEqual(paperConfig.status, 400);
+
+  const uploaded = await request('PUT', '/api/institution', tokens.admin, { branding: { logo: 'data:image/png;base64,iVBORw0KGgo=' } });
+  assert.strictEqual(uploaded.status, 200);
+});
+
+test('teachers keep access to question writes', async () => {
+  const response = await request('DELETE', `/api/questions/${new mongoose.Types.ObjectId()}`, tokens.teacher);
+  assert.notStrictEqual(response.status, 403);
+});
+
+test('edits to a published question wait for approval', async () => {
+  const response = await request('PUT', `/api/questions/${ids.publishedQuestion}`, tokens.teacher, {
+    examType: 'jee',
+    subject: 'physics',
+    class: '11',
+    chapter: 'Kinematics',
+    difficulty: 'easy',
+    question: {
+      text: 'A body starts from rest. What is its velocity after 0 s?',
+      options: ['0 m/s', '1 m/s', '2 m/s', '3 m/s'],
+      answer: 'B',
+      solution: 'Unreviewed change'
+    }
+  });
+  assert.strictEqual(response.status, 200);
+
+  const live = await mongoose.model('Question').findById(ids.publishedQuestion);
+  assert.strictEqual(live.status, 'published');
+  assert.strictEqual(live.answer, 'A');
+  assert.strictEqual(live.text, 'A body starts from rest. What is its initial velocity?');
+  assert.strictEqual(live.pendingEdit.status, 'in-review');
+  assert.strictEqual(live.pendingEdit.fields.answer, 'B');
+
+  const asStudent = await (await request('GET', '/api/questions?examType=jee', tokens.student)).json();
+  assert.strictEqual(asStudent.questions.length, 1, 'the published question stays listed');
+  assert.strictEqual(asStudent.questions[0].pendingEdit, undefined);
+});
+
+test('session routes reject malformed user IDs', async () => {
+  for (const [method, path] of [['GET', '/api/admin/users/not-an-id/sessions'], ['POST', '/api/admin/users/not-an-id/logout']]) {
+    const response = await request(method, path, tokens.admin);
+    assert.strictEqual(response.status, 400, `${method} ${path}`);
+  }
+});
@@ -0,0 +1,37 @@
+// Blueprint generation: splitting a question count across weighted chapters and difficulties.
+const { test, before } = require('node:test');
+const assert = require('node:assert');
+const memoryDb = require('./helpers/memory-db');
+
+process.env.JWT_SECRET = 'blueprint-test-secret';
+// The server logs a lot - keep it on stderr, out of the test runner's report on stdout
+console.log = console.error;
+memoryDb.install();
+
+const app = require('../server-multi-ai');
+
+let apportion;
+
+before(async () => {
+  await app.ready;
+  ({ apportion } = app.internals);
+});
+
+test('counts follow the weights when they divide evenly', () => {
+  assert.deepStrictEqual(apportion(10, { easy: 3, medium: 5, hard: 2 }), { easy: 3, medium: 5, hard: 2 });
+  assert.deepStrictEqual(apportion(20, { easy: 30, medium: 50, hard: 20 }), { easy: 6, medium: 10, hard: 4 });
+});
+
+test('leftover questions go to the largest remainders and the total is kept', () => {
+  assert.deepStrictEqual(apportion(7, { Kinematics: '30', Optics: '70' }), { Kinematics: 2, Optics: 5 });
+
+  const split = apportion(10, { a: 1, b: 1, c: 1 });
+  assert.strictEqual(Object.values(split).reduce((sum, count) => sum + count, 0), 10);
+  assert.ok(Object.values(split).every(count => count === 3 || count === 4));
+});
+
+test('keys without a positive weight get nothing', () => {
+  assert.deepStrictEqual(apportion(5, { easy: 0, medium: 2, hard: -1 }), { medium: 5 });
+  assert.deepStrictEqual(apportion(5, { easy: 0, medium: 0 }), {});
+  assert.deepStrictEqual(apportion(0, { easy: 1, hard: 1 }), { easy: 0, hard: 0 });
+});
@@ -0,0 +1,55 @@
+// Shared setup for route tests: start the server on a free port and sign users in.
+// Set the environment and call memoryDb.install() before startServer().
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+
+// Start the app and return { server, request } - request(method, path, token, body) calls it
+async function startServer() {
+  const app = require('../../server-multi-ai');
+  await app.ready;
+
+  const server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  function request(method, path, token, body) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (token) headers.Authorization = `Bearer ${token}`;
+
+    return fetch(baseUrl + path, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+  }
+
+  return { server, request };
+}
+
+// Create a user with an active session. Returns { user, token }.
+async function signIn(username, role) {
+  const User = mongoose.model('User');
+  const Session = mongoose.model('Session');
+
+  const user = await User.create({
+    username,
+    email: `${username}@example.com`,
+    password: crypto.randomBytes(12).toString('hex'),
+    role
+  });
+  const session = await Session.create({
+    userId: user._id,
+    refreshTokenHash: crypto.randomBytes(32).toString('hex'),
+    institutionId: user.institutionId,
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+  });
+
+  const token = jwt.sign({
+    userId: user._id.toString(),
+    username: user.username,
+    role: user.role,
+    sid: session._id.toString(),
+    tid: user.institutionId.toString()
+  }, process.env.JWT_SECRET, { expiresIn: '15m' });
+
+  return { user, token };
+}
+
+module.exports = { startServer, signIn };
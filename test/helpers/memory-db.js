@@ -0,0 +1,209 @@
+// In-memory stand-in for MongoDB so the route tests run without a database server.
+// Mongoose keeps doing the casting, validation and middleware (tenant scoping, audit,
+// hooks); only the collection calls at the bottom are answered from plain arrays.
+// Supports the filters, updates and plain include/exclude projections the tested routes
+// use - sorting and aggregation pipelines are not applied.
+const mongoose = require('mongoose');
+const { BSON } = mongoose.mongo;
+
+const collections = new Map();
+
+function documents(collection) {
+  if (!collections.has(collection.name)) collections.set(collection.name, []);
+  return collections.get(collection.name);
+}
+
+// Round-trip through BSON so stored documents keep ObjectIds and Dates but share no references
+function copy(doc) {
+  return BSON.deserialize(BSON.serialize(doc));
+}
+
+function getPath(doc, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+}
+
+function setPath(doc, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((target, key) => (target[key] ??= {}), doc);
+  if (value === undefined) delete parent[last];
+  else parent[last] = value;
+}
+
+function sameValue(a, b) {
+  if (a == null || b == null) return a == null && b == null;
+  return String(a) === String(b);
+}
+
+// Array fields match when any element matches, as in MongoDB
+function valueMatches(value, expected) {
+  if (Array.isArray(value) && !Array.isArray(expected)) return value.some(item => sameValue(item, expected));
+  return sameValue(value, expected);
+}
+
+const OPERATORS = {
+  $eq: (value, arg) => valueMatches(value, arg),
+  $ne: (value, arg) => !valueMatches(value, arg),
+  $in: (value, arg) => arg.some(expected => valueMatches(value, expected)),
+  $nin: (value, arg) => !arg.some(expected => valueMatches(value, expected)),
+  $exists: (value, arg) => (value !== undefined) === !!arg,
+  $gt: (value, arg) => value != null && value > arg,
+  $gte: (value, arg) => value != null && value >= arg,
+  $lt: (value, arg) => value != null && value < arg,
+  $lte: (value, arg) => value != null && value <= arg
+};
+
+function isOperatorObject(condition) {
+  return condition != null && typeof condition === 'object' && !Array.isArray(condition) &&
+    Object.keys(condition).length > 0 && Object.keys(condition).every(key => key.startsWith('$'));
+}
+
+function matches(doc, filter = {}) {
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === '$and') return condition.every(part => matches(doc, part));
+    if (key === '$or') return condition.some(part => matches(doc, part));
+
+    const value = getPath(doc, key);
+    if (!isOperatorObject(condition)) return valueMatches(value, condition);
+
+    return Object.entries(condition).every(([operator, arg]) => {
+      if (!OPERATORS[operator]) throw new Error(`memory-db: unsupported query operator ${operator}`);
+      return OPERATORS[operator](value, arg);
+    });
+  });
+}
+
+function applyUpdate(doc, update) {
+  const operators = Object.keys(update).some(key => key.startsWith('$')) ? update : { $set: update };
+
+  for (const [operator, fields] of Object.entries(operators)) {
+    for (const [path, value] of Object.entries(fields)) {
+      if (operator === '$set') setPath(doc, path, value);
+      else if (operator === '$unset') setPath(doc, path, undefined);
+      else if (operator === '$inc') setPath(doc, path, (getPath(doc, path) || 0) + value);
+      else if (operator === '$push') {
+        const items = value?.$each || [value];
+        setPath(doc, path, [...(getPath(doc, path) || []), ...items]);
+      } else if (operator !== '$setOnInsert') {
+        throw new Error(`memory-db: unsupported update operator ${operator}`);
+      }
+    }
+  }
+}
+
+// { field: 0 } drops fields, { field: 1 } keeps only those (and _id); $meta entries are skipped
+function project(doc, projection = {}) {
+  const fields = Object.entries(projection).filter(([, value]) => typeof value !== 'object');
+  if (fields.length === 0) return doc;
+
+  if (fields.some(([, value]) => !value)) {
+    fields.forEach(([path]) => setPath(doc, path, undefined));
+    return doc;
+  }
+
+  const kept = { _id: doc._id };
+  fields.forEach(([path]) => {
+    const value = getPath(doc, path);
+    if (value !== undefined) setPath(kept, path, value);
+  });
+  return kept;
+}
+
+function cursor(docs) {
+  return {
+    toArray: async () => docs,
+    close: async () => {}
+  };
+}
+
+function updateMatching(collection, filter, update, many) {
+  const targets = documents(collection).filter(doc => matches(doc, filter));
+  const updated = many ? targets : targets.slice(0, 1);
+  updated.forEach(doc => applyUpdate(doc, copy(update)));
+  return { acknowledged: true, matchedCount: updated.length, modifiedCount: updated.length, upsertedCount: 0 };
+}
+
+function deleteMatching(collection, filter, many) {
+  const docs = documents(collection);
+  const targets = docs.filter(doc => matches(doc, filter));
+  const deleted = many ? targets : targets.slice(0, 1);
+  collections.set(collection.name, docs.filter(doc => !deleted.includes(doc)));
+  return { acknowledged: true, deletedCount: deleted.length };
+}
+
+const collectionMethods = {
+  async findOne(filter, options = {}) {
+    const doc = documents(this).find(doc => matches(doc, filter));
+    return doc ? project(copy(doc), options.projection) : null;
+  },
+  find(filter, options = {}) {
+    const docs = documents(this).filter(doc => matches(doc, filter)).map(doc => project(copy(doc), options.projection));
+    const start = options.skip || 0;
+    return cursor(docs.slice(start, options.limit ? start + options.limit : undefined));
+  },
+  async countDocuments(filter) {
+    return documents(this).filter(doc => matches(doc, filter)).length;
+  },
+  async estimatedDocumentCount() {
+    return documents(this).length;
+  },
+  async distinct(path, filter) {
+    const values = documents(this).filter(doc => matches(doc, filter)).flatMap(doc => getPath(doc, path) ?? []);
+    return values.filter((value, index) => values.findIndex(other => sameValue(other, value)) === index);
+  },
+  async insertOne(doc) {
+    documents(this).push(copy(doc));
+    return { acknowledged: true, insertedId: doc._id };
+  },
+  async insertMany(docs) {
+    docs.forEach(doc => documents(this).push(copy(doc)));
+    return { acknowledged: true, insertedCount: docs.length };
+  },
+  async updateOne(filter, update) {
+    return updateMatching(this, filter, update, false);
+  },
+  async updateMany(filter, update) {
+    return updateMatching(this, filter, update, true);
+  },
+  async findOneAndUpdate(filter, update, options = {}) {
+    const doc = documents(this).find(doc => matches(doc, filter));
+    if (!doc) return { value: null };
+
+    const before = copy(doc);
+    applyUpdate(doc, copy(update));
+    return { value: options.returnDocument === 'after' ? copy(doc) : before };
+  },
+  async findOneAndDelete(filter) {
+    const doc = documents(this).find(doc => matches(doc, filter));
+    if (doc) deleteMatching(this, { _id: doc._id }, false);
+    return { value: doc ? copy(doc) : null };
+  },
+  async deleteOne(filter) {
+    return deleteMatching(this, filter, false);
+  },
+  async deleteMany(filter) {
+    return deleteMatching(this, filter, true);
+  },
+  bulkWrite(ops, options, callback) {
+    callback(null, { ok: 1, insertedCount: 0, modifiedCount: 0, deletedCount: 0 });
+  },
+  aggregate() {
+    return cursor([]);
+  },
+  listIndexes() {
+    return cursor([]);
+  },
+  async createIndex() {},
+  async createIndexes() {}
+};
+
+// Point mongoose at the in-memory collections. Call before requiring the server.
+function install() {
+  mongoose.set('autoIndex', false);
+  mongoose.set('autoCreate', false);
+  mongoose.connect = async () => mongoose;
+  mongoose.Model.syncIndexes = async () => [];
+  Object.assign(mongoose.Collection.prototype, collectionMethods);
+}
+
+module.exports = { install };
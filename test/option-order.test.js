@@ -0,0 +1,46 @@
+// Shuffled options: answers in the letters a student saw map to the question's own letters and back.
+const { test, before } = require('node:test');
+const assert = require('node:assert');
+const memoryDb = require('./helpers/memory-db');
+
+process.env.JWT_SECRET = 'option-order-test-secret';
+// The server logs a lot - keep it on stderr, out of the test runner's report on stdout
+console.log = console.error;
+memoryDb.install();
+
+const app = require('../server-multi-ai');
+
+let toCanonicalAnswer;
+let toDisplayedAnswer;
+
+// Displayed A is option C, B is A, C is D and D is B
+const ORDER = [2, 0, 3, 1];
+
+before(async () => {
+  await app.ready;
+  ({ toCanonicalAnswer, toDisplayedAnswer } = app.internals);
+});
+
+test("displayed letters map to the question's own letters", () => {
+  assert.strictEqual(toCanonicalAnswer('A', ORDER), 'C');
+  assert.strictEqual(toCanonicalAnswer('D', ORDER), 'B');
+  assert.strictEqual(toCanonicalAnswer('b, c', ORDER), 'A,D');
+});
+
+test("the question's own letters map back to what the student saw", () => {
+  assert.strictEqual(toDisplayedAnswer('C', ORDER), 'A');
+  assert.strictEqual(toDisplayedAnswer('A,D', ORDER), 'B,C');
+});
+
+test('mapping there and back returns every answer unchanged', () => {
+  for (const answer of ['A', 'B', 'C', 'D', 'A,B', 'B,C,D', 'A,B,C,D']) {
+    assert.strictEqual(toDisplayedAnswer(toCanonicalAnswer(answer, ORDER), ORDER), answer);
+  }
+});
+
+test('answers are left alone without an order, and unknown letters are kept', () => {
+  assert.strictEqual(toCanonicalAnswer('B', undefined), 'B');
+  assert.strictEqual(toDisplayedAnswer('', ORDER), '');
+  assert.strictEqual(toCanonicalAnswer('E', ORDER), 'E');
+  assert.strictEqual(toDisplayedAnswer('E', ORDER), 'E');
+});
@@ -0,0 +1,115 @@
+// Spreadsheet import: header matching and the per-row validation report.
+const { test, before } = require('node:test');
+const assert = require('node:assert');
+const memoryDb = require('./helpers/memory-db');
+
+process.env.JWT_SECRET = 'question-import-test-secret';
+// The server logs a lot - keep it on stderr, out of the test runner's report on stdout
+console.log = console.error;
+memoryDb.install();
+
+const app = require('../server-multi-ai');
+
+let mapImportColumns;
+let importRowToQuestion;
+
+// Chapters as the import route loads them: "examType|subject|lowercased name" -> stored name
+const CHAPTERS = new Map([
+  ['jee|physics|kinematics', 'Kinematics'],
+  ['neet|biology|cell: the unit of life', 'Cell: The Unit of Life']
+]);
+
+const VALID_ROW = {
+  examType: 'JEE',
+  subject: 'Physics',
+  class: '11',
+  chapter: 'kinematics',
+  difficulty: 'Easy',
+  text: 'A body starts from rest with an acceleration of 2 m/s². Its speed after 3 s is',
+  optionA: '3 m/s',
+  optionB: '6 m/s',
+  optionC: '9 m/s',
+  optionD: '12 m/s',
+  answer: 'B',
+  solution: 'v = u + at = 6 m/s'
+};
+
+// Validate one row given as { header: value }
+function importRow(fields, defaults = {}) {
+  const { columns } = mapImportColumns(Object.keys(fields));
+  return importRowToQuestion(Object.values(fields), columns, defaults, CHAPTERS);
+}
+
+before(async () => {
+  await app.ready;
+  ({ mapImportColumns, importRowToQuestion } = app.internals);
+});
+
+test('headers are matched ignoring case, spaces and punctuation', () => {
+  const { columns, ignored } = mapImportColumns(['Exam Type', 'SUBJECT', 'Question', 'option_a', 'Option 2', 'Correct Answer', 'Notes']);
+
+  assert.deepStrictEqual(columns, { examType: 0, subject: 1, text: 2, optionA: 3, optionB: 4, answer: 5 });
+  assert.deepStrictEqual(ignored, ['Notes']);
+});
+
+test('a valid row becomes a question with the stored chapter name', () => {
+  const { question, errors } = importRow(VALID_ROW);
+
+  assert.deepStrictEqual(errors, []);
+  assert.strictEqual(question.examType, 'jee');
+  assert.strictEqual(question.subject, 'physics');
+  assert.strictEqual(question.chapter, 'Kinematics');
+  assert.strictEqual(question.difficulty, 'easy');
+  assert.deepStrictEqual(question.options, ['3 m/s', '6 m/s', '9 m/s', '12 m/s']);
+  assert.strictEqual(question.answer, 'B');
+});
+
+test('the answer can be the text of the correct option', () => {
+  const { question, errors } = importRow({ ...VALID_ROW, answer: '6 M/S' });
+  assert.deepStrictEqual(errors, []);
+  assert.strictEqual(question.answer, 'B');
+});
+
+test('every missing required field is reported', () => {
+  const { errors } = importRow({ text: '', answer: '' });
+
+  for (const expected of ['Missing exam type', 'Missing subject', 'Missing class', 'Missing difficulty', 'Missing question text', 'Missing solution', 'Missing chapter', 'Missing answer']) {
+    assert.ok(errors.includes(expected), `${expected} in ${JSON.stringify(errors)}`);
+  }
+});
+
+test('unknown values, chapters and answers are reported', () => {
+  assert.deepStrictEqual(importRow({ ...VALID_ROW, difficulty: 'tricky' }).errors, ['Unknown difficulty "tricky" (easy, medium or hard)']);
+  assert.deepStrictEqual(importRow({ ...VALID_ROW, chapter: 'Optics' }).errors, ['Unknown chapter "Optics" for JEE physics']);
+  assert.deepStrictEqual(importRow({ ...VALID_ROW, answer: 'E' }).errors, ['Answer "E" is not among the options (A, B, C, D)']);
+});
+
+test('options must be filled from A without gaps', () => {
+  const { errors } = importRow({ ...VALID_ROW, optionB: '', answer: 'A' });
+  assert.deepStrictEqual(errors, ['Option B is empty but a later option is filled']);
+});
+
+test('sheet-wide defaults fill the exam, subject and class, and biology is always NEET', () => {
+  const row = { ...VALID_ROW, chapter: 'Cell: the unit of life', examType: undefined, subject: undefined, class: undefined };
+  delete row.examType;
+  delete row.subject;
+  delete row.class;
+
+  const { question, errors } = importRow(row, { examType: 'jee', subject: 'biology', class: '11' });
+  assert.deepStrictEqual(errors, []);
+  assert.strictEqual(question.examType, 'neet');
+  assert.strictEqual(question.chapter, 'Cell: The Unit of Life');
+});
+
+test('numeric rows take a value with a tolerance or a range', () => {
+  const numericRow = { ...VALID_ROW, questionType: 'numeric', optionA: '', optionB: '', optionC: '', optionD: '' };
+
+  const tolerance = importRow({ ...numericRow, answer: '9.8', tolerance: '0.1' });
+  assert.deepStrictEqual(tolerance.errors, []);
+  assert.strictEqual(tolerance.question.numericAnswer.value, 9.8);
+  assert.strictEqual(tolerance.question.numericAnswer.tolerance, 0.1);
+
+  const range = importRow({ ...numericRow, answer: '', answerMin: '2.5', answerMax: '2.7' });
+  assert.deepStrictEqual(range.errors, []);
+  assert.strictEqual(range.question.numericAnswer.mode, 'range');
+});
@@ -0,0 +1,56 @@
+// Duplicate merging must not retire a shared question - other institutions' tests can use it.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const memoryDb = require('./helpers/memory-db');
+const { startServer, signIn } = require('./helpers/api');
+
+process.env.JWT_SECRET = 'question-merge-test-secret';
+// The test admin has no authenticator app enrolled
+process.env.REQUIRE_ADMIN_2FA = 'false';
+// The server logs a lot - keep it on stderr, out of the test runner's report on stdout
+console.log = console.error;
+memoryDb.install();
+
+let server;
+let request;
+let adminToken;
+const ids = {};
+
+function createQuestion(fields) {
+  return mongoose.model('Question').create({
+    examType: 'neet',
+    subject: 'biology',
+    class: '11',
+    chapter: 'Cell: The Unit of Life',
+    difficulty: 'easy',
+    text: 'Which organelle is known as the powerhouse of the cell?',
+    options: ['Nucleus', 'Mitochondrion', 'Ribosome', 'Golgi body'],
+    answer: 'B',
+    solution: 'Mitochondria make most of the cell\'s ATP.',
+    status: 'published',
+    ...fields
+  });
+}
+
+before(async () => {
+  ({ server, request } = await startServer());
+  const { user, token } = await signIn('merge-admin', 'admin');
+  adminToken = token;
+
+  ids.keep = (await createQuestion({ institutionId: user.institutionId }))._id;
+  ids.shared = (await createQuestion({ institutionId: user.institutionId, isShared: true }))._id;
+});
+
+after(async () => {
+  if (server) await new Promise(resolve => server.close(resolve));
+});
+
+test('shared questions cannot be merged away', async () => {
+  const response = await request('POST', '/api/questions/duplicates/merge', adminToken, { keepId: ids.keep, mergeIds: [ids.shared] });
+  assert.strictEqual(response.status, 409);
+  assert.strictEqual((await response.json()).code, 'SHARED_QUESTION');
+
+  const shared = await mongoose.model('Question').findById(ids.shared);
+  assert.strictEqual(shared.status, 'published');
+});
@@ -0,0 +1,88 @@
+// Question revisions: concurrent edits get their own revision numbers and revisions keep
+// media by reference instead of copying the image data.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const memoryDb = require('./helpers/memory-db');
+const { startServer, signIn } = require('./helpers/api');
+
+process.env.JWT_SECRET = 'question-revisions-test-secret';
+// The test admin has no authenticator app enrolled
+process.env.REQUIRE_ADMIN_2FA = 'false';
+// The server logs a lot - keep it on stderr, out of the test runner's report on stdout
+console.log = console.error;
+memoryDb.install();
+
+let server;
+let request;
+let adminToken;
+let questionId;
+
+const IMAGE_DATA = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+
+function edit(text) {
+  return request('PUT', `/api/questions/${questionId}`, adminToken, {
+    examType: 'jee',
+    subject: 'physics',
+    class: '11',
+    chapter: 'Kinematics',
+    difficulty: 'easy',
+    question: { text, options: ['0 m/s', '1 m/s', '2 m/s', '3 m/s'], answer: 'A', solution: 'It starts from rest, so u = 0.' }
+  });
+}
+
+before(async () => {
+  ({ server, request } = await startServer());
+  ({ token: adminToken } = await signIn('revision-admin', 'admin'));
+
+  const question = await mongoose.model('Question').create({
+    examType: 'jee',
+    subject: 'physics',
+    class: '11',
+    chapter: 'Kinematics',
+    difficulty: 'easy',
+    text: 'A body starts from rest. What is its initial velocity?',
+    options: ['0 m/s', '1 m/s', '2 m/s', '3 m/s'],
+    answer: 'A',
+    solution: 'It starts from rest, so u = 0.',
+    media: [{ id: 'figure-1', type: 'image', data: IMAGE_DATA, name: 'figure.png' }],
+    status: 'published'
+  });
+  questionId = question._id;
+});
+
+after(async () => {
+  if (server) await new Promise(resolve => server.close(resolve));
+});
+
+test('concurrent edits are logged as separate revisions', async () => {
+  // Two editors who loaded the question at the same revision
+  const Question = mongoose.model('Question');
+  const [first, second] = await Promise.all([Question.findById(questionId), Question.findById(questionId)]);
+  first.text = 'A body starts from rest. What is its velocity at t = 0?';
+  second.text = 'A body is released from rest. What is its initial velocity?';
+  await first.save();
+  await second.save();
+
+  const response = await edit('A body starts from rest. What is its initial speed?');
+  assert.strictEqual(response.status, 200);
+
+  const revisions = await mongoose.model('QuestionRevision').find({ questionId }).lean();
+  assert.deepStrictEqual(revisions.map(revision => revision.revision).sort(), [1, 2, 3, 4]);
+
+  const question = await Question.findById(questionId);
+  assert.strictEqual(question.revision, 4);
+});
+
+test('revisions keep media by reference', async () => {
+  const revisions = await mongoose.model('QuestionRevision').find({ questionId }).lean();
+
+  for (const revision of revisions) {
+    assert.strictEqual(revision.snapshot.media.length, 1);
+    assert.strictEqual(revision.snapshot.media[0].data, undefined);
+    assert.match(revision.snapshot.media[0].digest, /^[0-9a-f]{12}$/);
+  }
+
+  const question = await mongoose.model('Question').findById(questionId);
+  assert.strictEqual(question.media[0].data, IMAGE_DATA, 'the question keeps its image');
+});
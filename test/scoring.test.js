@@ -0,0 +1,176 @@
+// Scoring of submitted answers: marks, negative marking and the result totals.
+const { test, before } = require('node:test');
+const assert = require('node:assert');
+const memoryDb = require('./helpers/memory-db');
+
+process.env.JWT_SECRET = 'scoring-test-secret';
+// The server logs a lot - keep it on stderr, out of the test runner's report on stdout
+console.log = console.error;
+memoryDb.install();
+
+const app = require('../server-multi-ai');
+
+let scoring;
+
+function mcq(id, answer) {
+  return { _id: id, questionType: 'mcq', options: ['0 m/s', '1 m/s', '2 m/s', '3 m/s'], answer };
+}
+
+before(async () => {
+  await app.ready;
+  scoring = app.internals;
+});
+
+test('practice tests score 4 per correct answer without negative marking', () => {
+  const scheme = scoring.markingSchemeFor(null);
+  const questions = [mcq('q1', 'A'), mcq('q2', 'B'), mcq('q3', 'C')];
+
+  const result = scoring.scoreSubmission(questions, { q1: 'A', q2: 'D' }, scheme);
+
+  assert.deepStrictEqual(result.breakdown.map(entry => [entry.status, entry.marks]), [['correct', 4], ['incorrect', 0], ['unanswered', 0]]);
+  assert.strictEqual(result.score, 4);
+  assert.strictEqual(result.maxMarks, 12);
+  assert.strictEqual(result.percentage, 33.33);
+});
+
+test('an option letter matches the text of that option, ignoring case and spaces', () => {
+  const scheme = scoring.markingSchemeFor(null);
+
+  assert.strictEqual(scoring.gradeAnswer(mcq('q1', '2 m/s'), ' c ', scheme).status, 'correct');
+  assert.strictEqual(scoring.gradeAnswer(mcq('q1', 'C'), '2 M/S', scheme).status, 'correct');
+  assert.strictEqual(scoring.gradeAnswer(mcq('q1', 'C'), 'B', scheme).status, 'incorrect');
+});
+
+test('mock tests with negative marking take a quarter of the marks by default', () => {
+  const scheme = scoring.markingSchemeFor({ marksPerQuestion: 4, negativeMarking: true });
+  const questions = [mcq('q1', 'A'), mcq('q2', 'B')];
+
+  const result = scoring.scoreSubmission(questions, { q1: 'A', q2: 'A' }, scheme);
+
+  assert.deepStrictEqual(result.breakdown.map(entry => entry.marks), [4, -1]);
+  assert.strictEqual(result.score, 3);
+  assert.strictEqual(result.correct, 1);
+  assert.strictEqual(result.incorrect, 1);
+});
+
+test('an explicit penalty is used as a positive number of marks lost', () => {
+  const scheme = scoring.markingSchemeFor({ marksPerQuestion: 3, negativeMarking: true, negativeMarks: -2 });
+
+  assert.deepStrictEqual(scoring.gradeAnswer(mcq('q1', 'A'), 'B', scheme), { status: 'incorrect', marks: -2 });
+  assert.deepStrictEqual(scoring.gradeAnswer(mcq('q1', 'A'), 'A', scheme), { status: 'correct', marks: 3 });
+});
+
+test('negative marking is off unless the mock test turns it on', () => {
+  const scheme = scoring.markingSchemeFor({ marksPerQuestion: 4, negativeMarks: 1 });
+  assert.strictEqual(scoring.gradeAnswer(mcq('q1', 'A'), 'B', scheme).marks, 0);
+});
+
+function numeric(id, numericAnswer) {
+  return { _id: id, questionType: 'numeric', numericAnswer };
+}
+
+test('numeric answers match within the tolerance, bounds included', () => {
+  const scheme = scoring.markingSchemeFor(null);
+  const question = numeric('q1', { mode: 'tolerance', value: 9.8, tolerance: 0.05 });
+
+  assert.strictEqual(scoring.gradeAnswer(question, '9.85', scheme).status, 'correct');
+  assert.strictEqual(scoring.gradeAnswer(question, '9.75', scheme).status, 'correct');
+  assert.strictEqual(scoring.gradeAnswer(question, '9.86', scheme).status, 'incorrect');
+});
+
+test('exact numeric answers ignore floating point noise and formatting', () => {
+  const scheme = scoring.markingSchemeFor(null);
+  const question = numeric('q1', { mode: 'exact', value: 0.3 });
+
+  assert.strictEqual(scoring.gradeAnswer(question, String(0.1 + 0.2), scheme).status, 'correct');
+  assert.strictEqual(scoring.gradeAnswer(question, ' 0.30 ', scheme).status, 'correct');
+  assert.strictEqual(scoring.gradeAnswer(question, 'three tenths', scheme).status, 'incorrect');
+});
+
+test('range answers accept anything between min and max', () => {
+  const scheme = scoring.markingSchemeFor(null);
+  const question = numeric('q1', { mode: 'range', min: 2.5, max: 2.7 });
+
+  assert.strictEqual(scoring.gradeAnswer(question, '2.5', scheme).status, 'correct');
+  assert.strictEqual(scoring.gradeAnswer(question, '2.7', scheme).status, 'correct');
+  assert.strictEqual(scoring.gradeAnswer(question, '2.71', scheme).status, 'incorrect');
+});
+
+test('numeric questions only lose marks when numeric negative marking is on', () => {
+  const question = numeric('q1', { mode: 'exact', value: 42 });
+
+  const withoutPenalty = scoring.markingSchemeFor({ marksPerQuestion: 4, negativeMarking: true });
+  assert.strictEqual(scoring.gradeAnswer(question, '41', withoutPenalty).marks, 0);
+  assert.strictEqual(scoring.gradeAnswer(mcq('q2', 'A'), 'B', withoutPenalty).marks, -1);
+
+  const withPenalty = scoring.markingSchemeFor({ marksPerQuestion: 4, negativeMarking: true, numericNegativeMarking: true });
+  assert.strictEqual(scoring.gradeAnswer(question, '41', withPenalty).marks, -1);
+});
+
+function multiple(id, correctOptions) {
+  return { _id: id, questionType: 'multiple', options: ['A', 'B', 'C', 'D'].map(letter => `Option ${letter}`), correctOptions, answer: correctOptions.join(',') };
+}
+
+test('multiple-correct questions give JEE Advanced partial marks', () => {
+  const scheme = scoring.markingSchemeFor({ multipleCorrectMarking: { fullMarks: 4, perCorrectOption: 1, wrongPenalty: 2, partialMarking: true } });
+  const question = multiple('q1', ['A', 'C', 'D']);
+
+  assert.deepStrictEqual(scoring.gradeAnswer(question, 'A,C,D', scheme), { status: 'correct', marks: 4 });
+  assert.deepStrictEqual(scoring.gradeAnswer(question, 'd, a', scheme), { status: 'partial', marks: 2 });
+  assert.deepStrictEqual(scoring.gradeAnswer(question, 'A,B', scheme), { status: 'incorrect', marks: -2 });
+});
+
+test('without partial marking an incomplete answer scores nothing', () => {
+  const scheme = scoring.markingSchemeFor({ multipleCorrectMarking: { partialMarking: false } });
+  assert.deepStrictEqual(scoring.gradeAnswer(multiple('q1', ['A', 'C']), 'A', scheme), { status: 'partial', marks: 0 });
+});
+
+test('multiple-correct questions count their full marks towards the maximum', () => {
+  const scheme = scoring.markingSchemeFor({ marksPerQuestion: 3, multipleCorrectMarking: { fullMarks: 4 } });
+  const result = scoring.scoreSubmission([mcq('q1', 'A'), multiple('q2', ['B', 'D'])], { q2: 'B' }, scheme);
+
+  assert.strictEqual(result.maxMarks, 7);
+  assert.strictEqual(result.partial, 1);
+  assert.strictEqual(result.score, 1);
+});
+
+test("a section's own marking replaces the test's", () => {
+  const scheme = scoring.markingSchemeFor({
+    marksPerQuestion: 4,
+    negativeMarking: true,
+    sections: [{ name: 'Section A', questionIds: ['q1'], marksPerQuestion: 3, negativeMarks: -1 }]
+  });
+
+  const result = scoring.scoreSubmission([mcq('q1', 'A'), mcq('q2', 'A')], { q1: 'B', q2: 'B' }, scheme);
+  assert.deepStrictEqual(result.breakdown.map(entry => [entry.section, entry.marks]), [['Section A', -1], [undefined, -1]]);
+  assert.strictEqual(result.sectionResults[0].maxMarks, 3);
+});
+
+test('a section without its own marking uses the test-wide marking', () => {
+  const scheme = scoring.markingSchemeFor({
+    marksPerQuestion: 4,
+    negativeMarks: 2,
+    negativeMarking: true,
+    sections: [{ name: 'Section B', questionIds: ['q1', 'q2'] }]
+  });
+
+  assert.strictEqual(scoring.sectionMarkingScheme(scheme, scheme.sections[0]).negativeMarks, 2);
+
+  const result = scoring.scoreSubmission([mcq('q1', 'A'), mcq('q2', 'A')], { q1: 'A', q2: 'C' }, scheme);
+  assert.deepStrictEqual(result.breakdown.map(entry => entry.marks), [4, -2]);
+  assert.strictEqual(result.sectionResults[0].maxMarks, 8);
+});
+
+test('only the first answers up to the attempt limit are scored', () => {
+  const scheme = scoring.markingSchemeFor({
+    sections: [{ name: 'Section B', questionIds: ['q1', 'q2', 'q3'], attemptLimit: 2, marksPerQuestion: 4, negativeMarks: 1 }]
+  });
+  const questions = [mcq('q1', 'A'), mcq('q2', 'A'), mcq('q3', 'A')];
+
+  const result = scoring.scoreSubmission(questions, { q1: 'A', q2: 'B', q3: 'A' }, scheme);
+
+  assert.deepStrictEqual(result.breakdown.map(entry => entry.status), ['correct', 'incorrect', 'not-evaluated']);
+  assert.strictEqual(result.score, 3);
+  assert.strictEqual(result.maxMarks, 8);
+  assert.strictEqual(result.sectionResults[0].notEvaluated, 1);
+});
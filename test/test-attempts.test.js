@@ -0,0 +1,107 @@
+// Timed attempts: saves and submits are accepted for a short grace period after the
+// deadline; after that the attempt closes with the answers saved in time, exactly once.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const memoryDb = require('./helpers/memory-db');
+const { startServer, signIn } = require('./helpers/api');
+
+process.env.JWT_SECRET = 'test-attempts-test-secret';
+// The server logs a lot - keep it on stderr, out of the test runner's report on stdout
+console.log = console.error;
+memoryDb.install();
+
+const app = require('../server-multi-ai');
+
+const TEN_MINUTES = 10 * 60 * 1000;
+
+let server;
+let request;
+let student;
+let token;
+let question;
+let practiceTest;
+
+// An attempt that started ten minutes before its deadline, `overdueSeconds` ago
+function createAttempt(overdueSeconds, answers = {}) {
+  const deadline = new Date(Date.now() - overdueSeconds * 1000);
+  return mongoose.model('TestAttempt').create({
+    userId: student._id,
+    username: student.username,
+    practiceTestId: practiceTest._id,
+    testTitle: practiceTest.name,
+    questionIds: [question._id],
+    answers,
+    startedAt: new Date(deadline.getTime() - TEN_MINUTES),
+    deadline
+  });
+}
+
+before(async () => {
+  ({ server, request } = await startServer());
+  ({ user: student, token } = await signIn('attempt-student', 'student'));
+
+  question = await mongoose.model('Question').create({
+    examType: 'jee',
+    subject: 'physics',
+    class: '11',
+    chapter: 'Kinematics',
+    difficulty: 'easy',
+    text: 'A body starts from rest. What is its initial velocity?',
+    options: ['0 m/s', '1 m/s', '2 m/s', '3 m/s'],
+    answer: 'A',
+    solution: 'It starts from rest, so u = 0.',
+    status: 'published'
+  });
+  practiceTest = await mongoose.model('PracticeTest').create({
+    name: 'Kinematics practice',
+    examType: 'jee',
+    subject: 'Physics',
+    difficulty: 'easy',
+    questionCount: 1,
+    questionIds: [question._id],
+    createdBy: student._id
+  });
+});
+
+after(async () => {
+  if (server) await new Promise(resolve => server.close(resolve));
+});
+
+test('progress is still saved just after the deadline', async () => {
+  const attempt = await createAttempt(10);
+
+  const response = await request('PUT', `/api/test-attempts/${attempt._id}/progress`, token, { answers: { [question._id]: 'A' } });
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual((await response.json()).attempt.answers[question._id], 'A');
+});
+
+test('a submission after the grace period is scored on the answers saved in time', async () => {
+  const attempt = await createAttempt(60, { [question._id]: 'A' });
+
+  const response = await request('POST', `/api/test-attempts/${attempt._id}/submit`, token, { answers: { [question._id]: 'B' } });
+  assert.strictEqual(response.status, 409);
+
+  const data = await response.json();
+  assert.strictEqual(data.code, 'ATTEMPT_EXPIRED');
+  assert.strictEqual(data.attempt.status, 'expired');
+  assert.strictEqual(data.testResult.correct, 1);
+  assert.strictEqual(data.testResult.timeSpent, 600, 'time after the deadline does not count');
+});
+
+test('the expiry sweep closes overdue attempts once and leaves the grace period alone', async () => {
+  const overdue = await createAttempt(60, { [question._id]: 'B' });
+  const inGrace = await createAttempt(10);
+
+  await app.internals.expireOverdueAttempts();
+  await app.internals.expireOverdueAttempts();
+  await app.internals.finalizeAttempt(overdue, 'submitted');
+
+  const TestAttempt = mongoose.model('TestAttempt');
+  assert.strictEqual((await TestAttempt.findById(overdue._id)).status, 'expired');
+  assert.strictEqual((await TestAttempt.findById(inGrace._id)).status, 'in-progress');
+
+  const results = await mongoose.model('TestResult').find({ attemptId: overdue._id });
+  assert.strictEqual(results.length, 1);
+  assert.strictEqual(results[0].incorrect, 1);
+});